@@ -1,19 +1,24 @@
 // config/auth.js
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
 // JWT secret key
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-should-be-in-env-file';
 
-// JWT expiration (in seconds)
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+// Access token expiration (kept short, clients renew through /api/auth/refresh)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Refresh token expiration
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
 
 // Token types
 const TOKEN_TYPES = {
     ACCESS: 'access',
     REFRESH: 'refresh',
     EMAIL_VERIFICATION: 'email_verification',
-    PASSWORD_RESET: 'password_reset'
+    PASSWORD_RESET: 'password_reset',
+    TWO_FACTOR: 'two_factor'
 };
 
 /**
@@ -71,18 +76,55 @@ const generatePasswordResetToken = (user) => {
 };
 
 /**
- * Generate refresh token
+ * Generate two-factor challenge token (password verified, second factor pending)
  * @param {Object} user - User object
  * @returns {string} JWT token
  */
-const generateRefreshToken = (user) => {
+const generateTwoFactorChallengeToken = (user) => {
     return generateToken(
         { id: user.id },
+        TOKEN_TYPES.TWO_FACTOR,
+        '5m' // 5 minutes expiration
+    );
+};
+
+/**
+ * Generate access token bound to a session
+ * @param {Object} user - User object
+ * @param {string} sessionId - Session ID
+ * @returns {string} JWT token
+ */
+const generateAccessToken = (user, sessionId) => {
+    return generateToken(
+        { id: user.id, email: user.email, role: user.role, campus: user.campus_id, sid: sessionId },
+        TOKEN_TYPES.ACCESS
+    );
+};
+
+/**
+ * Generate refresh token
+ * @param {Object} user - User object
+ * @param {string} sessionId - Session ID (refresh token family)
+ * @returns {string} JWT token
+ */
+const generateRefreshToken = (user, sessionId) => {
+    return generateToken(
+        { id: user.id, sid: sessionId, jti: uuidv4() }, // jti keeps every rotated token unique
         TOKEN_TYPES.REFRESH,
-        '7d' // 7 days expiration
+        REFRESH_TOKEN_EXPIRES_IN
     );
 };
 
+/**
+ * Get the expiration date of a JWT token
+ * @param {string} token - JWT token
+ * @returns {Date|null} Expiration date or null if token has none
+ */
+const getTokenExpiration = (token) => {
+    const decoded = jwt.decode(token);
+    return decoded && decoded.exp ? new Date(decoded.exp * 1000) : null;
+};
+
 /**
  * Extract token from authorization header
  * @param {string} authHeader - Authorization header value
@@ -99,11 +141,15 @@ const extractTokenFromHeader = (authHeader) => {
 module.exports = {
     JWT_SECRET,
     JWT_EXPIRES_IN,
+    REFRESH_TOKEN_EXPIRES_IN,
     TOKEN_TYPES,
     generateToken,
     verifyToken,
     generateEmailVerificationToken,
     generatePasswordResetToken,
+    generateTwoFactorChallengeToken,
+    generateAccessToken,
     generateRefreshToken,
+    getTokenExpiration,
     extractTokenFromHeader
 };
\ No newline at end of file
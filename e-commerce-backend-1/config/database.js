@@ -36,23 +36,15 @@ const initializeDatabase = async () => {
         );
 
         if (rows[0].count > 0) {
-            // Check if settings record exists
-            const [settingsRows] = await pool.execute('SELECT COUNT(*) as count FROM settings');
+            // Make sure every campus has a settings record
+            const [result] = await pool.execute(
+                `INSERT INTO settings (campus_id, platform_name)
+                 SELECT c.id, CONCAT(c.name, ' Market Place') FROM campuses c
+                 WHERE NOT EXISTS (SELECT 1 FROM settings s WHERE s.campus_id = c.id)`
+            );
 
-            if (settingsRows[0].count === 0) {
-                // Insert default settings
-                await pool.execute(
-                    `INSERT INTO settings (
-            id, platform_name, support_email, items_per_page, 
-            commission_rate, min_commission, 
-            require_email_verification, require_admin_approval, enable_two_factor
-          ) VALUES (
-            1, 'UTA Market Place', 'support@utamarketplace.edu', 20,
-            5.00, 0.50, 
-            TRUE, TRUE, TRUE
-          )`
-                );
-                console.log('Default settings initialized.');
+            if (result.affectedRows > 0) {
+                console.log(`Default settings initialized for ${result.affectedRows} campus(es).`);
             }
         }
     } catch (error) {
@@ -0,0 +1,35 @@
+// config/listings.js
+
+// Conditions a listing can be in (CreateListingPage offers the same options)
+const ITEM_CONDITIONS = [
+    'New',
+    'Used - Like New',
+    'Used - Good',
+    'Used - Fair',
+    'Used - Acceptable'
+];
+
+// Types of category attributes: free text, numbers, one of a list of options, or an ISBN
+// (checked and stored without hyphens)
+const ATTRIBUTE_TYPES = ['text', 'number', 'select', 'isbn'];
+
+// Longest specification value
+const MAX_SPECIFICATION_LENGTH = 255;
+
+// Most images a listing can have
+const MAX_LISTING_IMAGES = 5;
+
+// Most rows a single bulk import can create
+const MAX_IMPORT_ROWS = 200;
+
+// Statuses of listings the seller hasn't published yet (only the seller can see them)
+const UNPUBLISHED_STATUSES = ['draft', 'scheduled'];
+
+module.exports = {
+    ITEM_CONDITIONS,
+    ATTRIBUTE_TYPES,
+    MAX_SPECIFICATION_LENGTH,
+    MAX_LISTING_IMAGES,
+    MAX_IMPORT_ROWS,
+    UNPUBLISHED_STATUSES
+};
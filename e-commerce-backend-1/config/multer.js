@@ -1,27 +1,13 @@
 // config/multer.js
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const crypto = require('crypto');
 
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Define storage strategy
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        // Generate unique filename to prevent collisions
-        const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(8).toString('hex');
-        const ext = path.extname(file.originalname);
-        cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-    }
-});
+// Generate unique filename to prevent collisions
+const uniqueFilename = (fieldname, ext = '') => {
+    const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(8).toString('hex');
+    return fieldname + '-' + uniqueSuffix + ext;
+};
 
 // Define file filter for images
 const imageFileFilter = (req, file, cb) => {
@@ -35,39 +21,42 @@ const imageFileFilter = (req, file, cb) => {
     }
 };
 
-// Create multer instance for image uploads
+// Create multer instance for image uploads, kept in memory so the raw file (and its EXIF data)
+// never reaches /uploads: imageService writes the processed sizes instead
 const uploadImage = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     fileFilter: imageFileFilter,
     limits: {
         fileSize: 5 * 1024 * 1024 // 5MB file size limit
     }
 });
 
-// Create multer instance for general file uploads
+// Create multer instance for general file uploads, kept in memory so they can be stored
+// through storageService on whichever backend is configured
 const uploadFile = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     limits: {
         fileSize: 10 * 1024 * 1024 // 10MB file size limit
     }
 });
 
-// Helper function to delete a file
-const deleteFile = (filePath) => {
-    const fullPath = path.join(__dirname, '../', filePath);
+// Create multer instance for bulk listing imports (a CSV or XLSX sheet and a ZIP of images),
+// kept in memory since they are only read once
+const uploadImport = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        const allowed = file.fieldname === 'images' ? ['.zip'] : ['.csv', '.xlsx'];
 
-    if (fs.existsSync(fullPath)) {
-        fs.unlinkSync(fullPath);
-        return true;
+        if (allowed.includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new Error(`Only ${allowed.join(' or ')} files are allowed for ${file.fieldname}!`), false);
+        }
+    },
+    limits: {
+        fileSize: 50 * 1024 * 1024 // 50MB file size limit (image ZIPs)
     }
-
-    return false;
-};
-
-// Get file path for uploads
-const getFilePath = (filename) => {
-    return `/uploads/${filename}`;
-};
+});
 
 // Custom error handler for multer
 const multerErrorHandler = (err, req, res, next) => {
@@ -91,7 +80,7 @@ const multerErrorHandler = (err, req, res, next) => {
 module.exports = {
     uploadImage,
     uploadFile,
-    deleteFile,
-    getFilePath,
+    uploadImport,
+    uniqueFilename,
     multerErrorHandler
 };
\ No newline at end of file
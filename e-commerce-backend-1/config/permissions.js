@@ -0,0 +1,82 @@
+// config/permissions.js
+
+// Roles in ascending order of privilege (platform admins manage every campus)
+const ROLES = ['user', 'moderator', 'admin', 'platform_admin'];
+
+// Permissions checked by routes instead of raw role names
+const PERMISSIONS = {
+    DASHBOARD_READ: 'dashboard:read',
+    ANALYTICS_READ: 'analytics:read',
+    USERS_READ: 'users:read',
+    USERS_MANAGE: 'users:manage',
+    ROLES_ASSIGN: 'roles:assign',
+    PRODUCTS_MODERATE: 'products:moderate',
+    REPORTS_READ: 'reports:read',
+    REPORTS_RESOLVE: 'reports:resolve',
+    REPORTS_DELETE: 'reports:delete',
+    CATEGORIES_WRITE: 'categories:write',
+    COURSES_WRITE: 'courses:write',
+    ORDERS_MANAGE: 'orders:manage',
+    SETTINGS_READ: 'settings:read',
+    SETTINGS_WRITE: 'settings:write',
+    AUDIT_READ: 'audit:read',
+    CAMPUSES_MANAGE: 'campuses:manage'
+};
+
+// Moderators handle reports and listing review but not users, settings or roles
+const MODERATOR_PERMISSIONS = [
+    PERMISSIONS.REPORTS_READ,
+    PERMISSIONS.REPORTS_RESOLVE,
+    PERMISSIONS.REPORTS_DELETE,
+    PERMISSIONS.PRODUCTS_MODERATE
+];
+
+// Campus admins run their own campus but cannot create or change campuses
+const ADMIN_PERMISSIONS = Object.values(PERMISSIONS)
+    .filter(permission => permission !== PERMISSIONS.CAMPUSES_MANAGE);
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+    user: [],
+    moderator: MODERATOR_PERMISSIONS,
+    admin: ADMIN_PERMISSIONS,
+    platform_admin: Object.values(PERMISSIONS)
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - User role
+ * @returns {string[]} - Permissions of the role
+ */
+const getPermissions = (role) => {
+    return ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Check if a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission to check
+ * @returns {boolean} - Whether the role has the permission
+ */
+const hasPermission = (role, permission) => {
+    return getPermissions(role).includes(permission);
+};
+
+/**
+ * Check if a user administers a campus (admins their own, platform admins every campus)
+ * @param {Object} user - User object (role and campus_id)
+ * @param {number} campusId - Campus ID
+ * @returns {boolean} - Whether the user is an admin of the campus
+ */
+const isCampusAdmin = (user, campusId) => {
+    return user.role === 'platform_admin' || (user.role === 'admin' && user.campus_id === campusId);
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    getPermissions,
+    hasPermission,
+    isCampusAdmin
+};
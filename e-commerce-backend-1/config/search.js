@@ -0,0 +1,48 @@
+// config/search.js
+
+// Shortest term the full-text index stores (innodb_ft_min_token_size)
+const MIN_TERM_LENGTH = 3;
+
+// Words left out of search documents and queries (InnoDB's default stopword list)
+const STOPWORDS = new Set([
+    'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from',
+    'how', 'i', 'in', 'is', 'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to',
+    'was', 'what', 'when', 'where', 'who', 'will', 'with', 'und', 'www'
+]);
+
+// Words that are searched for together, so "calc" also finds "calculator"
+const SYNONYMS = [
+    ['calc', 'calculator'],
+    ['laptop', 'notebook', 'macbook'],
+    ['phone', 'smartphone', 'cellphone', 'iphone'],
+    ['tv', 'television'],
+    ['textbook', 'book'],
+    ['bike', 'bicycle'],
+    ['couch', 'sofa'],
+    ['fridge', 'refrigerator', 'minifridge'],
+    ['headphones', 'earbuds', 'headset', 'earphones'],
+    ['monitor', 'display', 'screen'],
+    ['desk', 'table'],
+    ['lamp', 'light'],
+    ['dorm', 'residence'],
+    ['chem', 'chemistry'],
+    ['bio', 'biology'],
+    ['econ', 'economics'],
+    ['psych', 'psychology']
+];
+
+// Price ranges counted in search facets (max is exclusive, null means no upper bound)
+const PRICE_BUCKETS = [
+    { key: 'under-25', label: 'Under $25', min: 0, max: 25 },
+    { key: '25-50', label: '$25 to $50', min: 25, max: 50 },
+    { key: '50-100', label: '$50 to $100', min: 50, max: 100 },
+    { key: '100-250', label: '$100 to $250', min: 100, max: 250 },
+    { key: '250-plus', label: '$250 and up', min: 250, max: null }
+];
+
+module.exports = {
+    MIN_TERM_LENGTH,
+    STOPWORDS,
+    SYNONYMS,
+    PRICE_BUCKETS
+};
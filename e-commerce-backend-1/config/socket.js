@@ -3,6 +3,10 @@ const socketIO = require('socket.io');
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET } = require('./auth');
 const Message = require('../models/Message');
+const Auction = require('../models/Auction');
+const Session = require('../models/Session');
+const { getLimits, consume } = require('../services/rateLimitService');
+const campusService = require('../services/campusService');
 
 // Initialize socket.io with a server
 const initializeSocket = (server) => {
@@ -15,20 +19,36 @@ const initializeSocket = (server) => {
     });
 
     // Authentication middleware
-    io.use((socket, next) => {
+    io.use(async (socket, next) => {
         const token = socket.handshake.auth.token;
 
         if (!token) {
             return next(new Error('Authentication error: Token missing'));
         }
 
+        let decoded;
         try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            socket.user = decoded;
-            next();
+            decoded = jwt.verify(token, JWT_SECRET);
         } catch (error) {
             return next(new Error('Authentication error: Invalid token'));
         }
+
+        if (decoded.type !== 'access') {
+            return next(new Error('Authentication error: Invalid token type'));
+        }
+
+        try {
+            // Reject tokens whose session has been revoked
+            if (!decoded.sid || !(await Session.isActive(decoded.sid))) {
+                return next(new Error('Authentication error: Session revoked'));
+            }
+        } catch (error) {
+            console.error('Socket session check error:', error);
+            return next(new Error('Authentication error'));
+        }
+
+        socket.user = decoded;
+        next();
     });
 
     // Connection handler
@@ -38,6 +58,9 @@ const initializeSocket = (server) => {
         // Join user's personal room for direct messages
         socket.join(`user-${socket.user.id}`);
 
+        // Join session room so revoking a session can drop its connections
+        socket.join(`session-${socket.user.sid}`);
+
         // Join conversations
         socket.on('join-conversation', (conversationId) => {
             // Verify user is part of the conversation
@@ -62,11 +85,38 @@ const initializeSocket = (server) => {
             console.log(`User ${socket.user.id} left conversation ${conversationId}`);
         });
 
+        // Follow the bids of an auction the user can see
+        socket.on('join-auction', async (productId) => {
+            try {
+                const auction = await Auction.findByProductId(productId);
+                if (auction && await campusService.canViewListing(auction, socket.user.campus)) {
+                    socket.join(`auction-${auction.product_id}`);
+                } else {
+                    socket.emit('error', { message: 'Auction not found' });
+                }
+            } catch (error) {
+                console.error('Error joining auction:', error);
+                socket.emit('error', { message: 'Error joining auction' });
+            }
+        });
+
+        // Stop following an auction
+        socket.on('leave-auction', (productId) => {
+            socket.leave(`auction-${productId}`);
+        });
+
         // New message handler
         socket.on('send-message', async (data) => {
             try {
                 const { conversationId, text } = data;
 
+                // Share the message rate limit with the HTTP API
+                const limits = await getLimits(socket.user.campus);
+                const rate = await consume(`message:account:${socket.user.id}`, limits.message, limits.windowMinutes * 60);
+                if (!rate.allowed) {
+                    return socket.emit('error', { message: 'Too many messages, please slow down', retryAfter: rate.retryAfter });
+                }
+
                 // Verify user is part of the conversation
                 const isParticipant = await Message.isParticipant(conversationId, socket.user.id);
 
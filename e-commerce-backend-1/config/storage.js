@@ -0,0 +1,30 @@
+// config/storage.js
+const path = require('path');
+require('dotenv').config();
+
+// Where uploads are stored: 'local' (the uploads directory) or 's3' (any S3-compatible service)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+// Directory of the local driver
+const LOCAL_UPLOAD_DIR = path.join(__dirname, '../uploads');
+
+// S3-compatible storage (MinIO and similar need S3_ENDPOINT and S3_FORCE_PATH_STYLE=true)
+const S3_CONFIG = {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || 'uploads/'
+};
+
+// How long signed URLs to uploaded files stay valid, in seconds
+const SIGNED_URL_EXPIRES = parseInt(process.env.SIGNED_URL_EXPIRES) || 60 * 60;
+
+module.exports = {
+    STORAGE_DRIVER,
+    LOCAL_UPLOAD_DIR,
+    S3_CONFIG,
+    SIGNED_URL_EXPIRES
+};
@@ -1,10 +1,21 @@
 // controllers/adminController.js
+const { pool } = require('../config/database');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Report = require('../models/Report');
 const Setting = require('../models/Setting');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const PriceHistory = require('../models/PriceHistory');
 const { ApiError } = require('../middleware/errorHandler');
+const { ROLES, PERMISSIONS, hasPermission } = require('../config/permissions');
+const { TWO_FACTOR_POLICIES } = require('../services/twoFactorService');
+const { MAX_OFFER_EXPIRY_HOURS } = require('../services/offerService');
+const { clearLimitsCache } = require('../services/rateLimitService');
+const auditService = require('../services/auditService');
+const savedSearchService = require('../services/savedSearchService');
+const listingScheduleService = require('../services/listingScheduleService');
 
 /**
  * @desc    Get admin dashboard overview
@@ -15,21 +26,21 @@ exports.getDashboardOverview = async (req, res, next) => {
     try {
         // Get user stats
         const userStats = {
-            totalUsers: await User.count(),
-            newUsersToday: await User.getNewUsersCount(1)
+            totalUsers: await User.count(req.campusId),
+            newUsersToday: await User.getNewUsersCount(req.campusId, 1)
         };
 
         // Get product stats
-        const productStats = await Product.getStats();
+        const productStats = await Product.getStats(req.campusId);
 
         // Get order stats
-        const orderStats = await Order.getStats();
+        const orderStats = await Order.getStats(req.campusId);
 
         // Get report stats
-        const reportStats = await Report.getStats();
+        const reportStats = await Report.getStats(req.campusId);
 
         // Get pending reports count
-        const pendingReports = await Report.getPendingCount();
+        const pendingReports = await Report.getPendingCount(req.campusId);
 
         // Get recent activity (most recent listings, orders, reports)
         const [recentListings] = await pool.execute(
@@ -37,8 +48,10 @@ exports.getDashboardOverview = async (req, res, next) => {
        u.first_name as seller_first_name, u.last_name as seller_last_name
        FROM products p
        JOIN users u ON p.seller_id = u.id
+       WHERE p.campus_id = ?
        ORDER BY p.created_at DESC
-       LIMIT 5`
+       LIMIT 5`,
+            [req.campusId]
         );
 
         const [recentOrders] = await pool.execute(
@@ -46,8 +59,10 @@ exports.getDashboardOverview = async (req, res, next) => {
        u.first_name as buyer_first_name, u.last_name as buyer_last_name
        FROM orders o
        JOIN users u ON o.buyer_id = u.id
+       WHERE u.campus_id = ?
        ORDER BY o.created_at DESC
-       LIMIT 5`
+       LIMIT 5`,
+            [req.campusId]
         );
 
         res.status(200).json({
@@ -81,10 +96,10 @@ exports.getUsers = async (req, res, next) => {
         const offset = (page - 1) * limit;
 
         // Get users
-        const users = await User.getAll(limit, offset);
+        const users = await User.getAll(req.campusId, limit, offset);
 
         // Get total count
-        const total = await User.count();
+        const total = await User.count(req.campusId);
 
         // Calculate total pages
         const totalPages = Math.ceil(total / limit);
@@ -117,15 +132,15 @@ exports.updateUserStatus = async (req, res, next) => {
             return next(new ApiError('Invalid status', 400));
         }
 
-        // Check if user exists
+        // Check if user exists on the admin's campus
         const user = await User.findById(userId);
 
-        if (!user) {
+        if (!user || user.campus_id !== req.campusId) {
             return next(new ApiError('User not found', 404));
         }
 
         // Prevent changing admin status
-        if (user.role === 'admin' && req.user.id !== userId) {
+        if (['admin', 'platform_admin'].includes(user.role) && req.user.id !== userId) {
             return next(
                 new ApiError('Cannot change the status of another admin user', 403)
             );
@@ -138,9 +153,26 @@ exports.updateUserStatus = async (req, res, next) => {
             return next(new ApiError('Failed to update user status', 500));
         }
 
+        await auditService.record(
+            req, auditService.AUDIT_ACTIONS.USER_STATUS_UPDATE, { type: 'user', id: userId },
+            { status: user.status }, { status }
+        );
+
+        // Terminate all sessions and open socket connections of a deactivated user
+        let sessionsTerminated = 0;
+        if (status !== 'active') {
+            sessionsTerminated = await Session.revokeAllForUser(userId);
+
+            const io = req.app.get('io');
+            if (io) {
+                io.in(`user-${userId}`).disconnectSockets(true);
+            }
+        }
+
         res.status(200).json({
             success: true,
-            message: `User status updated to ${status}`
+            message: `User status updated to ${status}`,
+            sessionsTerminated
         });
     } catch (error) {
         next(error);
@@ -158,17 +190,23 @@ exports.updateUserRole = async (req, res, next) => {
         const { role } = req.body;
 
         // Validate role
-        if (!['user', 'admin'].includes(role)) {
+        if (!ROLES.includes(role)) {
             return next(new ApiError('Invalid role', 400));
         }
 
-        // Check if user exists
+        // Check if user exists on the admin's campus
         const user = await User.findById(userId);
 
-        if (!user) {
+        if (!user || user.campus_id !== req.campusId) {
             return next(new ApiError('User not found', 404));
         }
 
+        // Only platform admins can grant or revoke platform-wide access
+        const platformRoleChange = role === 'platform_admin' || user.role === 'platform_admin';
+        if (platformRoleChange && !hasPermission(req.user.role, PERMISSIONS.CAMPUSES_MANAGE)) {
+            return next(new ApiError('Only platform admins can change the platform admin role', 403));
+        }
+
         // Prevent changing your own role
         if (req.user.id === userId) {
             return next(
@@ -183,6 +221,11 @@ exports.updateUserRole = async (req, res, next) => {
             return next(new ApiError('Failed to update user role', 500));
         }
 
+        await auditService.record(
+            req, auditService.AUDIT_ACTIONS.USER_ROLE_UPDATE, { type: 'user', id: userId },
+            { role: user.role }, { role }
+        );
+
         res.status(200).json({
             success: true,
             message: `User role updated to ${role}`
@@ -193,9 +236,9 @@ exports.updateUserRole = async (req, res, next) => {
 };
 
 /**
- * @desc    Get pending products (admin only)
+ * @desc    Get pending products (admin and moderators)
  * @route   GET /api/admin/products/pending
- * @access  Private (Admin)
+ * @access  Private (Moderator)
  */
 exports.getPendingProducts = async (req, res, next) => {
     try {
@@ -204,10 +247,10 @@ exports.getPendingProducts = async (req, res, next) => {
         const offset = (page - 1) * limit;
 
         // Get pending products
-        const products = await Product.getPending(limit, offset);
+        const products = await Product.getPending(req.campusId, limit, offset);
 
         // Get total count
-        const total = await Product.countPending();
+        const total = await Product.countPending(req.campusId);
 
         // Calculate total pages
         const totalPages = Math.ceil(total / limit);
@@ -226,9 +269,9 @@ exports.getPendingProducts = async (req, res, next) => {
 };
 
 /**
- * @desc    Approve or reject product (admin only)
+ * @desc    Approve or reject product (admin and moderators)
  * @route   PUT /api/admin/products/:id/review
- * @access  Private (Admin)
+ * @access  Private (Moderator)
  */
 exports.reviewProduct = async (req, res, next) => {
     try {
@@ -240,10 +283,10 @@ exports.reviewProduct = async (req, res, next) => {
             return next(new ApiError('Invalid status', 400));
         }
 
-        // Check if product exists
+        // Check if product exists on the moderator's campus
         const product = await Product.findById(productId);
 
-        if (!product) {
+        if (!product || product.campus_id !== req.campusId) {
             return next(new ApiError('Product not found', 404));
         }
 
@@ -254,15 +297,25 @@ exports.reviewProduct = async (req, res, next) => {
             );
         }
 
-        // Update status
-        const updated = await Product.updateStatus(productId, status);
+        // Update status (approved auctions run for their full time from now)
+        const updated = await listingScheduleService.setListingStatus(product, status);
 
         if (!updated) {
             return next(new ApiError('Failed to update product status', 500));
         }
 
+        await auditService.record(
+            req, auditService.AUDIT_ACTIONS.PRODUCT_REVIEW, { type: 'product', id: productId },
+            { status: product.status }, { status, reason: reason || null }
+        );
+
         // If rejecting, could store reason in a separate table or send notification to seller
 
+        // Approved listings alert matching saved searches
+        if (status === 'active') {
+            savedSearchService.notifyNewListing(productId, req.app.get('io'));
+        }
+
         res.status(200).json({
             success: true,
             message: status === 'active' ? 'Product approved' : 'Product rejected'
@@ -280,12 +333,12 @@ exports.reviewProduct = async (req, res, next) => {
 exports.getSettings = async (req, res, next) => {
     try {
         // Get settings
-        const settings = await Setting.getAll();
+        const settings = await Setting.getAll(req.campusId);
 
         if (!settings) {
             // Initialize default settings if none exist
-            await Setting.initialize();
-            const defaultSettings = await Setting.getAll();
+            await Setting.initialize(req.campusId, `${req.campus.name} Market Place`);
+            const defaultSettings = await Setting.getAll(req.campusId);
 
             return res.status(200).json({
                 success: true,
@@ -317,11 +370,61 @@ exports.updateSettings = async (req, res, next) => {
             minCommission,
             requireEmailVerification,
             requireAdminApproval,
-            enableTwoFactor
+            enableTwoFactor,
+            twoFactorPolicy,
+            rateLimitWindowMinutes,
+            authRateLimit,
+            contactRateLimit,
+            messageRateLimit,
+            loginMaxAttempts,
+            loginLockoutMinutes,
+            allowCrossCampusBrowse,
+            listingLifetimeDays,
+            expiryReminderDays,
+            offerExpiryHours
         } = req.body;
 
+        // Validate two-factor policy
+        if (twoFactorPolicy !== undefined && !TWO_FACTOR_POLICIES.includes(twoFactorPolicy)) {
+            return next(new ApiError(`Two-factor policy must be one of: ${TWO_FACTOR_POLICIES.join(', ')}`, 400));
+        }
+
+        // Validate rate limits
+        const rateLimits = {
+            rateLimitWindowMinutes,
+            authRateLimit,
+            contactRateLimit,
+            messageRateLimit,
+            loginMaxAttempts,
+            loginLockoutMinutes
+        };
+        const invalidLimit = Object.keys(rateLimits).find(key =>
+            rateLimits[key] !== undefined && !(Number.isInteger(Number(rateLimits[key])) && Number(rateLimits[key]) > 0)
+        );
+        if (invalidLimit) {
+            return next(new ApiError(`${invalidLimit} must be a positive whole number`, 400));
+        }
+
+        // Validate listing expiry (0 turns listing expiry or the reminder off)
+        const expiry = { listingLifetimeDays, expiryReminderDays };
+        const invalidExpiry = Object.keys(expiry).find(key =>
+            expiry[key] !== undefined && !(Number.isInteger(Number(expiry[key])) && Number(expiry[key]) >= 0)
+        );
+        if (invalidExpiry) {
+            return next(new ApiError(`${invalidExpiry} must be zero or a positive whole number`, 400));
+        }
+
+        // Validate offer expiry (offers always expire, within a month)
+        if (offerExpiryHours !== undefined && !(Number.isInteger(Number(offerExpiryHours))
+            && Number(offerExpiryHours) > 0 && Number(offerExpiryHours) <= MAX_OFFER_EXPIRY_HOURS)) {
+            return next(new ApiError(`offerExpiryHours must be a whole number from 1 to ${MAX_OFFER_EXPIRY_HOURS}`, 400));
+        }
+
+        // Snapshot for the audit log
+        const previous = await Setting.getAll(req.campusId);
+
         // Update settings
-        const updated = await Setting.update({
+        const updated = await Setting.update(req.campusId, {
             platformName,
             supportEmail,
             itemsPerPage,
@@ -329,15 +432,29 @@ exports.updateSettings = async (req, res, next) => {
             minCommission,
             requireEmailVerification,
             requireAdminApproval,
-            enableTwoFactor
+            enableTwoFactor,
+            twoFactorPolicy,
+            allowCrossCampusBrowse,
+            ...rateLimits,
+            ...expiry,
+            offerExpiryHours
         });
 
         if (!updated) {
             return next(new ApiError('Failed to update settings', 500));
         }
 
+        // Apply new rate limits immediately
+        clearLimitsCache(req.campusId);
+
         // Get updated settings
-        const settings = await Setting.getAll();
+        const settings = await Setting.getAll(req.campusId);
+
+        const changes = auditService.diff(previous, settings);
+        await auditService.record(
+            req, auditService.AUDIT_ACTIONS.SETTINGS_UPDATE, { type: 'settings', id: settings.id },
+            changes.before, changes.after
+        );
 
         res.status(200).json({
             success: true,
@@ -356,15 +473,27 @@ exports.updateSettings = async (req, res, next) => {
  */
 exports.resetSettings = async (req, res, next) => {
     try {
+        // Snapshot for the audit log
+        const previous = await Setting.getAll(req.campusId);
+
         // Reset to defaults
-        const reset = await Setting.resetToDefaults();
+        const reset = await Setting.resetToDefaults(req.campusId);
 
         if (!reset) {
             return next(new ApiError('Failed to reset settings', 500));
         }
 
+        // Apply default rate limits immediately
+        clearLimitsCache(req.campusId);
+
         // Get updated settings
-        const settings = await Setting.getAll();
+        const settings = await Setting.getAll(req.campusId);
+
+        const changes = auditService.diff(previous, settings);
+        await auditService.record(
+            req, auditService.AUDIT_ACTIONS.SETTINGS_RESET, { type: 'settings', id: settings.id },
+            changes.before, changes.after
+        );
 
         res.status(200).json({
             success: true,
@@ -393,28 +522,32 @@ exports.getSalesReport = async (req, res, next) => {
         // Get sales data
         const [salesData] = await pool.execute(
             `SELECT 
-        DATE(created_at) as date,
+        DATE(o.created_at) as date,
         COUNT(*) as orders,
-        SUM(total) as revenue,
-        SUM(service_fee) as fees
-       FROM orders
-       WHERE status = 'completed'
-       AND created_at BETWEEN ? AND ?
-       GROUP BY DATE(created_at)
+        SUM(o.total) as revenue,
+        SUM(o.service_fee) as fees
+       FROM orders o
+       JOIN users b ON o.buyer_id = b.id
+       WHERE o.status = 'completed'
+       AND b.campus_id = ?
+       AND o.created_at BETWEEN ? AND ?
+       GROUP BY DATE(o.created_at)
        ORDER BY date`,
-            [startDate, endDate]
+            [req.campusId, startDate, endDate]
         );
 
         // Get totals
         const [totals] = await pool.execute(
             `SELECT 
         COUNT(*) as total_orders,
-        SUM(total) as total_revenue,
-        SUM(service_fee) as total_fees
-       FROM orders
-       WHERE status = 'completed'
-       AND created_at BETWEEN ? AND ?`,
-            [startDate, endDate]
+        SUM(o.total) as total_revenue,
+        SUM(o.service_fee) as total_fees
+       FROM orders o
+       JOIN users b ON o.buyer_id = b.id
+       WHERE o.status = 'completed'
+       AND b.campus_id = ?
+       AND o.created_at BETWEEN ? AND ?`,
+            [req.campusId, startDate, endDate]
         );
 
         // Get top categories
@@ -428,11 +561,12 @@ exports.getSalesReport = async (req, res, next) => {
        JOIN categories c ON p.category_id = c.id
        JOIN orders o ON oi.order_id = o.id
        WHERE o.status = 'completed'
+       AND p.campus_id = ?
        AND o.created_at BETWEEN ? AND ?
        GROUP BY c.id
        ORDER BY revenue DESC
        LIMIT 5`,
-            [startDate, endDate]
+            [req.campusId, startDate, endDate]
         );
 
         // Get top sellers
@@ -446,11 +580,12 @@ exports.getSalesReport = async (req, res, next) => {
        JOIN users u ON p.seller_id = u.id
        JOIN orders o ON oi.order_id = o.id
        WHERE o.status = 'completed'
+       AND p.campus_id = ?
        AND o.created_at BETWEEN ? AND ?
        GROUP BY u.id
        ORDER BY revenue DESC
        LIMIT 5`,
-            [startDate, endDate]
+            [req.campusId, startDate, endDate]
         );
 
         res.status(200).json({
@@ -486,10 +621,11 @@ exports.getUserActivityReport = async (req, res, next) => {
         DATE(join_date) as date,
         COUNT(*) as count
        FROM users
-       WHERE join_date >= DATE_SUB(CURRENT_DATE, INTERVAL ? DAY)
+       WHERE campus_id = ?
+       AND join_date >= DATE_SUB(CURRENT_DATE, INTERVAL ? DAY)
        GROUP BY DATE(join_date)
        ORDER BY date`,
-            [days]
+            [req.campusId, days]
         );
 
         // Get active users (those who placed orders)
@@ -498,10 +634,12 @@ exports.getUserActivityReport = async (req, res, next) => {
         DATE(o.created_at) as date,
         COUNT(DISTINCT o.buyer_id) as count
        FROM orders o
-       WHERE o.created_at >= DATE_SUB(CURRENT_DATE, INTERVAL ? DAY)
+       JOIN users u ON o.buyer_id = u.id
+       WHERE u.campus_id = ?
+       AND o.created_at >= DATE_SUB(CURRENT_DATE, INTERVAL ? DAY)
        GROUP BY DATE(o.created_at)
        ORDER BY date`,
-            [days]
+            [req.campusId, days]
         );
 
         // Get user roles distribution
@@ -510,7 +648,9 @@ exports.getUserActivityReport = async (req, res, next) => {
         role,
         COUNT(*) as count
        FROM users
-       GROUP BY role`
+       WHERE campus_id = ?
+       GROUP BY role`,
+            [req.campusId]
         );
 
         // Get user status distribution
@@ -519,7 +659,9 @@ exports.getUserActivityReport = async (req, res, next) => {
         status,
         COUNT(*) as count
        FROM users
-       GROUP BY status`
+       WHERE campus_id = ?
+       GROUP BY status`,
+            [req.campusId]
         );
 
         res.status(200).json({
@@ -534,4 +676,117 @@ exports.getUserActivityReport = async (req, res, next) => {
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Report suspicious pricing: raises shortly before a sale and frequent repricing (admin only)
+ * @route   GET /api/admin/reports/pricing
+ * @access  Private (Admin)
+ */
+exports.getPricingReport = async (req, res, next) => {
+    try {
+        const hours = parseInt(req.query.hours) || 48;
+        const days = parseInt(req.query.days) || 30;
+        const minChanges = parseInt(req.query.minChanges) || 5;
+
+        if (hours < 1 || days < 1 || minChanges < 2) {
+            return next(new ApiError('Invalid report parameters', 400));
+        }
+
+        const raisesBeforeSale = await PriceHistory.getRaisesBeforeSale(req.campusId, hours, days);
+        const frequentChanges = await PriceHistory.getFrequentChanges(req.campusId, minChanges, days);
+
+        res.status(200).json({
+            success: true,
+            report: {
+                hours,
+                days,
+                minChanges,
+                raisesBeforeSale,
+                frequentChanges
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Most audit entries returned by a single CSV export
+const AUDIT_EXPORT_LIMIT = 10000;
+
+/**
+ * Read audit log filters from the request, limited to the admin's campus
+ * @param {Object} req - Express request object
+ * @returns {Object} - Audit log filters
+ */
+const getAuditFilters = (req) => {
+    const { actorId, action, targetType, targetId, startDate, endDate } = req.query;
+    return { campusId: req.campusId, actorId, action, targetType, targetId, startDate, endDate };
+};
+
+/**
+ * Check that optional date filters are valid dates
+ * @param {Object} filters - Audit log filters
+ * @returns {boolean} - True if the dates are valid
+ */
+const hasValidDates = (filters) => {
+    return [filters.startDate, filters.endDate].every(date => !date || !isNaN(Date.parse(date)));
+};
+
+/**
+ * @desc    Get audit log entries (admin only)
+ * @route   GET /api/admin/audit
+ * @access  Private (Admin)
+ */
+exports.getAuditLog = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = (page - 1) * limit;
+        const filters = getAuditFilters(req);
+
+        if (!hasValidDates(filters)) {
+            return next(new ApiError('Invalid date filter', 400));
+        }
+
+        const entries = await AuditLog.getAll(filters, limit, offset);
+        const total = await AuditLog.count(filters);
+        const actions = await AuditLog.getActions();
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            totalEntries: total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            actions,
+            entries
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Export audit log entries as CSV (admin only)
+ * @route   GET /api/admin/audit/export
+ * @access  Private (Admin)
+ */
+exports.exportAuditLog = async (req, res, next) => {
+    try {
+        const filters = getAuditFilters(req);
+
+        if (!hasValidDates(filters)) {
+            return next(new ApiError('Invalid date filter', 400));
+        }
+
+        const entries = await AuditLog.getAll(filters, AUDIT_EXPORT_LIMIT, 0);
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+        res.status(200).send(auditService.toCsv(entries));
+    } catch (error) {
+        next(error);
+    }
+};
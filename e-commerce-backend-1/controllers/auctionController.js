@@ -0,0 +1,96 @@
+// controllers/auctionController.js
+const Auction = require('../models/Auction');
+const Product = require('../models/Product');
+const { ApiError } = require('../middleware/errorHandler');
+const { UNPUBLISHED_STATUSES } = require('../config/listings');
+const campusService = require('../services/campusService');
+const {
+    AUCTION_EXTENSION_MINUTES,
+    formatAuction,
+    formatBid,
+    emitBid
+} = require('../services/auctionService');
+const { parseAmount } = require('../utils/money');
+
+/**
+ * @desc    Get an auction with its highest bids
+ * @route   GET /api/auctions/:productId
+ * @access  Public
+ */
+exports.getAuction = async (req, res, next) => {
+    try {
+        const product = await Product.findById(req.params.productId, false);
+
+        if (!product || UNPUBLISHED_STATUSES.includes(product.status)) {
+            return next(new ApiError('Auction not found', 404));
+        }
+
+        if (!(await campusService.canViewListing(product, req.campusId))) {
+            return next(new ApiError('Auction not found', 404));
+        }
+
+        const auction = await Auction.findByProductId(product.id);
+        if (!auction) {
+            return next(new ApiError('Auction not found', 404));
+        }
+
+        const bids = await Auction.getBids(product.id);
+
+        res.status(200).json({
+            success: true,
+            auction: formatAuction(auction),
+            bids: bids.map(formatBid)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Bid on an auction
+ * @route   POST /api/auctions/:productId/bids
+ * @access  Private
+ */
+exports.placeBid = async (req, res, next) => {
+    try {
+        const amount = parseAmount(req.body.amount);
+        if (amount === null) {
+            return next(new ApiError('Bids must be greater than 0 with at most 2 decimals', 400));
+        }
+
+        const product = await Product.findById(req.params.productId, false);
+
+        if (!product || product.listing_type !== 'auction') {
+            return next(new ApiError('Auction not found', 404));
+        }
+
+        // Listings can only be bought on the buyer's own campus
+        if (product.campus_id !== req.user.campus_id) {
+            return next(new ApiError('You can only bid on listings on your own campus', 403));
+        }
+
+        // Checked under a lock, so of two bids at once only one can become the highest
+        const result = await Auction.placeBid(product.id, req.user.id, amount, AUCTION_EXTENSION_MINUTES);
+        if (result.error) {
+            return next(new ApiError(result.error, 400));
+        }
+
+        const [auction, [bid]] = await Promise.all([
+            Auction.findByProductId(product.id),
+            Auction.getBids(product.id, 1)
+        ]);
+
+        emitBid(req.app.get('io'), auction, bid, result.previousBidderId);
+
+        res.status(201).json({
+            success: true,
+            message: result.extended
+                ? `Bid placed, the auction was extended to end ${AUCTION_EXTENSION_MINUTES} minutes from now`
+                : 'Bid placed',
+            auction: formatAuction(auction),
+            bid: formatBid(bid)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
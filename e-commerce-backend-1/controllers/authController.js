@@ -2,17 +2,114 @@
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
+const Campus = require('../models/Campus');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const TwoFactor = require('../models/TwoFactor');
+const PasswordReset = require('../models/PasswordReset');
 const {
-    generateToken,
+    TOKEN_TYPES,
+    verifyToken,
+    generateAccessToken,
+    generateRefreshToken,
+    getTokenExpiration,
     generateEmailVerificationToken,
-    generatePasswordResetToken
+    generatePasswordResetToken,
+    generateTwoFactorChallengeToken
 } = require('../config/auth');
+const { getPermissions } = require('../config/permissions');
 const {
     sendWelcomeEmail,
     sendVerificationEmail,
-    sendPasswordResetEmail
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail
 } = require('../services/emailService');
 const { ApiError } = require('../middleware/errorHandler');
+const { hashToken } = require('../utils/securityUtils');
+const twoFactorService = require('../services/twoFactorService');
+const rateLimitService = require('../services/rateLimitService');
+
+/**
+ * Issue an access token and a stored refresh token for a session
+ * @param {Object} user - User object
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} - Access and refresh tokens
+ */
+const issueTokens = async (user, sessionId) => {
+    const token = generateAccessToken(user, sessionId);
+    const refreshToken = generateRefreshToken(user, sessionId);
+
+    await Session.addRefreshToken(sessionId, hashToken(refreshToken), getTokenExpiration(refreshToken));
+
+    return { token, refreshToken };
+};
+
+/**
+ * Get device details of a request for the session registry
+ * @param {Object} req - Express request object
+ * @returns {Object} - User agent and IP address
+ */
+const getClientInfo = (req) => {
+    return {
+        userAgent: (req.get('user-agent') || '').substring(0, 255) || null,
+        ipAddress: req.ip || null
+    };
+};
+
+/**
+ * Start a session for a fully authenticated user
+ * @param {Object} user - User object
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Auth tokens and public user data
+ */
+const startSession = async (user, req) => {
+    const sessionId = await Session.create(user.id, getClientInfo(req));
+    const { token, refreshToken } = await issueTokens(user, sessionId);
+
+    return {
+        token,
+        refreshToken,
+        user: {
+            id: user.id,
+            firstName: user.first_name,
+            lastName: user.last_name,
+            email: user.email,
+            role: user.role,
+            permissions: getPermissions(user.role),
+            campusId: user.campus_id,
+            campusSlug: user.campus_slug,
+            avatar: user.avatar,
+            emailVerified: Boolean(user.email_verified)
+        }
+    };
+};
+
+/**
+ * Build a 429 error for a locked account
+ * @param {Object} res - Express response object
+ * @param {number} seconds - Seconds until the lockout ends
+ * @returns {ApiError} - Error to pass to next()
+ */
+const lockoutError = (res, seconds) => {
+    res.set('Retry-After', String(seconds));
+    return new ApiError(
+        `Too many failed login attempts. Please try again in ${Math.ceil(seconds / 60)} minute(s).`,
+        429
+    );
+};
+
+/**
+ * Record a failed login attempt
+ * @param {Object} res - Express response object
+ * @param {string} email - Account email
+ * @param {string} message - Error message when the account is not locked yet
+ * @param {number} campusId - Campus whose lockout settings apply
+ * @returns {Promise<ApiError>} - Error to pass to next()
+ */
+const loginFailure = async (res, email, message, campusId) => {
+    const lockedFor = await rateLimitService.recordLoginFailure(email, campusId);
+    return lockedFor ? lockoutError(res, lockedFor) : new ApiError(message, 401);
+};
 
 /**
  * @desc    Register a new user
@@ -23,10 +120,11 @@ exports.register = async (req, res, next) => {
     try {
         const { firstName, lastName, email, password } = req.body;
 
-        // Validate UTA email
-        if (!email.endsWith('@mavs.uta.edu')) {
+        // The email domain decides which campus the account belongs to
+        const campus = await Campus.findByEmail(email);
+        if (!campus) {
             return next(
-                new ApiError('Please use your UTA email address (@mavs.uta.edu)', 400)
+                new ApiError('Please use your university email address', 400)
             );
         }
 
@@ -43,30 +141,41 @@ exports.register = async (req, res, next) => {
             firstName,
             lastName,
             email,
-            password
+            password,
+            campusId: campus.id
         });
 
         // Generate verification token
         const user = await User.findById(userId);
         const verificationToken = generateEmailVerificationToken(user);
 
-        // Send welcome email with verification link
+        // Send welcome email with verification link (registration still succeeds if it fails)
         const verificationUrl = `${process.env.CLIENT_URL}/verify-email/${verificationToken}`;
-        //await sendWelcomeEmail(user, verificationUrl);
+        try {
+            await sendWelcomeEmail(user, verificationUrl);
+        } catch (error) {
+            console.error('Error sending welcome email:', error);
+        }
 
-        // Generate auth token
-        const token = generateToken({ id: userId, email, role: user.role });
+        // Start a session and generate auth tokens
+        const sessionId = await Session.create(user.id, getClientInfo(req));
+        const { token, refreshToken } = await issueTokens(user, sessionId);
 
         res.status(201).json({
             success: true,
             message: 'Registration successful. Please verify your email address.',
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 firstName: user.first_name,
                 lastName: user.last_name,
                 email: user.email,
-                role: user.role
+                role: user.role,
+                permissions: getPermissions(user.role),
+                campusId: user.campus_id,
+                campusSlug: user.campus_slug,
+                emailVerified: false
             }
         });
     } catch (error) {
@@ -83,37 +192,264 @@ exports.login = async (req, res, next) => {
     try {
         const { email, password } = req.body;
 
+        if (!email || !password) {
+            return next(new ApiError('Please provide email and password', 400));
+        }
+
+        if (typeof email !== 'string' || typeof password !== 'string') {
+            return next(new ApiError('Email and password must be text', 400));
+        }
+
+        // Check if the account is temporarily locked
+        const lockedFor = await rateLimitService.getLockout(email);
+        if (lockedFor) {
+            return next(lockoutError(res, lockedFor));
+        }
+
         // Check if user exists
         const user = await User.findByEmail(email);
         if (!user) {
-            return next(new ApiError('Invalid credentials', 401));
+            return next(await loginFailure(res, email, 'Invalid credentials', req.campusId));
         }
 
         // Check if password is correct
         const isMatch = await User.validatePassword(password, user.password);
         if (!isMatch) {
-            return next(new ApiError('Invalid credentials', 401));
+            return next(await loginFailure(res, email, 'Invalid credentials', user.campus_id));
         }
 
+        await rateLimitService.clearLoginFailures(email);
+
         // Check if user is active
         if (user.status !== 'active') {
             return next(new ApiError('Your account is currently inactive or suspended', 403));
         }
 
-        // Generate token
-        const token = generateToken({ id: user.id, email: user.email, role: user.role });
+        // Enrolled users always complete a TOTP challenge before getting tokens
+        if (user.two_factor_enabled) {
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: generateTwoFactorChallengeToken(user)
+            });
+        }
+
+        // Users the platform policy requires to use 2FA must enroll first
+        const twoFactorSettings = await Setting.getTwoFactorSettings(user.campus_id);
+        if (twoFactorService.isMandatoryFor(user, twoFactorSettings)) {
+            return res.status(200).json({
+                success: true,
+                twoFactorSetupRequired: true,
+                challengeToken: generateTwoFactorChallengeToken(user)
+            });
+        }
+
+        // Start a session and generate auth tokens
+        const session = await startSession(user, req);
 
         res.status(200).json({
             success: true,
-            token,
-            user: {
-                id: user.id,
-                firstName: user.first_name,
-                lastName: user.last_name,
-                email: user.email,
-                role: user.role,
-                avatar: user.avatar
-            }
+            ...session
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (requires challenge token)
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+    try {
+        const { code, recoveryCode } = req.body;
+        const user = req.user;
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const lockedFor = await rateLimitService.getLockout(user.email);
+        if (lockedFor) {
+            return next(lockoutError(res, lockedFor));
+        }
+
+        const twoFactor = await TwoFactor.getByUserId(user.id);
+        if (!twoFactor || !twoFactor.enabled) {
+            return next(new ApiError('Two-factor authentication is not enabled for this account', 400));
+        }
+
+        // Check the authenticator code, or fall back to a one-time recovery code
+        let verified = false;
+        if (code) {
+            verified = await twoFactorService.verifyCode(user.id, twoFactor.secret, code);
+        } else if (recoveryCode) {
+            verified = await TwoFactor.useRecoveryCode(user.id, twoFactorService.hashRecoveryCode(recoveryCode));
+        } else {
+            return next(new ApiError('Please provide an authentication code or a recovery code', 400));
+        }
+
+        if (!verified) {
+            return next(await loginFailure(res, user.email, 'Invalid authentication code', user.campus_id));
+        }
+
+        await rateLimitService.clearLoginFailures(user.email);
+
+        // Start a session and generate auth tokens
+        const session = await startSession(user, req);
+
+        res.status(200).json({
+            success: true,
+            ...session
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Start two-factor enrollment (generate secret and QR code)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (or challenge token when enrollment is required)
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+    try {
+        const user = req.user;
+
+        // Check if 2FA is available on the platform
+        const twoFactorSettings = await Setting.getTwoFactorSettings(user.campus_id);
+        if (!twoFactorSettings.enabled) {
+            return next(new ApiError('Two-factor authentication is disabled on this platform', 400));
+        }
+
+        // Check if already enrolled
+        if (user.two_factor_enabled) {
+            return next(new ApiError('Two-factor authentication is already enabled', 400));
+        }
+
+        // Store a pending secret until the first code is confirmed
+        const { secret, encryptedSecret, otpauthUrl, qrCode } = await twoFactorService.generateSecret(user);
+        await TwoFactor.setPendingSecret(user.id, encryptedSecret);
+
+        res.status(200).json({
+            success: true,
+            secret,
+            otpauthUrl,
+            qrCode
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Confirm enrollment with a TOTP code and issue recovery codes
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (or challenge token when enrollment is required)
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        const user = req.user;
+
+        // Check if already enrolled
+        const twoFactor = await TwoFactor.getByUserId(user.id);
+        if (!twoFactor || !twoFactor.secret) {
+            return next(new ApiError('Please start two-factor setup first', 400));
+        }
+        if (twoFactor.enabled) {
+            return next(new ApiError('Two-factor authentication is already enabled', 400));
+        }
+
+        // Confirm the authenticator app is set up correctly
+        if (!await twoFactorService.verifyCode(user.id, twoFactor.secret, code)) {
+            return next(new ApiError('Invalid authentication code', 400));
+        }
+
+        // Enable 2FA with a fresh set of recovery codes
+        const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+        await TwoFactor.enable(user.id, hashes);
+
+        // Enrollment during login completes the sign-in
+        const session = req.twoFactorChallenge ? await startSession(user, req) : {};
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes: codes,
+            ...session
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+    try {
+        const { password, code } = req.body;
+        const user = req.user;
+
+        // Check if the platform policy allows opting out
+        const twoFactorSettings = await Setting.getTwoFactorSettings(user.campus_id);
+        if (twoFactorService.isMandatoryFor(user, twoFactorSettings)) {
+            return next(new ApiError('Two-factor authentication is required for your account', 403));
+        }
+
+        // Verify password
+        const userWithPassword = await User.findByEmail(user.email);
+        const isMatch = await User.validatePassword(password || '', userWithPassword.password);
+        if (!isMatch) {
+            return next(new ApiError('Password is incorrect', 400));
+        }
+
+        // Verify current code
+        const twoFactor = await TwoFactor.getByUserId(user.id);
+        if (!twoFactor || !twoFactor.enabled) {
+            return next(new ApiError('Two-factor authentication is not enabled', 400));
+        }
+        if (!await twoFactorService.verifyCode(user.id, twoFactor.secret, code)) {
+            return next(new ApiError('Invalid authentication code', 400));
+        }
+
+        await TwoFactor.disable(user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Regenerate recovery codes (invalidates the previous set)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        const user = req.user;
+
+        // Verify current code
+        const twoFactor = await TwoFactor.getByUserId(user.id);
+        if (!twoFactor || !twoFactor.enabled) {
+            return next(new ApiError('Two-factor authentication is not enabled', 400));
+        }
+        if (!await twoFactorService.verifyCode(user.id, twoFactor.secret, code)) {
+            return next(new ApiError('Invalid authentication code', 400));
+        }
+
+        const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+        await TwoFactor.replaceRecoveryCodes(user.id, hashes);
+
+        res.status(200).json({
+            success: true,
+            recoveryCodes: codes
         });
     } catch (error) {
         next(error);
@@ -140,12 +476,19 @@ exports.getMe = async (req, res, next) => {
                 phone: user.phone,
                 avatar: user.avatar,
                 role: user.role,
+                permissions: getPermissions(user.role),
+                campusId: user.campus_id,
+                campusSlug: user.campus_slug,
                 status: user.status,
                 joinDate: user.join_date,
                 streetAddress: user.street_address,
                 city: user.city,
                 state: user.state,
                 zipCode: user.zip_code,
+                emailVerified: Boolean(user.email_verified),
+                emailVerifiedAt: user.email_verified_at,
+                deletionScheduledFor: user.deletion_scheduled_for,
+                twoFactorEnabled: Boolean(user.two_factor_enabled),
                 notifications: {
                     emailAlerts: user.email_alerts,
                     textAlerts: user.text_alerts,
@@ -175,14 +518,17 @@ exports.verifyEmail = async (req, res, next) => {
             return next(new ApiError('User not found', 404));
         }
 
-        // Set user status to active (if not already)
-        if (user.status !== 'active') {
-            await User.updateStatus(user.id, 'active');
+        // The link is only valid for the address it was sent to
+        if (decoded.email !== user.email) {
+            return next(new ApiError('Invalid or expired token', 400));
         }
 
+        // Mark email as verified (if not already)
+        const verified = await User.markEmailVerified(user.id);
+
         res.status(200).json({
             success: true,
-            message: 'Email verification successful'
+            message: verified ? 'Email verification successful' : 'Email address is already verified'
         });
     } catch (error) {
         next(error);
@@ -199,6 +545,11 @@ exports.resendVerification = async (req, res, next) => {
         // User is already available in req.user from auth middleware
         const user = req.user;
 
+        // Check if already verified
+        if (user.email_verified) {
+            return next(new ApiError('Email address is already verified', 400));
+        }
+
         // Generate verification token
         const verificationToken = generateEmailVerificationToken(user);
 
@@ -224,23 +575,31 @@ exports.forgotPassword = async (req, res, next) => {
     try {
         const { email } = req.body;
 
+        if (!email || typeof email !== 'string') {
+            return next(new ApiError('Email is required', 400));
+        }
+
+        // Same response whether or not the account exists, so emails cannot be probed
+        const response = {
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        };
+
         // Check if user exists
         const user = await User.findByEmail(email);
         if (!user) {
-            return next(new ApiError('No user found with this email address', 404));
+            return res.status(200).json(response);
         }
 
-        // Generate password reset token
+        // Generate password reset token and store its hash so it can only be used once
         const resetToken = generatePasswordResetToken(user);
+        await PasswordReset.create(user.id, hashToken(resetToken), getTokenExpiration(resetToken));
 
         // Send password reset email
         const resetUrl = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
         await sendPasswordResetEmail(user, resetUrl);
 
-        res.status(200).json({
-            success: true,
-            message: 'Password reset email has been sent'
-        });
+        res.status(200).json(response);
     } catch (error) {
         next(error);
     }
@@ -256,15 +615,41 @@ exports.resetPassword = async (req, res, next) => {
         const { password } = req.body;
         const decoded = req.passwordReset;
 
+        // Validate password
+        if (!password || password.length < 8) {
+            return next(new ApiError('Password must be at least 8 characters long', 400));
+        }
+
         // Check if user exists
         const user = await User.findById(decoded.id);
         if (!user) {
             return next(new ApiError('User not found', 404));
         }
 
+        // Consume the token (fails if already used, superseded or unknown)
+        const consumed = await PasswordReset.consume(hashToken(req.params.token));
+        if (!consumed) {
+            return next(new ApiError('This reset link is invalid or has already been used', 400));
+        }
+
         // Update password
         await User.updatePassword(user.id, password);
 
+        // Sign the account out everywhere
+        await Session.revokeAllForUser(user.id);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.in(`user-${user.id}`).disconnectSockets(true);
+        }
+
+        // Let the owner know, but don't fail the reset if the email can't be sent
+        try {
+            await sendPasswordChangedEmail(user);
+        } catch (error) {
+            console.error('Error sending password changed email:', error);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Password has been reset successfully'
@@ -307,31 +692,53 @@ exports.changePassword = async (req, res, next) => {
 };
 
 /**
- * @desc    Direct password reset (no email verification)
- * @route   POST /api/auth/direct-reset
+ * @desc    Rotate refresh token and issue a new access token
+ * @route   POST /api/auth/refresh
  * @access  Public
  */
-exports.directPasswordReset = async (req, res, next) => {
+exports.refresh = async (req, res, next) => {
     try {
-        const { email, newPassword } = req.body;
+        const { refreshToken } = req.body;
 
-        // Check if user exists
-        const user = await User.findByEmail(email);
-        if (!user) {
-            return next(new ApiError('No user found with this email address', 404));
+        if (!refreshToken) {
+            return next(new ApiError('Refresh token is required', 400));
         }
 
-        // Validate password (you could add more validation)
-        if (!newPassword || newPassword.length < 8) {
-            return next(new ApiError('Password must be at least 8 characters long', 400));
+        // Verify token signature, expiry and type
+        const decoded = verifyToken(refreshToken);
+        if (!decoded || decoded.type !== TOKEN_TYPES.REFRESH) {
+            return next(new ApiError('Invalid or expired refresh token', 401));
         }
 
-        // Update password
-        await User.updatePassword(user.id, newPassword);
+        // Check that the token was issued by us and its session is still alive
+        const storedToken = await Session.findRefreshToken(hashToken(refreshToken));
+        if (!storedToken || storedToken.revoked_at) {
+            return next(new ApiError('Invalid or expired refresh token', 401));
+        }
+
+        // A token that was already rotated is being replayed: kill the whole family
+        const rotated = await Session.markRefreshTokenUsed(storedToken.id);
+        if (!rotated) {
+            await Session.revoke(storedToken.session_id);
+            return next(new ApiError('Refresh token reuse detected. Please log in again.', 401));
+        }
+
+        // Check if user still exists and is active
+        const user = await User.findById(storedToken.user_id);
+        if (!user || user.status !== 'active') {
+            await Session.revoke(storedToken.session_id);
+            return next(new ApiError('Your account is currently inactive or suspended', 403));
+        }
+
+        // Record session activity
+        await Session.touch(storedToken.session_id, req.ip);
+
+        // Issue new token pair in the same family
+        const tokens = await issueTokens(user, storedToken.session_id);
 
         res.status(200).json({
             success: true,
-            message: 'Password has been reset successfully'
+            ...tokens
         });
     } catch (error) {
         next(error);
@@ -339,13 +746,113 @@ exports.directPasswordReset = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user (client-side only)
+ * @desc    Logout user (revokes the session of the given refresh token)
  * @route   POST /api/auth/logout
+ * @access  Public
+ */
+exports.logout = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        // Logging out always succeeds; a valid refresh token also ends its session server-side
+        const decoded = refreshToken ? verifyToken(refreshToken) : null;
+        if (decoded && decoded.type === TOKEN_TYPES.REFRESH) {
+            const storedToken = await Session.findRefreshToken(hashToken(refreshToken));
+            if (storedToken) {
+                await Session.revoke(storedToken.session_id);
+
+                // Drop open socket connections of the session
+                const io = req.app.get('io');
+                if (io) {
+                    io.in(`session-${storedToken.session_id}`).disconnectSockets(true);
+                }
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get current user's active sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.findActiveByUser(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            sessions: sessions.map(session => ({
+                id: session.id,
+                userAgent: session.user_agent,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastSeenAt: session.last_seen_at,
+                current: session.id === req.sessionId
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+    try {
+        const sessionId = req.params.id;
+
+        // Only the owner can revoke a session
+        const revoked = await Session.revokeForUser(sessionId, req.user.id);
+        if (!revoked) {
+            return next(new ApiError('Session not found', 404));
+        }
+
+        // Drop open socket connections of the revoked session
+        const io = req.app.get('io');
+        if (io) {
+            io.in(`session-${sessionId}`).disconnectSockets(true);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Sign out everywhere (revoke all of the current user's sessions)
+ * @route   DELETE /api/auth/sessions
  * @access  Private
  */
-exports.logout = (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: 'Logged out successfully'
-    });
-};
\ No newline at end of file
+exports.revokeAllSessions = async (req, res, next) => {
+    try {
+        const count = await Session.revokeAllForUser(req.user.id);
+
+        // Drop all open socket connections of the user
+        const io = req.app.get('io');
+        if (io) {
+            io.in(`user-${req.user.id}`).disconnectSockets(true);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Signed out of ${count} session(s)`
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,228 @@
+// controllers/campusController.js
+const Campus = require('../models/Campus');
+const Setting = require('../models/Setting');
+const { ApiError } = require('../middleware/errorHandler');
+const campusService = require('../services/campusService');
+
+// Campus slugs are used in the X-Campus header
+const SLUG_PATTERN = /^[a-z0-9-]{2,50}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DOMAIN_PATTERN = /^[a-z0-9.-]+\.[a-z]{2,}$/;
+
+/**
+ * Convert a campus row to the public API shape
+ * @param {Object} campus - Campus row
+ * @returns {Object} - Campus branding and domains
+ */
+const formatCampus = (campus) => ({
+    id: campus.id,
+    slug: campus.slug,
+    name: campus.name,
+    primaryColor: campus.primary_color,
+    logoUrl: campus.logo_url,
+    address: campus.address,
+    isActive: Boolean(campus.is_active),
+    domains: campus.domains
+});
+
+/**
+ * Validate campus fields sent by a platform admin
+ * @param {Object} data - Request body
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateCampus = (data) => {
+    if (data.primaryColor !== undefined && !COLOR_PATTERN.test(data.primaryColor)) {
+        return 'Primary color must be a hex color such as #bf5700';
+    }
+
+    if (data.domains !== undefined) {
+        if (!Array.isArray(data.domains) || !data.domains.length) {
+            return 'Please provide at least one email domain';
+        }
+
+        if (!data.domains.every(domain => DOMAIN_PATTERN.test(domain))) {
+            return 'Email domains must look like mavs.uta.edu';
+        }
+
+        if (new Set(data.domains).size !== data.domains.length) {
+            return 'Email domains must not be listed twice';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Find a requested email domain that already belongs to another campus
+ * @param {string[]} domains - Requested email domains
+ * @param {number|null} campusId - Campus being updated, whose own domains may be kept
+ * @returns {Promise<string|undefined>} - First domain taken by another campus
+ */
+const findTakenDomain = async (domains, campusId = null) => {
+    const campuses = await Campus.getAll(false);
+    const taken = campuses
+        .filter(campus => campus.id !== campusId)
+        .flatMap(campus => campus.domains);
+
+    return domains.find(domain => taken.includes(domain));
+};
+
+/**
+ * @desc    Get active campuses
+ * @route   GET /api/campuses
+ * @access  Public
+ */
+exports.getCampuses = async (req, res, next) => {
+    try {
+        const campuses = await Campus.getAll();
+
+        res.status(200).json({
+            success: true,
+            count: campuses.length,
+            campuses: campuses.map(formatCampus)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all campuses including inactive ones
+ * @route   GET /api/campuses/all
+ * @access  Private (Platform admin)
+ */
+exports.getAllCampuses = async (req, res, next) => {
+    try {
+        const campuses = await Campus.getAll(false);
+
+        res.status(200).json({
+            success: true,
+            count: campuses.length,
+            campuses: campuses.map(formatCampus)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get branding of the campus the request is made for
+ * @route   GET /api/campuses/current
+ * @access  Public
+ */
+exports.getCurrentCampus = async (req, res, next) => {
+    try {
+        const settings = await Setting.getAll(req.campusId);
+
+        res.status(200).json({
+            success: true,
+            campus: {
+                ...formatCampus(req.campus),
+                platformName: settings ? settings.platform_name : `${req.campus.name} Market Place`,
+                allowCrossCampusBrowse: Boolean(settings && settings.allow_cross_campus_browse)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create a campus with its email domains and default settings
+ * @route   POST /api/campuses
+ * @access  Private (Platform admin)
+ */
+exports.createCampus = async (req, res, next) => {
+    try {
+        const { slug, name, primaryColor, logoUrl, address, domains } = req.body;
+
+        if (!slug || !SLUG_PATTERN.test(slug)) {
+            return next(new ApiError('Slug must be 2-50 lowercase letters, numbers or dashes', 400));
+        }
+
+        if (!name) {
+            return next(new ApiError('Please provide a campus name', 400));
+        }
+
+        const invalid = validateCampus({ primaryColor, domains: domains || [] });
+        if (invalid) {
+            return next(new ApiError(invalid, 400));
+        }
+
+        // Check if slug is taken (including inactive campuses)
+        const campuses = await Campus.getAll(false);
+        if (campuses.some(campus => campus.slug === slug)) {
+            return next(new ApiError('A campus with this slug already exists', 400));
+        }
+
+        const takenDomain = await findTakenDomain(domains);
+        if (takenDomain) {
+            return next(new ApiError(`The email domain ${takenDomain} already belongs to another campus`, 400));
+        }
+
+        const campusId = await Campus.create({
+            slug,
+            name,
+            primaryColor,
+            logoUrl,
+            address,
+            domains: domains.map(domain => domain.toLowerCase())
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Campus created successfully',
+            campusId
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update a campus's branding, domains or active state
+ * @route   PUT /api/campuses/:id
+ * @access  Private (Platform admin)
+ */
+exports.updateCampus = async (req, res, next) => {
+    try {
+        const campusId = req.params.id;
+        const { name, primaryColor, logoUrl, address, isActive, domains } = req.body;
+
+        const campus = await Campus.findById(campusId);
+        if (!campus) {
+            return next(new ApiError('Campus not found', 404));
+        }
+
+        const invalid = validateCampus({ primaryColor, domains });
+        if (invalid) {
+            return next(new ApiError(invalid, 400));
+        }
+
+        if (domains) {
+            const takenDomain = await findTakenDomain(domains, campus.id);
+            if (takenDomain) {
+                return next(new ApiError(`The email domain ${takenDomain} already belongs to another campus`, 400));
+            }
+        }
+
+        await Campus.update(campusId, {
+            name,
+            primaryColor,
+            logoUrl,
+            address,
+            isActive,
+            domains: domains && domains.map(domain => domain.toLowerCase())
+        });
+
+        // Apply the changes to campus resolution immediately
+        campusService.clearCache();
+
+        res.status(200).json({
+            success: true,
+            message: 'Campus updated successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -3,6 +3,7 @@ const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { pool } = require('../config/database');
 const { ApiError } = require('../middleware/errorHandler');
+const watchlistService = require('../services/watchlistService');
 
 /**
  * @desc    Get user's cart
@@ -56,6 +57,16 @@ exports.addCartItem = async (req, res, next) => {
             return next(new ApiError('Product is not available for purchase', 400));
         }
 
+        // Auctions are sold to the highest bidder when they close
+        if (product.listing_type === 'auction') {
+            return next(new ApiError('This listing is an auction, place a bid instead', 400));
+        }
+
+        // Listings can only be bought on the buyer's own campus
+        if (product.campus_id !== req.user.campus_id) {
+            return next(new ApiError('You can only buy listings on your own campus', 403));
+        }
+
         // Check if user is trying to buy their own product
         if (product.seller_id === userId) {
             return next(new ApiError('You cannot add your own product to your cart', 400));
@@ -70,6 +81,9 @@ exports.addCartItem = async (req, res, next) => {
         // Increment interested count for the product
         await Product.incrementInterested(productId);
 
+        // Warn watchers the item may sell soon (not awaited)
+        watchlistService.notifySellingSoon(product, userId, req.app.get('io'));
+
         res.status(200).json({
             success: true,
             message: 'Item added to cart',
@@ -1,16 +1,100 @@
 // controllers/categoryController.js
+const { pool } = require('../config/database');
 const Category = require('../models/Category');
+const CategoryAttribute = require('../models/CategoryAttribute');
 const { ApiError } = require('../middleware/errorHandler');
+const searchService = require('../services/searchService');
+const attributeService = require('../services/attributeService');
+
+// Slugs are lowercase words joined by hyphens ("school-supplies")
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Turn a category name into a slug
+const toSlug = (name) => name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Check the parent of a category: it must exist on the campus and, when moving a category,
+ * must not be the category itself or one of its subcategories
+ * @param {number|null} parentId - Parent category ID (null for a top-level category)
+ * @param {number} campusId - Campus ID
+ * @param {number|null} categoryId - Category being moved (null when creating one)
+ * @returns {Promise<string|null>} - Error message, null if the parent is valid
+ */
+const getParentError = async (parentId, campusId, categoryId = null) => {
+    if (parentId === null) {
+        return null;
+    }
+
+    if (!(await Category.findById(parentId, campusId))) {
+        return 'Parent category not found';
+    }
+
+    if (categoryId !== null) {
+        const subtreeIds = await Category.getSubtreeIds(categoryId);
+        if (subtreeIds.includes(Number(parentId))) {
+            return 'A category cannot be moved into itself or one of its subcategories';
+        }
+    }
+
+    return null;
+};
 
 /**
- * @desc    Get all categories
+ * Find a category of the current campus and check the attribute sent for it
+ * @param {Object} req - Request with the category ID and the attribute in its body
+ * @param {number} attributeId - ID of the attribute being updated (null when creating one)
+ * @returns {Promise<Object>} - Attribute data, or an error
+ */
+const getAttributeData = async (req, attributeId = null) => {
+    const category = await Category.findById(req.params.id, req.campusId);
+    if (!category) {
+        return { error: new ApiError('Category not found', 404) };
+    }
+
+    const { attribute, error } = attributeService.parseAttribute(req.body);
+    if (error) {
+        return { error: new ApiError(error, 400) };
+    }
+
+    const isClash = item => item.id !== attributeId && item.name.toLowerCase() === attribute.name.toLowerCase();
+
+    // Names must not clash with the category's own or inherited attributes
+    const clash = (await CategoryAttribute.getForCategory(category.id)).find(isClash);
+    if (clash) {
+        return {
+            error: new ApiError(clash.category_id === category.id
+                ? `${clash.name} is already an attribute of this category`
+                : `${clash.name} is already inherited from ${clash.category_name}`, 400)
+        };
+    }
+
+    // Nor with those of its subcategories, which inherit the attribute
+    const subcategoryClash = (await CategoryAttribute.getForSubcategories(category.id)).find(isClash);
+    if (subcategoryClash) {
+        return {
+            error: new ApiError(
+                `${subcategoryClash.name} is already an attribute of the subcategory ${subcategoryClash.category_name}`, 400
+            )
+        };
+    }
+
+    return { category, attribute };
+};
+
+/**
+ * @desc    Get all categories, in tree order with their parent_id and depth
  * @route   GET /api/categories
  * @access  Public
  */
 exports.getCategories = async (req, res, next) => {
     try {
         // Get all categories
-        const categories = await Category.getAll();
+        const categories = await Category.getAll(req.campusId);
 
         res.status(200).json({
             success: true,
@@ -23,24 +107,29 @@ exports.getCategories = async (req, res, next) => {
 };
 
 /**
- * @desc    Get category by ID
+ * @desc    Get category by ID or slug, with its subcategories
  * @route   GET /api/categories/:id
  * @access  Public
  */
 exports.getCategoryById = async (req, res, next) => {
     try {
-        const categoryId = req.params.id;
+        const { id } = req.params;
 
         // Get category
-        const category = await Category.findById(categoryId);
+        const category = /^\d+$/.test(id)
+            ? await Category.findById(id, req.campusId)
+            : await Category.findBySlug(id, req.campusId);
 
         if (!category) {
             return next(new ApiError('Category not found', 404));
         }
 
+        const categories = await Category.getAll(req.campusId);
+
         res.status(200).json({
             success: true,
-            category
+            category,
+            subcategories: categories.filter(child => child.parent_id === category.id)
         });
     } catch (error) {
         next(error);
@@ -54,16 +143,37 @@ exports.getCategoryById = async (req, res, next) => {
  */
 exports.createCategory = async (req, res, next) => {
     try {
-        const { name, icon } = req.body;
+        const { name, icon, sortOrder = 0 } = req.body;
+        const parentId = req.body.parentId || null;
+        const slug = req.body.slug || toSlug(name || '');
+
+        if (!name || !name.trim()) {
+            return next(new ApiError('Category name is required', 400));
+        }
+
+        if (!SLUG_PATTERN.test(slug)) {
+            return next(new ApiError('Slug can only contain lowercase letters, numbers and hyphens', 400));
+        }
 
         // Check if category exists
-        const existingCategory = await Category.findByName(name);
+        const existingCategory = await Category.findByName(name, req.campusId);
         if (existingCategory) {
             return next(new ApiError('Category already exists', 400));
         }
 
+        if (await Category.findBySlug(slug, req.campusId)) {
+            return next(new ApiError('Category slug already exists', 400));
+        }
+
+        const parentError = await getParentError(parentId, req.campusId);
+        if (parentError) {
+            return next(new ApiError(parentError, 400));
+        }
+
         // Create category
-        const categoryId = await Category.create({ name, icon });
+        const categoryId = await Category.create({
+            name, slug, icon, parentId, sortOrder: parseInt(sortOrder) || 0, campusId: req.campusId
+        });
 
         res.status(201).json({
             success: true,
@@ -76,36 +186,67 @@ exports.createCategory = async (req, res, next) => {
 };
 
 /**
- * @desc    Update category (admin only)
+ * @desc    Update category, including moving it under another parent (admin only)
  * @route   PUT /api/categories/:id
  * @access  Private (Admin)
  */
 exports.updateCategory = async (req, res, next) => {
     try {
         const categoryId = req.params.id;
-        const { name, icon } = req.body;
+        const { name, icon, slug, sortOrder } = req.body;
+        const parentId = req.body.parentId === undefined ? undefined : req.body.parentId || null;
 
         // Check if category exists
-        const category = await Category.findById(categoryId);
+        const category = await Category.findById(categoryId, req.campusId);
         if (!category) {
             return next(new ApiError('Category not found', 404));
         }
 
         // Check if name already exists (if changing name)
         if (name && name !== category.name) {
-            const existingCategory = await Category.findByName(name);
+            const existingCategory = await Category.findByName(name, req.campusId);
             if (existingCategory) {
                 return next(new ApiError('Category name already exists', 400));
             }
         }
 
+        // Check the slug (if changing slug)
+        if (slug !== undefined && slug !== category.slug) {
+            if (!SLUG_PATTERN.test(slug)) {
+                return next(new ApiError('Slug can only contain lowercase letters, numbers and hyphens', 400));
+            }
+
+            if (await Category.findBySlug(slug, req.campusId)) {
+                return next(new ApiError('Category slug already exists', 400));
+            }
+        }
+
+        // Check the new parent (if reparenting)
+        if (parentId !== undefined) {
+            const parentError = await getParentError(parentId, req.campusId, category.id);
+            if (parentError) {
+                return next(new ApiError(parentError, 400));
+            }
+        }
+
         // Update category
-        const updated = await Category.update(categoryId, { name, icon });
+        const updated = await Category.update(categoryId, {
+            name: name || undefined,
+            icon,
+            slug,
+            parentId,
+            sortOrder: sortOrder === undefined ? undefined : parseInt(sortOrder) || 0
+        });
 
         if (!updated) {
             return next(new ApiError('Failed to update category', 500));
         }
 
+        // The category name is part of its listings' search documents
+        if (name && name !== category.name) {
+            await searchService.indexCategory(categoryId);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Category updated successfully'
@@ -116,7 +257,8 @@ exports.updateCategory = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete category (admin only)
+ * @desc    Delete category, moving its subcategories and listings to another category
+ *          (moveTo, the category's parent by default) (admin only)
  * @route   DELETE /api/categories/:id
  * @access  Private (Admin)
  */
@@ -125,30 +267,45 @@ exports.deleteCategory = async (req, res, next) => {
         const categoryId = req.params.id;
 
         // Check if category exists
-        const category = await Category.findById(categoryId);
+        const category = await Category.findById(categoryId, req.campusId);
         if (!category) {
             return next(new ApiError('Category not found', 404));
         }
 
-        // Check if there are products in this category
-        const [productCountResult] = await pool.execute(
-            'SELECT COUNT(*) as count FROM products WHERE category_id = ?',
-            [categoryId]
-        );
+        // Subcategories and listings move up to the parent unless another category is chosen
+        const targetId = req.query.moveTo || category.parent_id || null;
 
-        if (productCountResult[0].count > 0) {
-            return next(
-                new ApiError('Cannot delete category with existing products', 400)
+        if (targetId !== null) {
+            const subtreeIds = await Category.getSubtreeIds(category.id);
+            if (!(await Category.findById(targetId, req.campusId)) || subtreeIds.includes(Number(targetId))) {
+                return next(new ApiError('Choose a category outside the deleted one to move its listings to', 400));
+            }
+        } else {
+            // Check if there are products in this category
+            const [productCountResult] = await pool.execute(
+                'SELECT COUNT(*) as count FROM products WHERE category_id = ?',
+                [categoryId]
             );
+
+            if (productCountResult[0].count > 0) {
+                return next(
+                    new ApiError('Cannot delete a top-level category with existing products without a category to move them to', 400)
+                );
+            }
         }
 
         // Delete category
-        const deleted = await Category.delete(categoryId);
+        const deleted = await Category.delete(categoryId, targetId);
 
         if (!deleted) {
             return next(new ApiError('Failed to delete category', 500));
         }
 
+        // Moved listings are searched under their new category name
+        if (targetId !== null) {
+            await searchService.indexCategory(targetId);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Category deleted successfully'
@@ -166,7 +323,7 @@ exports.deleteCategory = async (req, res, next) => {
 exports.getProductCounts = async (req, res, next) => {
     try {
         // Get product counts
-        const categoryCounts = await Category.getProductCounts();
+        const categoryCounts = await Category.getProductCounts(req.campusId);
 
         res.status(200).json({
             success: true,
@@ -187,7 +344,7 @@ exports.getPopularCategories = async (req, res, next) => {
         const limit = parseInt(req.query.limit) || 5;
 
         // Get popular categories
-        const categories = await Category.getPopular(limit);
+        const categories = await Category.getPopular(req.campusId, limit);
 
         res.status(200).json({
             success: true,
@@ -197,4 +354,109 @@ exports.getPopularCategories = async (req, res, next) => {
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get the attributes of a category, including inherited ones
+ * @route   GET /api/categories/:id/attributes
+ * @access  Public
+ */
+exports.getCategoryAttributes = async (req, res, next) => {
+    try {
+        const category = await Category.findById(req.params.id, req.campusId);
+        if (!category) {
+            return next(new ApiError('Category not found', 404));
+        }
+
+        const attributes = await CategoryAttribute.getForCategory(category.id);
+
+        res.status(200).json({
+            success: true,
+            count: attributes.length,
+            attributes
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add an attribute to a category
+ * @route   POST /api/categories/:id/attributes
+ * @access  Private/Admin
+ */
+exports.createCategoryAttribute = async (req, res, next) => {
+    try {
+        const { category, attribute, error } = await getAttributeData(req);
+        if (error) {
+            return next(error);
+        }
+
+        const attributeId = await CategoryAttribute.create({ categoryId: category.id, ...attribute });
+
+        res.status(201).json({
+            success: true,
+            message: 'Attribute created successfully',
+            attribute: await CategoryAttribute.findById(attributeId, category.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update an attribute of a category
+ * @route   PUT /api/categories/:id/attributes/:attributeId
+ * @access  Private/Admin
+ */
+exports.updateCategoryAttribute = async (req, res, next) => {
+    try {
+        const attributeId = parseInt(req.params.attributeId);
+
+        const { category, attribute, error } = await getAttributeData(req, attributeId);
+        if (error) {
+            return next(error);
+        }
+
+        if (!(await CategoryAttribute.findById(attributeId, category.id))) {
+            return next(new ApiError('Attribute not found', 404));
+        }
+
+        await CategoryAttribute.update(attributeId, attribute);
+
+        res.status(200).json({
+            success: true,
+            message: 'Attribute updated successfully',
+            attribute: await CategoryAttribute.findById(attributeId, category.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove an attribute from a category (values already given stay as free-form specifications)
+ * @route   DELETE /api/categories/:id/attributes/:attributeId
+ * @access  Private/Admin
+ */
+exports.deleteCategoryAttribute = async (req, res, next) => {
+    try {
+        const category = await Category.findById(req.params.id, req.campusId);
+        if (!category) {
+            return next(new ApiError('Category not found', 404));
+        }
+
+        if (!(await CategoryAttribute.findById(req.params.attributeId, category.id))) {
+            return next(new ApiError('Attribute not found', 404));
+        }
+
+        await CategoryAttribute.delete(req.params.attributeId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Attribute deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -41,7 +41,7 @@ exports.sendContactMessage = async (req, res, next) => {
         };
 
         // Send email using direct HTML instead of template
-        await sendContactFormHtmlEmail(formData);
+        await sendContactFormHtmlEmail(formData, req.campusId);
 
         res.status(200).json({
             success: true,
@@ -91,7 +91,7 @@ exports.sendContactForm = async (req, res, next) => {
         };
 
         // Send email using direct HTML
-        await sendContactFormHtmlEmail(formData);
+        await sendContactFormHtmlEmail(formData, req.campusId);
 
         res.status(200).json({
             success: true,
@@ -111,7 +111,7 @@ exports.sendContactForm = async (req, res, next) => {
 exports.getContactInfo = async (req, res, next) => {
     try {
         // Get settings
-        const settings = await Setting.getAll();
+        const settings = await Setting.getAll(req.campusId);
 
         // Prepare contact info
         const contactInfo = {
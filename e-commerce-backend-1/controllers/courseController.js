@@ -0,0 +1,161 @@
+// controllers/courseController.js
+const Course = require('../models/Course');
+const { uploadImport } = require('../config/multer');
+const { ApiError } = require('../middleware/errorHandler');
+const auditService = require('../services/auditService');
+const {
+    COURSE_ALERT_METHODS,
+    MAX_COURSE_SUBSCRIPTIONS,
+    formatCourse,
+    searchCourses,
+    importCatalog
+} = require('../services/courseService');
+
+/**
+ * @desc    Search the course catalog by code ("CSE 33") or title
+ * @route   GET /api/courses
+ * @access  Public
+ */
+exports.getCourses = async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const courses = await searchCourses(req.campusId, req.query.q, limit);
+
+        res.status(200).json({
+            success: true,
+            count: courses.length,
+            courses: courses.map(formatCourse)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the courses the current user subscribes to
+ * @route   GET /api/courses/subscriptions
+ * @access  Private
+ */
+exports.getSubscriptions = async (req, res, next) => {
+    try {
+        const courses = await Course.getSubscriptions(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            count: courses.length,
+            courses: courses.map(formatCourse)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Subscribe to new listings for a course, or change how they're alerted
+ * @route   PUT /api/courses/:id/subscription
+ * @access  Private
+ */
+exports.subscribe = async (req, res, next) => {
+    try {
+        const alertMethod = req.body.alertMethod || 'notification';
+        if (!COURSE_ALERT_METHODS.includes(alertMethod)) {
+            return next(new ApiError(`Alert method must be one of: ${COURSE_ALERT_METHODS.join(', ')}`, 400));
+        }
+
+        const course = await Course.findById(req.params.id, req.campusId);
+        if (!course) {
+            return next(new ApiError('Course not found', 404));
+        }
+
+        const subscriptions = await Course.getSubscriptions(req.user.id);
+        const subscribed = subscriptions.some(subscription => subscription.id === course.id);
+        if (!subscribed && subscriptions.length >= MAX_COURSE_SUBSCRIPTIONS) {
+            return next(new ApiError(`You can subscribe to up to ${MAX_COURSE_SUBSCRIPTIONS} courses`, 400));
+        }
+
+        await Course.subscribe(req.user.id, course.id, alertMethod);
+
+        res.status(subscribed ? 200 : 201).json({
+            success: true,
+            message: subscribed
+                ? 'Subscription updated'
+                : `Subscribed to ${course.department} ${course.number}`,
+            course: formatCourse({ ...course, alert_method: alertMethod })
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Unsubscribe from a course
+ * @route   DELETE /api/courses/:id/subscription
+ * @access  Private
+ */
+exports.unsubscribe = async (req, res, next) => {
+    try {
+        const removed = await Course.unsubscribe(req.user.id, req.params.id);
+        if (!removed) {
+            return next(new ApiError('Subscription not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Unsubscribed from course'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Load courses into the catalog from a CSV (Department, Number, Title and Term columns)
+ * @route   POST /api/courses/import
+ * @access  Private/Admin
+ */
+exports.importCourses = async (req, res, next) => {
+    uploadImport.single('file')(req, res, async (err) => {
+        try {
+            if (err) {
+                return next(new ApiError(err.message, 400));
+            }
+
+            if (!req.file || !req.file.originalname.toLowerCase().endsWith('.csv')) {
+                return next(new ApiError('Please upload a CSV file', 400));
+            }
+
+            const dryRun = req.body.dryRun === 'true';
+            const result = await importCatalog(req.file.buffer.toString('utf8'), req.campusId, dryRun);
+
+            // Nothing is imported until every row is valid
+            if (result.errors) {
+                return next(new ApiError(
+                    `${result.errors.length} row(s) have errors, nothing was imported`,
+                    400,
+                    result.errors
+                ));
+            }
+
+            if (dryRun) {
+                return res.status(200).json({
+                    success: true,
+                    message: `${result.count} course(s) ready to import`,
+                    count: result.count
+                });
+            }
+
+            await auditService.record(
+                req, auditService.AUDIT_ACTIONS.COURSES_IMPORT, { type: 'campus', id: req.campusId },
+                null, { created: result.created, updated: result.updated }
+            );
+
+            res.status(200).json({
+                success: true,
+                message: `${result.created} course(s) added and ${result.updated} updated`,
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
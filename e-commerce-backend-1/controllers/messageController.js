@@ -90,6 +90,11 @@ exports.createConversation = async (req, res, next) => {
             return next(new ApiError('Product not found', 404));
         }
 
+        // Buyers can only contact sellers on their own campus (cross-campus browsing is read-only)
+        if (product.campus_id !== req.user.campus_id) {
+            return next(new ApiError('You can only message sellers on your own campus', 403));
+        }
+
         // Check if user is not the seller
         if (product.seller_id === userId) {
             return next(new ApiError('You cannot message yourself', 400));
@@ -0,0 +1,297 @@
+// controllers/offerController.js
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+const Message = require('../models/Message');
+const Setting = require('../models/Setting');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+    MAX_OFFER_NOTE_LENGTH,
+    formatAmount,
+    formatOffer,
+    postOfferMessage,
+    emitOfferEvent
+} = require('../services/offerService');
+const { parseAmount } = require('../utils/money');
+
+/**
+ * Load an offer the current user can answer: the buyer answers the seller's counter-offers and the seller
+ * answers everything else
+ * @param {Object} req - Request (params.id and user)
+ * @returns {Promise<Object>} - The offer, or an ApiError
+ */
+const getOfferToAnswer = async (req) => {
+    const offer = await Offer.findById(req.params.id);
+
+    if (!offer || (offer.buyer_id !== req.user.id && offer.seller_id !== req.user.id)) {
+        return { error: new ApiError('Offer not found', 404) };
+    }
+
+    if (offer.proposed_by === req.user.id) {
+        return { error: new ApiError('You cannot answer your own offer', 403) };
+    }
+
+    if (offer.status !== 'pending') {
+        return { error: new ApiError(`This offer is no longer open (${offer.status})`, 400) };
+    }
+
+    return { offer };
+};
+
+/**
+ * @desc    Get the offers the current user made or received
+ * @route   GET /api/offers
+ * @access  Private
+ */
+exports.getOffers = async (req, res, next) => {
+    try {
+        const offers = await Offer.getForUser(req.user.id, req.query.status || null);
+
+        res.status(200).json({
+            success: true,
+            count: offers.length,
+            offers: offers.map(formatOffer)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the current user's latest offer on a listing
+ * @route   GET /api/offers/product/:productId
+ * @access  Private
+ */
+exports.getOfferForProduct = async (req, res, next) => {
+    try {
+        const offer = await Offer.findLatest(req.params.productId, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            offer: offer ? formatOffer(offer) : null
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Make an offer on a listing
+ * @route   POST /api/offers
+ * @access  Private
+ */
+exports.createOffer = async (req, res, next) => {
+    try {
+        const { productId, amount: rawAmount } = req.body;
+        const note = String(req.body.message ?? '').trim();
+        const userId = req.user.id;
+
+        const amount = parseAmount(rawAmount);
+        if (!productId || amount === null) {
+            return next(new ApiError('Product ID and an amount greater than 0 with at most 2 decimals are required', 400));
+        }
+
+        if (note.length > MAX_OFFER_NOTE_LENGTH) {
+            return next(new ApiError(`The message must be at most ${MAX_OFFER_NOTE_LENGTH} characters`, 400));
+        }
+
+        const product = await Product.findById(productId, false);
+
+        if (!product) {
+            return next(new ApiError('Product not found', 404));
+        }
+
+        // Offers are negotiated in messages, which stay within a campus (cross-campus browsing is read-only)
+        if (product.campus_id !== req.user.campus_id) {
+            return next(new ApiError('You can only make offers to sellers on your own campus', 403));
+        }
+
+        if (product.seller_id === userId) {
+            return next(new ApiError('You cannot make an offer on your own listing', 400));
+        }
+
+        if (product.status !== 'active') {
+            return next(new ApiError('Offers can only be made on active listings', 400));
+        }
+
+        if (product.listing_type === 'auction') {
+            return next(new ApiError('This listing is an auction, place a bid instead', 400));
+        }
+
+        if (amount >= Number(product.price)) {
+            return next(new ApiError(`Offers must be below the listing price of ${formatAmount(product.price)}`, 400));
+        }
+
+        // One negotiation at a time per buyer and listing
+        const latest = await Offer.findLatest(product.id, userId);
+        if (latest?.status === 'pending') {
+            return next(new ApiError('You already have an open offer on this listing', 400));
+        }
+        if (latest?.status === 'accepted') {
+            return next(new ApiError(
+                `Your offer of ${formatAmount(latest.amount)} was accepted, add the listing to your cart to buy it at that price`,
+                400
+            ));
+        }
+
+        const expiryHours = await Setting.getOfferExpiryHours(product.campus_id);
+        let conversationId = await Message.getConversationForProduct(userId, product.id);
+
+        const offerId = await Offer.create({
+            productId: product.id,
+            buyerId: userId,
+            proposedBy: userId,
+            conversationId,
+            amount,
+            expiryHours
+        });
+
+        const text = note ? `Offered ${formatAmount(amount)}: ${note}` : `Offered ${formatAmount(amount)}`;
+        let message;
+
+        if (conversationId) {
+            message = await postOfferMessage(conversationId, userId, text, offerId);
+        } else {
+            // The offer starts the conversation with the seller
+            conversationId = await Message.createConversation(product.id, userId, text, offerId);
+            await Offer.setConversation(offerId, conversationId);
+            message = (await Message.getMessages(conversationId)).find(item => item.offer_id === offerId) || null;
+        }
+
+        const offer = await Offer.findById(offerId);
+        emitOfferEvent(req.app.get('io'), 'offer-created', offer, message);
+
+        res.status(201).json({
+            success: true,
+            message: 'Offer sent',
+            offer: formatOffer(offer),
+            conversationId
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Accept an offer, locking its price for the buyer
+ * @route   PUT /api/offers/:id/accept
+ * @access  Private (party the offer was made to)
+ */
+exports.acceptOffer = async (req, res, next) => {
+    try {
+        const { offer, error } = await getOfferToAnswer(req);
+        if (error) {
+            return next(error);
+        }
+
+        if (offer.product_status !== 'active') {
+            return next(new ApiError('This listing is no longer available', 400));
+        }
+
+        if (!(await Offer.respond(offer.id, 'accepted'))) {
+            return next(new ApiError('This offer is no longer open', 400));
+        }
+
+        const message = await postOfferMessage(
+            offer.conversation_id, req.user.id, `Accepted the offer of ${formatAmount(offer.amount)}`
+        );
+
+        const accepted = await Offer.findById(offer.id);
+        emitOfferEvent(req.app.get('io'), 'offer-updated', accepted, message);
+
+        res.status(200).json({
+            success: true,
+            message: `Offer accepted, ${formatAmount(offer.amount)} is locked in for the buyer`,
+            offer: formatOffer(accepted)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Decline an offer
+ * @route   PUT /api/offers/:id/decline
+ * @access  Private (party the offer was made to)
+ */
+exports.declineOffer = async (req, res, next) => {
+    try {
+        const { offer, error } = await getOfferToAnswer(req);
+        if (error) {
+            return next(error);
+        }
+
+        if (!(await Offer.respond(offer.id, 'declined'))) {
+            return next(new ApiError('This offer is no longer open', 400));
+        }
+
+        const message = await postOfferMessage(
+            offer.conversation_id, req.user.id, `Declined the offer of ${formatAmount(offer.amount)}`
+        );
+
+        const declined = await Offer.findById(offer.id);
+        emitOfferEvent(req.app.get('io'), 'offer-updated', declined, message);
+
+        res.status(200).json({
+            success: true,
+            message: 'Offer declined',
+            offer: formatOffer(declined)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Counter an offer with another amount
+ * @route   PUT /api/offers/:id/counter
+ * @access  Private (party the offer was made to)
+ */
+exports.counterOffer = async (req, res, next) => {
+    try {
+        const { offer, error } = await getOfferToAnswer(req);
+        if (error) {
+            return next(error);
+        }
+
+        const amount = parseAmount(req.body.amount);
+        if (amount === null) {
+            return next(new ApiError('Amount must be greater than 0 with at most 2 decimals', 400));
+        }
+
+        if (offer.product_status !== 'active') {
+            return next(new ApiError('This listing is no longer available', 400));
+        }
+
+        if (amount >= Number(offer.list_price)) {
+            return next(new ApiError(`Offers must be below the listing price of ${formatAmount(offer.list_price)}`, 400));
+        }
+
+        if (amount === Number(offer.amount)) {
+            return next(new ApiError('A counter-offer needs a different amount, accept the offer instead', 400));
+        }
+
+        const expiryHours = await Setting.getOfferExpiryHours(offer.campus_id);
+        const counterId = await Offer.counter(offer, req.user.id, amount, expiryHours);
+
+        if (!counterId) {
+            return next(new ApiError('This offer is no longer open', 400));
+        }
+
+        const message = await postOfferMessage(
+            offer.conversation_id, req.user.id, `Countered with ${formatAmount(amount)}`, counterId
+        );
+
+        const io = req.app.get('io');
+        const [countered, counter] = await Promise.all([Offer.findById(offer.id), Offer.findById(counterId)]);
+        emitOfferEvent(io, 'offer-updated', countered);
+        emitOfferEvent(io, 'offer-created', counter, message);
+
+        res.status(201).json({
+            success: true,
+            message: 'Counter-offer sent',
+            offer: formatOffer(counter)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
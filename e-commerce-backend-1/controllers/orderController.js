@@ -3,8 +3,11 @@ const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const Offer = require('../models/Offer');
 const { sendOrderConfirmation } = require('../services/emailService');
 const { ApiError } = require('../middleware/errorHandler');
+const auditService = require('../services/auditService');
+const { emitOfferEvent } = require('../services/offerService');
 
 /**
  * @desc    Create a new order
@@ -38,7 +41,7 @@ exports.createOrder = async (req, res, next) => {
             return next(new ApiError('Your cart is empty', 400));
         }
 
-        // Prepare order items
+        // Prepare order items (prices include offers the sellers accepted)
         const orderItems = cartItems.map(item => ({
             productId: item.product_id,
             quantity: item.quantity,
@@ -66,6 +69,10 @@ exports.createOrder = async (req, res, next) => {
         // Clear cart
         await Cart.clearCart(userId);
 
+        // The listings are sold, so offers other buyers are still waiting on are cancelled
+        const cancelledOffers = await Offer.cancelForProducts(orderItems.map(item => item.productId));
+        cancelledOffers.forEach(offer => emitOfferEvent(req.app.get('io'), 'offer-updated', offer));
+
         // Send confirmation email
         const user = await User.findById(userId);
 
@@ -149,10 +156,10 @@ exports.updateOrderStatus = async (req, res, next) => {
             return next(new ApiError('Invalid status', 400));
         }
 
-        // Check if order exists
+        // Check if order exists on the admin's campus
         const order = await Order.findById(orderId);
 
-        if (!order) {
+        if (!order || order.campus_id !== req.campusId) {
             return next(new ApiError('Order not found', 404));
         }
 
@@ -163,6 +170,11 @@ exports.updateOrderStatus = async (req, res, next) => {
             return next(new ApiError('Failed to update order status', 500));
         }
 
+        await auditService.record(
+            req, auditService.AUDIT_ACTIONS.ORDER_STATUS_UPDATE, { type: 'order', id: orderId },
+            { status: order.status }, { status }
+        );
+
         // For completed orders, update seller's sales count
         if (status === 'completed' && order.status !== 'completed') {
             // Extract unique seller IDs from order items
@@ -244,10 +256,10 @@ exports.getAllOrders = async (req, res, next) => {
         const offset = (page - 1) * limit;
 
         // Get orders
-        const orders = await Order.getAll(status, limit, offset);
+        const orders = await Order.getAll(req.campusId, status, limit, offset);
 
         // Get total count
-        const total = await Order.count(status);
+        const total = await Order.count(req.campusId, status);
 
         // Calculate total pages
         const totalPages = Math.ceil(total / limit);
@@ -273,11 +285,11 @@ exports.getAllOrders = async (req, res, next) => {
 exports.getOrderStats = async (req, res, next) => {
     try {
         // Get stats
-        const stats = await Order.getStats();
+        const stats = await Order.getStats(req.campusId);
 
         // Get monthly sales data
         const year = parseInt(req.query.year) || new Date().getFullYear();
-        const monthlySales = await Order.getMonthlySales(year);
+        const monthlySales = await Order.getMonthlySales(req.campusId, year);
 
         res.status(200).json({
             success: true,
@@ -1,10 +1,84 @@
 // controllers/productController.js
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const CategoryAttribute = require('../models/CategoryAttribute');
+const Course = require('../models/Course');
+const Auction = require('../models/Auction');
 const Setting = require('../models/Setting');
+const Watchlist = require('../models/Watchlist');
+const PriceHistory = require('../models/PriceHistory');
 const { pool } = require('../config/database'); // Added this missing import
-const { uploadImage, deleteFile } = require('../config/multer');
+const { uploadImage, uploadImport } = require('../config/multer');
 const { ApiError } = require('../middleware/errorHandler');
+const { isCampusAdmin } = require('../config/permissions');
+const { UNPUBLISHED_STATUSES } = require('../config/listings');
+const auditService = require('../services/auditService');
+const searchService = require('../services/searchService');
+const savedSearchService = require('../services/savedSearchService');
+const watchlistService = require('../services/watchlistService');
+const listingScheduleService = require('../services/listingScheduleService');
+const bulkListingService = require('../services/bulkListingService');
+const imageService = require('../services/imageService');
+const attributeService = require('../services/attributeService');
+const courseService = require('../services/courseService');
+const auctionService = require('../services/auctionService');
+const campusService = require('../services/campusService');
+
+// Statuses an admin or moderator can set directly
+const MODERATION_STATUSES = ['active', 'pending', 'sold', 'rejected', 'expired'];
+
+/**
+ * Parse an optional publish time for a scheduled listing
+ * @param {string} value - Date and time from the request body
+ * @returns {Object} - The publish time (null to publish now) or an error message
+ */
+const parsePublishAt = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { publishAt: null };
+    }
+
+    const publishAt = new Date(value);
+    if (isNaN(publishAt.getTime())) {
+        return { error: 'Invalid publish time' };
+    }
+
+    if (publishAt <= new Date()) {
+        return { error: 'Publish time must be in the future' };
+    }
+
+    return { publishAt };
+};
+
+/**
+ * Add the URL of every size to product images
+ * @param {Array} images - Product image rows
+ * @returns {Array} - Images with their sizes
+ */
+const withImageSizes = (images) => images.map(image => ({
+    ...image,
+    sizes: imageService.getImageSizes(image.image_url)
+}));
+
+/**
+ * Find what a draft still needs before it can be published
+ * @param {Object} product - Product fields
+ * @returns {string|null} - Error message, null if the listing is complete
+ */
+const getIncompleteReason = (product) => {
+    if (!product.name || !String(product.name).trim()) {
+        return 'Please provide a name for the listing';
+    }
+
+    if (!product.description || !String(product.description).trim()) {
+        return 'Please provide a description before publishing';
+    }
+
+    if (!(parseFloat(product.price) > 0)) {
+        return 'Please provide a price before publishing';
+    }
+
+    return null;
+};
 
 /**
  * @desc    Get all products with filtering
@@ -21,29 +95,81 @@ exports.getProducts = async (req, res, next) => {
             maxPrice = '',
             seller = '',
             condition = '',
+            location = '',
             sort = 'newest',
             page = 1,
-            limit = 10
+            limit = 10,
+            allCampuses = '',
+            facets = '',
+            course = ''
         } = req.query;
 
+        // Listings of other campuses are only shown when this campus allows cross-campus browsing
+        const browseAll = allCampuses === 'true' && await Setting.isCrossCampusBrowseAllowed(req.campusId);
+
+        // Attribute filters are sent as attr[Name]=value, and checked against the category's attributes
+        // when one is selected so "128 GB" finds listings stored as "128"
+        const attributeFilters = Object.entries(req.query)
+            .map(([key, value]) => [key.match(/^attr\[(.+)\]$/)?.[1], value])
+            .filter(([name, value]) => name && typeof value === 'string' && value.trim());
+
+        const attributes = {};
+        if (attributeFilters.length > 0) {
+            const categoryAttributes = category ? await CategoryAttribute.getForCategory(category) : [];
+
+            for (const [name, value] of attributeFilters) {
+                const attribute = categoryAttributes.find(item => item.name.toLowerCase() === name.toLowerCase());
+                const { value: normalized, error } = attributeService.normalizeValue(
+                    attribute || { name, type: 'text' },
+                    value
+                );
+
+                if (error) {
+                    return next(new ApiError(error, 400));
+                }
+                attributes[attribute ? attribute.name : name] = normalized;
+            }
+        }
+
+        // Books for a course ("CSE 3330") are looked up in this campus's catalog
+        let courseRow = null;
+        if (course) {
+            const code = courseService.parseCourseCode(course);
+            if (!code) {
+                return next(new ApiError(`"${course}" is not a course code like CSE 3330`, 400));
+            }
+
+            [courseRow] = await Course.findByCodes(req.campusId, [code]);
+            if (!courseRow) {
+                return next(new ApiError(`${courseService.formatCourseCode(code)} is not in the course catalog`, 404));
+            }
+        }
+
         // Set up options
         const options = {
+            campusId: browseAll ? null : req.campusId,
             searchTerm: search,
             categoryId: category || null,
             minPrice: minPrice ? parseFloat(minPrice) : null,
             maxPrice: maxPrice ? parseFloat(maxPrice) : null,
             sellerId: seller || null,
             condition: condition || null,
+            location: location || null,
             sortBy: sort,
             limit: parseInt(limit),
-            offset: (parseInt(page) - 1) * parseInt(limit)
+            offset: (parseInt(page) - 1) * parseInt(limit),
+            attributes,
+            courseId: courseRow ? courseRow.id : null,
+            includeFacets: facets === 'true'
         };
 
-        // Get products
-        const products = await Product.search(options);
-
-        // Get total count for pagination
-        const total = await Product.count(options);
+        // Get products, total count for pagination and facet counts when requested
+        const {
+            products,
+            total,
+            correctedSearch,
+            facets: facetCounts
+        } = await searchService.searchProducts(options);
 
         // Calculate total pages
         const totalPages = Math.ceil(total / parseInt(limit));
@@ -54,7 +180,10 @@ exports.getProducts = async (req, res, next) => {
             totalProducts: total,
             totalPages,
             currentPage: parseInt(page),
-            products
+            correctedSearch,
+            ...(facetCounts && { facets: facetCounts }),
+            ...(courseRow && { course: courseService.formatCourse(courseRow) }),
+            products: imageService.withMainImageSizes(products)
         });
     } catch (error) {
         console.error('Error in getProducts:', error);
@@ -74,14 +203,19 @@ exports.getProductById = async (req, res, next) => {
         // Get product details
         const product = await Product.findById(productId);
 
-        if (!product) {
+        // Drafts are only shown to their seller through the drafts endpoints
+        if (!product || UNPUBLISHED_STATUSES.includes(product.status)) {
+            return next(new ApiError('Product not found', 404));
+        }
+
+        if (!(await campusService.canViewListing(product, req.campusId))) {
             return next(new ApiError('Product not found', 404));
         }
 
         // Get product images
         let images = [];
         try {
-            images = await Product.getImages(productId);
+            images = withImageSizes(await Product.getImages(productId));
         } catch (imageError) {
             console.error('Error fetching product images:', imageError);
             // Continue without images if there's an error
@@ -96,6 +230,9 @@ exports.getProductById = async (req, res, next) => {
             // Continue without specifications if there's an error
         }
 
+        // Get the courses the listing is used for
+        const courses = (await Course.getForProduct(productId)).map(courseService.formatCourse);
+
         // Get related products
         let relatedProducts = [];
         try {
@@ -105,13 +242,24 @@ exports.getProductById = async (req, res, next) => {
             // Continue without related products if there's an error
         }
 
+        // Get number of watchers
+        const watcherCount = await Watchlist.countWatchers(productId);
+
+        // Auctions come with where the bidding stands
+        const auction = product.listing_type === 'auction'
+            ? auctionService.formatAuction(await Auction.findByProductId(productId))
+            : null;
+
         res.status(200).json({
             success: true,
             product: {
                 ...product,
                 images,
                 specifications,
-                relatedProducts
+                courses,
+                relatedProducts,
+                watcherCount,
+                auction
             }
         });
     } catch (error) {
@@ -120,6 +268,35 @@ exports.getProductById = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Get the price history of a product
+ * @route   GET /api/products/:id/price-history
+ * @access  Public
+ */
+exports.getProductPriceHistory = async (req, res, next) => {
+    try {
+        const product = await Product.findById(req.params.id, false);
+
+        if (!product || UNPUBLISHED_STATUSES.includes(product.status)) {
+            return next(new ApiError('Product not found', 404));
+        }
+
+        if (!(await campusService.canViewListing(product, req.campusId))) {
+            return next(new ApiError('Product not found', 404));
+        }
+
+        const history = await PriceHistory.getByProduct(product.id);
+
+        res.status(200).json({
+            success: true,
+            count: history.length,
+            history
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Create a new product
  * @route   POST /api/products
@@ -128,7 +305,7 @@ exports.getProductById = async (req, res, next) => {
 exports.createProduct = async (req, res, next) => {
     try {
         // Check if admin approval required for listings
-        const adminApprovalRequired = await Setting.isAdminApprovalRequired();
+        const adminApprovalRequired = await Setting.isAdminApprovalRequired(req.campusId);
 
         // Process product data
         const {
@@ -138,47 +315,132 @@ exports.createProduct = async (req, res, next) => {
             categoryId,
             itemCondition,
             location,
-            specifications = []
+            specifications = [],
+            courses = [],
+            draft = false,
+            listingType = 'fixed'
         } = req.body;
 
-        // Verify category exists
-        const category = await Category.findById(categoryId);
+        const isDraft = draft === true || draft === 'true';
+
+        if (!['fixed', 'auction'].includes(listingType)) {
+            return next(new ApiError('Listing type must be fixed or auction', 400));
+        }
+
+        // Auctions start when they're published, so they can't wait as drafts or scheduled listings,
+        // and their price starts at the starting price
+        let auction = null;
+        if (listingType === 'auction') {
+            if (isDraft || req.body.publishAt) {
+                return next(new ApiError('Auctions cannot be saved as drafts or scheduled', 400));
+            }
+
+            const parsed = auctionService.parseAuctionSettings(req.body);
+            if (parsed.error) {
+                return next(new ApiError(parsed.error, 400));
+            }
+            auction = parsed.auction;
+        }
+        const listingPrice = auction ? auction.startingPrice : price;
+
+        // Drafts may be saved half-filled, anything published must be complete
+        if (!isDraft) {
+            const incompleteReason = getIncompleteReason({ name, description, price: listingPrice });
+            if (incompleteReason) {
+                return next(new ApiError(incompleteReason, 400));
+            }
+        } else if (!name || !String(name).trim()) {
+            return next(new ApiError('Please provide a name for the draft', 400));
+        }
+
+        const { publishAt, error: publishAtError } = parsePublishAt(req.body.publishAt);
+        if (publishAtError) {
+            return next(new ApiError(publishAtError, 400));
+        }
+
+        // Verify category exists on the seller's campus
+        const category = await Category.findById(categoryId, req.campusId);
         if (!category) {
             return next(new ApiError('Invalid category', 400));
         }
 
-        // Set initial status (pending if admin approval required)
-        const initialStatus = adminApprovalRequired ? 'pending' : 'active';
+        // Set initial status (drafts wait for the seller, scheduled listings for their publish time
+        // and the rest are pending if admin approval required)
+        let initialStatus = adminApprovalRequired ? 'pending' : 'active';
+        if (isDraft) {
+            initialStatus = 'draft';
+        } else if (publishAt) {
+            initialStatus = 'scheduled';
+        }
 
         // Create product
         const productData = {
             name,
-            description,
-            price,
+            description: description || '',
+            price: listingPrice || 0,
             sellerId: req.user.id,
             categoryId,
+            campusId: req.campusId,
             itemCondition,
             location,
-            status: initialStatus
+            status: initialStatus,
+            publishAt,
+            listingType
         };
 
         // For now, assume no images until we process them
         const images = [];
 
-        // Parse specifications
+        // Parse specifications and check them against the category's attributes (drafts may leave
+        // required ones out until they're published)
         const parsedSpecs = specifications.length > 0
             ? JSON.parse(specifications)
             : [];
 
-        // Create product
-        const productId = await Product.create(productData, images, parsedSpecs);
+        const { specifications: checkedSpecs, errors: specErrors } = await attributeService.validateSpecifications(
+            categoryId,
+            parsedSpecs,
+            !isDraft
+        );
+        if (specErrors.length > 0) {
+            return next(new ApiError(`Invalid specifications: ${specErrors.join(', ')}`, 400, specErrors));
+        }
+
+        // Course codes must be in the campus's catalog
+        const { courseIds, error: courseError } = await courseService.resolveCourseCodes(req.campusId, courses);
+        if (courseError) {
+            return next(new ApiError(courseError, 400));
+        }
+
+        // Create product and its auction in one transaction (the auction's clock starts once the listing is active)
+        const productId = await Product.create(
+            productData,
+            images,
+            checkedSpecs,
+            auction && { ...auction, started: initialStatus === 'active' }
+        );
+        if (courseIds.length > 0) {
+            await Course.setForProduct(productId, courseIds);
+        }
+        await searchService.indexProduct(productId);
+
+        // Listings published straight away alert matching saved searches
+        if (initialStatus === 'active') {
+            savedSearchService.notifyNewListing(productId, req.app.get('io'));
+        }
+
+        const messages = {
+            draft: 'Draft saved',
+            scheduled: 'Product scheduled for publishing',
+            pending: 'Product created and pending admin approval',
+            active: 'Product created successfully'
+        };
 
         res.status(201).json({
             success: true,
-            message: adminApprovalRequired
-                ? 'Product created and pending admin approval'
-                : 'Product created successfully',
-            productId
+            message: messages[initialStatus],
+            productId,
+            status: initialStatus
         });
     } catch (error) {
         console.error('Error in createProduct:', error);
@@ -186,6 +448,72 @@ exports.createProduct = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Import listings in bulk from a CSV or XLSX sheet with a ZIP of images
+ * @route   POST /api/products/import
+ * @access  Private
+ */
+exports.importProducts = async (req, res, next) => {
+    // Handle the sheet and image ZIP uploads
+    uploadImport.fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }])(req, res, async (err) => {
+        try {
+            if (err) {
+                return next(new ApiError(err.message, 400));
+            }
+
+            const sheet = req.files?.file?.[0];
+            if (!sheet) {
+                return next(new ApiError('Please upload a CSV or XLSX file', 400));
+            }
+
+            const asDrafts = req.body.draft === 'true';
+            const dryRun = req.body.dryRun === 'true';
+
+            let result;
+            try {
+                result = await bulkListingService.validateImport(sheet, req.files.images?.[0], req.campusId, asDrafts);
+            } catch (parseError) {
+                console.error('Error reading import files:', parseError);
+                return next(new ApiError('Could not read the uploaded files', 400));
+            }
+
+            // Nothing is imported until every row is valid, so the fixed sheet can be uploaded again as is
+            if (result.errors.length > 0) {
+                return next(new ApiError(
+                    `${result.errors.length} row(s) have errors, nothing was imported`,
+                    400,
+                    result.errors
+                ));
+            }
+
+            if (dryRun) {
+                return res.status(200).json({
+                    success: true,
+                    message: `${result.listings.length} listing(s) ready to import`,
+                    count: result.listings.length
+                });
+            }
+
+            const created = await bulkListingService.importListings(
+                result.listings,
+                { sellerId: req.user.id, campusId: req.campusId },
+                asDrafts,
+                req.app.get('io')
+            );
+
+            res.status(201).json({
+                success: true,
+                message: `Imported ${created.length} listing(s)`,
+                count: created.length,
+                listings: created
+            });
+        } catch (error) {
+            console.error('Error in importProducts:', error);
+            next(error);
+        }
+    });
+};
+
 /**
  * @desc    Upload product images
  * @route   POST /api/products/:id/images
@@ -202,46 +530,65 @@ exports.uploadProductImages = async (req, res, next) => {
         }
 
         // Check if current user is the seller
-        if (product.seller_id !== req.user.id && req.user.role !== 'admin') {
+        if (product.seller_id !== req.user.id && !isCampusAdmin(req.user, product.campus_id)) {
             return next(new ApiError('Not authorized to upload images for this product', 403));
         }
 
         // Handle multiple file uploads
         uploadImage.array('images', 5)(req, res, async (err) => {
-            if (err) {
-                return next(new ApiError(err.message, 400));
-            }
-
-            if (!req.files || req.files.length === 0) {
-                return next(new ApiError('Please upload at least one image', 400));
-            }
-
-            // Get existing images
-            const existingImages = await Product.getImages(productId);
-            const isMainImage = existingImages.length === 0;
-
-            // Store uploaded images
-            const uploadedImages = [];
-
-            for (const file of req.files) {
-                const imagePath = `/uploads/${file.filename}`;
-                const imageId = await Product.addImage(
-                    productId,
-                    imagePath,
-                    isMainImage && uploadedImages.length === 0
-                );
-
-                uploadedImages.push({
-                    id: imageId,
-                    url: imagePath
+            try {
+                if (err) {
+                    return next(new ApiError(err.message, 400));
+                }
+
+                if (!req.files || req.files.length === 0) {
+                    return next(new ApiError('Please upload at least one image', 400));
+                }
+
+                // Strip metadata and store every size, rejecting the upload if any image is unreadable
+                const imagePaths = [];
+
+                for (const file of req.files) {
+                    const imagePath = await imageService.processImage(file.buffer, 'images');
+
+                    if (!imagePath) {
+                        imagePaths.forEach(imageService.deleteImage);
+                        return next(new ApiError(`${file.originalname} is not a readable image`, 400));
+                    }
+
+                    imagePaths.push(imagePath);
+                }
+
+                // Get existing images
+                const existingImages = await Product.getImages(productId);
+                const isMainImage = existingImages.length === 0;
+
+                // Store uploaded images
+                const uploadedImages = [];
+
+                for (const imagePath of imagePaths) {
+                    const imageId = await Product.addImage(
+                        productId,
+                        imagePath,
+                        isMainImage && uploadedImages.length === 0
+                    );
+
+                    uploadedImages.push({
+                        id: imageId,
+                        url: imagePath,
+                        sizes: imageService.getImageSizes(imagePath)
+                    });
+                }
+
+                res.status(200).json({
+                    success: true,
+                    message: 'Images uploaded successfully',
+                    images: uploadedImages
                 });
+            } catch (error) {
+                console.error('Error in uploadProductImages:', error);
+                next(error);
             }
-
-            res.status(200).json({
-                success: true,
-                message: 'Images uploaded successfully',
-                images: uploadedImages
-            });
         });
     } catch (error) {
         console.error('Error in uploadProductImages:', error);
@@ -265,7 +612,7 @@ exports.updateProduct = async (req, res, next) => {
         }
 
         // Check if current user is the seller
-        if (product.seller_id !== req.user.id && req.user.role !== 'admin') {
+        if (product.seller_id !== req.user.id && !isCampusAdmin(req.user, product.campus_id)) {
             return next(new ApiError('Not authorized to update this product', 403));
         }
 
@@ -277,45 +624,75 @@ exports.updateProduct = async (req, res, next) => {
             categoryId,
             itemCondition,
             location,
-            status
+            status,
+            courses
         } = req.body;
 
         // Only admin can change status directly
-        const updatedStatus = req.user.role === 'admin' ? status : undefined;
+        const updatedStatus = isCampusAdmin(req.user, product.campus_id) ? status : undefined;
+        if (updatedStatus !== undefined && !MODERATION_STATUSES.includes(updatedStatus)) {
+            return next(new ApiError('Invalid status', 400));
+        }
+
+        // The price of an auction follows its bids
+        const updatedPrice = product.listing_type === 'auction' ? undefined : price;
 
         // If changing category, verify it exists
         if (categoryId && categoryId !== product.category_id) {
-            const category = await Category.findById(categoryId);
+            const category = await Category.findById(categoryId, product.campus_id);
             if (!category) {
                 return next(new ApiError('Invalid category', 400));
             }
         }
 
-        console.log("Data to update:", {
-            name,
-            description,
-            price,
-            categoryId,
-            itemCondition,
-            location,
-            status: updatedStatus
-        });
+        // Courses are only replaced when sent
+        let courseIds = null;
+        if (courses !== undefined) {
+            const resolved = await courseService.resolveCourseCodes(product.campus_id, courses);
+            if (resolved.error) {
+                return next(new ApiError(resolved.error, 400));
+            }
+            courseIds = resolved.courseIds;
+        }
 
         // Update product
         const updated = await Product.update(productId, {
             name,
             description,
-            price,
+            price: updatedPrice,
             categoryId,
             itemCondition,
-            location,
-            status: updatedStatus
+            location
         });
 
         if (!updated) {
             return next(new ApiError('Failed to update product', 500));
         }
 
+        // Status changes go through the same path as moderation (listing period, auction clock)
+        if (updatedStatus !== undefined && updatedStatus !== product.status) {
+            await listingScheduleService.setListingStatus(product, updatedStatus);
+            await auditService.record(
+                req, auditService.AUDIT_ACTIONS.PRODUCT_STATUS_UPDATE, { type: 'product', id: productId },
+                { status: product.status }, { status: updatedStatus }
+            );
+        }
+
+        if (courseIds) {
+            await Course.setForProduct(productId, courseIds);
+        }
+
+        await searchService.indexProduct(productId);
+
+        // Tell watchers about a lower price without holding up the response
+        if (updatedPrice !== undefined && parseFloat(updatedPrice) < parseFloat(product.price)) {
+            watchlistService.notifyPriceDrop(
+                { ...product, name: name || product.name, price: parseFloat(updatedPrice) },
+                product.price,
+                req.app.get('io')
+            );
+        }
+
         res.status(200).json({
             success: true,
             message: 'Product updated successfully'
@@ -326,6 +703,158 @@ exports.updateProduct = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Get the current user's drafts and scheduled listings
+ * @route   GET /api/products/drafts
+ * @access  Private
+ */
+exports.getDrafts = async (req, res, next) => {
+    try {
+        const drafts = await Product.getDrafts(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            count: drafts.length,
+            drafts: imageService.withMainImageSizes(drafts)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get one of the current user's drafts with its images and specifications
+ * @route   GET /api/products/drafts/:id
+ * @access  Private
+ */
+exports.getDraft = async (req, res, next) => {
+    try {
+        const product = await Product.findById(req.params.id, false);
+
+        if (!product || product.seller_id !== req.user.id || !UNPUBLISHED_STATUSES.includes(product.status)) {
+            return next(new ApiError('Draft not found', 404));
+        }
+
+        const images = withImageSizes(await Product.getImages(product.id));
+        const specifications = await Product.getSpecifications(product.id);
+        const courses = (await Course.getForProduct(product.id)).map(courseService.formatCourse);
+
+        res.status(200).json({
+            success: true,
+            product: {
+                ...product,
+                images,
+                specifications,
+                courses
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Publish a draft now or schedule it for later
+ * @route   POST /api/products/:id/publish
+ * @access  Private
+ */
+exports.publishProduct = async (req, res, next) => {
+    try {
+        const productId = req.params.id;
+
+        const product = await Product.findById(productId, false);
+
+        if (!product) {
+            return next(new ApiError('Product not found', 404));
+        }
+
+        if (!UNPUBLISHED_STATUSES.includes(product.status)) {
+            return next(new ApiError('Only drafts and scheduled listings can be published', 400));
+        }
+
+        const incompleteReason = getIncompleteReason(product);
+        if (incompleteReason) {
+            return next(new ApiError(incompleteReason, 400));
+        }
+
+        // Required attributes of the category may have been left out while it was a draft
+        const { errors: specErrors } = await attributeService.validateSpecifications(
+            product.category_id,
+            await Product.getSpecifications(productId),
+            true
+        );
+        if (specErrors.length > 0) {
+            return next(new ApiError(`Invalid specifications: ${specErrors.join(', ')}`, 400, specErrors));
+        }
+
+        const { publishAt, error } = parsePublishAt(req.body.publishAt);
+        if (error) {
+            return next(new ApiError(error, 400));
+        }
+
+        if (publishAt) {
+            await Product.schedule(productId, publishAt);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Product scheduled for publishing',
+                status: 'scheduled'
+            });
+        }
+
+        const status = await listingScheduleService.publishListing(productId, product.campus_id, req.app.get('io'));
+
+        res.status(200).json({
+            success: true,
+            message: status === 'pending'
+                ? 'Product published and pending admin approval'
+                : 'Product published successfully',
+            status
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Renew an active or expired listing for a new listing period
+ * @route   PUT /api/products/:id/renew
+ * @access  Private
+ */
+exports.renewProduct = async (req, res, next) => {
+    try {
+        const productId = req.params.id;
+
+        const product = await Product.findById(productId, false);
+
+        if (!product) {
+            return next(new ApiError('Product not found', 404));
+        }
+
+        if (!['active', 'expired'].includes(product.status)) {
+            return next(new ApiError('Only active or expired listings can be renewed', 400));
+        }
+
+        if (product.listing_type === 'auction') {
+            return next(new ApiError('Auctions cannot be renewed, list the item again', 400));
+        }
+
+        await Product.renew(productId);
+
+        // Searches saved while the listing was expired may match it now
+        if (product.status === 'expired') {
+            savedSearchService.notifyNewListing(productId, req.app.get('io'));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Listing renewed'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Delete product
  * @route   DELETE /api/products/:id
@@ -342,7 +871,7 @@ exports.deleteProduct = async (req, res, next) => {
         }
 
         // Check if current user is the seller
-        if (product.seller_id !== req.user.id && req.user.role !== 'admin') {
+        if (product.seller_id !== req.user.id && !isCampusAdmin(req.user, product.campus_id)) {
             return next(new ApiError('Not authorized to delete this product', 403));
         }
 
@@ -359,7 +888,7 @@ exports.deleteProduct = async (req, res, next) => {
         // Delete image files
         images.forEach(image => {
             if (image.image_url.startsWith('/uploads/')) {
-                deleteFile(image.image_url);
+                imageService.deleteImage(image.image_url);
             }
         });
 
@@ -374,9 +903,9 @@ exports.deleteProduct = async (req, res, next) => {
 };
 
 /**
- * @desc    Update product status (admin only)
+ * @desc    Update product status (admin and moderators)
  * @route   PUT /api/products/:id/status
- * @access  Private (Admin only)
+ * @access  Private (Moderator)
  */
 exports.updateProductStatus = async (req, res, next) => {
     try {
@@ -384,23 +913,28 @@ exports.updateProductStatus = async (req, res, next) => {
         const { status } = req.body;
 
         // Validate status
-        if (!['active', 'pending', 'sold', 'rejected'].includes(status)) {
+        if (!MODERATION_STATUSES.includes(status)) {
             return next(new ApiError('Invalid status', 400));
         }
 
-        // Check if product exists
+        // Check if product exists on the moderator's campus
         const product = await Product.findById(productId);
-        if (!product) {
+        if (!product || product.campus_id !== req.campusId) {
             return next(new ApiError('Product not found', 404));
         }
 
-        // Update status
-        const updated = await Product.updateStatus(productId, status);
+        // Update status (auctions waiting for approval start running now)
+        const updated = await listingScheduleService.setListingStatus(product, status);
 
         if (!updated) {
             return next(new ApiError('Failed to update product status', 500));
         }
 
+        await auditService.record(
+            req, auditService.AUDIT_ACTIONS.PRODUCT_STATUS_UPDATE, { type: 'product', id: productId },
+            { status: product.status }, { status }
+        );
+
         res.status(200).json({
             success: true,
             message: `Product status updated to ${status}`
@@ -423,12 +957,12 @@ exports.getFeaturedProducts = async (req, res, next) => {
         if (isNaN(limit) || limit < 1) {
             return res.status(400).json({ error: 'Invalid limit value' });
         }
-        const products = await Product.getFeatured(limit);
+        const products = await Product.getFeatured(req.campusId, limit);
 
         res.status(200).json({
             success: true,
             count: products.length,
-            products
+            products: imageService.withMainImageSizes(products, 'image')
         });
     } catch (error) {
         console.error('Error in getFeaturedProducts:', error);
@@ -446,12 +980,12 @@ exports.getRecentProducts = async (req, res, next) => {
         const limit = parseInt(req.query.limit) || 8;
 
         // Get recent products
-        const products = await Product.getRecent(limit);
+        const products = await Product.getRecent(req.campusId, limit);
 
         res.status(200).json({
             success: true,
             count: products.length,
-            products
+            products: imageService.withMainImageSizes(products, 'image')
         });
     } catch (error) {
         console.error('Error in getRecentProducts:', error);
@@ -475,7 +1009,7 @@ exports.removeProductImage = async (req, res, next) => {
         }
 
         // Check if current user is the seller
-        if (product.seller_id !== req.user.id && req.user.role !== 'admin') {
+        if (product.seller_id !== req.user.id && !isCampusAdmin(req.user, product.campus_id)) {
             return next(new ApiError('Not authorized to remove images from this product', 403));
         }
 
@@ -500,7 +1034,7 @@ exports.removeProductImage = async (req, res, next) => {
 
         // Delete file
         if (image.image_url.startsWith('/uploads/')) {
-            deleteFile(image.image_url);
+            imageService.deleteImage(image.image_url);
         }
 
         res.status(200).json({
@@ -529,7 +1063,7 @@ exports.setMainProductImage = async (req, res, next) => {
         }
 
         // Check if current user is the seller
-        if (product.seller_id !== req.user.id && req.user.role !== 'admin') {
+        if (product.seller_id !== req.user.id && !isCampusAdmin(req.user, product.campus_id)) {
             return next(new ApiError('Not authorized to modify this product', 403));
         }
 
@@ -582,12 +1116,30 @@ exports.addProductSpecification = async (req, res, next) => {
         }
 
         // Check if current user is the seller
-        if (product.seller_id !== req.user.id && req.user.role !== 'admin') {
+        if (product.seller_id !== req.user.id && !isCampusAdmin(req.user, product.campus_id)) {
             return next(new ApiError('Not authorized to modify this product', 403));
         }
 
+        // Check it against the category's attributes
+        const { specifications: checkedSpecs, errors } = await attributeService.validateSpecifications(
+            product.category_id,
+            [{ name, value }]
+        );
+        if (errors.length > 0) {
+            return next(new ApiError(errors.join(', '), 400, errors));
+        }
+
+        const [spec] = checkedSpecs;
+
+        // Each name only once per product (update the existing one instead)
+        const specifications = await Product.getSpecifications(productId);
+        if (specifications.some(item => item.name.toLowerCase() === spec.name.toLowerCase())) {
+            return next(new ApiError(`${spec.name} is already specified`, 400));
+        }
+
         // Add specification
-        const specId = await Product.addSpecification(productId, name, value);
+        const specId = await Product.addSpecification(productId, spec.name, spec.value);
+        await searchService.indexProduct(productId);
 
         res.status(201).json({
             success: true,
@@ -617,7 +1169,7 @@ exports.updateProductSpecification = async (req, res, next) => {
         }
 
         // Check if current user is the seller
-        if (product.seller_id !== req.user.id && req.user.role !== 'admin') {
+        if (product.seller_id !== req.user.id && !isCampusAdmin(req.user, product.campus_id)) {
             return next(new ApiError('Not authorized to modify this product', 403));
         }
 
@@ -631,13 +1183,24 @@ exports.updateProductSpecification = async (req, res, next) => {
             return next(new ApiError('Specification not found', 404));
         }
 
+        // Check the new value against the category's attribute of the same name
+        const { specifications: checkedSpecs, errors } = await attributeService.validateSpecifications(
+            product.category_id,
+            [{ name: specRows[0].name, value }]
+        );
+        if (errors.length > 0) {
+            return next(new ApiError(errors.join(', '), 400, errors));
+        }
+
         // Update specification
-        const updated = await Product.updateSpecification(specId, value);
+        const updated = await Product.updateSpecification(specId, checkedSpecs[0].value);
 
         if (!updated) {
             return next(new ApiError('Failed to update specification', 500));
         }
 
+        await searchService.indexProduct(productId);
+
         res.status(200).json({
             success: true,
             message: 'Specification updated successfully'
@@ -664,7 +1227,7 @@ exports.removeProductSpecification = async (req, res, next) => {
         }
 
         // Check if current user is the seller
-        if (product.seller_id !== req.user.id && req.user.role !== 'admin') {
+        if (product.seller_id !== req.user.id && !isCampusAdmin(req.user, product.campus_id)) {
             return next(new ApiError('Not authorized to modify this product', 403));
         }
 
@@ -685,6 +1248,8 @@ exports.removeProductSpecification = async (req, res, next) => {
             return next(new ApiError('Failed to remove specification', 500));
         }
 
+        await searchService.indexProduct(productId);
+
         res.status(200).json({
             success: true,
             message: 'Specification removed successfully'
@@ -3,6 +3,7 @@ const Report = require('../models/Report');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const { ApiError } = require('../middleware/errorHandler');
+const auditService = require('../services/auditService');
 
 /**
  * @desc    Create a new report
@@ -76,9 +77,9 @@ exports.createReport = async (req, res, next) => {
 };
 
 /**
- * @desc    Get all reports (admin only)
+ * @desc    Get all reports (admin and moderators)
  * @route   GET /api/reports
- * @access  Private (Admin)
+ * @access  Private (Moderator)
  */
 exports.getReports = async (req, res, next) => {
     try {
@@ -89,10 +90,10 @@ exports.getReports = async (req, res, next) => {
         const offset = (page - 1) * limit;
 
         // Get reports
-        const reports = await Report.getAll(status, type, limit, offset);
+        const reports = await Report.getAll(req.campusId, status, type, limit, offset);
 
         // Get total count
-        const total = await Report.count(status, type);
+        const total = await Report.count(req.campusId, status, type);
 
         // Calculate total pages
         const totalPages = Math.ceil(total / limit);
@@ -111,9 +112,9 @@ exports.getReports = async (req, res, next) => {
 };
 
 /**
- * @desc    Get report by ID (admin only)
+ * @desc    Get report by ID (admin and moderators)
  * @route   GET /api/reports/:id
- * @access  Private (Admin)
+ * @access  Private (Moderator)
  */
 exports.getReportById = async (req, res, next) => {
     try {
@@ -122,7 +123,8 @@ exports.getReportById = async (req, res, next) => {
         // Get report
         const report = await Report.findById(reportId);
 
-        if (!report) {
+        // Staff only see reports filed on their own campus
+        if (!report || report.campus_id !== req.campusId) {
             return next(new ApiError('Report not found', 404));
         }
 
@@ -136,9 +138,9 @@ exports.getReportById = async (req, res, next) => {
 };
 
 /**
- * @desc    Update report status (admin only)
+ * @desc    Update report status (admin and moderators)
  * @route   PUT /api/reports/:id/status
- * @access  Private (Admin)
+ * @access  Private (Moderator)
  */
 exports.updateReportStatus = async (req, res, next) => {
     try {
@@ -153,7 +155,8 @@ exports.updateReportStatus = async (req, res, next) => {
         // Check if report exists
         const report = await Report.findById(reportId);
 
-        if (!report) {
+        // Staff only see reports filed on their own campus
+        if (!report || report.campus_id !== req.campusId) {
             return next(new ApiError('Report not found', 404));
         }
 
@@ -164,6 +167,11 @@ exports.updateReportStatus = async (req, res, next) => {
             return next(new ApiError('Failed to update report status', 500));
         }
 
+        await auditService.record(
+            req, auditService.AUDIT_ACTIONS.REPORT_STATUS_UPDATE, { type: 'report', id: reportId },
+            { status: report.status }, { status }
+        );
+
         // Take action based on status and type if needed
         if (status === 'resolved') {
             // For example, if a listing is reported and the report is resolved,
@@ -188,9 +196,9 @@ exports.updateReportStatus = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete report (admin only)
+ * @desc    Delete report (admin and moderators)
  * @route   DELETE /api/reports/:id
- * @access  Private (Admin)
+ * @access  Private (Moderator)
  */
 exports.deleteReport = async (req, res, next) => {
     try {
@@ -199,7 +207,8 @@ exports.deleteReport = async (req, res, next) => {
         // Check if report exists
         const report = await Report.findById(reportId);
 
-        if (!report) {
+        // Staff only see reports filed on their own campus
+        if (!report || report.campus_id !== req.campusId) {
             return next(new ApiError('Report not found', 404));
         }
 
@@ -210,6 +219,18 @@ exports.deleteReport = async (req, res, next) => {
             return next(new ApiError('Failed to delete report', 500));
         }
 
+        // Keep the deleted report in the audit trail
+        await auditService.record(
+            req, auditService.AUDIT_ACTIONS.REPORT_DELETE, { type: 'report', id: reportId },
+            {
+                type: report.type,
+                itemId: report.item_id,
+                reason: report.reason,
+                status: report.status,
+                reportedById: report.reported_by_id
+            }
+        );
+
         res.status(200).json({
             success: true,
             message: 'Report deleted successfully'
@@ -220,14 +241,14 @@ exports.deleteReport = async (req, res, next) => {
 };
 
 /**
- * @desc    Get report statistics (admin only)
+ * @desc    Get report statistics (admin and moderators)
  * @route   GET /api/reports/stats
- * @access  Private (Admin)
+ * @access  Private (Moderator)
  */
 exports.getReportStats = async (req, res, next) => {
     try {
         // Get stats
-        const stats = await Report.getStats();
+        const stats = await Report.getStats(req.campusId);
 
         res.status(200).json({
             success: true,
@@ -239,14 +260,14 @@ exports.getReportStats = async (req, res, next) => {
 };
 
 /**
- * @desc    Get pending reports count (admin only)
+ * @desc    Get pending reports count (admin and moderators)
  * @route   GET /api/reports/pending/count
- * @access  Private (Admin)
+ * @access  Private (Moderator)
  */
 exports.getPendingCount = async (req, res, next) => {
     try {
         // Get count
-        const count = await Report.getPendingCount();
+        const count = await Report.getPendingCount(req.campusId);
 
         res.status(200).json({
             success: true,
@@ -0,0 +1,181 @@
+// controllers/savedSearchController.js
+const SavedSearch = require('../models/SavedSearch');
+const Category = require('../models/Category');
+const { ApiError } = require('../middleware/errorHandler');
+const { ALERT_METHODS, MAX_SAVED_SEARCHES } = require('../services/savedSearchService');
+
+/**
+ * Convert a saved search row to the API shape
+ * @param {Object} search - Saved search row
+ * @returns {Object} - Saved search
+ */
+const formatSavedSearch = (search) => ({
+    id: search.id,
+    name: search.name,
+    searchTerm: search.search_term,
+    categoryId: search.category_id,
+    categoryName: search.category_name,
+    minPrice: search.min_price === null ? null : parseFloat(search.min_price),
+    maxPrice: search.max_price === null ? null : parseFloat(search.max_price),
+    condition: search.item_condition,
+    alertMethod: search.alert_method,
+    createdAt: search.created_at
+});
+
+/**
+ * Normalize and validate saved search fields (empty values clear a filter)
+ * @param {Object} body - Request body
+ * @param {number} campusId - Campus of the user (categories must belong to it)
+ * @returns {Promise<Object>} - Fields to store or an error message
+ */
+const parseSavedSearch = async (body, campusId) => {
+    const fields = {};
+    const optional = (value) => (value === '' || value === null ? null : value);
+
+    if (body.name !== undefined) {
+        fields.name = String(body.name).trim();
+        if (!fields.name || fields.name.length > 100) {
+            return { error: 'Name must be between 1 and 100 characters' };
+        }
+    }
+
+    if (body.searchTerm !== undefined) {
+        fields.searchTerm = optional(body.searchTerm && String(body.searchTerm).trim());
+    }
+
+    if (body.categoryId !== undefined) {
+        fields.categoryId = optional(body.categoryId);
+        if (fields.categoryId !== null && !(await Category.findById(fields.categoryId, campusId))) {
+            return { error: 'Invalid category' };
+        }
+    }
+
+    for (const key of ['minPrice', 'maxPrice']) {
+        if (body[key] !== undefined) {
+            fields[key] = optional(body[key]);
+            if (fields[key] !== null && !(Number(fields[key]) >= 0)) {
+                return { error: `${key} must be a positive number` };
+            }
+        }
+    }
+
+    if (body.condition !== undefined) {
+        fields.condition = optional(body.condition);
+    }
+
+    if (body.alertMethod !== undefined && !ALERT_METHODS.includes(body.alertMethod)) {
+        return { error: `Alert method must be one of: ${ALERT_METHODS.join(', ')}` };
+    }
+    fields.alertMethod = body.alertMethod;
+
+    return { fields };
+};
+
+/**
+ * @desc    Get the current user's saved searches
+ * @route   GET /api/saved-searches
+ * @access  Private
+ */
+exports.getSavedSearches = async (req, res, next) => {
+    try {
+        const searches = await SavedSearch.getByUser(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            count: searches.length,
+            savedSearches: searches.map(formatSavedSearch)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Save a search
+ * @route   POST /api/saved-searches
+ * @access  Private
+ */
+exports.createSavedSearch = async (req, res, next) => {
+    try {
+        const { fields, error } = await parseSavedSearch(req.body, req.campusId);
+        if (error) {
+            return next(new ApiError(error, 400));
+        }
+
+        if (!fields.name) {
+            return next(new ApiError('Please provide a name for the search', 400));
+        }
+
+        if (!fields.searchTerm && !fields.categoryId && fields.minPrice == null
+            && fields.maxPrice == null && !fields.condition) {
+            return next(new ApiError('Please provide at least one search filter', 400));
+        }
+
+        if (await SavedSearch.countByUser(req.user.id) >= MAX_SAVED_SEARCHES) {
+            return next(new ApiError(`You can save up to ${MAX_SAVED_SEARCHES} searches`, 400));
+        }
+
+        const savedSearchId = await SavedSearch.create({ ...fields, userId: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Search saved',
+            savedSearchId
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update a saved search
+ * @route   PUT /api/saved-searches/:id
+ * @access  Private
+ */
+exports.updateSavedSearch = async (req, res, next) => {
+    try {
+        const search = await SavedSearch.findById(req.params.id);
+
+        if (!search || search.user_id !== req.user.id) {
+            return next(new ApiError('Saved search not found', 404));
+        }
+
+        const { fields, error } = await parseSavedSearch(req.body, req.campusId);
+        if (error) {
+            return next(new ApiError(error, 400));
+        }
+
+        await SavedSearch.update(search.id, fields);
+
+        res.status(200).json({
+            success: true,
+            message: 'Saved search updated'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete a saved search
+ * @route   DELETE /api/saved-searches/:id
+ * @access  Private
+ */
+exports.deleteSavedSearch = async (req, res, next) => {
+    try {
+        const search = await SavedSearch.findById(req.params.id);
+
+        if (!search || search.user_id !== req.user.id) {
+            return next(new ApiError('Saved search not found', 404));
+        }
+
+        await SavedSearch.delete(search.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Saved search deleted'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
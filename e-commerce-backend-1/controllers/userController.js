@@ -1,7 +1,14 @@
 // controllers/userController.js
 const User = require('../models/User');
-const { uploadImage, deleteFile } = require('../config/multer');
+const { uploadImage } = require('../config/multer');
 const { ApiError } = require('../middleware/errorHandler');
+const { isCampusAdmin } = require('../config/permissions');
+const { UNPUBLISHED_STATUSES } = require('../config/listings');
+const { sendAccountDeletionEmail } = require('../services/emailService');
+const accountService = require('../services/accountService');
+const auditService = require('../services/auditService');
+const bulkListingService = require('../services/bulkListingService');
+const imageService = require('../services/imageService');
 
 /**
  * @desc    Get user profile
@@ -15,7 +22,8 @@ exports.getUserProfile = async (req, res, next) => {
         const user = await User.findById(userId);
         console.log(user);
 
-        if (!user) {
+        // Anonymized accounts no longer have a public profile
+        if (!user || user.status === 'deleted') {
             return next(new ApiError('User not found', 404));
         }
 
@@ -29,6 +37,7 @@ exports.getUserProfile = async (req, res, next) => {
                 email: user.email,
                 phone: user.phone,
                 avatar: user.avatar,
+                avatarSizes: user.avatar ? imageService.getImageSizes(user.avatar) : null,
                 streetAddress: user.street_address,
                 city: user.city,
                 state: user.state,
@@ -157,33 +166,43 @@ exports.uploadAvatar = async (req, res, next) => {
 
         // Handle file upload
         uploadImage.single('avatar')(req, res, async (err) => {
-            if (err) {
-                return next(new ApiError(err.message, 400));
-            }
+            try {
+                if (err) {
+                    return next(new ApiError(err.message, 400));
+                }
 
-            if (!req.file) {
-                return next(new ApiError('Please upload an image file', 400));
-            }
+                if (!req.file) {
+                    return next(new ApiError('Please upload an image file', 400));
+                }
 
-            // Delete old avatar if exists
-            if (user.avatar && user.avatar.startsWith('/uploads/')) {
-                deleteFile(user.avatar);
-            }
+                // Strip metadata and store every size
+                const avatarPath = await imageService.processImage(req.file.buffer, 'avatar');
+                if (!avatarPath) {
+                    return next(new ApiError('Please upload a readable image file', 400));
+                }
 
-            // Update user with new avatar
-            const avatarPath = `/uploads/${req.file.filename}`;
+                // Update user with new avatar
+                const updated = await User.update(userId, { avatar: avatarPath });
 
-            const updated = await User.update(userId, { avatar: avatarPath });
+                if (!updated) {
+                    imageService.deleteImage(avatarPath);
+                    return next(new ApiError('Failed to update avatar', 500));
+                }
 
-            if (!updated) {
-                return next(new ApiError('Failed to update avatar', 500));
-            }
+                // Delete old avatar if exists
+                if (user.avatar && user.avatar.startsWith('/uploads/')) {
+                    imageService.deleteImage(user.avatar);
+                }
 
-            res.status(200).json({
-                success: true,
-                message: 'Avatar uploaded successfully',
-                avatarUrl: avatarPath
-            });
+                res.status(200).json({
+                    success: true,
+                    message: 'Avatar uploaded successfully',
+                    avatarUrl: avatarPath,
+                    avatarSizes: imageService.getImageSizes(avatarPath)
+                });
+            } catch (error) {
+                next(error);
+            }
         });
     } catch (error) {
         next(error);
@@ -200,6 +219,11 @@ exports.getUserListings = async (req, res, next) => {
         const userId = req.params.id;
         const status = req.query.status || 'active'; // Default to active listings
 
+        // Drafts are only listed to their seller (GET /api/products/drafts)
+        if (String(status).split(',').some(value => UNPUBLISHED_STATUSES.includes(value))) {
+            return next(new ApiError('Drafts are only visible to their seller', 403));
+        }
+
         // Check if user exists
         const user = await User.findById(userId);
         if (!user) {
@@ -212,13 +236,44 @@ exports.getUserListings = async (req, res, next) => {
         res.status(200).json({
             success: true,
             count: listings.length,
-            listings
+            listings: imageService.withMainImageSizes(listings)
         });
     } catch (error) {
         next(error);
     }
 };
 
+/**
+ * @desc    Export a seller's listings as CSV or XLSX
+ * @route   GET /api/users/:id/listings/export
+ * @access  Private
+ */
+exports.exportUserListings = async (req, res, next) => {
+    try {
+        const format = req.query.format || 'csv';
+
+        if (!['csv', 'xlsx'].includes(format)) {
+            return next(new ApiError('Format must be csv or xlsx', 400));
+        }
+
+        // Every status by default, including drafts (only the seller gets here)
+        const listings = await User.getListings(req.params.id, req.query.status || null);
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (format === 'xlsx') {
+            res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.set('Content-Disposition', `attachment; filename="listings-${date}.xlsx"`);
+            return res.status(200).send(await bulkListingService.toListingsXlsx(listings));
+        }
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="listings-${date}.csv"`);
+        res.status(200).send(bulkListingService.toListingsCsv(listings));
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get user's sales history
  * @route   GET /api/users/:id/sales
@@ -253,37 +308,126 @@ exports.getUserSales = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete user
+ * @desc    Delete user (owners get a grace period, admins anonymize immediately)
  * @route   DELETE /api/users/:id
  * @access  Private
  */
 exports.deleteUser = async (req, res, next) => {
     try {
         const userId = req.params.id;
+        const { password } = req.body || {};
 
         // Check if user exists
         const user = await User.findById(userId);
-        if (!user) {
+        if (!user || user.status === 'deleted') {
             return next(new ApiError('User not found', 404));
         }
 
+        const isOwner = req.user.id.toString() === userId;
+
         // Check authorization
-        if (req.user.id.toString() !== userId && req.user.role !== 'admin') {
+        if (!isOwner && !isCampusAdmin(req.user, user.campus_id)) {
             return next(new ApiError('Not authorized to delete this user', 403));
         }
 
-        // Delete user
-        const deleted = await User.delete(userId);
+        // Admins erase other accounts right away
+        if (!isOwner) {
+            if (['admin', 'platform_admin'].includes(user.role)) {
+                return next(new ApiError('Cannot delete another admin user', 403));
+            }
+
+            const anonymized = await accountService.anonymizeUser(user);
+
+            if (!anonymized) {
+                return next(new ApiError('Failed to delete user', 500));
+            }
+
+            await auditService.record(
+                req, auditService.AUDIT_ACTIONS.USER_DELETE, { type: 'user', id: userId },
+                { email: user.email, status: user.status }, { status: 'deleted' }
+            );
+
+            const io = req.app.get('io');
+            if (io) {
+                io.in(`user-${userId}`).disconnectSockets(true);
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'User deleted successfully'
+            });
+        }
+
+        // Owners confirm with their password
+        const userWithPassword = await User.findByEmail(user.email);
+        const isMatch = await User.validatePassword(password || '', userWithPassword.password);
 
-        if (!deleted) {
-            return next(new ApiError('Failed to delete user', 500));
+        if (!isMatch) {
+            return next(new ApiError('Password is incorrect', 400));
+        }
+
+        const deletionScheduledFor = await User.scheduleDeletion(userId, accountService.DELETION_GRACE_DAYS);
+
+        try {
+            await sendAccountDeletionEmail(user, deletionScheduledFor);
+        } catch (emailError) {
+            console.error('Failed to send account deletion email:', emailError);
         }
 
         res.status(200).json({
             success: true,
-            message: 'User deleted successfully'
+            message: `Your account will be deleted in ${accountService.DELETION_GRACE_DAYS} days. You can cancel until then.`,
+            deletionScheduledFor
         });
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   DELETE /api/users/:id/deletion
+ * @access  Private
+ */
+exports.cancelDeletion = async (req, res, next) => {
+    try {
+        const cancelled = await User.cancelDeletion(req.params.id);
+
+        if (!cancelled) {
+            return next(new ApiError('No account deletion is scheduled', 400));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Account deletion cancelled'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download all personal data of a user (their messages included, so only to themselves)
+ * @route   GET /api/users/:id/export
+ * @access  Private (Owner)
+ */
+exports.exportUserData = async (req, res, next) => {
+    try {
+        if (req.user.id.toString() !== req.params.id.toString()) {
+            return next(new ApiError('You can only export your own data', 403));
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user || user.status === 'deleted') {
+            return next(new ApiError('User not found', 404));
+        }
+
+        const data = await accountService.exportData(user.id);
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.set('Content-Disposition', `attachment; filename="uta-marketplace-data-${date}.json"`);
+        res.status(200).json(data);
+    } catch (error) {
+        next(error);
+    }
+};
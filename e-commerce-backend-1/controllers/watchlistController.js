@@ -0,0 +1,103 @@
+// controllers/watchlistController.js
+const Watchlist = require('../models/Watchlist');
+const Product = require('../models/Product');
+const { ApiError } = require('../middleware/errorHandler');
+const imageService = require('../services/imageService');
+
+/**
+ * @desc    Get the current user's watchlist
+ * @route   GET /api/watchlist
+ * @access  Private
+ */
+exports.getWatchlist = async (req, res, next) => {
+    try {
+        const products = await Watchlist.getByUser(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            count: products.length,
+            products: imageService.withMainImageSizes(products)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the IDs of watched listings (to show heart toggles)
+ * @route   GET /api/watchlist/ids
+ * @access  Private
+ */
+exports.getWatchlistIds = async (req, res, next) => {
+    try {
+        const productIds = await Watchlist.getProductIds(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            productIds
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add a listing to the watchlist
+ * @route   POST /api/watchlist/:productId
+ * @access  Private
+ */
+exports.addToWatchlist = async (req, res, next) => {
+    try {
+        const { productId } = req.params;
+
+        const product = await Product.findById(productId);
+
+        if (!product) {
+            return next(new ApiError('Product not found', 404));
+        }
+
+        if (product.status !== 'active') {
+            return next(new ApiError('Only active listings can be watched', 400));
+        }
+
+        // Listings can only be bought on the buyer's own campus
+        if (product.campus_id !== req.user.campus_id) {
+            return next(new ApiError('You can only watch listings on your own campus', 403));
+        }
+
+        if (product.seller_id === req.user.id) {
+            return next(new ApiError('You cannot watch your own listing', 400));
+        }
+
+        const added = await Watchlist.add(req.user.id, product.id);
+
+        res.status(added ? 201 : 200).json({
+            success: true,
+            message: added ? 'Added to watchlist' : 'Already on your watchlist'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove a listing from the watchlist
+ * @route   DELETE /api/watchlist/:productId
+ * @access  Private
+ */
+exports.removeFromWatchlist = async (req, res, next) => {
+    try {
+        const removed = await Watchlist.remove(req.user.id, req.params.productId);
+
+        if (!removed) {
+            return next(new ApiError('Listing is not on your watchlist', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Removed from watchlist'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
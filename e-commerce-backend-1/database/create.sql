@@ -7,7 +7,26 @@ CREATE DATABASE IF NOT EXISTS commerce_one;
 USE commerce_one;
 
 -- Drop tables if they exist to ensure clean setup
+DROP TABLE IF EXISTS product_price_history;
+DROP TABLE IF EXISTS watchlist_items;
+DROP TABLE IF EXISTS course_listing_alerts;
+DROP TABLE IF EXISTS course_subscriptions;
+DROP TABLE IF EXISTS product_courses;
+DROP TABLE IF EXISTS courses;
+DROP TABLE IF EXISTS saved_search_matches;
+DROP TABLE IF EXISTS saved_searches;
+DROP TABLE IF EXISTS search_terms;
+DROP TABLE IF EXISTS product_search;
+DROP TABLE IF EXISTS audit_logs;
+DROP TABLE IF EXISTS rate_limits;
+DROP TABLE IF EXISTS password_reset_tokens;
+DROP TABLE IF EXISTS two_factor_recovery_codes;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS sessions;
 DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS offers;
+DROP TABLE IF EXISTS bids;
+DROP TABLE IF EXISTS auctions;
 DROP TABLE IF EXISTS conversation_participants;
 DROP TABLE IF EXISTS conversations;
 DROP TABLE IF EXISTS cart_items;
@@ -16,11 +35,33 @@ DROP TABLE IF EXISTS reviews;
 DROP TABLE IF EXISTS order_items;
 DROP TABLE IF EXISTS orders;
 DROP TABLE IF EXISTS product_specifications;
+DROP TABLE IF EXISTS category_attributes;
 DROP TABLE IF EXISTS product_images;
 DROP TABLE IF EXISTS products;
 DROP TABLE IF EXISTS categories;
 DROP TABLE IF EXISTS settings;
 DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS campus_domains;
+DROP TABLE IF EXISTS campuses;
+
+-- Create campuses table (one row per university on this deployment)
+CREATE TABLE campuses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    slug VARCHAR(50) NOT NULL UNIQUE, -- Sent by clients in the X-Campus header
+    name VARCHAR(100) NOT NULL,
+    primary_color VARCHAR(7) NOT NULL DEFAULT '#bf5700', -- Branding color for the UI and emails
+    logo_url VARCHAR(255),
+    address VARCHAR(255), -- Shown in email footers
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create campus_domains table (email domains allowed to register on a campus)
+CREATE TABLE campus_domains (
+    domain VARCHAR(100) PRIMARY KEY,
+    campus_id INT NOT NULL,
+    FOREIGN KEY (campus_id) REFERENCES campuses(id) ON DELETE CASCADE
+);
 
 -- Create users table
 CREATE TABLE users (
@@ -45,16 +86,32 @@ CREATE TABLE users (
     marketing_emails BOOLEAN DEFAULT FALSE,
     rating DECIMAL(3,2) DEFAULT 0.0,
     total_sales INTEGER DEFAULT 0,
-    CHECK (email LIKE '%@mavs.uta.edu'),
-    CHECK (role IN ('user', 'admin')),
-    CHECK (status IN ('active', 'inactive', 'suspended'))
+    email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+    email_verified_at TIMESTAMP NULL DEFAULT NULL,
+    two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    two_factor_secret VARCHAR(255), -- Encrypted TOTP secret
+    two_factor_last_step BIGINT NULL DEFAULT NULL, -- Time step of the last accepted code, blocks replays
+    deletion_scheduled_for DATETIME NULL DEFAULT NULL, -- Anonymized after this date unless cancelled
+    deleted_at TIMESTAMP NULL DEFAULT NULL,
+    campus_id INT NOT NULL DEFAULT 1,
+    FOREIGN KEY (campus_id) REFERENCES campuses(id),
+    CHECK (role IN ('user', 'moderator', 'admin', 'platform_admin')),
+    CHECK (status IN ('active', 'inactive', 'suspended', 'deleted'))
 );
 
 -- Create categories table
 CREATE TABLE categories (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    name VARCHAR(100) NOT NULL UNIQUE,
-    icon VARCHAR(50) -- Emoji or icon class
+    campus_id INT NOT NULL DEFAULT 1,
+    parent_id INT NULL, -- NULL for top-level categories
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(100) NOT NULL, -- URL-friendly name
+    icon VARCHAR(50), -- Emoji or icon class
+    sort_order INT NOT NULL DEFAULT 0, -- Position among its siblings, then by name
+    UNIQUE (campus_id, name),
+    UNIQUE (campus_id, slug),
+    FOREIGN KEY (campus_id) REFERENCES campuses(id),
+    FOREIGN KEY (parent_id) REFERENCES categories(id)
 );
 
 -- Create products table
@@ -72,9 +129,16 @@ CREATE TABLE products (
     updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     views INTEGER DEFAULT 0,
     interested INTEGER DEFAULT 0,
+    campus_id INT NOT NULL DEFAULT 1, -- Seller's campus, listings are scoped to it
+    listed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- When the listing last went live or was renewed, expiry counts from here
+    expiry_reminder_sent_at TIMESTAMP NULL DEFAULT NULL, -- Sellers are reminded once per listing period
+    publish_at TIMESTAMP NULL DEFAULT NULL, -- Scheduled listings go live at this time
+    listing_type VARCHAR(20) NOT NULL DEFAULT 'fixed', -- Auctions sell to the highest bidder, price follows the bids
     FOREIGN KEY (seller_id) REFERENCES users(id),
     FOREIGN KEY (category_id) REFERENCES categories(id),
-    CHECK (status IN ('active', 'pending', 'sold'))
+    FOREIGN KEY (campus_id) REFERENCES campuses(id),
+    CHECK (status IN ('draft', 'scheduled', 'active', 'pending', 'sold', 'removed', 'rejected', 'expired')),
+    CHECK (listing_type IN ('fixed', 'auction'))
 );
 
 -- Create product_images table
@@ -95,6 +159,49 @@ CREATE TABLE product_specifications (
     FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
 );
 
+-- Create category_attributes table (typed specifications offered for listings of a category and its subcategories)
+CREATE TABLE category_attributes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    category_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL, -- Stored as the specification name
+    type VARCHAR(20) NOT NULL DEFAULT 'text',
+    options TEXT NULL, -- JSON array of the allowed values of a select
+    unit VARCHAR(20) NULL, -- Shown after number inputs, e.g. GB
+    is_required BOOLEAN NOT NULL DEFAULT FALSE, -- Published listings must have it
+    sort_order INT NOT NULL DEFAULT 0,
+    UNIQUE (category_id, name),
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    CHECK (type IN ('text', 'number', 'select', 'isbn'))
+);
+
+-- Create product_price_history table (one row per price a listing has had, starting with its first)
+CREATE TABLE product_price_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    price DECIMAL(10,2) NOT NULL,
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Create product_search table (stemmed search documents, rebuilt whenever a listing changes)
+CREATE TABLE product_search (
+    product_id INT PRIMARY KEY,
+    name_terms TEXT NOT NULL,
+    body_terms TEXT NOT NULL, -- Description, specifications and category
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FULLTEXT INDEX ft_product_search_name (name_terms),
+    FULLTEXT INDEX ft_product_search_body (body_terms),
+    FULLTEXT INDEX ft_product_search_all (name_terms, body_terms)
+);
+
+-- Create search_terms table (vocabulary for typo-tolerant search, per campus, from published listings)
+CREATE TABLE search_terms (
+    campus_id INT NOT NULL,
+    term VARCHAR(64) NOT NULL,
+    PRIMARY KEY (campus_id, term),
+    FOREIGN KEY (campus_id) REFERENCES campuses(id) ON DELETE CASCADE
+);
+
 -- Create orders table
 CREATE TABLE orders (
   id VARCHAR(20) PRIMARY KEY, -- Custom format like ORD-12345
@@ -159,16 +266,69 @@ CREATE TABLE conversation_participants (
     FOREIGN KEY (user_id) REFERENCES users(id)
 );
 
+-- Create offers table (a counter-offer is a new offer proposed by the other party, the one it answers
+-- becomes 'countered'; an accepted offer is the price the buyer pays for the listing)
+CREATE TABLE offers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    buyer_id INT NOT NULL,
+    proposed_by INT NOT NULL, -- The buyer, or the seller for a counter-offer
+    conversation_id INT NULL,
+    parent_id INT NULL, -- Offer this one counters
+    amount DECIMAL(10,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    responded_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (buyer_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (proposed_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE SET NULL,
+    FOREIGN KEY (parent_id) REFERENCES offers(id) ON DELETE SET NULL,
+    CHECK (status IN ('pending', 'accepted', 'declined', 'countered', 'expired', 'cancelled'))
+);
+
+-- Create auctions table (one per auction listing)
+CREATE TABLE auctions (
+    product_id INT PRIMARY KEY,
+    starting_price DECIMAL(10,2) NOT NULL,
+    reserve_price DECIMAL(10,2) NULL DEFAULT NULL, -- Lowest winning bid, hidden from bidders
+    bid_increment DECIMAL(10,2) NOT NULL DEFAULT 1.00,
+    run_minutes INT NOT NULL, -- How long the auction runs once the listing is active
+    started_at TIMESTAMP NULL DEFAULT NULL, -- NULL while the listing waits for approval
+    ends_at TIMESTAMP NOT NULL, -- Pushed back by bids close to the end
+    extension_count INTEGER NOT NULL DEFAULT 0,
+    closed_at TIMESTAMP NULL DEFAULT NULL,
+    winner_id INT NULL,
+    order_id VARCHAR(20) NULL, -- Order created for the winner
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (winner_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+);
+
+-- Create bids table
+CREATE TABLE bids (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    bidder_id INT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES auctions(product_id) ON DELETE CASCADE,
+    FOREIGN KEY (bidder_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Create messages table
 CREATE TABLE messages (
     id INT AUTO_INCREMENT PRIMARY KEY,
     conversation_id INT NOT NULL,
     sender_id INT NOT NULL,
     text TEXT NOT NULL,
+    offer_id INT NULL, -- Offer shown as a card in the conversation
     timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     is_read BOOLEAN DEFAULT FALSE,
     FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
-    FOREIGN KEY (sender_id) REFERENCES users(id)
+    FOREIGN KEY (sender_id) REFERENCES users(id),
+    FOREIGN KEY (offer_id) REFERENCES offers(id) ON DELETE CASCADE
 );
 
 -- Create reports table
@@ -187,7 +347,8 @@ CREATE TABLE reports (
 
 -- Create settings table
 CREATE TABLE settings (
-    id INTEGER PRIMARY KEY DEFAULT 1,
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    campus_id INT NOT NULL UNIQUE, -- One settings row per campus
     platform_name VARCHAR(100) NOT NULL DEFAULT 'UTA Market Place',
     support_email VARCHAR(100) NOT NULL DEFAULT 'support@utamarketplace.edu',
     items_per_page INTEGER NOT NULL DEFAULT 20,
@@ -196,7 +357,19 @@ CREATE TABLE settings (
     require_email_verification BOOLEAN NOT NULL DEFAULT TRUE,
     require_admin_approval BOOLEAN NOT NULL DEFAULT TRUE,
     enable_two_factor BOOLEAN NOT NULL DEFAULT TRUE,
-    CHECK (id = 1)
+    two_factor_policy VARCHAR(20) NOT NULL DEFAULT 'optional',
+    rate_limit_window_minutes INTEGER NOT NULL DEFAULT 15,
+    auth_rate_limit INTEGER NOT NULL DEFAULT 20, -- Login / password reset requests per IP per window
+    contact_rate_limit INTEGER NOT NULL DEFAULT 5, -- Contact form submissions per IP per window
+    message_rate_limit INTEGER NOT NULL DEFAULT 60, -- Messages per account per window
+    login_max_attempts INTEGER NOT NULL DEFAULT 5, -- Failed logins before an account is locked
+    login_lockout_minutes INTEGER NOT NULL DEFAULT 15,
+    allow_cross_campus_browse BOOLEAN NOT NULL DEFAULT FALSE, -- Let users browse other campuses' listings
+    listing_lifetime_days INTEGER NOT NULL DEFAULT 90, -- Days an active listing stays up before it expires (0 = never)
+    expiry_reminder_days INTEGER NOT NULL DEFAULT 7, -- Days before expiry the seller is reminded (0 = no reminder)
+    offer_expiry_hours INTEGER NOT NULL DEFAULT 48, -- Hours an offer waits for an answer before it expires
+    FOREIGN KEY (campus_id) REFERENCES campuses(id) ON DELETE CASCADE,
+    CHECK (two_factor_policy IN ('optional', 'admins', 'all'))
 );
 
 -- Create cart_items table
@@ -211,17 +384,202 @@ CREATE TABLE cart_items (
     FOREIGN KEY (product_id) REFERENCES products(id)
 );
 
+-- Create sessions table (one row per login, also the refresh token family)
+CREATE TABLE sessions (
+    id CHAR(36) PRIMARY KEY, -- UUID
+    user_id INT NOT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45), -- Long enough for IPv6
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create refresh_tokens table (hashed, rotated on every use)
+CREATE TABLE refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id CHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token
+    expires_at DATETIME NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+);
+
+-- Create two_factor_recovery_codes table (hashed, single use)
+CREATE TABLE two_factor_recovery_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL, -- SHA-256 of the code
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create password_reset_tokens table (hashed, single use)
+CREATE TABLE password_reset_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token
+    expires_at DATETIME NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create rate_limits table (shared counters when RATE_LIMIT_STORE=database)
+CREATE TABLE rate_limits (
+    rate_key VARCHAR(191) PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 0,
+    reset_at DATETIME NOT NULL
+);
+
+-- Create audit_logs table (append-only record of privileged actions)
+CREATE TABLE audit_logs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    actor_id INT NULL,
+    actor_email VARCHAR(100) NULL, -- kept when the actor account is removed
+    actor_role VARCHAR(20) NULL,
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(30) NOT NULL,
+    target_id VARCHAR(64) NULL,
+    before_value TEXT NULL, -- JSON
+    after_value TEXT NULL, -- JSON
+    ip_address VARCHAR(45) NULL,
+    campus_id INT NULL, -- Campus the action was performed in
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (campus_id) REFERENCES campuses(id) ON DELETE SET NULL
+);
+
+-- Create saved_searches table (buyer searches that alert on new matching listings)
+CREATE TABLE saved_searches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    search_term VARCHAR(255) NULL,
+    category_id INT NULL,
+    min_price DECIMAL(10,2) NULL,
+    max_price DECIMAL(10,2) NULL,
+    item_condition VARCHAR(50) NULL,
+    alert_method VARCHAR(20) NOT NULL DEFAULT 'email',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    CHECK (alert_method IN ('email', 'notification', 'digest', 'none'))
+);
+
+-- Create saved_search_matches table (listings already alerted, digest entries wait with notified_at NULL)
+CREATE TABLE saved_search_matches (
+    saved_search_id INT NOT NULL,
+    product_id INT NOT NULL,
+    matched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    notified_at TIMESTAMP NULL DEFAULT NULL,
+    PRIMARY KEY (saved_search_id, product_id),
+    FOREIGN KEY (saved_search_id) REFERENCES saved_searches(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Create courses table (local course catalog, loaded from a CSV of department, number, title and term)
+CREATE TABLE courses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    campus_id INT NOT NULL,
+    department VARCHAR(10) NOT NULL, -- Uppercase, e.g. CSE
+    number VARCHAR(10) NOT NULL, -- e.g. 3330
+    title VARCHAR(255) NOT NULL,
+    term VARCHAR(20) NULL, -- Latest term the course is offered in, e.g. Fall 2025
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE (campus_id, department, number),
+    FOREIGN KEY (campus_id) REFERENCES campuses(id) ON DELETE CASCADE
+);
+
+-- Create product_courses table (courses a listing, usually a textbook, is used for)
+CREATE TABLE product_courses (
+    product_id INT NOT NULL,
+    course_id INT NOT NULL,
+    PRIMARY KEY (product_id, course_id),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+);
+
+-- Create course_subscriptions table (users alerted about new listings for a course)
+CREATE TABLE course_subscriptions (
+    user_id INT NOT NULL,
+    course_id INT NOT NULL,
+    alert_method VARCHAR(20) NOT NULL DEFAULT 'notification',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, course_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    CHECK (alert_method IN ('email', 'notification'))
+);
+
+-- Create course_listing_alerts table (listings a subscriber was already alerted about, per course)
+CREATE TABLE course_listing_alerts (
+    user_id INT NOT NULL,
+    course_id INT NOT NULL,
+    product_id INT NOT NULL,
+    alerted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, course_id, product_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Create watchlist_items table (listings a user follows for price drops and pending sales)
+CREATE TABLE watchlist_items (
+    user_id INT NOT NULL,
+    product_id INT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    selling_alerted_at TIMESTAMP NULL DEFAULT NULL, -- Watchers are told once that the item may sell soon
+    PRIMARY KEY (user_id, product_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
 -- Add indexes for better performance
 CREATE INDEX idx_products_seller ON products(seller_id);
 CREATE INDEX idx_products_category ON products(category_id);
 CREATE INDEX idx_products_status ON products(status);
+CREATE INDEX idx_products_campus ON products(campus_id, status);
+CREATE INDEX idx_products_listed ON products(status, listed_at);
+CREATE INDEX idx_products_publish ON products(status, publish_at);
+CREATE INDEX idx_product_specifications_name ON product_specifications(product_id, name);
+CREATE INDEX idx_users_campus ON users(campus_id);
 CREATE INDEX idx_messages_conversation ON messages(conversation_id);
 CREATE INDEX idx_order_items_order ON order_items(order_id);
 CREATE INDEX idx_reviews_seller ON reviews(seller_id);
 CREATE INDEX idx_reviews_product ON reviews(product_id);
+CREATE INDEX idx_sessions_user ON sessions(user_id);
+CREATE INDEX idx_recovery_codes_user ON two_factor_recovery_codes(user_id);
+CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+CREATE INDEX idx_rate_limits_reset ON rate_limits(reset_at);
+CREATE INDEX idx_users_deletion ON users(deletion_scheduled_for);
+CREATE INDEX idx_audit_logs_created ON audit_logs(created_at);
+CREATE INDEX idx_audit_logs_campus ON audit_logs(campus_id);
+CREATE INDEX idx_audit_logs_actor ON audit_logs(actor_id);
+CREATE INDEX idx_audit_logs_action ON audit_logs(action);
+CREATE INDEX idx_audit_logs_target ON audit_logs(target_type, target_id);
+CREATE INDEX idx_saved_searches_user ON saved_searches(user_id);
+CREATE INDEX idx_watchlist_items_product ON watchlist_items(product_id);
+CREATE INDEX idx_price_history_product ON product_price_history(product_id, changed_at);
+CREATE INDEX idx_product_courses_course ON product_courses(course_id);
+CREATE INDEX idx_course_subscriptions_course ON course_subscriptions(course_id);
+CREATE INDEX idx_offers_product_buyer ON offers(product_id, buyer_id, status);
+CREATE INDEX idx_offers_status_expires ON offers(status, expires_at);
+CREATE INDEX idx_auctions_open ON auctions(closed_at, ends_at);
+CREATE INDEX idx_bids_product_amount ON bids(product_id, amount);
 
 -- Insert sample data
 
+-- Insert campuses
+INSERT INTO campuses (id, slug, name, primary_color, address)
+VALUES (1, 'uta', 'University of Texas at Arlington', '#bf5700', '701 S Nedderman Dr, Arlington, TX 76019');
+
+INSERT INTO campus_domains (domain, campus_id)
+VALUES ('mavs.uta.edu', 1);
+
 -- Insert users
 INSERT INTO users (id, first_name, last_name, email, password, avatar, phone, street_address, city, state, zip_code, join_date, role, rating, total_sales)
 VALUES
@@ -232,34 +590,60 @@ VALUES
     (105, 'David', 'Lee', 'david.lee@mavs.uta.edu', '$2a$10$KJE4.OiZ0UJ.0G03YZLfB.dKfP.0W3/K9kq0i3.1b6qyD0tjvM9VK', NULL, NULL, NULL, NULL, NULL, NULL, '2025-01-10 11:00:00', 'user', 4.2, 4),
     (106, 'Admin', 'User', 'admin.user@mavs.uta.edu', '$2a$10$KJE4.OiZ0UJ.0G03YZLfB.dKfP.0W3/K9kq0i3.1b6qyD0tjvM9VK', NULL, NULL, NULL, NULL, NULL, NULL, '2025-01-01 00:00:00', 'admin', 5.0, 0);
 
+-- Seeded accounts are pre-verified
+UPDATE users SET email_verified = TRUE, email_verified_at = join_date;
+
 -- Insert categories
-INSERT INTO categories (id, name, icon)
+INSERT INTO categories (id, parent_id, name, slug, icon, sort_order)
+VALUES
+    (1, NULL, 'Textbooks', 'textbooks', '📚', 1),
+    (2, NULL, 'Electronics', 'electronics', '💻', 2),
+    (3, NULL, 'Furniture', 'furniture', '🪑', 3),
+    (4, NULL, 'Clothing', 'clothing', '👕', 4),
+    (5, NULL, 'School Supplies', 'school-supplies', '✏️', 5),
+    (6, NULL, 'Other', 'other', '📦', 6),
+    (7, 2, 'Calculators', 'calculators', '🧮', 1),
+    (8, 2, 'Laptops', 'laptops', '💻', 2),
+    (9, 2, 'Phones', 'phones', '📱', 3),
+    (10, 1, 'Engineering Textbooks', 'engineering-textbooks', '📐', 1),
+    (11, 1, 'Business Textbooks', 'business-textbooks', '📈', 2),
+    (12, 1, 'Science Textbooks', 'science-textbooks', '🔬', 3),
+    (13, 1, 'Liberal Arts Textbooks', 'liberal-arts-textbooks', '📖', 4),
+    (14, 1, 'Nursing Textbooks', 'nursing-textbooks', '🩺', 5);
+
+-- Insert category attributes
+INSERT INTO category_attributes (category_id, name, type, options, unit, is_required, sort_order)
 VALUES
-    (1, 'Textbooks', '📚'),
-    (2, 'Electronics', '💻'),
-    (3, 'Furniture', '🪑'),
-    (4, 'Clothing', '👕'),
-    (5, 'School Supplies', '✏️'),
-    (6, 'Other', '📦');
+    (1, 'ISBN', 'isbn', NULL, NULL, FALSE, 1),
+    (1, 'Edition', 'number', NULL, NULL, FALSE, 2),
+    (1, 'Author', 'text', NULL, NULL, FALSE, 3),
+    (2, 'Brand', 'text', NULL, NULL, TRUE, 1),
+    (2, 'Model', 'text', NULL, NULL, FALSE, 2),
+    (2, 'Storage', 'number', NULL, 'GB', FALSE, 3),
+    (9, 'Carrier', 'select', '["Unlocked", "AT&T", "T-Mobile", "Verizon", "Other"]', NULL, FALSE, 1);
 
 -- Insert products (note the change from 'condition' to 'item_condition')
 INSERT INTO products (id, name, description, price, seller_id, category_id, item_condition, location, status, created_at, views, interested)
 VALUES
-    (1, 'TI-84 Plus Calculator', 'Graphing calculator, slightly used but works perfectly. This is perfect for calculus, statistics, and other math courses. Batteries included and recently replaced.', 75.00, 101, 2, 'Used - Like New', 'UTA Campus', 'active', '2025-02-05 12:00:00', 45, 3),
-    (2, 'Principles of Economics Textbook', 'Eighth edition, great condition with minimal highlighting.', 45.00, 102, 1, 'Used - Good', 'UTA Campus', 'active', '2025-02-01 09:30:00', 28, 2),
+    (1, 'TI-84 Plus Calculator', 'Graphing calculator, slightly used but works perfectly. This is perfect for calculus, statistics, and other math courses. Batteries included and recently replaced.', 75.00, 101, 7, 'Used - Like New', 'UTA Campus', 'active', '2025-02-05 12:00:00', 45, 3),
+    (2, 'Principles of Economics Textbook', 'Eighth edition, great condition with minimal highlighting.', 45.00, 102, 11, 'Used - Good', 'UTA Campus', 'active', '2025-02-01 09:30:00', 28, 2),
     (3, 'Desk Lamp', 'Adjustable LED desk lamp with multiple brightness settings.', 20.00, 103, 3, 'Used - Good', 'UTA Campus', 'active', '2025-02-08 15:45:00', 15, 1),
     (4, 'UTA Hoodie', 'Size L, worn only a few times. Official merchandise.', 35.00, 104, 4, 'Used - Like New', 'UTA Campus', 'active', '2025-02-07 11:20:00', 37, 5),
-    (5, 'Computer Science Fundamentals', 'Latest edition of this CS textbook. No markings or damage.', 55.00, 105, 1, 'Used - Like New', 'UTA Campus', 'active', '2025-02-03 14:10:00', 19, 2),
+    (5, 'Computer Science Fundamentals', 'Latest edition of this CS textbook. No markings or damage.', 55.00, 105, 10, 'Used - Like New', 'UTA Campus', 'active', '2025-02-03 14:10:00', 19, 2),
     (6, 'Wireless Mouse', 'Bluetooth wireless mouse with ergonomic design.', 18.00, 102, 2, 'Used - Good', 'UTA Campus', 'active', '2025-02-06 10:05:00', 22, 1),
     (7, 'Dorm Room Chair', 'Comfortable chair, perfect for studying.', 40.00, 103, 3, 'Used - Acceptable', 'UTA Campus', 'active', '2025-02-09 09:15:00', 12, 0),
     (8, 'Scientific Calculator', 'Basic scientific calculator for math and science courses.', 12.50, 104, 5, 'Used - Good', 'UTA Campus', 'active', '2025-02-04 16:30:00', 9, 1),
     (9, 'Database Systems Textbook', 'Latest edition with all supplementary materials included.', 50.00, 101, 1, 'Used - Like New', 'UTA Campus', 'active', '2025-02-01 09:30:00', 28, 2),
     (10, 'UTA T-Shirt Size M', 'Official UTA merchandise, excellent condition.', 15.00, 101, 4, 'Used - Good', 'UTA Campus', 'sold', '2025-01-20 15:45:00', 37, 5),
-    (11, 'iPhone 13 Pro', 'Great condition, includes original box and charger.', 650.00, 101, 2, 'Used - Like New', 'UTA Campus', 'pending', '2025-02-09 14:30:00', 8, 2),
+    (11, 'iPhone 13 Pro', 'Great condition, includes original box and charger.', 650.00, 101, 9, 'Used - Like New', 'UTA Campus', 'pending', '2025-02-09 14:30:00', 8, 2),
     (12, 'Calculus Textbook', 'Perfect for calculus courses, minimal highlighting.', 45.00, 102, 1, 'Used - Good', 'UTA Campus', 'approved', '2025-02-08 10:15:00', 15, 1),
     (13, 'Dorm Refrigerator', 'Small fridge perfect for dorm rooms.', 80.00, 104, 3, 'Used - Good', 'UTA Campus', 'approved', '2025-02-07 16:45:00', 19, 3),
     (14, 'UTA Parking Pass', 'Spring semester parking pass, transferable.', 120.00, 105, 6, 'New', 'UTA Campus', 'rejected', '2025-02-06 09:30:00', 25, 4);
 
+-- Start the price history of each product with its listed price
+INSERT INTO product_price_history (product_id, price, changed_at)
+SELECT id, price, created_at FROM products;
+
 -- Insert product images
 INSERT INTO product_images (product_id, image_url, is_main)
 VALUES
@@ -287,15 +671,49 @@ VALUES
     (1, 'Model', 'TI-84 Plus'),
     (1, 'Condition', 'Used - Like New'),
     (1, 'Includes', 'Calculator, Cover, Manual'),
+    (6, 'Brand', 'Logitech'),
+    (11, 'Brand', 'Apple'),
+    (11, 'Storage', '128'),
+    (11, 'Carrier', 'Unlocked'),
+    (2, 'ISBN', '9781305585126'),
     (2, 'Author', 'N. Gregory Mankiw'),
-    (2, 'Edition', '8th'),
+    (2, 'Edition', '8'),
     (2, 'Publisher', 'Cengage Learning'),
     (2, 'Condition', 'Used - Good'),
+    (9, 'ISBN', '9780078022159'),
     (9, 'Author', 'Abraham Silberschatz'),
-    (9, 'Edition', '7th'),
+    (9, 'Edition', '7'),
     (9, 'Publisher', 'McGraw-Hill'),
     (9, 'Condition', 'Used - Like New');
 
+-- Insert courses (the full catalog is loaded with npm run import:courses)
+INSERT INTO courses (id, campus_id, department, number, title, term)
+VALUES
+    (1, 1, 'CSE', '1310', 'Introduction to Computers and Programming', 'Fall 2025'),
+    (2, 1, 'CSE', '2320', 'Algorithms and Data Structures', 'Fall 2025'),
+    (3, 1, 'CSE', '3330', 'Database Systems and File Structures', 'Fall 2025'),
+    (4, 1, 'ECON', '2301', 'Principles of Macroeconomics', 'Fall 2025'),
+    (5, 1, 'ECON', '2302', 'Principles of Microeconomics', 'Fall 2025'),
+    (6, 1, 'MATH', '1426', 'Calculus I', 'Fall 2025'),
+    (7, 1, 'MATH', '2425', 'Calculus II', 'Fall 2025');
+
+-- Insert product courses
+INSERT INTO product_courses (product_id, course_id)
+VALUES
+    (1, 6),
+    (2, 4),
+    (2, 5),
+    (5, 1),
+    (9, 3),
+    (12, 6),
+    (12, 7);
+
+-- Insert course subscriptions
+INSERT INTO course_subscriptions (user_id, course_id, alert_method)
+VALUES
+    (102, 3, 'notification'),
+    (103, 7, 'email');
+
 -- Insert orders
 INSERT INTO orders (id, buyer_id, total, service_fee, status, payment_method, payment_status, created_at)
 VALUES
@@ -359,6 +777,11 @@ VALUES
     (3, 101, 'Hi Emma, it''s a size Medium. It''s official UTA merchandise and has only been worn a few times.', '2025-02-07 09:45:00', TRUE),
     (3, 104, 'That''s great! I''d like to buy it. Is $30 okay?', '2025-02-07 10:00:00', TRUE);
 
+-- Insert offers (Sarah's $70 offer on the TI-84 was accepted, so it's locked in for her)
+INSERT INTO offers (id, product_id, buyer_id, proposed_by, conversation_id, amount, status, expires_at, responded_at, created_at)
+VALUES
+    (1, 1, 102, 102, 1, 70.00, 'accepted', '2025-02-11 15:00:00', '2025-02-09 15:10:00', '2025-02-09 15:00:00');
+
 -- Insert reports
 INSERT INTO reports (type, item_id, reported_by_id, reason, status, date)
 VALUES
@@ -367,8 +790,8 @@ VALUES
     ('Listing', 14, 102, 'Selling prohibited items', 'resolved', '2025-02-06 11:45:00');
 
 -- Insert settings
-INSERT INTO settings (platform_name, support_email, items_per_page, commission_rate, min_commission)
-VALUES ('UTA Market Place', 'support@utamarketplace.edu', 20, 5.00, 0.50);
+INSERT INTO settings (campus_id, platform_name, support_email, items_per_page, commission_rate, min_commission)
+VALUES (1, 'UTA Market Place', 'support@utamarketplace.edu', 20, 5.00, 0.50);
 
 -- Insert cart items (for user 101 - Test Name)
 INSERT INTO cart_items (user_id, product_id, quantity)
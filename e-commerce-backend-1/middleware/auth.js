@@ -1,6 +1,9 @@
 // middleware/auth.js
 const { verifyToken, extractTokenFromHeader } = require('../config/auth');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { hasPermission, isCampusAdmin } = require('../config/permissions');
 
 /**
  * Middleware to protect routes by verifying JWT tokens
@@ -29,6 +32,11 @@ const protect = async (req, res, next) => {
             return res.status(401).json({ message: 'Invalid token type' });
         }
 
+        // Check if the session behind the token has been revoked
+        if (!decoded.sid || !(await Session.isActive(decoded.sid))) {
+            return res.status(401).json({ message: 'Session has expired or been revoked' });
+        }
+
         // Check if user still exists
         const user = await User.findById(decoded.id);
 
@@ -41,8 +49,17 @@ const protect = async (req, res, next) => {
             return res.status(403).json({ message: 'Your account is not active' });
         }
 
-        // Add user to request
+        // Record session activity for the device list
+        await Session.touch(decoded.sid, req.ip);
+
+        // Add user and session to request
         req.user = user;
+        req.sessionId = decoded.sid;
+
+        // Users act within their own campus, platform admins within the campus they selected
+        if (user.role !== 'platform_admin' || !req.get('x-campus')) {
+            req.campusId = user.campus_id;
+        }
         next();
     } catch (error) {
         console.error('Auth middleware error:', error);
@@ -69,29 +86,78 @@ const restrictTo = (...roles) => {
     };
 };
 
+/**
+ * Middleware to restrict access to routes based on role permissions
+ * @param {...string} permissions - Required permissions (all must be granted)
+ * @returns {Function} Middleware function
+ */
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+
+        if (!permissions.every(permission => hasPermission(req.user.role, permission))) {
+            return res.status(403).json({ message: 'You do not have permission to perform this action' });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Middleware to block unverified accounts when the platform requires email verification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+
+        if (!req.user.email_verified && await Setting.isEmailVerificationRequired(req.user.campus_id)) {
+            return res.status(403).json({
+                message: 'Please verify your email address before continuing',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Email verification check error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
 /**
  * Middleware to verify ownership of a resource
- * @param {Function} getOwnerId - Function to get owner ID from request
+ * @param {Function} getOwner - Function to get the resource's { ownerId, campusId } from request (null if not found)
  * @param {string} errorMessage - Custom error message
  * @returns {Function} Middleware function
  */
-const verifyOwnership = (getOwnerId, errorMessage = 'You do not have permission to perform this action') => {
+const verifyOwnership = (getOwner, errorMessage = 'You do not have permission to perform this action') => {
     return async (req, res, next) => {
         try {
             if (!req.user) {
                 return res.status(401).json({ message: 'Authentication required' });
             }
 
-            // Admin can access any resource
-            if (req.user.role === 'admin') {
-                return next();
+            // Get owner and campus of the resource
+            const owner = await getOwner(req);
+
+            if (!owner) {
+                return res.status(404).json({ message: 'Resource not found' });
             }
 
-            // Get owner ID
-            const ownerId = await getOwnerId(req);
+            // Admins can access any resource on their campus
+            if (isCampusAdmin(req.user, owner.campusId)) {
+                return next();
+            }
 
             // Check ownership
-            if (req.user.id.toString() !== ownerId.toString()) {
+            if (req.user.id.toString() !== owner.ownerId.toString()) {
                 return res.status(403).json({ message: errorMessage });
             }
 
@@ -173,10 +239,78 @@ const verifyPasswordResetToken = (req, res, next) => {
     }
 };
 
+/**
+ * Middleware to verify a two-factor challenge token issued at login
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyTwoFactorChallenge = async (req, res, next) => {
+    try {
+        const { challengeToken } = req.body;
+
+        if (!challengeToken) {
+            return res.status(400).json({ message: 'Challenge token is required' });
+        }
+
+        // Verify token
+        const decoded = verifyToken(challengeToken);
+
+        if (!decoded) {
+            return res.status(401).json({ message: 'Login attempt has expired, please sign in again' });
+        }
+
+        // Check if token is the right type
+        if (decoded.type !== 'two_factor') {
+            return res.status(401).json({ message: 'Invalid token type' });
+        }
+
+        // Check if user still exists
+        const user = await User.findById(decoded.id);
+
+        if (!user) {
+            return res.status(401).json({ message: 'User no longer exists' });
+        }
+
+        // Check if user is active
+        if (user.status !== 'active') {
+            return res.status(403).json({ message: 'Your account is not active' });
+        }
+
+        // Add user to request, flagged as not yet fully signed in
+        req.user = user;
+        req.campusId = user.campus_id;
+        req.twoFactorChallenge = true;
+        next();
+    } catch (error) {
+        console.error('Two-factor challenge verification error:', error);
+        res.status(401).json({ message: 'Authentication failed' });
+    }
+};
+
+/**
+ * Middleware accepting either a signed-in user or a pending two-factor challenge
+ * (used for enrollment when the platform requires 2FA before the first sign-in)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const protectOrTwoFactorChallenge = (req, res, next) => {
+    if (req.body && req.body.challengeToken) {
+        return verifyTwoFactorChallenge(req, res, next);
+    }
+
+    return protect(req, res, next);
+};
+
 module.exports = {
     protect,
     restrictTo,
+    requirePermission,
+    requireVerifiedEmail,
     verifyOwnership,
     verifyEmailToken,
-    verifyPasswordResetToken
+    verifyPasswordResetToken,
+    verifyTwoFactorChallenge,
+    protectOrTwoFactorChallenge
 };
\ No newline at end of file
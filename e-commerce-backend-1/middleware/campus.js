@@ -0,0 +1,32 @@
+// middleware/campus.js
+const campusService = require('../services/campusService');
+
+/**
+ * Middleware to resolve the campus a request is made for.
+ * Uses the X-Campus header (campus slug) and falls back to the default campus.
+ * Authenticated routes override it with the user's own campus in protect().
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resolveCampus = async (req, res, next) => {
+    try {
+        const slug = req.get('x-campus');
+        const campus = await campusService.resolve(slug);
+
+        if (!campus) {
+            return res.status(404).json({ message: slug ? 'Campus not found' : 'No campus has been configured' });
+        }
+
+        req.campus = campus;
+        req.campusId = campus.id;
+        next();
+    } catch (error) {
+        console.error('Campus middleware error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    resolveCampus
+};
@@ -0,0 +1,47 @@
+// middleware/rateLimiter.js
+const { getLimits, consume } = require('../services/rateLimitService');
+
+/**
+ * Middleware to rate limit a route per IP and, optionally, per account
+ * @param {string} name - Limit name from settings ('auth', 'contact' or 'message')
+ * @param {Function} getAccount - Function returning an account identifier (string or ID) from the request
+ * @returns {Function} Middleware function
+ */
+const rateLimit = (name, getAccount = null) => {
+    return async (req, res, next) => {
+        try {
+            const limits = await getLimits(req.campusId);
+            const max = limits[name];
+            const windowSeconds = limits.windowMinutes * 60;
+
+            // Count against the client IP and the targeted account (body values may be objects, ignore those)
+            const keys = [`${name}:ip:${req.ip}`];
+            const account = getAccount ? getAccount(req) : null;
+            if (['string', 'number'].includes(typeof account) && account !== '') {
+                keys.push(`${name}:account:${String(account).toLowerCase()}`);
+            }
+
+            for (const key of keys) {
+                const result = await consume(key, max, windowSeconds);
+
+                if (!result.allowed) {
+                    res.set('Retry-After', String(result.retryAfter));
+                    return res.status(429).json({
+                        message: 'Too many requests, please try again later',
+                        retryAfter: result.retryAfter
+                    });
+                }
+            }
+
+            next();
+        } catch (error) {
+            // Fail open so a store outage doesn't take the API down
+            console.error('Rate limiter error:', error);
+            next();
+        }
+    };
+};
+
+module.exports = {
+    rateLimit
+};
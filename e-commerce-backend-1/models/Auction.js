@@ -0,0 +1,295 @@
+// models/Auction.js
+const { pool } = require('../config/database');
+
+// Auction columns with the listing and where the bidding stands
+const AUCTION_COLUMNS = `a.product_id, a.starting_price, a.reserve_price, a.bid_increment, a.ends_at, a.extension_count,
+                         a.closed_at, a.winner_id, a.order_id,
+                         p.name as product_name, p.status as product_status, p.seller_id, p.campus_id,
+                         (SELECT COUNT(*) FROM bids b WHERE b.product_id = a.product_id) as bid_count,
+                         (SELECT b.amount FROM bids b WHERE b.product_id = a.product_id
+                          ORDER BY b.amount DESC, b.id ASC LIMIT 1) as current_bid,
+                         (SELECT b.bidder_id FROM bids b WHERE b.product_id = a.product_id
+                          ORDER BY b.amount DESC, b.id ASC LIMIT 1) as high_bidder_id`;
+
+/**
+ * Round an amount of money to cents
+ * @param {number} amount - Amount
+ * @returns {number} - Rounded amount
+ */
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+class Auction {
+    /**
+     * Create the auction of a listing
+     * @param {number} productId - Product ID
+     * @param {Object} auctionData - Starting price, reserve price, bid increment, end time, run time in minutes
+     *                               and whether the listing is active already (started)
+     * @param {Object} connection - Connection of an open transaction (optional)
+     * @returns {Promise<boolean>} - True if created
+     */
+    static async create(productId, auctionData, connection = pool) {
+        try {
+            const { startingPrice, reservePrice = null, bidIncrement, endsAt, runMinutes, started = true } = auctionData;
+
+            const [result] = await connection.execute(
+                `INSERT INTO auctions (product_id, starting_price, reserve_price, bid_increment, run_minutes, started_at,
+                                       ends_at)
+                 VALUES (?, ?, ?, ?, ?, ${started ? 'CURRENT_TIMESTAMP' : 'NULL'}, ?)`,
+                [productId, startingPrice, reservePrice, bidIncrement, runMinutes, endsAt]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error creating auction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start the clock of an auction whose listing just became active, so it runs for its full time
+     * after approval (auctions that already started keep their end time)
+     * @param {number} productId - Product ID
+     * @returns {Promise<boolean>} - True if the clock was started
+     */
+    static async start(productId) {
+        try {
+            const [result] = await pool.execute(
+                `UPDATE auctions
+                 SET started_at = CURRENT_TIMESTAMP, ends_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL run_minutes MINUTE)
+                 WHERE product_id = ? AND started_at IS NULL`,
+                [productId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error starting auction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the auction of a listing
+     * @param {number} productId - Product ID
+     * @returns {Promise<Object|null>} - Auction with its listing and current bid, or null if the listing isn't an auction
+     */
+    static async findByProductId(productId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT ${AUCTION_COLUMNS}
+                 FROM auctions a
+                 JOIN products p ON a.product_id = p.id
+                 WHERE a.product_id = ?`,
+                [productId]
+            );
+
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding auction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the highest bids of an auction
+     * @param {number} productId - Product ID
+     * @param {number} limit - Number of bids
+     * @returns {Promise<Array>} - Bids with their bidder's name, highest first
+     */
+    static async getBids(productId, limit = 20) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT b.id, b.bidder_id, b.amount, b.created_at, u.first_name, u.last_name
+                 FROM bids b
+                 JOIN users u ON b.bidder_id = u.id
+                 WHERE b.product_id = ?
+                 ORDER BY b.amount DESC, b.id ASC
+                 LIMIT ?`,
+                [productId, limit]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting bids:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Place a bid. The auction row is locked while the bid is checked, so two bids racing each other
+     * are checked one after the other. A bid less than extensionMinutes before the end pushes the end
+     * back to extensionMinutes from now.
+     * @param {number} productId - Product ID
+     * @param {number} bidderId - Bidder ID
+     * @param {number} amount - Bid amount
+     * @param {number} extensionMinutes - Anti-sniping window in minutes
+     * @returns {Promise<Object>} - { bidId, previousBidderId, extended }, or { error } if the bid was refused
+     */
+    static async placeBid(productId, bidderId, amount, extensionMinutes) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [auctions] = await connection.execute(
+                `SELECT a.starting_price, a.bid_increment, a.closed_at, a.ends_at > NOW() as is_open,
+                        p.status as product_status, p.seller_id
+                 FROM auctions a
+                 JOIN products p ON a.product_id = p.id
+                 WHERE a.product_id = ?
+                 FOR UPDATE`,
+                [productId]
+            );
+
+            const auction = auctions[0];
+            const refuse = async (error) => {
+                await connection.rollback();
+                return { error };
+            };
+
+            if (!auction) {
+                return refuse('Auction not found');
+            }
+
+            if (auction.product_status !== 'active' || auction.closed_at || !auction.is_open) {
+                return refuse('This auction has ended');
+            }
+
+            if (auction.seller_id === bidderId) {
+                return refuse('You cannot bid on your own listing');
+            }
+
+            const [topBids] = await connection.execute(
+                'SELECT bidder_id, amount FROM bids WHERE product_id = ? ORDER BY amount DESC, id ASC LIMIT 1',
+                [productId]
+            );
+            const topBid = topBids[0];
+
+            if (topBid && topBid.bidder_id === bidderId) {
+                return refuse('You already have the highest bid');
+            }
+
+            const minimum = topBid
+                ? toCents(Number(topBid.amount) + Number(auction.bid_increment))
+                : Number(auction.starting_price);
+
+            if (amount < minimum) {
+                return refuse(`Bids must be at least $${minimum.toFixed(2)}`);
+            }
+
+            const [result] = await connection.execute(
+                'INSERT INTO bids (product_id, bidder_id, amount) VALUES (?, ?, ?)',
+                [productId, bidderId, amount]
+            );
+
+            // The listing price follows the bids so listing cards and price filters show the current bid
+            await connection.execute('UPDATE products SET price = ? WHERE id = ?', [amount, productId]);
+
+            // Anti-sniping: a late bid gives the other bidders time to answer
+            const [extension] = await connection.execute(
+                `UPDATE auctions
+                 SET ends_at = DATE_ADD(NOW(), INTERVAL ? MINUTE), extension_count = extension_count + 1
+                 WHERE product_id = ? AND ends_at < DATE_ADD(NOW(), INTERVAL ? MINUTE)`,
+                [extensionMinutes, productId, extensionMinutes]
+            );
+
+            await connection.commit();
+
+            return {
+                bidId: result.insertId,
+                previousBidderId: topBid ? topBid.bidder_id : null,
+                extended: extension.affectedRows > 0
+            };
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error placing bid:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Get the IDs of open auctions past their end
+     * @returns {Promise<number[]>} - Product IDs
+     */
+    static async getDueToClose() {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT a.product_id
+                 FROM auctions a
+                 JOIN products p ON a.product_id = p.id
+                 WHERE a.closed_at IS NULL AND a.ends_at <= NOW() AND p.status = 'active'`
+            );
+
+            return rows.map(row => row.product_id);
+        } catch (error) {
+            console.error('Error getting auctions due to close:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Close an auction past its end and pick the winner: the highest bid, if it meets the reserve price.
+     * The winner's order is created in the same transaction, so a closed auction always has its order and
+     * an auction closed twice at once only gets one.
+     * @param {number} productId - Product ID
+     * @param {Function} createOrder - Creates the winner's order: (connection, winningBid) => order ID
+     * @returns {Promise<Object|null>} - { winningBid, orderId } (both null when nobody won), or null if the
+     * auction was not due
+     */
+    static async close(productId, createOrder) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [auctions] = await connection.execute(
+                `SELECT a.reserve_price
+                 FROM auctions a
+                 JOIN products p ON a.product_id = p.id
+                 WHERE a.product_id = ? AND a.closed_at IS NULL AND a.ends_at <= NOW() AND p.status = 'active'
+                 FOR UPDATE`,
+                [productId]
+            );
+
+            if (auctions.length === 0) {
+                await connection.rollback();
+                return null;
+            }
+
+            const [topBids] = await connection.execute(
+                'SELECT id, bidder_id, amount FROM bids WHERE product_id = ? ORDER BY amount DESC, id ASC LIMIT 1',
+                [productId]
+            );
+
+            const reserve = auctions[0].reserve_price;
+            const winningBid = topBids.length && (reserve === null || Number(topBids[0].amount) >= Number(reserve))
+                ? topBids[0]
+                : null;
+
+            // The order marks the listing sold, unsold auctions drop out of search like expired listings
+            let orderId = null;
+            if (winningBid) {
+                orderId = await createOrder(connection, winningBid);
+            } else {
+                await connection.execute("UPDATE products SET status = 'expired' WHERE id = ?", [productId]);
+            }
+
+            await connection.execute(
+                'UPDATE auctions SET closed_at = CURRENT_TIMESTAMP, winner_id = ?, order_id = ? WHERE product_id = ?',
+                [winningBid ? winningBid.bidder_id : null, orderId, productId]
+            );
+
+            await connection.commit();
+            return { winningBid, orderId };
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error closing auction:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = Auction;
@@ -0,0 +1,166 @@
+// models/AuditLog.js
+const { pool } = require('../config/database');
+
+/**
+ * Build the WHERE clause for audit log filters
+ * @param {Object} filters - Filters (campusId, actorId, action, targetType, targetId, startDate, endDate)
+ * @returns {Object} - SQL clause and its parameters
+ */
+const buildFilters = (filters = {}) => {
+    const conditions = [];
+    const params = [];
+
+    if (filters.campusId) {
+        conditions.push('campus_id = ?');
+        params.push(filters.campusId);
+    }
+
+    if (filters.actorId) {
+        conditions.push('actor_id = ?');
+        params.push(filters.actorId);
+    }
+
+    if (filters.action) {
+        conditions.push('action = ?');
+        params.push(filters.action);
+    }
+
+    if (filters.targetType) {
+        conditions.push('target_type = ?');
+        params.push(filters.targetType);
+    }
+
+    if (filters.targetId) {
+        conditions.push('target_id = ?');
+        params.push(String(filters.targetId));
+    }
+
+    if (filters.startDate) {
+        conditions.push('created_at >= ?');
+        params.push(filters.startDate);
+    }
+
+    if (filters.endDate) {
+        // Include the whole end day
+        conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+        params.push(filters.endDate);
+    }
+
+    return {
+        where: conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+};
+
+/**
+ * Parse the stored JSON values of an audit log row
+ * @param {Object} row - Database row
+ * @returns {Object} - Row with before and after values parsed
+ */
+const parseRow = (row) => ({
+    ...row,
+    before_value: row.before_value ? JSON.parse(row.before_value) : null,
+    after_value: row.after_value ? JSON.parse(row.after_value) : null
+});
+
+/**
+ * Append-only log of privileged actions. Entries are never updated or deleted.
+ */
+class AuditLog {
+    /**
+     * Record an audit log entry
+     * @param {Object} entry - Campus, actor, action, target, before/after values and IP
+     * @returns {Promise<number>} - ID of the new entry
+     */
+    static async create(entry) {
+        try {
+            const {
+                campusId = null, actorId, actorEmail, actorRole, action, targetType,
+                targetId = null, before = null, after = null, ipAddress = null
+            } = entry;
+
+            const [result] = await pool.execute(
+                `INSERT INTO audit_logs
+                 (campus_id, actor_id, actor_email, actor_role, action, target_type, target_id, before_value, after_value, ip_address)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    campusId,
+                    actorId,
+                    actorEmail,
+                    actorRole,
+                    action,
+                    targetType,
+                    targetId === null ? null : String(targetId),
+                    before === null ? null : JSON.stringify(before),
+                    after === null ? null : JSON.stringify(after),
+                    ipAddress
+                ]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating audit log entry:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get audit log entries, newest first
+     * @param {Object} filters - Filters (campusId, actorId, action, targetType, targetId, startDate, endDate)
+     * @param {number} limit - Number of entries to return
+     * @param {number} offset - Offset for pagination
+     * @returns {Promise<Array>} - Audit log entries
+     */
+    static async getAll(filters = {}, limit = 50, offset = 0) {
+        try {
+            const { where, params } = buildFilters(filters);
+
+            const [rows] = await pool.execute(
+                `SELECT * FROM audit_logs${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            return rows.map(parseRow);
+        } catch (error) {
+            console.error('Error getting audit log entries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count audit log entries
+     * @param {Object} filters - Filters (campusId, actorId, action, targetType, targetId, startDate, endDate)
+     * @returns {Promise<number>} - Number of matching entries
+     */
+    static async count(filters = {}) {
+        try {
+            const { where, params } = buildFilters(filters);
+
+            const [rows] = await pool.execute(
+                `SELECT COUNT(*) as count FROM audit_logs${where}`,
+                params
+            );
+
+            return rows[0].count;
+        } catch (error) {
+            console.error('Error counting audit log entries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the distinct actions that have been logged
+     * @returns {Promise<string[]>} - Action names
+     */
+    static async getActions() {
+        try {
+            const [rows] = await pool.execute('SELECT DISTINCT action FROM audit_logs ORDER BY action');
+            return rows.map(row => row.action);
+        } catch (error) {
+            console.error('Error getting audit log actions:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,190 @@
+// models/Campus.js
+const { pool } = require('../config/database');
+
+class Campus {
+    /**
+     * Get all campuses with their email domains
+     * @param {boolean} activeOnly - Only return active campuses
+     * @returns {Promise<Array>} - Array of campuses
+     */
+    static async getAll(activeOnly = true) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT c.*, GROUP_CONCAT(d.domain ORDER BY d.domain) as domains
+                 FROM campuses c
+                 LEFT JOIN campus_domains d ON c.id = d.campus_id
+                 ${activeOnly ? 'WHERE c.is_active = TRUE' : ''}
+                 GROUP BY c.id
+                 ORDER BY c.name`
+            );
+
+            return rows.map(row => ({ ...row, domains: row.domains ? row.domains.split(',') : [] }));
+        } catch (error) {
+            console.error('Error getting campuses:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a campus by ID
+     * @param {number} id - Campus ID
+     * @returns {Promise<Object|null>} - Campus object or null if not found
+     */
+    static async findById(id) {
+        try {
+            const [rows] = await pool.execute('SELECT * FROM campuses WHERE id = ?', [id]);
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding campus by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find an active campus by slug
+     * @param {string} slug - Campus slug
+     * @returns {Promise<Object|null>} - Campus object or null if not found
+     */
+    static async findBySlug(slug) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT * FROM campuses WHERE slug = ? AND is_active = TRUE',
+                [slug]
+            );
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding campus by slug:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the active campus an email address belongs to
+     * @param {string} email - Email address
+     * @returns {Promise<Object|null>} - Campus object or null if the domain is not allowed
+     */
+    static async findByEmail(email) {
+        try {
+            const domain = String(email).split('@').pop().toLowerCase();
+
+            const [rows] = await pool.execute(
+                `SELECT c.* FROM campuses c
+                 JOIN campus_domains d ON c.id = d.campus_id
+                 WHERE d.domain = ? AND c.is_active = TRUE`,
+                [domain]
+            );
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding campus by email:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the default campus (first active campus)
+     * @returns {Promise<Object|null>} - Campus object or null if there are none
+     */
+    static async getDefault() {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT * FROM campuses WHERE is_active = TRUE ORDER BY id LIMIT 1'
+            );
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error getting default campus:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a campus with its email domains and settings
+     * @param {Object} campusData - Campus data
+     * @returns {Promise<number>} - ID of created campus
+     */
+    static async create(campusData) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const { slug, name, primaryColor = '#bf5700', logoUrl = null, address = null, domains = [] } = campusData;
+
+            const [result] = await connection.execute(
+                'INSERT INTO campuses (slug, name, primary_color, logo_url, address) VALUES (?, ?, ?, ?, ?)',
+                [slug, name, primaryColor, logoUrl, address]
+            );
+
+            const campusId = result.insertId;
+
+            for (const domain of domains) {
+                await connection.execute(
+                    'INSERT INTO campus_domains (domain, campus_id) VALUES (?, ?)',
+                    [domain, campusId]
+                );
+            }
+
+            await connection.execute(
+                'INSERT INTO settings (campus_id, platform_name) VALUES (?, ?)',
+                [campusId, `${name} Market Place`]
+            );
+
+            await connection.commit();
+            return campusId;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error creating campus:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Update a campus (omitted fields keep their current value, domains are replaced when given)
+     * @param {number} id - Campus ID
+     * @param {Object} campusData - Campus data to update
+     * @returns {Promise<boolean>} - True if update successful
+     */
+    static async update(id, campusData) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const { name, primaryColor, logoUrl, address, isActive, domains } = campusData;
+
+            const [result] = await connection.execute(
+                `UPDATE campuses SET
+                 name = IFNULL(?, name),
+                 primary_color = IFNULL(?, primary_color),
+                 logo_url = IFNULL(?, logo_url),
+                 address = IFNULL(?, address),
+                 is_active = IFNULL(?, is_active)
+                 WHERE id = ?`,
+                [name, primaryColor, logoUrl, address, isActive, id].map(value => (value === undefined ? null : value))
+            );
+
+            if (domains) {
+                await connection.execute('DELETE FROM campus_domains WHERE campus_id = ?', [id]);
+
+                for (const domain of domains) {
+                    await connection.execute(
+                        'INSERT INTO campus_domains (domain, campus_id) VALUES (?, ?)',
+                        [domain, id]
+                    );
+                }
+            }
+
+            await connection.commit();
+            return result.affectedRows > 0;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error updating campus:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = Campus;
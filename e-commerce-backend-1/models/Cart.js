@@ -1,17 +1,25 @@
 // models/Cart.js
 const { pool } = require('../config/database');
 
+// Price the buyer pays for a cart item: the price of an offer the seller accepted, unless the listing
+// has since been marked down below it
+const ITEM_PRICE = `LEAST(p.price, COALESCE((SELECT MIN(o.amount)
+                                              FROM offers o
+                                              WHERE o.product_id = p.id AND o.buyer_id = ci.user_id
+                                                AND o.status = 'accepted'), p.price))`;
+
 class Cart {
     /**
      * Get user's cart items
      * @param {number} userId - User ID
-     * @returns {Promise<Array>} - Array of cart items with product details
+     * @returns {Promise<Array>} - Array of cart items with product details (price includes accepted offers,
+     * list_price is the listing's own price)
      */
     static async getItems(userId) {
         try {
             const [rows] = await pool.execute(
                 `SELECT ci.id, ci.product_id, ci.quantity, ci.added_at,
-         p.name, p.price, p.status, p.seller_id,
+         p.name, ${ITEM_PRICE} as price, p.price as list_price, p.status, p.seller_id,
          u.first_name AS seller_first_name, u.last_name AS seller_last_name,
          (SELECT image_url FROM product_images WHERE product_id = p.id AND is_main = 1 LIMIT 1) as image
          FROM cart_items ci
@@ -177,9 +185,9 @@ class Cart {
      */
     static async calculateTotals(userId) {
         try {
-            // Get cart items with their current prices
+            // Get cart items with their current prices (or the price of an accepted offer)
             const [items] = await pool.execute(
-                `SELECT ci.quantity, p.price
+                `SELECT ci.quantity, ${ITEM_PRICE} as price
          FROM cart_items ci
          JOIN products p ON ci.product_id = p.id
          WHERE ci.user_id = ? AND p.status = 'active'`,
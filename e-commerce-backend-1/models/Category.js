@@ -1,15 +1,48 @@
 // models/Category.js
 const { pool } = require('../config/database');
+const { CATEGORY_ANCESTRY } = require('../utils/queryBuilder');
+
+/**
+ * Order categories as a tree: each category followed by its subcategories, siblings by
+ * sort order then name
+ * @param {Array} categories - Categories of a campus
+ * @returns {Array} - The same categories in tree order, each with its depth (0 for top-level)
+ */
+const toTreeOrder = (categories) => {
+    const children = new Map();
+    for (const category of categories) {
+        const parentId = category.parent_id || null;
+        if (!children.has(parentId)) {
+            children.set(parentId, []);
+        }
+        children.get(parentId).push(category);
+    }
+
+    const ordered = [];
+    const visit = (parentId, depth) => {
+        const siblings = (children.get(parentId) || [])
+            .sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name));
+
+        for (const category of siblings) {
+            ordered.push({ ...category, depth });
+            visit(category.id, depth + 1);
+        }
+    };
+    visit(null, 0);
+
+    return ordered;
+};
 
 class Category {
     /**
-     * Get all categories
-     * @returns {Promise<Array>} - Array of all categories
+     * Get all categories of a campus
+     * @param {number} campusId - Campus ID
+     * @returns {Promise<Array>} - Array of all categories in tree order, with their depth
      */
-    static async getAll() {
+    static async getAll(campusId) {
         try {
-            const [rows] = await pool.execute('SELECT * FROM categories ORDER BY name');
-            return rows;
+            const [rows] = await pool.execute('SELECT * FROM categories WHERE campus_id = ?', [campusId]);
+            return toTreeOrder(rows);
         } catch (error) {
             console.error('Error getting all categories:', error);
             throw error;
@@ -17,15 +50,16 @@ class Category {
     }
 
     /**
-     * Find a category by ID
+     * Find a category of a campus by ID
      * @param {number} id - Category ID
+     * @param {number} campusId - Campus ID
      * @returns {Promise<Object|null>} - Category object or null if not found
      */
-    static async findById(id) {
+    static async findById(id, campusId) {
         try {
             const [rows] = await pool.execute(
-                'SELECT * FROM categories WHERE id = ?',
-                [id]
+                'SELECT * FROM categories WHERE id = ? AND campus_id = ?',
+                [id, campusId]
             );
             return rows.length ? rows[0] : null;
         } catch (error) {
@@ -35,15 +69,16 @@ class Category {
     }
 
     /**
-     * Find a category by name
+     * Find a category of a campus by name
      * @param {string} name - Category name
+     * @param {number} campusId - Campus ID
      * @returns {Promise<Object|null>} - Category object or null if not found
      */
-    static async findByName(name) {
+    static async findByName(name, campusId) {
         try {
             const [rows] = await pool.execute(
-                'SELECT * FROM categories WHERE name = ?',
-                [name]
+                'SELECT * FROM categories WHERE name = ? AND campus_id = ?',
+                [name, campusId]
             );
             return rows.length ? rows[0] : null;
         } catch (error) {
@@ -52,6 +87,44 @@ class Category {
         }
     }
 
+    /**
+     * Find a category of a campus by slug
+     * @param {string} slug - Category slug
+     * @param {number} campusId - Campus ID
+     * @returns {Promise<Object|null>} - Category object or null if not found
+     */
+    static async findBySlug(slug, campusId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT * FROM categories WHERE slug = ? AND campus_id = ?',
+                [slug, campusId]
+            );
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding category by slug:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the IDs of a category and all its descendants
+     * @param {number} id - Category ID
+     * @returns {Promise<Array<number>>} - Category IDs
+     */
+    static async getSubtreeIds(id) {
+        try {
+            const [rows] = await pool.execute(
+                `WITH RECURSIVE ${CATEGORY_ANCESTRY}
+                 SELECT id FROM category_ancestry WHERE ancestor_id = ?`,
+                [id]
+            );
+            return rows.map(row => row.id);
+        } catch (error) {
+            console.error('Error getting category subtree:', error);
+            throw error;
+        }
+    }
+
     /**
      * Create a new category (admin function)
      * @param {Object} categoryData - Category data
@@ -59,11 +132,11 @@ class Category {
      */
     static async create(categoryData) {
         try {
-            const { name, icon } = categoryData;
+            const { name, slug, icon, campusId, parentId = null, sortOrder = 0 } = categoryData;
 
             const [result] = await pool.execute(
-                'INSERT INTO categories (name, icon) VALUES (?, ?)',
-                [name, icon]
+                'INSERT INTO categories (campus_id, parent_id, name, slug, icon, sort_order) VALUES (?, ?, ?, ?, ?, ?)',
+                [campusId, parentId, name, slug, icon, sortOrder]
             );
 
             return result.insertId;
@@ -81,11 +154,46 @@ class Category {
      */
     static async update(id, categoryData) {
         try {
-            const { name, icon } = categoryData;
+            const { name, slug, icon, parentId, sortOrder } = categoryData;
+
+            // Build SET clause and parameters dynamically to avoid undefined values
+            const setClause = [];
+            const params = [];
+
+            if (name !== undefined) {
+                setClause.push('name = ?');
+                params.push(name);
+            }
+
+            if (slug !== undefined) {
+                setClause.push('slug = ?');
+                params.push(slug);
+            }
+
+            if (icon !== undefined) {
+                setClause.push('icon = ?');
+                params.push(icon);
+            }
 
+            if (parentId !== undefined) {
+                setClause.push('parent_id = ?');
+                params.push(parentId);
+            }
+
+            if (sortOrder !== undefined) {
+                setClause.push('sort_order = ?');
+                params.push(sortOrder);
+            }
+
+            // If nothing to update, return true
+            if (!setClause.length) {
+                return true;
+            }
+
+            params.push(id);
             const [result] = await pool.execute(
-                'UPDATE categories SET name = ?, icon = ? WHERE id = ?',
-                [name, icon, id]
+                `UPDATE categories SET ${setClause.join(', ')} WHERE id = ?`,
+                params
             );
 
             return result.affectedRows > 0;
@@ -96,39 +204,71 @@ class Category {
     }
 
     /**
-     * Delete a category (admin function)
+     * Delete a category (admin function), moving its subcategories, listings and saved
+     * searches to another category
      * @param {number} id - Category ID
+     * @param {number|null} targetId - Category taking over (null makes subcategories top-level,
+     *                                 and saved searches of the category are deleted with it)
      * @returns {Promise<boolean>} - True if deletion successful
      */
-    static async delete(id) {
+    static async delete(id, targetId = null) {
+        const connection = await pool.getConnection();
+
         try {
-            const [result] = await pool.execute(
+            await connection.beginTransaction();
+
+            await connection.execute(
+                'UPDATE categories SET parent_id = ? WHERE parent_id = ?',
+                [targetId, id]
+            );
+
+            if (targetId) {
+                await connection.execute(
+                    'UPDATE products SET category_id = ? WHERE category_id = ?',
+                    [targetId, id]
+                );
+                await connection.execute(
+                    'UPDATE saved_searches SET category_id = ? WHERE category_id = ?',
+                    [targetId, id]
+                );
+            }
+
+            const [result] = await connection.execute(
                 'DELETE FROM categories WHERE id = ?',
                 [id]
             );
 
+            await connection.commit();
+
             return result.affectedRows > 0;
         } catch (error) {
+            await connection.rollback();
             console.error('Error deleting category:', error);
             throw error;
+        } finally {
+            connection.release();
         }
     }
 
     /**
-     * Get products count by category
-     * @returns {Promise<Array>} - Array of categories with product counts
+     * Get products count by category of a campus, each category counting its subcategories' products
+     * @param {number} campusId - Campus ID
+     * @returns {Promise<Array>} - Array of categories with product counts, in tree order
      */
-    static async getProductCounts() {
+    static async getProductCounts(campusId) {
         try {
             const [rows] = await pool.execute(
-                `SELECT c.id, c.name, c.icon, COUNT(p.id) as product_count
+                `WITH RECURSIVE ${CATEGORY_ANCESTRY}
+         SELECT c.id, c.parent_id, c.name, c.slug, c.icon, c.sort_order, COUNT(p.id) as product_count
          FROM categories c
-         LEFT JOIN products p ON c.id = p.category_id AND p.status = 'active'
-         GROUP BY c.id
-         ORDER BY c.name`
+         JOIN category_ancestry a ON c.id = a.ancestor_id
+         LEFT JOIN products p ON a.id = p.category_id AND p.status = 'active'
+         WHERE c.campus_id = ?
+         GROUP BY c.id`,
+                [campusId]
             );
 
-            return rows;
+            return toTreeOrder(rows);
         } catch (error) {
             console.error('Error getting product counts by category:', error);
             throw error;
@@ -136,20 +276,24 @@ class Category {
     }
 
     /**
-     * Get popular categories (by product count)
+     * Get popular top-level categories of a campus (by product count, including subcategories)
+     * @param {number} campusId - Campus ID
      * @param {number} limit - Limit results
      * @returns {Promise<Array>} - Array of popular categories
      */
-    static async getPopular(limit = 5) {
+    static async getPopular(campusId, limit = 5) {
         try {
             const [rows] = await pool.execute(
-                `SELECT c.id, c.name, c.icon, COUNT(p.id) as product_count
+                `WITH RECURSIVE ${CATEGORY_ANCESTRY}
+         SELECT c.id, c.name, c.slug, c.icon, COUNT(p.id) as product_count
          FROM categories c
-         JOIN products p ON c.id = p.category_id AND p.status = 'active'
+         JOIN category_ancestry a ON c.id = a.ancestor_id
+         JOIN products p ON a.id = p.category_id AND p.status = 'active'
+         WHERE c.campus_id = ? AND c.parent_id IS NULL
          GROUP BY c.id
          ORDER BY product_count DESC
          LIMIT ?`,
-                [limit]
+                [campusId, limit]
             );
 
             return rows;
@@ -160,4 +304,4 @@ class Category {
     }
 }
 
-module.exports = Category;
\ No newline at end of file
+module.exports = Category;
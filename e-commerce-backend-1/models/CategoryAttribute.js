@@ -0,0 +1,151 @@
+// models/CategoryAttribute.js
+const { pool } = require('../config/database');
+const { CATEGORY_ANCESTORS, CATEGORY_SUBTREE } = require('../utils/queryBuilder');
+
+/**
+ * Parse the stored options of an attribute row
+ * @param {Object} row - Database row
+ * @returns {Object} - Row with its options parsed (null unless it's a select)
+ */
+const parseRow = (row) => ({
+    ...row,
+    options: row.options ? JSON.parse(row.options) : null,
+    is_required: Boolean(row.is_required)
+});
+
+class CategoryAttribute {
+    /**
+     * Get the attributes of a category, including those inherited from its parents
+     * @param {number} categoryId - Category ID
+     * @returns {Promise<Array>} - Attributes, inherited ones first, then by sort order
+     */
+    static async getForCategory(categoryId) {
+        try {
+            // Inherited attributes come first so a subcategory's own ones follow the general ones
+            const [rows] = await pool.execute(
+                `SELECT a.*, c.name as category_name
+                 FROM category_attributes a
+                 JOIN categories c ON a.category_id = c.id
+                 WHERE a.category_id IN ${CATEGORY_ANCESTORS}
+                 ORDER BY a.category_id = ?, a.sort_order, a.name`,
+                [categoryId, categoryId]
+            );
+
+            return rows.map(parseRow);
+        } catch (error) {
+            console.error('Error getting category attributes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the attributes of a category's subcategories, at any depth (not the category's own)
+     * @param {number} categoryId - Category ID
+     * @returns {Promise<Array>} - Attributes with the name of their category
+     */
+    static async getForSubcategories(categoryId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT a.*, c.name as category_name
+                 FROM category_attributes a
+                 JOIN categories c ON a.category_id = c.id
+                 WHERE a.category_id IN ${CATEGORY_SUBTREE} AND a.category_id <> ?
+                 ORDER BY c.name, a.sort_order, a.name`,
+                [categoryId, categoryId]
+            );
+
+            return rows.map(parseRow);
+        } catch (error) {
+            console.error('Error getting subcategory attributes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find an attribute of a category by ID
+     * @param {number} id - Attribute ID
+     * @param {number} categoryId - Category ID
+     * @returns {Promise<Object|null>} - Attribute or null if not found
+     */
+    static async findById(id, categoryId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT * FROM category_attributes WHERE id = ? AND category_id = ?',
+                [id, categoryId]
+            );
+            return rows.length ? parseRow(rows[0]) : null;
+        } catch (error) {
+            console.error('Error finding category attribute by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create an attribute (admin function)
+     * @param {Object} attributeData - Category ID, name, type, options, unit, required flag and sort order
+     * @returns {Promise<number>} - ID of created attribute
+     */
+    static async create(attributeData) {
+        try {
+            const {
+                categoryId, name, type, options = null, unit = null, isRequired = false, sortOrder = 0
+            } = attributeData;
+
+            const [result] = await pool.execute(
+                `INSERT INTO category_attributes (category_id, name, type, options, unit, is_required, sort_order)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [categoryId, name, type, options ? JSON.stringify(options) : null, unit, isRequired, sortOrder]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating category attribute:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update an attribute (admin function)
+     * @param {number} id - Attribute ID
+     * @param {Object} attributeData - Name, type, options, unit, required flag and sort order
+     * @returns {Promise<boolean>} - True if update successful
+     */
+    static async update(id, attributeData) {
+        try {
+            const { name, type, options = null, unit = null, isRequired = false, sortOrder = 0 } = attributeData;
+
+            const [result] = await pool.execute(
+                `UPDATE category_attributes
+                 SET name = ?, type = ?, options = ?, unit = ?, is_required = ?, sort_order = ?
+                 WHERE id = ?`,
+                [name, type, options ? JSON.stringify(options) : null, unit, isRequired, sortOrder, id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating category attribute:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an attribute (admin function), specifications already given for it stay as free-form ones
+     * @param {number} id - Attribute ID
+     * @returns {Promise<boolean>} - True if deletion successful
+     */
+    static async delete(id) {
+        try {
+            const [result] = await pool.execute(
+                'DELETE FROM category_attributes WHERE id = ?',
+                [id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting category attribute:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CategoryAttribute;
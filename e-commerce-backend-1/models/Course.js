@@ -0,0 +1,323 @@
+// models/Course.js
+const { pool } = require('../config/database');
+
+// Active listings tagged with a course
+const LISTING_COUNT = `(SELECT COUNT(*)
+                       FROM product_courses pc
+                       JOIN products p ON pc.product_id = p.id
+                       WHERE pc.course_id = co.id AND p.status = 'active') as listing_count`;
+
+class Course {
+    /**
+     * Search the course catalog of a campus by code ("CSE 33") or title
+     * @param {number} campusId - Campus ID
+     * @param {Object} options - department and number prefix parsed from a code, or text matched in titles
+     * @param {number} limit - Maximum number of courses
+     * @returns {Promise<Array>} - Courses with their active listing count, ordered by code
+     */
+    static async search(campusId, { department = null, number = '', text = '' }, limit = 10) {
+        try {
+            const conditions = ['co.campus_id = ?'];
+            const params = [campusId];
+
+            if (department) {
+                conditions.push('co.department = ? AND co.number LIKE ?');
+                params.push(department, `${number}%`);
+            } else if (text) {
+                conditions.push('(co.title LIKE ? OR co.department LIKE ?)');
+                params.push(`%${text}%`, `${text}%`);
+            }
+
+            const [rows] = await pool.execute(
+                `SELECT co.*, ${LISTING_COUNT}
+                 FROM courses co
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY co.department, co.number
+                 LIMIT ?`,
+                [...params, limit]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error searching courses:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a course of a campus by ID
+     * @param {number} id - Course ID
+     * @param {number} campusId - Campus ID
+     * @returns {Promise<Object|null>} - Course with its active listing count or null if not found
+     */
+    static async findById(id, campusId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT co.*, ${LISTING_COUNT}
+                 FROM courses co
+                 WHERE co.id = ? AND co.campus_id = ?`,
+                [id, campusId]
+            );
+
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding course by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find courses of a campus by code
+     * @param {number} campusId - Campus ID
+     * @param {Array} codes - Department and number of each course
+     * @returns {Promise<Array>} - Courses found (unknown codes are left out)
+     */
+    static async findByCodes(campusId, codes) {
+        if (codes.length === 0) {
+            return [];
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT co.*, ${LISTING_COUNT}
+                 FROM courses co
+                 WHERE co.campus_id = ?
+                   AND (${codes.map(() => '(co.department = ? AND co.number = ?)').join(' OR ')})
+                 ORDER BY co.department, co.number`,
+                [campusId, ...codes.flatMap(code => [code.department, code.number])]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error finding courses by code:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add courses to the catalog of a campus, updating the title and term of those already in it
+     * @param {number} campusId - Campus ID
+     * @param {Array} courses - Department, number, title and term of each course
+     * @returns {Promise<Object>} - Numbers of courses created, updated and unchanged
+     */
+    static async upsertMany(campusId, courses) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const counts = { created: 0, updated: 0, unchanged: 0 };
+
+            for (const course of courses) {
+                const [result] = await connection.execute(
+                    `INSERT INTO courses (campus_id, department, number, title, term)
+                     VALUES (?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE title = VALUES(title), term = VALUES(term)`,
+                    [campusId, course.department, course.number, course.title, course.term || null]
+                );
+
+                // MySQL reports 1 affected row for an insert, 2 for an update and 0 when nothing changed
+                if (result.affectedRows === 1) {
+                    counts.created++;
+                } else if (result.affectedRows === 2) {
+                    counts.updated++;
+                } else {
+                    counts.unchanged++;
+                }
+            }
+
+            await connection.commit();
+            return counts;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error importing courses:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Get the courses a listing is tagged with
+     * @param {number} productId - Product ID
+     * @returns {Promise<Array>} - Courses ordered by code
+     */
+    static async getForProduct(productId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT co.id, co.department, co.number, co.title, co.term
+                 FROM product_courses pc
+                 JOIN courses co ON pc.course_id = co.id
+                 WHERE pc.product_id = ?
+                 ORDER BY co.department, co.number`,
+                [productId]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting product courses:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the courses a listing is tagged with
+     * @param {number} productId - Product ID
+     * @param {Array<number>} courseIds - Course IDs
+     * @returns {Promise<void>}
+     */
+    static async setForProduct(productId, courseIds) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            await connection.execute('DELETE FROM product_courses WHERE product_id = ?', [productId]);
+            await Course.insertForProduct(connection, productId, courseIds);
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error setting product courses:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Tag a listing with courses, within an open transaction
+     * @param {Object} connection - Connection of the transaction
+     * @param {number} productId - Product ID
+     * @param {Array<number>} courseIds - Course IDs
+     * @returns {Promise<void>}
+     */
+    static async insertForProduct(connection, productId, courseIds) {
+        for (const courseId of courseIds) {
+            await connection.execute(
+                'INSERT INTO product_courses (product_id, course_id) VALUES (?, ?)',
+                [productId, courseId]
+            );
+        }
+    }
+
+    /**
+     * Get the courses a user subscribes to
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Courses with the alert method and active listing count, ordered by code
+     */
+    static async getSubscriptions(userId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT co.*, s.alert_method, s.created_at as subscribed_at, ${LISTING_COUNT}
+                 FROM course_subscriptions s
+                 JOIN courses co ON s.course_id = co.id
+                 WHERE s.user_id = ?
+                 ORDER BY co.department, co.number`,
+                [userId]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting course subscriptions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Subscribe a user to a course, or change how an existing subscription alerts
+     * @param {number} userId - User ID
+     * @param {number} courseId - Course ID
+     * @param {string} alertMethod - 'email' or 'notification'
+     * @returns {Promise<boolean>} - True if the subscription is new
+     */
+    static async subscribe(userId, courseId, alertMethod) {
+        try {
+            const [result] = await pool.execute(
+                `INSERT INTO course_subscriptions (user_id, course_id, alert_method)
+                 VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE alert_method = VALUES(alert_method)`,
+                [userId, courseId, alertMethod]
+            );
+
+            return result.affectedRows === 1;
+        } catch (error) {
+            console.error('Error subscribing to course:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Unsubscribe a user from a course
+     * @param {number} userId - User ID
+     * @param {number} courseId - Course ID
+     * @returns {Promise<boolean>} - True if the user was subscribed
+     */
+    static async unsubscribe(userId, courseId) {
+        try {
+            const [result] = await pool.execute(
+                'DELETE FROM course_subscriptions WHERE user_id = ? AND course_id = ?',
+                [userId, courseId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error unsubscribing from course:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the subscribers to the courses of a listing that just became active (the seller and users
+     * who turned off new listing notifications are left out)
+     * @param {Object} product - Product (id, campus_id and seller_id)
+     * @returns {Promise<Array>} - One row per subscription, with the subscriber's details and the course
+     */
+    static async findSubscribers(product) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT s.user_id, s.alert_method, u.email, u.first_name, u.campus_id,
+                        co.id as course_id, co.department, co.number, co.title
+                 FROM product_courses pc
+                 JOIN course_subscriptions s ON pc.course_id = s.course_id
+                 JOIN courses co ON pc.course_id = co.id
+                 JOIN users u ON s.user_id = u.id
+                 WHERE pc.product_id = ?
+                   AND u.campus_id = ?
+                   AND u.id != ?
+                   AND u.status = 'active'
+                   AND u.new_listing_notifications = TRUE
+                 ORDER BY s.user_id, co.department, co.number`,
+                [product.id, product.campus_id, product.seller_id]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error finding course subscribers for listing:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that a subscriber was alerted about a listing for a course
+     * @param {number} userId - User ID
+     * @param {number} courseId - Course ID
+     * @param {number} productId - Product ID
+     * @returns {Promise<boolean>} - False if the user had already been alerted about it
+     */
+    static async recordAlert(userId, courseId, productId) {
+        try {
+            const [result] = await pool.execute(
+                'INSERT IGNORE INTO course_listing_alerts (user_id, course_id, product_id) VALUES (?, ?, ?)',
+                [userId, courseId, productId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error recording course listing alert:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Course;
@@ -1,15 +1,22 @@
 // models/Message.js
 const { pool } = require('../config/database');
 
+// Message columns with the sender and, for offer cards, the offer (past-due offers show as expired)
+const MESSAGE_COLUMNS = `m.id, m.sender_id, m.text, m.timestamp, m.is_read,
+          u.first_name, u.last_name, u.avatar,
+          m.offer_id, o.amount as offer_amount, o.proposed_by as offer_proposed_by, o.expires_at as offer_expires_at,
+          IF(o.status = 'pending' AND o.expires_at <= NOW(), 'expired', o.status) as offer_status`;
+
 class Message {
     /**
      * Create a new conversation
      * @param {number} productId - Product ID
      * @param {number} buyerId - Buyer ID
      * @param {string} initialMessage - First message content
+     * @param {number|null} offerId - Offer the first message shows (optional)
      * @returns {Promise<number>} - ID of created conversation
      */
-    static async createConversation(productId, buyerId, initialMessage) {
+    static async createConversation(productId, buyerId, initialMessage, offerId = null) {
         const connection = await pool.getConnection();
 
         try {
@@ -39,8 +46,8 @@ class Message {
 
                 // Add message
                 await connection.execute(
-                    'INSERT INTO messages (conversation_id, sender_id, text) VALUES (?, ?, ?)',
-                    [convoId, buyerId, initialMessage]
+                    'INSERT INTO messages (conversation_id, sender_id, text, offer_id) VALUES (?, ?, ?, ?)',
+                    [convoId, buyerId, initialMessage, offerId]
                 );
 
                 // Update conversation last message time
@@ -80,8 +87,8 @@ class Message {
 
             // Add initial message
             await connection.execute(
-                'INSERT INTO messages (conversation_id, sender_id, text) VALUES (?, ?, ?)',
-                [conversationId, buyerId, initialMessage]
+                'INSERT INTO messages (conversation_id, sender_id, text, offer_id) VALUES (?, ?, ?, ?)',
+                [conversationId, buyerId, initialMessage, offerId]
             );
 
             await connection.commit();
@@ -100,9 +107,10 @@ class Message {
      * @param {number} conversationId - Conversation ID
      * @param {number} senderId - Sender user ID
      * @param {string} text - Message text
+     * @param {number|null} offerId - Offer the message shows as a card (optional)
      * @returns {Promise<number>} - ID of created message
      */
-    static async sendMessage(conversationId, senderId, text) {
+    static async sendMessage(conversationId, senderId, text, offerId = null) {
         const connection = await pool.getConnection();
 
         try {
@@ -110,8 +118,8 @@ class Message {
 
             // Insert message
             const [messageResult] = await connection.execute(
-                'INSERT INTO messages (conversation_id, sender_id, text) VALUES (?, ?, ?)',
-                [conversationId, senderId, text]
+                'INSERT INTO messages (conversation_id, sender_id, text, offer_id) VALUES (?, ?, ?, ?)',
+                [conversationId, senderId, text, offerId]
             );
 
             const messageId = messageResult.insertId;
@@ -231,11 +239,10 @@ class Message {
 
             // Use string interpolation for LIMIT and OFFSET
             const [rows] = await pool.execute(
-                `SELECT 
-          m.id, m.sender_id, m.text, m.timestamp, m.is_read,
-          u.first_name, u.last_name, u.avatar
+                `SELECT ${MESSAGE_COLUMNS}
         FROM messages m
         JOIN users u ON m.sender_id = u.id
+        LEFT JOIN offers o ON m.offer_id = o.id
         WHERE m.conversation_id = ?
         ORDER BY m.timestamp ASC
         LIMIT ${limitInt} OFFSET ${offsetInt}`,
@@ -249,6 +256,56 @@ class Message {
         }
     }
 
+    /**
+     * Get a message by ID
+     * @param {number} messageId - Message ID
+     * @returns {Promise<Object|null>} - Message with its sender and offer, or null if not found
+     */
+    static async getMessageById(messageId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT ${MESSAGE_COLUMNS}
+        FROM messages m
+        JOIN users u ON m.sender_id = u.id
+        LEFT JOIN offers o ON m.offer_id = o.id
+        WHERE m.id = ?`,
+                [messageId]
+            );
+
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error getting message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get every message in the conversations a user takes part in
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Array of messages, oldest first
+     */
+    static async getUserMessages(userId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT 
+          m.id, m.conversation_id, m.sender_id, m.text, m.timestamp, m.is_read,
+          p.name as product_name
+        FROM messages m
+        JOIN conversation_participants cp ON m.conversation_id = cp.conversation_id
+        JOIN conversations c ON m.conversation_id = c.id
+        JOIN products p ON c.product_id = p.id
+        WHERE cp.user_id = ?
+        ORDER BY m.conversation_id, m.timestamp ASC`,
+                [userId]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting user messages:', error);
+            throw error;
+        }
+    }
+
     /**
      * Mark messages as read
      * @param {number} conversationId - Conversation ID
@@ -0,0 +1,266 @@
+// models/Offer.js
+const { pool } = require('../config/database');
+
+// Offers past their expiry count as expired even before the expiry job marks them
+const EFFECTIVE_STATUS = "IF(o.status = 'pending' AND o.expires_at <= NOW(), 'expired', o.status)";
+
+// Offer columns with the listing they are for
+const OFFER_COLUMNS = `o.id, o.product_id, o.buyer_id, o.proposed_by, o.conversation_id, o.parent_id, o.amount,
+                       ${EFFECTIVE_STATUS} as status, o.expires_at, o.responded_at, o.created_at,
+                       p.name as product_name, p.price as list_price, p.status as product_status,
+                       p.seller_id, p.campus_id`;
+
+class Offer {
+    /**
+     * Create an offer (or a counter-offer when parentId is given)
+     * @param {Object} offerData - Product, buyer, proposer, conversation, parent offer, amount and hours until it expires
+     * @param {Object} connection - Connection of an open transaction (optional)
+     * @returns {Promise<number>} - ID of created offer
+     */
+    static async create(offerData, connection = pool) {
+        try {
+            const {
+                productId, buyerId, proposedBy, conversationId = null, parentId = null, amount, expiryHours
+            } = offerData;
+
+            const [result] = await connection.execute(
+                `INSERT INTO offers (product_id, buyer_id, proposed_by, conversation_id, parent_id, amount, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+                [productId, buyerId, proposedBy, conversationId, parentId, amount, expiryHours]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating offer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find an offer by ID
+     * @param {number} id - Offer ID
+     * @returns {Promise<Object|null>} - Offer with its listing or null if not found
+     */
+    static async findById(id) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT ${OFFER_COLUMNS}
+                 FROM offers o
+                 JOIN products p ON o.product_id = p.id
+                 WHERE o.id = ?`,
+                [id]
+            );
+
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding offer by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the latest offer between a buyer and the seller of a listing
+     * @param {number} productId - Product ID
+     * @param {number} buyerId - Buyer ID
+     * @returns {Promise<Object|null>} - Latest offer or null if the buyer never made one
+     */
+    static async findLatest(productId, buyerId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT ${OFFER_COLUMNS}
+                 FROM offers o
+                 JOIN products p ON o.product_id = p.id
+                 WHERE o.product_id = ? AND o.buyer_id = ?
+                 ORDER BY o.created_at DESC, o.id DESC
+                 LIMIT 1`,
+                [productId, buyerId]
+            );
+
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding latest offer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the offers a user made or received, latest first
+     * @param {number} userId - User ID
+     * @param {string|null} status - Optional status filter
+     * @returns {Promise<Array>} - Offers with their listing
+     */
+    static async getForUser(userId, status = null) {
+        try {
+            const conditions = ['(o.buyer_id = ? OR p.seller_id = ?)'];
+            const params = [userId, userId];
+
+            if (status) {
+                conditions.push(`${EFFECTIVE_STATUS} = ?`);
+                params.push(status);
+            }
+
+            const [rows] = await pool.execute(
+                `SELECT ${OFFER_COLUMNS}
+                 FROM offers o
+                 JOIN products p ON o.product_id = p.id
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY o.created_at DESC, o.id DESC`,
+                params
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting user offers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Link an offer to the conversation it was sent in
+     * @param {number} id - Offer ID
+     * @param {number} conversationId - Conversation ID
+     * @returns {Promise<boolean>} - True if update successful
+     */
+    static async setConversation(id, conversationId) {
+        try {
+            const [result] = await pool.execute(
+                'UPDATE offers SET conversation_id = ? WHERE id = ?',
+                [conversationId, id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error setting offer conversation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Answer a pending offer. Only offers still pending and not past their expiry change, so two
+     * answers racing each other can't both succeed.
+     * @param {number} id - Offer ID
+     * @param {string} status - 'accepted', 'declined' or 'countered'
+     * @param {Object} connection - Connection of an open transaction (optional)
+     * @returns {Promise<boolean>} - True if the offer was still open
+     */
+    static async respond(id, status, connection = pool) {
+        try {
+            const [result] = await connection.execute(
+                `UPDATE offers SET status = ?, responded_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'pending' AND expires_at > NOW()`,
+                [status, id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error responding to offer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Counter a pending offer with a new one proposed by the other party
+     * @param {Object} offer - Offer being countered
+     * @param {number} proposedBy - User making the counter-offer
+     * @param {number} amount - Counter amount
+     * @param {number} expiryHours - Hours until the counter-offer expires
+     * @returns {Promise<number|null>} - ID of the counter-offer, null if the offer was no longer open
+     */
+    static async counter(offer, proposedBy, amount, expiryHours) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            if (!(await Offer.respond(offer.id, 'countered', connection))) {
+                await connection.rollback();
+                return null;
+            }
+
+            const counterId = await Offer.create({
+                productId: offer.product_id,
+                buyerId: offer.buyer_id,
+                proposedBy,
+                conversationId: offer.conversation_id,
+                parentId: offer.id,
+                amount,
+                expiryHours
+            }, connection);
+
+            await connection.commit();
+            return counterId;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error countering offer:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Expire pending offers past their expiry
+     * @returns {Promise<Array>} - Offers that expired, with their listing
+     */
+    static async expireDue() {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT ${OFFER_COLUMNS}
+                 FROM offers o
+                 JOIN products p ON o.product_id = p.id
+                 WHERE o.status = 'pending' AND o.expires_at <= NOW()`
+            );
+
+            if (rows.length === 0) {
+                return [];
+            }
+
+            await pool.query(
+                "UPDATE offers SET status = 'expired' WHERE id IN (?) AND status = 'pending'",
+                [rows.map(row => row.id)]
+            );
+
+            return rows.map(row => ({ ...row, status: 'expired' }));
+        } catch (error) {
+            console.error('Error expiring offers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel the pending offers on listings that were sold
+     * @param {Array<number>} productIds - Product IDs
+     * @returns {Promise<Array>} - Offers cancelled, with their listing
+     */
+    static async cancelForProducts(productIds) {
+        if (productIds.length === 0) {
+            return [];
+        }
+
+        try {
+            const [rows] = await pool.query(
+                `SELECT ${OFFER_COLUMNS}
+                 FROM offers o
+                 JOIN products p ON o.product_id = p.id
+                 WHERE o.product_id IN (?) AND o.status = 'pending'`,
+                [productIds]
+            );
+
+            if (rows.length === 0) {
+                return [];
+            }
+
+            await pool.query(
+                "UPDATE offers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP WHERE id IN (?) AND status = 'pending'",
+                [rows.map(row => row.id)]
+            );
+
+            return rows.map(row => ({ ...row, status: 'cancelled' }));
+        } catch (error) {
+            console.error('Error cancelling offers:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Offer;
@@ -15,53 +15,7 @@ class Order {
         try {
             await connection.beginTransaction();
 
-            // Generate order ID with format ORD-XXXXX
-            const orderId = 'ORD-' + Math.floor(10000 + Math.random() * 90000);
-
-            // Set status to pending by default
-            const status = orderData.status || 'pending';
-
-            // Insert order
-            const [result] = await connection.execute(
-                `INSERT INTO orders 
-                (id, buyer_id, total, service_fee, status, payment_method, payment_status, 
-                delivery_address, delivery_city, delivery_state, delivery_zip)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    orderId,
-                    orderData.buyerId,
-                    orderData.total,
-                    orderData.serviceFee,
-                    status,
-                    orderData.paymentMethod,
-                    orderData.paymentStatus,
-                    orderData.deliveryAddress,
-                    orderData.deliveryCity,
-                    orderData.deliveryState,
-                    orderData.deliveryZip
-                ]
-            );
-
-            // Insert order items
-            for (const item of orderItems) {
-                await connection.execute(
-                    `INSERT INTO order_items 
-                    (order_id, product_id, quantity, price_at_purchase)
-                    VALUES (?, ?, ?, ?)`,
-                    [
-                        orderId,
-                        item.productId,
-                        item.quantity,
-                        item.price
-                    ]
-                );
-
-                // Update product status to sold if needed
-                await connection.execute(
-                    `UPDATE products SET status = 'sold' WHERE id = ?`,
-                    [item.productId]
-                );
-            }
+            const orderId = await Order.insert(connection, orderData, orderItems);
 
             await connection.commit();
             return orderId;
@@ -74,6 +28,65 @@ class Order {
         }
     }
 
+    /**
+     * Insert an order and its items and mark the items sold, within an open transaction
+     * @param {Object} connection - Connection of the transaction
+     * @param {Object} orderData - Order data
+     * @param {Array} orderItems - Array of order items
+     * @returns {Promise<string>} - ID of created order
+     */
+    static async insert(connection, orderData, orderItems) {
+        // Generate order ID with format ORD-XXXXX
+        const orderId = 'ORD-' + Math.floor(10000 + Math.random() * 90000);
+
+        // Set status to pending by default
+        const status = orderData.status || 'pending';
+
+        // Insert order
+        const [result] = await connection.execute(
+            `INSERT INTO orders 
+            (id, buyer_id, total, service_fee, status, payment_method, payment_status, 
+            delivery_address, delivery_city, delivery_state, delivery_zip)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                orderId,
+                orderData.buyerId,
+                orderData.total,
+                orderData.serviceFee,
+                status,
+                orderData.paymentMethod,
+                orderData.paymentStatus,
+                orderData.deliveryAddress,
+                orderData.deliveryCity,
+                orderData.deliveryState,
+                orderData.deliveryZip
+            ]
+        );
+
+        // Insert order items
+        for (const item of orderItems) {
+            await connection.execute(
+                `INSERT INTO order_items 
+                (order_id, product_id, quantity, price_at_purchase)
+                VALUES (?, ?, ?, ?)`,
+                [
+                    orderId,
+                    item.productId,
+                    item.quantity,
+                    item.price
+                ]
+            );
+
+            // Update product status to sold if needed
+            await connection.execute(
+                `UPDATE products SET status = 'sold' WHERE id = ?`,
+                [item.productId]
+            );
+        }
+
+        return orderId;
+    }
+
     /**
      * Find order by ID
      * @param {string} orderId - Order ID
@@ -83,7 +96,7 @@ class Order {
         try {
             // Get order details
             const [orderRows] = await pool.execute(
-                `SELECT o.*, u.first_name, u.last_name, u.email, u.phone
+                `SELECT o.*, u.first_name, u.last_name, u.email, u.phone, u.campus_id
                 FROM orders o
                 JOIN users u ON o.buyer_id = u.id
                 WHERE o.id = ?`,
@@ -217,25 +230,27 @@ class Order {
     }
 
     /**
-     * Get all orders (for admin)
+     * Get all orders placed by buyers of a campus (for admin)
+     * @param {number} campusId - Campus ID
      * @param {string|null} status - Optional status filter
      * @param {number} limit - Max records to return
      * @param {number} offset - Records to skip
      * @returns {Promise<Array>} - Array of orders
      */
-    static async getAll(status = null, limit = 10, offset = 0) {
+    static async getAll(campusId, status = null, limit = 10, offset = 0) {
         try {
             let query = `
                 SELECT o.*, u.first_name, u.last_name, u.email,
                     (SELECT COUNT(*) FROM order_items WHERE order_id = o.id) as item_count
                 FROM orders o
                 JOIN users u ON o.buyer_id = u.id
+                WHERE u.campus_id = ?
             `;
 
-            const params = [];
+            const params = [campusId];
 
             if (status) {
-                query += ` WHERE o.status = ?`;
+                query += ` AND o.status = ?`;
                 params.push(status);
             }
 
@@ -251,17 +266,18 @@ class Order {
     }
 
     /**
-     * Count orders
+     * Count orders placed by buyers of a campus
+     * @param {number} campusId - Campus ID
      * @param {string|null} status - Optional status filter
      * @returns {Promise<number>} - Total count
      */
-    static async count(status = null) {
+    static async count(campusId, status = null) {
         try {
-            let query = 'SELECT COUNT(*) as total FROM orders';
-            const params = [];
+            let query = 'SELECT COUNT(*) as total FROM orders o JOIN users u ON o.buyer_id = u.id WHERE u.campus_id = ?';
+            const params = [campusId];
 
             if (status) {
-                query += ' WHERE status = ?';
+                query += ' AND o.status = ?';
                 params.push(status);
             }
 
@@ -274,27 +290,34 @@ class Order {
     }
 
     /**
-     * Get order statistics
+     * Get order statistics of a campus
+     * @param {number} campusId - Campus ID
      * @returns {Promise<Object>} - Order stats
      */
-    static async getStats() {
+    static async getStats(campusId) {
         try {
             // Get total orders
-            const [totalRows] = await pool.execute('SELECT COUNT(*) as total FROM orders');
+            const [totalRows] = await pool.execute(
+                'SELECT COUNT(*) as total FROM orders o JOIN users u ON o.buyer_id = u.id WHERE u.campus_id = ?',
+                [campusId]
+            );
 
             // Get orders by status
             const [statusRows] = await pool.execute(`
-                SELECT status, COUNT(*) as count
-                FROM orders
-                GROUP BY status
-            `);
+                SELECT o.status, COUNT(*) as count
+                FROM orders o
+                JOIN users u ON o.buyer_id = u.id
+                WHERE u.campus_id = ?
+                GROUP BY o.status
+            `, [campusId]);
 
             // Get total sales
             const [salesRows] = await pool.execute(`
-                SELECT SUM(total) as total_sales
-                FROM orders
-                WHERE status = 'completed'
-            `);
+                SELECT SUM(o.total) as total_sales
+                FROM orders o
+                JOIN users u ON o.buyer_id = u.id
+                WHERE u.campus_id = ? AND o.status = 'completed'
+            `, [campusId]);
 
             // Format the results
             const stats = {
@@ -315,24 +338,27 @@ class Order {
     }
 
     /**
-     * Get monthly sales data
+     * Get monthly sales data of a campus
+     * @param {number} campusId - Campus ID
      * @param {number} year - Year to get data for
      * @returns {Promise<Array>} - Monthly sales data
      */
-    static async getMonthlySales(year) {
+    static async getMonthlySales(campusId, year) {
         try {
             const [rows] = await pool.execute(`
                 SELECT 
-                    MONTH(created_at) as month,
+                    MONTH(o.created_at) as month,
                     COUNT(*) as order_count,
-                    SUM(total) as total_sales
-                FROM orders
+                    SUM(o.total) as total_sales
+                FROM orders o
+                JOIN users u ON o.buyer_id = u.id
                 WHERE 
-                    YEAR(created_at) = ? AND
-                    status = 'completed'
-                GROUP BY MONTH(created_at)
+                    u.campus_id = ? AND
+                    YEAR(o.created_at) = ? AND
+                    o.status = 'completed'
+                GROUP BY MONTH(o.created_at)
                 ORDER BY month
-            `, [year]);
+            `, [campusId, year]);
 
             // Fill in missing months
             const monthlyData = Array.from({ length: 12 }, (_, i) => ({
@@ -0,0 +1,54 @@
+// models/PasswordReset.js
+const { pool } = require('../config/database');
+
+class PasswordReset {
+    /**
+     * Store a password reset token hash (replaces any outstanding token of the user)
+     * @param {number} userId - User ID
+     * @param {string} tokenHash - SHA-256 hash of the reset token
+     * @param {Date} expiresAt - Token expiration date
+     * @returns {Promise<number>} - ID of stored token
+     */
+    static async create(userId, tokenHash, expiresAt) {
+        try {
+            // Only the most recently requested link works
+            await pool.execute(
+                'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+                [userId]
+            );
+
+            const [result] = await pool.execute(
+                'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+                [userId, tokenHash, expiresAt]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error storing password reset token:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Consume a password reset token
+     * @param {string} tokenHash - SHA-256 hash of the reset token
+     * @returns {Promise<boolean>} - True if the token was valid and unused
+     */
+    static async consume(tokenHash) {
+        try {
+            // Only succeeds once, so a reset link cannot be replayed
+            const [result] = await pool.execute(
+                `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+                 WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+                [tokenHash]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error consuming password reset token:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PasswordReset;
@@ -0,0 +1,102 @@
+// models/PriceHistory.js
+const { pool } = require('../config/database');
+
+class PriceHistory {
+    /**
+     * Get every price a listing has had
+     * @param {number} productId - Product ID
+     * @returns {Promise<Array>} - Prices with the time they were set, oldest first
+     */
+    static async getByProduct(productId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT price, changed_at
+                 FROM product_price_history
+                 WHERE product_id = ?
+                 ORDER BY changed_at, id`,
+                [productId]
+            );
+
+            return rows.map(row => ({ price: parseFloat(row.price), changedAt: row.changed_at }));
+        } catch (error) {
+            console.error('Error getting price history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find price raises shortly followed by a sale of the same listing
+     * @param {number} campusId - Campus ID
+     * @param {number} hours - Longest time between the raise and the sale
+     * @param {number} days - How far back to look
+     * @returns {Promise<Array>} - Raises with the previous price, seller and order
+     */
+    static async getRaisesBeforeSale(campusId, hours, days) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT h.product_id, p.name as product_name,
+                        p.seller_id, CONCAT(s.first_name, ' ', s.last_name) as seller_name,
+                        prev.price as old_price, h.price as new_price, h.changed_at,
+                        o.id as order_id, o.created_at as sold_at,
+                        CONCAT(b.first_name, ' ', b.last_name) as buyer_name
+                 FROM product_price_history h
+                 JOIN product_price_history prev ON prev.id = (
+                     SELECT MAX(id) FROM product_price_history
+                     WHERE product_id = h.product_id AND id < h.id
+                 )
+                 JOIN products p ON h.product_id = p.id
+                 JOIN users s ON p.seller_id = s.id
+                 JOIN order_items oi ON oi.product_id = h.product_id
+                 JOIN orders o ON oi.order_id = o.id
+                 JOIN users b ON o.buyer_id = b.id
+                 WHERE p.campus_id = ?
+                   AND h.price > prev.price
+                   AND o.created_at BETWEEN h.changed_at AND DATE_ADD(h.changed_at, INTERVAL ? HOUR)
+                   AND o.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+                 ORDER BY o.created_at DESC`,
+                [campusId, hours, days]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error finding price raises before sales:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find listings whose price was changed many times recently (the listed price is not a change)
+     * @param {number} campusId - Campus ID
+     * @param {number} minChanges - Fewest price changes to report
+     * @param {number} days - How far back to look
+     * @returns {Promise<Array>} - Listings with their number of changes and price range
+     */
+    static async getFrequentChanges(campusId, minChanges, days) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT h.product_id, p.name as product_name, p.price, p.status,
+                        p.seller_id, CONCAT(s.first_name, ' ', s.last_name) as seller_name,
+                        COUNT(*) as change_count,
+                        MIN(h.price) as lowest_price, MAX(h.price) as highest_price,
+                        MAX(h.changed_at) as last_changed_at
+                 FROM product_price_history h
+                 JOIN products p ON h.product_id = p.id
+                 JOIN users s ON p.seller_id = s.id
+                 WHERE p.campus_id = ?
+                   AND h.changed_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+                   AND h.id > (SELECT MIN(id) FROM product_price_history WHERE product_id = h.product_id)
+                 GROUP BY p.id
+                 HAVING COUNT(*) >= ?
+                 ORDER BY change_count DESC`,
+                [campusId, days, minChanges]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error finding frequent price changes:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PriceHistory;
@@ -1,19 +1,128 @@
 // models/Product.js
 const {pool} = require('../config/database');
+const Course = require('./Course');
+const Auction = require('./Auction');
+const { PRICE_BUCKETS } = require('../config/search');
+const { UNPUBLISHED_STATUSES } = require('../config/listings');
+const { CATEGORY_ANCESTRY, CATEGORY_SUBTREE } = require('../utils/queryBuilder');
+
+/**
+ * Build the joins and WHERE clause shared by product search, count and facets
+ * @param {Object} options - Search options (campusId, searchQuery, searchPrefixes, categoryId, minPrice,
+ *                           maxPrice, sellerId, condition, location, attributes, courseId)
+ * @param {string} omit - Filter left out ('category', 'condition', 'price' or 'location') when counting its facet
+ * @returns {Object} - SQL join, WHERE clause and parameters
+ */
+const buildSearchFilters = (options, omit = null) => {
+    const {
+        campusId = null,
+        searchQuery = '',
+        searchPrefixes = [],
+        categoryId = null,
+        minPrice = null,
+        maxPrice = null,
+        sellerId = null,
+        condition = null,
+        location = null,
+        attributes = {},
+        courseId = null
+    } = options;
+
+    const conditions = [`p.status = 'active'`];
+    const params = [];
+
+    // Add campus filter
+    if (campusId) {
+        conditions.push('p.campus_id = ?');
+        params.push(campusId);
+    }
+
+    // Add full-text search filter
+    if (searchQuery) {
+        conditions.push('MATCH(ps.name_terms, ps.body_terms) AGAINST(? IN BOOLEAN MODE)');
+        params.push(searchQuery);
+    }
+
+    // Add word prefix filters for words too short for the full-text index (letters and digits only)
+    for (const prefix of searchPrefixes || []) {
+        conditions.push(`CONCAT(' ', ps.name_terms, ' ', ps.body_terms) LIKE ?`);
+        params.push(`% ${prefix}%`);
+    }
+
+    // Add category filter (including its subcategories)
+    if (categoryId && omit !== 'category') {
+        conditions.push(`p.category_id IN ${CATEGORY_SUBTREE}`);
+        params.push(categoryId);
+    }
+
+    // Add price filters
+    if (minPrice !== null && omit !== 'price') {
+        conditions.push('p.price >= ?');
+        params.push(minPrice);
+    }
+
+    if (maxPrice !== null && omit !== 'price') {
+        conditions.push('p.price <= ?');
+        params.push(maxPrice);
+    }
+
+    // Add seller filter
+    if (sellerId) {
+        conditions.push('p.seller_id = ?');
+        params.push(sellerId);
+    }
+
+    // Add condition filter
+    if (condition && omit !== 'condition') {
+        conditions.push('p.item_condition = ?');
+        params.push(condition);
+    }
+
+    // Add location filter
+    if (location && omit !== 'location') {
+        conditions.push('p.location = ?');
+        params.push(location);
+    }
+
+    // Add course filter (listings tagged with the course)
+    if (courseId) {
+        conditions.push('EXISTS (SELECT 1 FROM product_courses pc WHERE pc.product_id = p.id AND pc.course_id = ?)');
+        params.push(courseId);
+    }
+
+    // Add attribute filters (specification name and value, already normalized)
+    for (const [name, value] of Object.entries(attributes || {})) {
+        conditions.push(`EXISTS (SELECT 1 FROM product_specifications s
+                                 WHERE s.product_id = p.id AND s.name = ? AND s.value = ?)`);
+        params.push(name, value);
+    }
+
+    return {
+        join: searchQuery || searchPrefixes?.length ? 'JOIN product_search ps ON p.id = ps.product_id' : '',
+        where: `WHERE ${conditions.join(' AND ')}`,
+        params
+    };
+};
+
+// Unpublished statuses as an SQL list (constants, safe to inline)
+const UNPUBLISHED_SQL = UNPUBLISHED_STATUSES.map(status => `'${status}'`).join(', ');
 
 class Product {
     /**
      * Find a product by ID
      * @param {number} id - Product ID
+     * @param {boolean} countView - Whether the lookup counts as a view of the listing
      * @returns {Promise<Object|null>} - Product object or null if not found
      */
-    static async findById(id) {
+    static async findById(id, countView = true) {
         try {
             // Get product details
             const [rows] = await pool.execute(
                 `SELECT p.*,
                         c.name       as category_name,
                         c.icon       as category_icon,
+                        c.parent_id  as category_parent_id,
+                        pc.name      as category_parent_name,
                         u.id as         seller_id,
                         u.first_name as seller_first_name,
                         u.last_name as  seller_last_name,
@@ -22,6 +131,7 @@ class Product {
                         u.join_date  as seller_join_date
                  FROM products p
                           JOIN categories c ON p.category_id = c.id
+                          LEFT JOIN categories pc ON c.parent_id = pc.id
                           JOIN users u ON p.seller_id = u.id
                  WHERE p.id = ?`,
                 [id]
@@ -30,10 +140,12 @@ class Product {
             if (!rows.length) return null;
 
             // Increment view count
-            await pool.execute(
-                'UPDATE products SET views = views + 1 WHERE id = ?',
-                [id]
-            );
+            if (countView) {
+                await pool.execute(
+                    'UPDATE products SET views = views + 1 WHERE id = ?',
+                    [id]
+                );
+            }
 
             return rows[0];
         } catch (error) {
@@ -83,52 +195,54 @@ class Product {
      * @param {Object} productData - Product data
      * @param {Array} images - Array of image URLs
      * @param {Array} specifications - Array of specifications
+     * @param {Object} auction - Auction settings of an auction listing (optional)
      * @returns {Promise<number>} - ID of created product
      */
-    static async create(productData, images = [], specifications = []) {
+    static async create(productData, images = [], specifications = [], auction = null) {
         const connection = await pool.getConnection();
 
         try {
             await connection.beginTransaction();
 
-            const {name, description, price, sellerId, categoryId, itemCondition, location} = productData;
+            const productId = await Product.insert(connection, productData, images, specifications);
+            if (auction) {
+                await Auction.create(productId, auction, connection);
+            }
 
-            // Insert product
-            const [productResult] = await connection.execute(
-                `INSERT INTO products
-                 (name, description, price, seller_id, category_id, item_condition, location)
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [name, description, price, sellerId, categoryId, itemCondition, location]
-            );
+            await connection.commit();
+            return productId;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error creating product:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
 
-            const productId = productResult.insertId;
+    /**
+     * Create several products in one transaction, so either all of them are saved or none
+     * @param {Array} products - Products as { productData, images, specifications, courseIds }
+     * @returns {Promise<Array<number>>} - IDs of created products, in the given order
+     */
+    static async createMany(products) {
+        const connection = await pool.getConnection();
 
-            // Insert images
-            if (images.length > 0) {
-                for (let i = 0; i < images.length; i++) {
-                    const isMain = i === 0; // First image is main
-                    await connection.execute(
-                        'INSERT INTO product_images (product_id, image_url, is_main) VALUES (?, ?, ?)',
-                        [productId, images[i], isMain]
-                    );
-                }
-            }
+        try {
+            await connection.beginTransaction();
 
-            // Insert specifications
-            if (specifications.length > 0) {
-                for (const spec of specifications) {
-                    await connection.execute(
-                        'INSERT INTO product_specifications (product_id, name, value) VALUES (?, ?, ?)',
-                        [productId, spec.name, spec.value]
-                    );
-                }
+            const productIds = [];
+            for (const { productData, images = [], specifications = [], courseIds = [] } of products) {
+                const productId = await Product.insert(connection, productData, images, specifications);
+                await Course.insertForProduct(connection, productId, courseIds);
+                productIds.push(productId);
             }
 
             await connection.commit();
-            return productId;
+            return productIds;
         } catch (error) {
             await connection.rollback();
-            console.error('Error creating product:', error);
+            console.error('Error creating products:', error);
             throw error;
         } finally {
             connection.release();
@@ -136,16 +250,72 @@ class Product {
     }
 
     /**
-     * Update a product
+     * Insert a product with its price history, images and specifications, within an open transaction
+     * @param {Object} connection - Connection of the transaction
+     * @param {Object} productData - Product data
+     * @param {Array} images - Array of image URLs
+     * @param {Array} specifications - Array of specifications
+     * @returns {Promise<number>} - ID of created product
+     */
+    static async insert(connection, productData, images = [], specifications = []) {
+        const {
+            name, description, price, sellerId, categoryId, campusId, itemCondition, location,
+            status = 'active', publishAt = null, listingType = 'fixed'
+        } = productData;
+
+        // Insert product
+        const [productResult] = await connection.execute(
+            `INSERT INTO products
+             (name, description, price, seller_id, category_id, campus_id, item_condition, location, status, publish_at,
+              listing_type)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name, description, price, sellerId, categoryId, campusId, itemCondition, location, status, publishAt,
+                listingType]
+        );
+
+        const productId = productResult.insertId;
+
+        // Start the price history with the listed price (drafts start theirs when published)
+        if (!UNPUBLISHED_STATUSES.includes(status)) {
+            await connection.execute(
+                'INSERT INTO product_price_history (product_id, price) VALUES (?, ?)',
+                [productId, price]
+            );
+        }
+
+        // Insert images
+        for (let i = 0; i < images.length; i++) {
+            const isMain = i === 0; // First image is main
+            await connection.execute(
+                'INSERT INTO product_images (product_id, image_url, is_main) VALUES (?, ?, ?)',
+                [productId, images[i], isMain]
+            );
+        }
+
+        // Insert specifications
+        for (const spec of specifications) {
+            await connection.execute(
+                'INSERT INTO product_specifications (product_id, name, value) VALUES (?, ?, ?)',
+                [productId, spec.name, spec.value]
+            );
+        }
+
+        return productId;
+    }
+
+    /**
+     * Update a product (a changed price is added to the price history)
      * @param {number} id - Product ID
      * @param {Object} productData - Product data to update
      * @returns {Promise<boolean>} - True if update successful
      */
     static async update(id, productData) {
+        const connection = await pool.getConnection();
+
         try {
             const {
                 name, description, price, categoryId,
-                itemCondition, location, status
+                itemCondition, location
             } = productData;
 
             // Build SET clause and parameters dynamically to avoid undefined values
@@ -182,11 +352,6 @@ class Product {
                 params.push(location);
             }
 
-            if (status !== undefined) {
-                setClause.push('status = ?');
-                params.push(status);
-            }
-
             // Add updated_at timestamp
             setClause.push('updated_at = CURRENT_TIMESTAMP');
 
@@ -203,25 +368,48 @@ class Product {
             // Add product ID to parameters
             params.push(id);
 
-            const [result] = await pool.execute(query, params);
+            await connection.beginTransaction();
+
+            // Record the new price before it replaces the old one (unchanged prices and drafts are skipped)
+            if (price !== undefined) {
+                await connection.execute(
+                    `INSERT INTO product_price_history (product_id, price)
+                     SELECT id, ? FROM products
+                     WHERE id = ? AND price <> ? AND status NOT IN (${UNPUBLISHED_SQL})`,
+                    [price, id, price]
+                );
+            }
+
+            const [result] = await connection.execute(query, params);
+
+            await connection.commit();
             return result.affectedRows > 0;
         } catch (error) {
+            await connection.rollback();
             console.error('Error updating product:', error);
             throw error;
+        } finally {
+            connection.release();
         }
     }
 
     /**
-     * Update product status
+     * Update product status (a listing that goes live starts a new listing period)
      * @param {number} id - Product ID
      * @param {string} status - New status
      * @returns {Promise<boolean>} - True if update successful
      */
     static async updateStatus(id, status) {
         try {
+            // listed_at is set before status so it still compares against the old status
             const [result] = await pool.execute(
-                'UPDATE products SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [status, id]
+                `UPDATE products SET
+                 listed_at = IF(? = 'active' AND status <> 'active', CURRENT_TIMESTAMP, listed_at),
+                 expiry_reminder_sent_at = IF(? = 'active' AND status <> 'active', NULL, expiry_reminder_sent_at),
+                 status = ?,
+                 updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [status, status, status, id]
             );
 
             return result.affectedRows > 0;
@@ -231,6 +419,202 @@ class Product {
         }
     }
 
+    /**
+     * Publish a draft or scheduled listing, starting its listing period and price history
+     * @param {number} id - Product ID
+     * @param {string} status - Status after publishing ('active' or 'pending' for approval)
+     * @returns {Promise<boolean>} - False if the listing was already published
+     */
+    static async publish(id, status) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.execute(
+                `UPDATE products
+                 SET status = ?, publish_at = NULL, listed_at = CURRENT_TIMESTAMP, expiry_reminder_sent_at = NULL
+                 WHERE id = ? AND status IN (${UNPUBLISHED_SQL})`,
+                [status, id]
+            );
+
+            if (result.affectedRows > 0) {
+                await connection.execute(
+                    'INSERT INTO product_price_history (product_id, price) SELECT id, price FROM products WHERE id = ?',
+                    [id]
+                );
+            }
+
+            await connection.commit();
+            return result.affectedRows > 0;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error publishing product:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Schedule a draft (or reschedule a scheduled listing) to be published later
+     * @param {number} id - Product ID
+     * @param {Date} publishAt - When the listing goes live
+     * @returns {Promise<boolean>} - False if the listing was already published
+     */
+    static async schedule(id, publishAt) {
+        try {
+            const [result] = await pool.execute(
+                `UPDATE products SET status = 'scheduled', publish_at = ?
+                 WHERE id = ? AND status IN (${UNPUBLISHED_SQL})`,
+                [publishAt, id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error scheduling product:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a seller's drafts and scheduled listings
+     * @param {number} sellerId - Seller ID
+     * @returns {Promise<Array>} - Drafts, most recently changed first
+     */
+    static async getDrafts(sellerId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT p.*, c.name as category_name,
+                        (SELECT image_url FROM product_images WHERE product_id = p.id AND is_main = 1 LIMIT 1) as main_image
+                 FROM products p
+                 JOIN categories c ON p.category_id = c.id
+                 WHERE p.seller_id = ? AND p.status IN (${UNPUBLISHED_SQL})
+                 ORDER BY p.updated_at DESC`,
+                [sellerId]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting drafts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get scheduled listings whose publish time has come
+     * @returns {Promise<Array>} - Product IDs with their campus
+     */
+    static async getDueScheduled() {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT id, campus_id FROM products
+                 WHERE status = 'scheduled' AND publish_at <= NOW()
+                 ORDER BY publish_at`
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting due scheduled listings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Renew an active or expired listing for a new listing period
+     * @param {number} id - Product ID
+     * @returns {Promise<boolean>} - False if the listing cannot be renewed
+     */
+    static async renew(id) {
+        try {
+            const [result] = await pool.execute(
+                `UPDATE products
+                 SET status = 'active', listed_at = CURRENT_TIMESTAMP, expiry_reminder_sent_at = NULL
+                 WHERE id = ? AND status IN ('active', 'expired')`,
+                [id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error renewing product:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get active listings entering their campus's reminder window that haven't been reminded
+     * @returns {Promise<Array>} - Listings with their expiry time and the seller's details
+     */
+    static async getDueExpiryReminders() {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT p.id, p.name, p.price,
+                        DATE_ADD(p.listed_at, INTERVAL s.listing_lifetime_days DAY) as expires_at,
+                        u.id as seller_id, u.email, u.first_name, u.campus_id
+                 FROM products p
+                 JOIN settings s ON s.campus_id = p.campus_id
+                 JOIN users u ON p.seller_id = u.id
+                 WHERE p.status = 'active'
+                   AND p.listing_type = 'fixed'
+                   AND p.expiry_reminder_sent_at IS NULL
+                   AND s.listing_lifetime_days > 0
+                   AND s.expiry_reminder_days > 0
+                   AND u.status = 'active'
+                   AND p.listed_at <= DATE_SUB(NOW(), INTERVAL s.listing_lifetime_days - s.expiry_reminder_days DAY)
+                 ORDER BY u.id, expires_at`
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting listings due an expiry reminder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remember that sellers were reminded of the upcoming expiry
+     * @param {number[]} ids - Product IDs
+     * @returns {Promise<void>}
+     */
+    static async markExpiryReminderSent(ids) {
+        if (ids.length === 0) {
+            return;
+        }
+
+        try {
+            await pool.query(
+                'UPDATE products SET expiry_reminder_sent_at = CURRENT_TIMESTAMP WHERE id IN (?)',
+                [ids]
+            );
+        } catch (error) {
+            console.error('Error marking expiry reminders sent:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Expire active listings older than their campus's listing lifetime (auctions end on their own)
+     * @returns {Promise<number>} - Number of listings expired
+     */
+    static async expireListings() {
+        try {
+            const [result] = await pool.execute(
+                `UPDATE products p
+                 JOIN settings s ON s.campus_id = p.campus_id
+                 SET p.status = 'expired'
+                 WHERE p.status = 'active'
+                   AND p.listing_type = 'fixed'
+                   AND s.listing_lifetime_days > 0
+                   AND p.listed_at <= DATE_SUB(NOW(), INTERVAL s.listing_lifetime_days DAY)`
+            );
+
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error expiring listings:', error);
+            throw error;
+        }
+    }
+
     /**
      * Delete a product
      * @param {number} id - Product ID
@@ -310,6 +694,23 @@ class Product {
         }
     }
 
+    /**
+     * Get the URLs of every uploaded product image (for moving uploads between storage backends)
+     * @returns {Promise<Array<string>>} - Image URLs
+     */
+    static async getUploadedImageUrls() {
+        try {
+            const [rows] = await pool.execute(
+                "SELECT DISTINCT image_url FROM product_images WHERE image_url LIKE '/uploads/%'"
+            );
+
+            return rows.map(row => row.image_url);
+        } catch (error) {
+            console.error('Error getting uploaded product images:', error);
+            throw error;
+        }
+    }
+
     /**
      * Add a product specification
      * @param {number} productId - Product ID
@@ -372,18 +773,14 @@ class Product {
 
     /**
      * Search for products with filtering options
-     * @param {Object} options - Search options
+     * @param {Object} options - Search options (campusId null searches every campus, searchQuery is a
+     *                           full-text boolean-mode query built by searchService.parseQuery)
      * @returns {Promise<Array>} - Array of products matching criteria
      */
     static async search(options) {
         try {
             const {
-                searchTerm = '',
-                categoryId = null,
-                minPrice = null,
-                maxPrice = null,
-                sellerId = null,
-                condition = null,
+                searchQuery = '',
                 sortBy = 'newest',
                 limit = 10,
                 offset = 0
@@ -394,58 +791,35 @@ class Product {
                 throw new Error('Invalid limit or offset value');
             }
 
+            const { join, where, params: filterParams } = buildSearchFilters(options);
+
             let query = `
                 SELECT p.*,
                        c.name       as                                                               category_name,
                        u.first_name as                                                               seller_first_name,
                        u.last_name  as                                                               seller_last_name,
                        (SELECT image_url FROM product_images WHERE product_id = p.id AND is_main = 1 LIMIT 1) as main_image
+                       ${searchQuery ? `,
+                       (MATCH(ps.name_terms) AGAINST(? IN BOOLEAN MODE) * 2
+                           + MATCH(ps.body_terms) AGAINST(? IN BOOLEAN MODE)) as relevance` : ''}
                 FROM products p
                     JOIN categories c
                 ON p.category_id = c.id
                     JOIN users u ON p.seller_id = u.id
-                WHERE p.status = 'active'
+                    ${join}
+                ${where}
             `;
 
-            const params = [];
-
-            // Add search term filter
-            if (searchTerm) {
-                query += ` AND (p.name LIKE ? OR p.description LIKE ?)`;
-                params.push(`%${searchTerm}%`, `%${searchTerm}%`);
-            }
-
-            // Add category filter
-            if (categoryId) {
-                query += ` AND p.category_id = ?`;
-                params.push(categoryId);
-            }
-
-            // Add price filters
-            if (minPrice !== null) {
-                query += ` AND p.price >= ?`;
-                params.push(minPrice);
-            }
-
-            if (maxPrice !== null) {
-                query += ` AND p.price <= ?`;
-                params.push(maxPrice);
-            }
-
-            // Add seller filter
-            if (sellerId) {
-                query += ` AND p.seller_id = ?`;
-                params.push(sellerId);
-            }
-
-            // Add condition filter
-            if (condition) {
-                query += ` AND p.item_condition = ?`;
-                params.push(condition);
-            }
+            // Matches in the name weigh double
+            const params = searchQuery ? [searchQuery, searchQuery, ...filterParams] : filterParams;
 
             // Add sorting
             switch (sortBy) {
+                case 'relevance':
+                    query += searchQuery
+                        ? ` ORDER BY relevance DESC, p.created_at DESC`
+                        : ` ORDER BY p.created_at DESC`;
+                    break;
                 case 'priceAsc':
                     query += ` ORDER BY p.price ASC`;
                     break;
@@ -480,67 +854,96 @@ class Product {
 
     /**
      * Count products matching search criteria (for pagination)
-     * @param {Object} options - Search options
+     * @param {Object} options - Search options (campusId null counts every campus)
      * @returns {Promise<number>} - Total count of matching products
      */
     static async count(options) {
         try {
-            const {
-                searchTerm = '',
-                categoryId = null,
-                minPrice = null,
-                maxPrice = null,
-                sellerId = null,
-                condition = null
-            } = options;
+            const { join, where, params } = buildSearchFilters(options);
 
-            let query = `
-                SELECT COUNT(*) as count
-                FROM products p
-                WHERE p.status = 'active'
-            `;
-
-            const params = [];
-
-            // Add search term filter
-            if (searchTerm) {
-                query += ` AND (p.name LIKE ? OR p.description LIKE ?)`;
-                params.push(`%${searchTerm}%`, `%${searchTerm}%`);
-            }
+            const [result] = await pool.execute(
+                `SELECT COUNT(*) as count FROM products p ${join} ${where}`,
+                params
+            );
+            return result[0].count;
+        } catch (error) {
+            console.error('Error counting products:', error);
+            throw error;
+        }
+    }
 
-            // Add category filter
-            if (categoryId) {
-                query += ` AND p.category_id = ?`;
-                params.push(categoryId);
-            }
+    /**
+     * Count matching products per category, condition, price range and location
+     * Each facet applies every filter except its own, so other options of a
+     * selected filter keep their counts
+     * @param {Object} options - Search options (same as search)
+     * @returns {Promise<Object>} - Facets with the count of each option, empty options left out
+     */
+    static async getFacets(options) {
+        try {
+            const categoryFilters = buildSearchFilters(options, 'category');
+            // Listings also count towards the parents of their category
+            const [categories] = await pool.execute(
+                `WITH RECURSIVE ${CATEGORY_ANCESTRY}
+                 SELECT c.id, c.name, COUNT(*) as count
+                 FROM products p
+                 JOIN category_ancestry a ON p.category_id = a.id
+                 JOIN categories c ON a.ancestor_id = c.id
+                 ${categoryFilters.join}
+                 ${categoryFilters.where}
+                 GROUP BY c.id, c.name
+                 ORDER BY c.name`,
+                categoryFilters.params
+            );
 
-            // Add price filters
-            if (minPrice !== null) {
-                query += ` AND p.price >= ?`;
-                params.push(minPrice);
-            }
+            const conditionFilters = buildSearchFilters(options, 'condition');
+            const [conditions] = await pool.execute(
+                `SELECT p.item_condition as value, COUNT(*) as count
+                 FROM products p
+                 ${conditionFilters.join}
+                 ${conditionFilters.where}
+                 GROUP BY p.item_condition
+                 ORDER BY count DESC, value`,
+                conditionFilters.params
+            );
 
-            if (maxPrice !== null) {
-                query += ` AND p.price <= ?`;
-                params.push(maxPrice);
-            }
+            const locationFilters = buildSearchFilters(options, 'location');
+            const [locations] = await pool.execute(
+                `SELECT p.location as value, COUNT(*) as count
+                 FROM products p
+                 ${locationFilters.join}
+                 ${locationFilters.where}
+                 GROUP BY p.location
+                 ORDER BY count DESC, value`,
+                locationFilters.params
+            );
 
-            // Add seller filter
-            if (sellerId) {
-                query += ` AND p.seller_id = ?`;
-                params.push(sellerId);
-            }
+            // One column per price bucket, counted in a single pass
+            const priceFilters = buildSearchFilters(options, 'price');
+            const bucketColumns = PRICE_BUCKETS.map((bucket, i) => bucket.max === null
+                ? `SUM(p.price >= ${bucket.min}) as bucket_${i}`
+                : `SUM(p.price >= ${bucket.min} AND p.price < ${bucket.max}) as bucket_${i}`
+            );
+            const [[priceCounts]] = await pool.execute(
+                `SELECT ${bucketColumns.join(', ')}
+                 FROM products p
+                 ${priceFilters.join}
+                 ${priceFilters.where}`,
+                priceFilters.params
+            );
 
-            // Add condition filter
-            if (condition) {
-                query += ` AND p.item_condition = ?`;
-                params.push(condition);
-            }
+            const priceRanges = PRICE_BUCKETS
+                .map((bucket, i) => ({ ...bucket, count: Number(priceCounts[`bucket_${i}`]) || 0 }))
+                .filter(bucket => bucket.count > 0);
 
-            const [result] = await pool.execute(query, params);
-            return result[0].count;
+            return {
+                categories,
+                conditions,
+                priceRanges,
+                locations
+            };
         } catch (error) {
-            console.error('Error counting products:', error);
+            console.error('Error getting product facets:', error);
             throw error;
         }
     }
@@ -553,15 +956,15 @@ class Product {
      */
     static async getRelated(productId, limit = 4) {
         try {
-            // First get the category of the current product
+            // First get the category and campus of the current product
             const [categoryResult] = await pool.execute(
-                'SELECT category_id FROM products WHERE id = ?',
+                'SELECT category_id, campus_id FROM products WHERE id = ?',
                 [productId]
             );
 
             if (!categoryResult.length) return [];
 
-            const categoryId = categoryResult[0].category_id;
+            const { category_id: categoryId, campus_id: campusId } = categoryResult[0];
 
             // Convert limit to integer to ensure it's a valid number
             const limitValue = parseInt(limit, 10);
@@ -579,12 +982,13 @@ class Product {
         FROM products p
         JOIN users u ON p.seller_id = u.id
         WHERE p.category_id = ? 
+        AND p.campus_id = ?
         AND p.id != ? 
         AND p.status = 'active'
         ORDER BY RAND()
         LIMIT ${limitValue}`;
 
-            const [rows] = await pool.execute(query, [categoryId, productId]);
+            const [rows] = await pool.execute(query, [categoryId, campusId, productId]);
 
             return rows;
         } catch (error) {
@@ -594,11 +998,12 @@ class Product {
     }
 
     /**
-     * Get featured products
+     * Get featured products of a campus
+     * @param {number} campusId - Campus ID
      * @param {number} limit - Limit results
      * @returns {Promise<Array>} - Array of featured products
      */
-    static async getFeatured(limit = 4) {
+    static async getFeatured(campusId, limit = 4) {
         try {
             // Ensure limit is a positive integer
             if (typeof limit !== 'number' || isNaN(limit) || limit < 1) {
@@ -615,12 +1020,12 @@ class Product {
                 FROM products p
                     JOIN categories c
                 ON p.category_id = c.id
-                WHERE p.status = 'active'
+                WHERE p.status = 'active' AND p.campus_id = ?
                 ORDER BY (p.views * 0.4) + (p.interested * 0.6) DESC
                     LIMIT ${limit}
             `;
 
-            const [rows] = await pool.query(sql);
+            const [rows] = await pool.query(sql, [campusId]);
             return rows;
         } catch (error) {
             console.error('Error getting featured products:', error);
@@ -629,11 +1034,12 @@ class Product {
     }
 
     /**
-     * Get recently listed products
+     * Get recently listed products of a campus
+     * @param {number} campusId - Campus ID
      * @param {number} limit - Limit results
      * @returns {Promise<Array>} - Array of recent products
      */
-    static async getRecent(limit = 8) {
+    static async getRecent(campusId, limit = 8) {
         try {
             const [rows] = await pool.execute(
                 `SELECT p.id,
@@ -646,10 +1052,10 @@ class Product {
                  FROM products p
                      JOIN categories c
                  ON p.category_id = c.id
-                 WHERE p.status = 'active'
+                 WHERE p.status = 'active' AND p.campus_id = ?
                  ORDER BY p.created_at DESC
                      LIMIT ?`,
-                [limit]
+                [campusId, limit]
             );
 
             return rows;
@@ -679,12 +1085,13 @@ class Product {
     }
 
     /**
-     * Get products pending approval (admin function)
+     * Get products of a campus pending approval (admin function)
+     * @param {number} campusId - Campus ID
      * @param {number} limit - Limit results
      * @param {number} offset - Offset for pagination
      * @returns {Promise<Array>} - Array of pending products
      */
-    static async getPending(limit = 10, offset = 0) {
+    static async getPending(campusId, limit = 10, offset = 0) {
         try {
             const [rows] = await pool.execute(
                 `SELECT p.*,
@@ -696,11 +1103,11 @@ class Product {
                      JOIN categories c
                  ON p.category_id = c.id
                      JOIN users u ON p.seller_id = u.id
-                 WHERE p.status = 'pending'
+                 WHERE p.status = 'pending' AND p.campus_id = ?
                  ORDER BY p.created_at ASC
                      LIMIT ?
                  OFFSET ?`,
-                [limit, offset]
+                [campusId, limit, offset]
             );
 
             return rows;
@@ -711,13 +1118,15 @@ class Product {
     }
 
     /**
-     * Count pending products (admin function)
+     * Count pending products of a campus (admin function)
+     * @param {number} campusId - Campus ID
      * @returns {Promise<number>} - Total count of pending products
      */
-    static async countPending() {
+    static async countPending(campusId) {
         try {
             const [result] = await pool.execute(
-                'SELECT COUNT(*) as count FROM products WHERE status = "pending"'
+                'SELECT COUNT(*) as count FROM products WHERE status = "pending" AND campus_id = ?',
+                [campusId]
             );
             return result[0].count;
         } catch (error) {
@@ -727,10 +1136,11 @@ class Product {
     }
 
     /**
-     * Get product statistics (admin function)
+     * Get product statistics of a campus (admin function)
+     * @param {number} campusId - Campus ID
      * @returns {Promise<Object>} - Object with product statistics
      */
-    static async getStats() {
+    static async getStats(campusId) {
         try {
             const [result] = await pool.execute(
                 `SELECT COUNT(*)                                                                       as total,
@@ -738,7 +1148,9 @@ class Product {
                         SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END)                            as pending,
                         SUM(CASE WHEN status = 'sold' THEN 1 ELSE 0 END)                               as sold,
                         SUM(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 ELSE 0 END) as new_last_week
-                 FROM products`
+                 FROM products
+                 WHERE campus_id = ?`,
+                [campusId]
             );
 
             return result[0];
@@ -0,0 +1,78 @@
+// models/RateLimit.js
+const { pool } = require('../config/database');
+
+class RateLimit {
+    /**
+     * Count a hit against a key, starting a new window if the previous one expired
+     * @param {string} key - Counter key
+     * @param {number} windowSeconds - Window length in seconds
+     * @returns {Promise<Object>} - Hit count and seconds until the window resets
+     */
+    static async increment(key, windowSeconds) {
+        try {
+            await pool.execute(
+                `INSERT INTO rate_limits (rate_key, hits, reset_at)
+                 VALUES (?, 1, DATE_ADD(NOW(), INTERVAL ? SECOND))
+                 ON DUPLICATE KEY UPDATE
+                 hits = IF(reset_at <= NOW(), 1, hits + 1),
+                 reset_at = IF(reset_at <= NOW(), DATE_ADD(NOW(), INTERVAL ? SECOND), reset_at)`,
+                [key, windowSeconds, windowSeconds]
+            );
+
+            return await RateLimit.get(key);
+        } catch (error) {
+            console.error('Error incrementing rate limit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the current counter for a key
+     * @param {string} key - Counter key
+     * @returns {Promise<Object|null>} - Hit count and seconds until reset, or null if no active window
+     */
+    static async get(key) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT hits, TIMESTAMPDIFF(SECOND, NOW(), reset_at) AS ttl
+                 FROM rate_limits WHERE rate_key = ? AND reset_at > NOW()`,
+                [key]
+            );
+
+            return rows.length ? { hits: rows[0].hits, ttl: rows[0].ttl } : null;
+        } catch (error) {
+            console.error('Error getting rate limit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear the counter for a key
+     * @param {string} key - Counter key
+     * @returns {Promise<void>}
+     */
+    static async reset(key) {
+        try {
+            await pool.execute('DELETE FROM rate_limits WHERE rate_key = ?', [key]);
+        } catch (error) {
+            console.error('Error resetting rate limit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove expired counters
+     * @returns {Promise<number>} - Number of rows removed
+     */
+    static async deleteExpired() {
+        try {
+            const [result] = await pool.execute('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error deleting expired rate limits:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RateLimit;
@@ -32,7 +32,7 @@ class Report {
         try {
             const [rows] = await pool.execute(
                 `SELECT r.*,
-         u.first_name as reporter_first_name, u.last_name as reporter_last_name
+         u.first_name as reporter_first_name, u.last_name as reporter_last_name, u.campus_id
          FROM reports r
          JOIN users u ON r.reported_by_id = u.id
          WHERE r.id = ?`,
@@ -96,14 +96,15 @@ class Report {
     }
 
     /**
-     * Get all reports (admin function)
+     * Get all reports filed on a campus (admin function)
+     * @param {number} campusId - Campus ID (of the reporter)
      * @param {string} status - Filter by status (optional)
      * @param {string} type - Filter by type (optional)
      * @param {number} limit - Limit results
      * @param {number} offset - Offset for pagination
      * @returns {Promise<Array>} - Array of reports
      */
-    static async getAll(status = null, type = null, limit = 10, offset = 0) {
+    static async getAll(campusId, status = null, type = null, limit = 10, offset = 0) {
         try {
             let query = `
         SELECT r.*,
@@ -112,8 +113,8 @@ class Report {
         JOIN users u ON r.reported_by_id = u.id
       `;
 
-            const params = [];
-            const conditions = [];
+            const params = [campusId];
+            const conditions = ['u.campus_id = ?'];
 
             if (status) {
                 conditions.push('r.status = ?');
@@ -125,9 +126,7 @@ class Report {
                 params.push(type);
             }
 
-            if (conditions.length > 0) {
-                query += ' WHERE ' + conditions.join(' AND ');
-            }
+            query += ' WHERE ' + conditions.join(' AND ');
 
             query += ' ORDER BY r.date DESC LIMIT ? OFFSET ?';
             params.push(limit, offset);
@@ -175,30 +174,29 @@ class Report {
     }
 
     /**
-     * Count reports (for pagination)
+     * Count reports filed on a campus (for pagination)
+     * @param {number} campusId - Campus ID (of the reporter)
      * @param {string} status - Filter by status (optional)
      * @param {string} type - Filter by type (optional)
      * @returns {Promise<number>} - Total count of reports
      */
-    static async count(status = null, type = null) {
+    static async count(campusId, status = null, type = null) {
         try {
-            let query = 'SELECT COUNT(*) as count FROM reports';
-            const params = [];
-            const conditions = [];
+            let query = 'SELECT COUNT(*) as count FROM reports r JOIN users u ON r.reported_by_id = u.id';
+            const params = [campusId];
+            const conditions = ['u.campus_id = ?'];
 
             if (status) {
-                conditions.push('status = ?');
+                conditions.push('r.status = ?');
                 params.push(status);
             }
 
             if (type) {
-                conditions.push('type = ?');
+                conditions.push('r.type = ?');
                 params.push(type);
             }
 
-            if (conditions.length > 0) {
-                query += ' WHERE ' + conditions.join(' AND ');
-            }
+            query += ' WHERE ' + conditions.join(' AND ');
 
             const [result] = await pool.execute(query, params);
             return result[0].count;
@@ -230,21 +228,25 @@ class Report {
     }
 
     /**
-     * Get report statistics (admin function)
+     * Get report statistics of a campus (admin function)
+     * @param {number} campusId - Campus ID (of the reporter)
      * @returns {Promise<Object>} - Object with report statistics
      */
-    static async getStats() {
+    static async getStats(campusId) {
         try {
             const [result] = await pool.execute(
                 `SELECT 
           COUNT(*) as total,
-          SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-          SUM(CASE WHEN status = 'resolved' THEN 1 ELSE 0 END) as resolved,
-          SUM(CASE WHEN status = 'dismissed' THEN 1 ELSE 0 END) as dismissed,
-          SUM(CASE WHEN type = 'User' THEN 1 ELSE 0 END) as users,
-          SUM(CASE WHEN type = 'Listing' THEN 1 ELSE 0 END) as listings,
-          SUM(CASE WHEN date >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 ELSE 0 END) as last_week
-        FROM reports`
+          SUM(CASE WHEN r.status = 'pending' THEN 1 ELSE 0 END) as pending,
+          SUM(CASE WHEN r.status = 'resolved' THEN 1 ELSE 0 END) as resolved,
+          SUM(CASE WHEN r.status = 'dismissed' THEN 1 ELSE 0 END) as dismissed,
+          SUM(CASE WHEN r.type = 'User' THEN 1 ELSE 0 END) as users,
+          SUM(CASE WHEN r.type = 'Listing' THEN 1 ELSE 0 END) as listings,
+          SUM(CASE WHEN r.date >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 ELSE 0 END) as last_week
+        FROM reports r
+        JOIN users u ON r.reported_by_id = u.id
+        WHERE u.campus_id = ?`,
+                [campusId]
             );
 
             return result[0];
@@ -255,13 +257,17 @@ class Report {
     }
 
     /**
-     * Get pending reports count
+     * Get pending reports count of a campus
+     * @param {number} campusId - Campus ID (of the reporter)
      * @returns {Promise<number>} - Count of pending reports
      */
-    static async getPendingCount() {
+    static async getPendingCount(campusId) {
         try {
             const [result] = await pool.execute(
-                "SELECT COUNT(*) as count FROM reports WHERE status = 'pending'"
+                `SELECT COUNT(*) as count FROM reports r
+                 JOIN users u ON r.reported_by_id = u.id
+                 WHERE r.status = 'pending' AND u.campus_id = ?`,
+                [campusId]
             );
 
             return result[0].count;
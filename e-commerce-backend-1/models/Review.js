@@ -46,7 +46,7 @@ class Review {
             const [rows] = await pool.execute(
                 `SELECT r.*,
          u.first_name as reviewer_first_name, u.last_name as reviewer_last_name, u.avatar as reviewer_avatar,
-         p.name as product_name
+         u.campus_id as reviewer_campus_id, p.name as product_name
          FROM reviews r
          JOIN users u ON r.reviewer_id = u.id
          LEFT JOIN products p ON r.product_id = p.id
@@ -90,6 +90,29 @@ class Review {
         }
     }
 
+    /**
+     * Get reviews written by a user
+     * @param {number} userId - Reviewer ID
+     * @returns {Promise<Array>} - Array of reviews
+     */
+    static async getReviewsByUser(userId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT r.*, p.name as product_name
+         FROM reviews r
+         LEFT JOIN products p ON r.product_id = p.id
+         WHERE r.reviewer_id = ?
+         ORDER BY r.date DESC`,
+                [userId]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting user reviews:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get reviews for a product
      * @param {number} productId - Product ID
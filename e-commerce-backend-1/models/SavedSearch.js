@@ -0,0 +1,270 @@
+// models/SavedSearch.js
+const { pool } = require('../config/database');
+const { CATEGORY_ANCESTORS } = require('../utils/queryBuilder');
+
+class SavedSearch {
+    /**
+     * Get a user's saved searches
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Saved searches, newest first
+     */
+    static async getByUser(userId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT s.*, c.name as category_name
+                 FROM saved_searches s
+                 LEFT JOIN categories c ON s.category_id = c.id
+                 WHERE s.user_id = ?
+                 ORDER BY s.created_at DESC`,
+                [userId]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting saved searches:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a saved search by ID
+     * @param {number} id - Saved search ID
+     * @returns {Promise<Object|null>} - Saved search or null if not found
+     */
+    static async findById(id) {
+        try {
+            const [rows] = await pool.execute('SELECT * FROM saved_searches WHERE id = ?', [id]);
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding saved search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count a user's saved searches
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} - Number of saved searches
+     */
+    static async countByUser(userId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT COUNT(*) as count FROM saved_searches WHERE user_id = ?',
+                [userId]
+            );
+
+            return rows[0].count;
+        } catch (error) {
+            console.error('Error counting saved searches:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a search
+     * @param {Object} searchData - Saved search data
+     * @returns {Promise<number>} - ID of created saved search
+     */
+    static async create(searchData) {
+        try {
+            const {
+                userId, name, searchTerm = null, categoryId = null,
+                minPrice = null, maxPrice = null, condition = null, alertMethod = 'email'
+            } = searchData;
+
+            const [result] = await pool.execute(
+                `INSERT INTO saved_searches
+                 (user_id, name, search_term, category_id, min_price, max_price, item_condition, alert_method)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, name, searchTerm, categoryId, minPrice, maxPrice, condition, alertMethod]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating saved search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a saved search (null clears a filter, omitted fields keep their value)
+     * @param {number} id - Saved search ID
+     * @param {Object} searchData - Fields to update
+     * @returns {Promise<boolean>} - True if update successful
+     */
+    static async update(id, searchData) {
+        try {
+            const columns = {
+                name: 'name',
+                searchTerm: 'search_term',
+                categoryId: 'category_id',
+                minPrice: 'min_price',
+                maxPrice: 'max_price',
+                condition: 'item_condition',
+                alertMethod: 'alert_method'
+            };
+
+            const fields = Object.keys(columns).filter(field => searchData[field] !== undefined);
+
+            // If nothing to update, return true
+            if (fields.length === 0) {
+                return true;
+            }
+
+            const [result] = await pool.execute(
+                `UPDATE saved_searches SET ${fields.map(field => `${columns[field]} = ?`).join(', ')} WHERE id = ?`,
+                [...fields.map(field => searchData[field]), id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating saved search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a saved search
+     * @param {number} id - Saved search ID
+     * @returns {Promise<boolean>} - True if deletion successful
+     */
+    static async delete(id) {
+        try {
+            const [result] = await pool.execute('DELETE FROM saved_searches WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting saved search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get alerting searches whose category (or one of its parents), price and condition filters
+     * match a listing (the search term is matched by the caller). The seller's own searches and users
+     * who turned off new listing notifications are left out.
+     * @param {Object} product - Product (id, campus_id, seller_id, category_id, price, item_condition)
+     * @returns {Promise<Array>} - Saved searches with the owner's email, name and campus
+     */
+    static async findMatchingFilters(product) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT s.*, u.email, u.first_name, u.last_name, u.campus_id
+                 FROM saved_searches s
+                 JOIN users u ON s.user_id = u.id
+                 WHERE u.campus_id = ?
+                   AND u.id != ?
+                   AND u.status = 'active'
+                   AND u.new_listing_notifications = TRUE
+                   AND s.alert_method != 'none'
+                   AND (s.category_id IS NULL OR s.category_id IN ${CATEGORY_ANCESTORS})
+                   AND (s.min_price IS NULL OR s.min_price <= ?)
+                   AND (s.max_price IS NULL OR s.max_price >= ?)
+                   AND (s.item_condition IS NULL OR s.item_condition = ?)`,
+                [
+                    product.campus_id, product.seller_id, product.category_id,
+                    product.price, product.price, product.item_condition
+                ]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error finding saved searches for listing:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that a listing matched a saved search
+     * @param {number} savedSearchId - Saved search ID
+     * @param {number} productId - Product ID
+     * @param {boolean} notified - Whether the alert was sent already (false waits for the digest)
+     * @returns {Promise<boolean>} - False if the listing had already matched this search
+     */
+    static async recordMatch(savedSearchId, productId, notified) {
+        try {
+            const [result] = await pool.execute(
+                `INSERT IGNORE INTO saved_search_matches (saved_search_id, product_id, notified_at)
+                 VALUES (?, ?, ${notified ? 'CURRENT_TIMESTAMP' : 'NULL'})`,
+                [savedSearchId, productId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error recording saved search match:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get users with digest matches waiting whose last digest was over a day ago
+     * @returns {Promise<number[]>} - User IDs
+     */
+    static async getDueDigestUserIds() {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT s.user_id
+                 FROM saved_search_matches m
+                 JOIN saved_searches s ON m.saved_search_id = s.id
+                 WHERE s.alert_method = 'digest'
+                 GROUP BY s.user_id
+                 HAVING SUM(m.notified_at IS NULL) > 0
+                    AND (MAX(m.notified_at) IS NULL OR MAX(m.notified_at) < DATE_SUB(NOW(), INTERVAL 1 DAY))`
+            );
+
+            return rows.map(row => row.user_id);
+        } catch (error) {
+            console.error('Error getting due listing digests:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's digest matches that have not been sent (listings still active)
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Matches with the search name and listing details
+     */
+    static async getPendingDigestMatches(userId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT m.saved_search_id, m.matched_at, s.name as search_name,
+                        p.id, p.name, p.price
+                 FROM saved_search_matches m
+                 JOIN saved_searches s ON m.saved_search_id = s.id
+                 JOIN products p ON m.product_id = p.id
+                 WHERE s.user_id = ? AND s.alert_method = 'digest'
+                   AND m.notified_at IS NULL AND p.status = 'active'
+                 ORDER BY s.id, m.matched_at`,
+                [userId]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting pending digest matches:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a user's waiting digest matches as sent
+     * @param {number} userId - User ID
+     * @param {Date} until - Only matches recorded up to this time (later ones wait for the next digest)
+     * @returns {Promise<void>}
+     */
+    static async markDigestSent(userId, until) {
+        try {
+            await pool.execute(
+                `UPDATE saved_search_matches m
+                 JOIN saved_searches s ON m.saved_search_id = s.id
+                 SET m.notified_at = CURRENT_TIMESTAMP
+                 WHERE s.user_id = ? AND s.alert_method = 'digest'
+                   AND m.notified_at IS NULL AND m.matched_at <= ?`,
+                [userId, until]
+            );
+        } catch (error) {
+            console.error('Error marking digest sent:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SavedSearch;
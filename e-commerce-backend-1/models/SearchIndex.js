@@ -0,0 +1,172 @@
+// models/SearchIndex.js
+const { pool } = require('../config/database');
+
+class SearchIndex {
+    /**
+     * Get the text of a product that goes into its search document
+     * @param {number} productId - Product ID
+     * @returns {Promise<Object|null>} - Name, description, campus, status, category, specifications and courses
+     *                                  or null if not found
+     */
+    static async getSource(productId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT p.id, p.name, p.description, p.campus_id, p.status, c.name as category_name
+                 FROM products p
+                 JOIN categories c ON p.category_id = c.id
+                 WHERE p.id = ?`,
+                [productId]
+            );
+
+            if (rows.length === 0) {
+                return null;
+            }
+
+            const [specifications] = await pool.execute(
+                'SELECT name, value FROM product_specifications WHERE product_id = ?',
+                [productId]
+            );
+
+            const [courses] = await pool.execute(
+                `SELECT co.department, co.number, co.title
+                 FROM product_courses pc
+                 JOIN courses co ON pc.course_id = co.id
+                 WHERE pc.product_id = ?`,
+                [productId]
+            );
+
+            return { ...rows[0], specifications, courses };
+        } catch (error) {
+            console.error('Error getting search source:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the search document of a product
+     * @param {number} productId - Product ID
+     * @returns {Promise<Object|null>} - Name and body terms or null if not indexed
+     */
+    static async getDocument(productId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT name_terms, body_terms FROM product_search WHERE product_id = ?',
+                [productId]
+            );
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error getting search document:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the search document of a product
+     * @param {number} productId - Product ID
+     * @param {string} nameTerms - Stemmed terms of the name
+     * @param {string} bodyTerms - Stemmed terms of the description, specifications and category
+     * @returns {Promise<void>}
+     */
+    static async upsert(productId, nameTerms, bodyTerms) {
+        try {
+            await pool.execute(
+                `INSERT INTO product_search (product_id, name_terms, body_terms)
+                 VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE name_terms = VALUES(name_terms), body_terms = VALUES(body_terms)`,
+                [productId, nameTerms, bodyTerms]
+            );
+        } catch (error) {
+            console.error('Error updating search document:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add words to the search vocabulary of a campus
+     * @param {number} campusId - Campus ID
+     * @param {string[]} terms - Words (unstemmed)
+     * @returns {Promise<void>}
+     */
+    static async addTerms(campusId, terms) {
+        if (terms.length === 0) {
+            return;
+        }
+
+        try {
+            await pool.query(
+                'INSERT IGNORE INTO search_terms (campus_id, term) VALUES ?',
+                [terms.map(term => [campusId, term])]
+            );
+        } catch (error) {
+            console.error('Error adding search terms:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find vocabulary words that could be a misspelling of a word
+     * @param {string} word - Misspelled word
+     * @param {number} maxDistance - Largest length difference to consider
+     * @param {number|null} campusId - Campus whose vocabulary is used (null for every campus)
+     * @returns {Promise<string[]>} - Candidate words starting with the same letter
+     */
+    static async findCandidates(word, maxDistance, campusId = null) {
+        try {
+            const params = [`${word[0]}%`, word.length - maxDistance, word.length + maxDistance];
+            if (campusId) {
+                params.push(campusId);
+            }
+
+            const [rows] = await pool.execute(
+                `SELECT DISTINCT term FROM search_terms
+                 WHERE term LIKE ? AND CHAR_LENGTH(term) BETWEEN ? AND ?${campusId ? ' AND campus_id = ?' : ''}`,
+                params
+            );
+
+            return rows.map(row => row.term);
+        } catch (error) {
+            console.error('Error finding search term candidates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get products that have no search document yet
+     * @returns {Promise<number[]>} - Product IDs
+     */
+    static async getUnindexedProductIds() {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT p.id FROM products p
+                 LEFT JOIN product_search ps ON p.id = ps.product_id
+                 WHERE ps.product_id IS NULL`
+            );
+
+            return rows.map(row => row.id);
+        } catch (error) {
+            console.error('Error getting unindexed products:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the products of a category (to refresh their documents after a rename)
+     * @param {number} categoryId - Category ID
+     * @returns {Promise<number[]>} - Product IDs
+     */
+    static async getCategoryProductIds(categoryId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT id FROM products WHERE category_id = ?',
+                [categoryId]
+            );
+
+            return rows.map(row => row.id);
+        } catch (error) {
+            console.error('Error getting category products:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SearchIndex;
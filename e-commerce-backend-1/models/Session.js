@@ -0,0 +1,232 @@
+// models/Session.js
+const { pool } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+class Session {
+    /**
+     * Create a new session (refresh token family)
+     * @param {number} userId - User ID
+     * @param {Object} clientInfo - Client details
+     * @param {string} clientInfo.userAgent - User agent of the device
+     * @param {string} clientInfo.ipAddress - IP address of the device
+     * @returns {Promise<string>} - ID of created session
+     */
+    static async create(userId, { userAgent = null, ipAddress = null } = {}) {
+        try {
+            const sessionId = uuidv4();
+
+            await pool.execute(
+                'INSERT INTO sessions (id, user_id, user_agent, ip_address) VALUES (?, ?, ?, ?)',
+                [sessionId, userId, userAgent, ipAddress]
+            );
+
+            return sessionId;
+        } catch (error) {
+            console.error('Error creating session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a session by ID
+     * @param {string} id - Session ID
+     * @returns {Promise<Object|null>} - Session object or null if not found
+     */
+    static async findById(id) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT * FROM sessions WHERE id = ?',
+                [id]
+            );
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding session by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a session exists and has not been revoked
+     * @param {string} id - Session ID
+     * @returns {Promise<boolean>} - True if session is active
+     */
+    static async isActive(id) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT id FROM sessions WHERE id = ? AND revoked_at IS NULL',
+                [id]
+            );
+            return rows.length > 0;
+        } catch (error) {
+            console.error('Error checking session status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's active sessions (not revoked and still refreshable)
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Array of session objects, most recently used first
+     */
+    static async findActiveByUser(userId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT s.id, s.user_agent, s.ip_address, s.created_at, s.last_seen_at
+                 FROM sessions s
+                 WHERE s.user_id = ? AND s.revoked_at IS NULL
+                 AND EXISTS (
+                     SELECT 1 FROM refresh_tokens rt
+                     WHERE rt.session_id = s.id AND rt.used_at IS NULL AND rt.expires_at > NOW()
+                 )
+                 ORDER BY s.last_seen_at DESC`,
+                [userId]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error getting active sessions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record activity on a session
+     * @param {string} id - Session ID
+     * @param {string} ipAddress - IP address of the request
+     * @returns {Promise<void>}
+     */
+    static async touch(id, ipAddress) {
+        try {
+            // Throttled to one write per minute per session
+            await pool.execute(
+                `UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP, ip_address = IFNULL(?, ip_address)
+                 WHERE id = ? AND last_seen_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)`,
+                [ipAddress || null, id]
+            );
+        } catch (error) {
+            console.error('Error updating session activity:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a session and every refresh token issued for it
+     * @param {string} id - Session ID
+     * @returns {Promise<boolean>} - True if a session was revoked
+     */
+    static async revoke(id) {
+        try {
+            const [result] = await pool.execute(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+                [id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke one of a user's sessions
+     * @param {string} id - Session ID
+     * @param {number} userId - User ID (owner of the session)
+     * @returns {Promise<boolean>} - True if a session was revoked
+     */
+    static async revokeForUser(id, userId) {
+        try {
+            const [result] = await pool.execute(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [id, userId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error revoking user session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke every session of a user
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} - Number of sessions revoked
+     */
+    static async revokeAllForUser(userId) {
+        try {
+            const [result] = await pool.execute(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error revoking all user sessions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a refresh token hash for a session
+     * @param {string} sessionId - Session ID
+     * @param {string} tokenHash - SHA-256 hash of the refresh token
+     * @param {Date} expiresAt - Token expiration date
+     * @returns {Promise<number>} - ID of stored refresh token
+     */
+    static async addRefreshToken(sessionId, tokenHash, expiresAt) {
+        try {
+            const [result] = await pool.execute(
+                'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)',
+                [sessionId, tokenHash, expiresAt]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error storing refresh token:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a refresh token by its hash
+     * @param {string} tokenHash - SHA-256 hash of the refresh token
+     * @returns {Promise<Object|null>} - Refresh token with session state or null if not found
+     */
+    static async findRefreshToken(tokenHash) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT rt.*, s.user_id, s.revoked_at
+                 FROM refresh_tokens rt
+                 JOIN sessions s ON rt.session_id = s.id
+                 WHERE rt.token_hash = ?`,
+                [tokenHash]
+            );
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error finding refresh token:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a refresh token as used (rotated)
+     * @param {number} id - Refresh token ID
+     * @returns {Promise<boolean>} - False if the token had already been used
+     */
+    static async markRefreshTokenUsed(id) {
+        try {
+            // Only succeeds once, so concurrent replays of the same token are detected
+            const [result] = await pool.execute(
+                'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+                [id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error marking refresh token as used:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Session;
@@ -3,12 +3,13 @@ const { pool } = require('../config/database');
 
 class Setting {
     /**
-     * Get all platform settings
+     * Get all settings of a campus
+     * @param {number} campusId - Campus ID
      * @returns {Promise<Object|null>} - Settings object or null if not found
      */
-    static async getAll() {
+    static async getAll(campusId) {
         try {
-            const [rows] = await pool.execute('SELECT * FROM settings LIMIT 1');
+            const [rows] = await pool.execute('SELECT * FROM settings WHERE campus_id = ?', [campusId]);
             return rows.length ? rows[0] : null;
         } catch (error) {
             console.error('Error getting settings:', error);
@@ -17,11 +18,12 @@ class Setting {
     }
 
     /**
-     * Update platform settings (admin function)
+     * Update campus settings (admin function)
+     * @param {number} campusId - Campus ID
      * @param {Object} settingData - Settings data to update
      * @returns {Promise<boolean>} - True if update successful
      */
-    static async update(settingData) {
+    static async update(campusId, settingData) {
         try {
             const {
                 platformName,
@@ -31,7 +33,18 @@ class Setting {
                 minCommission,
                 requireEmailVerification,
                 requireAdminApproval,
-                enableTwoFactor
+                enableTwoFactor,
+                twoFactorPolicy,
+                rateLimitWindowMinutes,
+                authRateLimit,
+                contactRateLimit,
+                messageRateLimit,
+                loginMaxAttempts,
+                loginLockoutMinutes,
+                allowCrossCampusBrowse,
+                listingLifetimeDays,
+                expiryReminderDays,
+                offerExpiryHours
             } = settingData;
 
             const [result] = await pool.execute(
@@ -43,8 +56,19 @@ class Setting {
          min_commission = IFNULL(?, min_commission),
          require_email_verification = IFNULL(?, require_email_verification),
          require_admin_approval = IFNULL(?, require_admin_approval),
-         enable_two_factor = IFNULL(?, enable_two_factor)
-         WHERE id = 1`,
+         enable_two_factor = IFNULL(?, enable_two_factor),
+         two_factor_policy = IFNULL(?, two_factor_policy),
+         rate_limit_window_minutes = IFNULL(?, rate_limit_window_minutes),
+         auth_rate_limit = IFNULL(?, auth_rate_limit),
+         contact_rate_limit = IFNULL(?, contact_rate_limit),
+         message_rate_limit = IFNULL(?, message_rate_limit),
+         login_max_attempts = IFNULL(?, login_max_attempts),
+         login_lockout_minutes = IFNULL(?, login_lockout_minutes),
+         allow_cross_campus_browse = IFNULL(?, allow_cross_campus_browse),
+         listing_lifetime_days = IFNULL(?, listing_lifetime_days),
+         expiry_reminder_days = IFNULL(?, expiry_reminder_days),
+         offer_expiry_hours = IFNULL(?, offer_expiry_hours)
+         WHERE campus_id = ?`,
                 [
                     platformName,
                     supportEmail,
@@ -53,8 +77,20 @@ class Setting {
                     minCommission,
                     requireEmailVerification,
                     requireAdminApproval,
-                    enableTwoFactor
-                ]
+                    enableTwoFactor,
+                    twoFactorPolicy,
+                    rateLimitWindowMinutes,
+                    authRateLimit,
+                    contactRateLimit,
+                    messageRateLimit,
+                    loginMaxAttempts,
+                    loginLockoutMinutes,
+                    allowCrossCampusBrowse,
+                    listingLifetimeDays,
+                    expiryReminderDays,
+                    offerExpiryHours,
+                    campusId
+                ].map(value => (value === undefined ? null : value)) // Omitted fields keep their current value
             );
 
             return result.affectedRows > 0;
@@ -66,11 +102,12 @@ class Setting {
 
     /**
      * Get commission rate
+     * @param {number} campusId - Campus ID
      * @returns {Promise<number>} - Commission rate percentage
      */
-    static async getCommissionRate() {
+    static async getCommissionRate(campusId) {
         try {
-            const [rows] = await pool.execute('SELECT commission_rate FROM settings LIMIT 1');
+            const [rows] = await pool.execute('SELECT commission_rate FROM settings WHERE campus_id = ?', [campusId]);
             return rows.length ? rows[0].commission_rate : 5.0;
         } catch (error) {
             console.error('Error getting commission rate:', error);
@@ -80,11 +117,12 @@ class Setting {
 
     /**
      * Get minimum commission amount
+     * @param {number} campusId - Campus ID
      * @returns {Promise<number>} - Minimum commission amount
      */
-    static async getMinCommission() {
+    static async getMinCommission(campusId) {
         try {
-            const [rows] = await pool.execute('SELECT min_commission FROM settings LIMIT 1');
+            const [rows] = await pool.execute('SELECT min_commission FROM settings WHERE campus_id = ?', [campusId]);
             return rows.length ? rows[0].min_commission : 0.5;
         } catch (error) {
             console.error('Error getting minimum commission:', error);
@@ -94,11 +132,12 @@ class Setting {
 
     /**
      * Check if email verification is required
+     * @param {number} campusId - Campus ID
      * @returns {Promise<boolean>} - True if email verification is required
      */
-    static async isEmailVerificationRequired() {
+    static async isEmailVerificationRequired(campusId) {
         try {
-            const [rows] = await pool.execute('SELECT require_email_verification FROM settings LIMIT 1');
+            const [rows] = await pool.execute('SELECT require_email_verification FROM settings WHERE campus_id = ?', [campusId]);
             return rows.length ? rows[0].require_email_verification : true;
         } catch (error) {
             console.error('Error checking email verification requirement:', error);
@@ -108,11 +147,12 @@ class Setting {
 
     /**
      * Check if admin approval is required for listings
+     * @param {number} campusId - Campus ID
      * @returns {Promise<boolean>} - True if admin approval is required
      */
-    static async isAdminApprovalRequired() {
+    static async isAdminApprovalRequired(campusId) {
         try {
-            const [rows] = await pool.execute('SELECT require_admin_approval FROM settings LIMIT 1');
+            const [rows] = await pool.execute('SELECT require_admin_approval FROM settings WHERE campus_id = ?', [campusId]);
             return rows.length ? rows[0].require_admin_approval : true;
         } catch (error) {
             console.error('Error checking admin approval requirement:', error);
@@ -121,22 +161,89 @@ class Setting {
     }
 
     /**
-     * Reset settings to default values
+     * Get two-factor authentication settings
+     * @param {number} campusId - Campus ID
+     * @returns {Promise<Object>} - Object with enabled flag and policy ('optional', 'admins' or 'all')
+     */
+    static async getTwoFactorSettings(campusId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT enable_two_factor, two_factor_policy FROM settings WHERE campus_id = ?',
+                [campusId]
+            );
+
+            if (!rows.length) {
+                return { enabled: true, policy: 'optional' };
+            }
+
+            return {
+                enabled: Boolean(rows[0].enable_two_factor),
+                policy: rows[0].two_factor_policy
+            };
+        } catch (error) {
+            console.error('Error getting two-factor settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get rate limiting settings
+     * @param {number} campusId - Campus ID
+     * @returns {Promise<Object>} - Window, per-route limits and login lockout settings
+     */
+    static async getRateLimits(campusId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT rate_limit_window_minutes, auth_rate_limit, contact_rate_limit, message_rate_limit,
+                 login_max_attempts, login_lockout_minutes
+                 FROM settings WHERE campus_id = ?`,
+                [campusId]
+            );
+
+            const row = rows[0] || {};
+
+            return {
+                windowMinutes: row.rate_limit_window_minutes || 15,
+                auth: row.auth_rate_limit || 20,
+                contact: row.contact_rate_limit || 5,
+                message: row.message_rate_limit || 60,
+                loginMaxAttempts: row.login_max_attempts || 5,
+                loginLockoutMinutes: row.login_lockout_minutes || 15
+            };
+        } catch (error) {
+            console.error('Error getting rate limit settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reset campus settings to default values (the platform name and support email are kept)
+     * @param {number} campusId - Campus ID
      * @returns {Promise<boolean>} - True if reset successful
      */
-    static async resetToDefaults() {
+    static async resetToDefaults(campusId) {
         try {
             const [result] = await pool.execute(
                 `UPDATE settings SET 
-         platform_name = 'UTA Market Place',
-         support_email = 'support@utamarketplace.edu',
          items_per_page = 20,
          commission_rate = 5.00,
          min_commission = 0.50,
          require_email_verification = TRUE,
          require_admin_approval = TRUE,
-         enable_two_factor = TRUE
-         WHERE id = 1`
+         enable_two_factor = TRUE,
+         two_factor_policy = 'optional',
+         rate_limit_window_minutes = 15,
+         auth_rate_limit = 20,
+         contact_rate_limit = 5,
+         message_rate_limit = 60,
+         login_max_attempts = 5,
+         login_lockout_minutes = 15,
+         allow_cross_campus_browse = FALSE,
+         listing_lifetime_days = 90,
+         expiry_reminder_days = 7,
+         offer_expiry_hours = 48
+         WHERE campus_id = ?`,
+                [campusId]
             );
 
             return result.affectedRows > 0;
@@ -147,26 +254,50 @@ class Setting {
     }
 
     /**
-     * Initialize settings if they don't exist
+     * Check if a campus lets its users browse other campuses' listings
+     * @param {number} campusId - Campus ID
+     * @returns {Promise<boolean>} - True if cross-campus browsing is allowed
+     */
+    static async isCrossCampusBrowseAllowed(campusId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT allow_cross_campus_browse FROM settings WHERE campus_id = ?',
+                [campusId]
+            );
+            return rows.length ? Boolean(rows[0].allow_cross_campus_browse) : false;
+        } catch (error) {
+            console.error('Error checking cross-campus browse setting:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get how long offers wait for an answer
+     * @param {number} campusId - Campus ID
+     * @returns {Promise<number>} - Hours until an offer expires
+     */
+    static async getOfferExpiryHours(campusId) {
+        try {
+            const [rows] = await pool.execute('SELECT offer_expiry_hours FROM settings WHERE campus_id = ?', [campusId]);
+            return rows.length ? rows[0].offer_expiry_hours : 48;
+        } catch (error) {
+            console.error('Error getting offer expiry setting:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize settings of a campus if they don't exist
+     * @param {number} campusId - Campus ID
+     * @param {string} platformName - Platform name shown to the campus
      * @returns {Promise<void>}
      */
-    static async initialize() {
+    static async initialize(campusId, platformName = 'UTA Market Place') {
         try {
-            const [count] = await pool.execute('SELECT COUNT(*) as count FROM settings');
-
-            if (count[0].count === 0) {
-                await pool.execute(
-                    `INSERT INTO settings (
-            id, platform_name, support_email, items_per_page, 
-            commission_rate, min_commission, 
-            require_email_verification, require_admin_approval, enable_two_factor
-          ) VALUES (
-            1, 'UTA Market Place', 'support@utamarketplace.edu', 20,
-            5.00, 0.50, 
-            TRUE, TRUE, TRUE
-          )`
-                );
-            }
+            await pool.execute(
+                'INSERT IGNORE INTO settings (campus_id, platform_name) VALUES (?, ?)',
+                [campusId, platformName]
+            );
         } catch (error) {
             console.error('Error initializing settings:', error);
             throw error;
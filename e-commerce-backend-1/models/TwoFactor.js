@@ -0,0 +1,201 @@
+// models/TwoFactor.js
+const { pool } = require('../config/database');
+
+class TwoFactor {
+    /**
+     * Get a user's two-factor state
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} - Object with enabled flag and encrypted secret
+     */
+    static async getByUserId(userId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT two_factor_enabled AS enabled, two_factor_secret AS secret FROM users WHERE id = ?',
+                [userId]
+            );
+            return rows.length ? rows[0] : null;
+        } catch (error) {
+            console.error('Error getting two-factor state:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a pending (not yet confirmed) secret
+     * @param {number} userId - User ID
+     * @param {string} encryptedSecret - Encrypted TOTP secret
+     * @returns {Promise<boolean>} - True if update successful
+     */
+    static async setPendingSecret(userId, encryptedSecret) {
+        try {
+            const [result] = await pool.execute(
+                'UPDATE users SET two_factor_secret = ?, two_factor_enabled = FALSE, two_factor_last_step = NULL WHERE id = ?',
+                [encryptedSecret, userId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error storing two-factor secret:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the time step of an accepted code, refusing steps at or before the last one used
+     * @param {number} userId - User ID
+     * @param {number} step - TOTP time step of the code
+     * @returns {Promise<boolean>} - True if the step had not been used yet
+     */
+    static async useTimeStep(userId, step) {
+        try {
+            const [result] = await pool.execute(
+                `UPDATE users SET two_factor_last_step = ?
+                 WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+                [step, userId, step]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error recording two-factor time step:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Enable two-factor authentication and replace recovery codes
+     * @param {number} userId - User ID
+     * @param {Array<string>} recoveryCodeHashes - Hashed recovery codes
+     * @returns {Promise<boolean>} - True if enabled
+     */
+    static async enable(userId, recoveryCodeHashes) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.execute(
+                'UPDATE users SET two_factor_enabled = TRUE WHERE id = ? AND two_factor_secret IS NOT NULL',
+                [userId]
+            );
+
+            await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+            for (const codeHash of recoveryCodeHashes) {
+                await connection.execute(
+                    'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+                    [userId, codeHash]
+                );
+            }
+
+            await connection.commit();
+            return result.affectedRows > 0;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error enabling two-factor authentication:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Disable two-factor authentication and remove secret and recovery codes
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} - True if disabled
+     */
+    static async disable(userId) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.execute(
+                'UPDATE users SET two_factor_enabled = FALSE, two_factor_secret = NULL, two_factor_last_step = NULL WHERE id = ?',
+                [userId]
+            );
+
+            await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+            await connection.commit();
+            return result.affectedRows > 0;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error disabling two-factor authentication:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Replace a user's recovery codes
+     * @param {number} userId - User ID
+     * @param {Array<string>} recoveryCodeHashes - Hashed recovery codes
+     * @returns {Promise<void>}
+     */
+    static async replaceRecoveryCodes(userId, recoveryCodeHashes) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+            for (const codeHash of recoveryCodeHashes) {
+                await connection.execute(
+                    'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+                    [userId, codeHash]
+                );
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error replacing recovery codes:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Consume a recovery code
+     * @param {number} userId - User ID
+     * @param {string} codeHash - Hashed recovery code
+     * @returns {Promise<boolean>} - True if an unused code matched and was consumed
+     */
+    static async useRecoveryCode(userId, codeHash) {
+        try {
+            const [result] = await pool.execute(
+                `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+                 WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+                [userId, codeHash]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error using recovery code:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count remaining recovery codes
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} - Number of unused recovery codes
+     */
+    static async countRecoveryCodes(userId) {
+        try {
+            const [result] = await pool.execute(
+                'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+                [userId]
+            );
+            return result[0].count;
+        } catch (error) {
+            console.error('Error counting recovery codes:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = TwoFactor;
@@ -1,6 +1,7 @@
 // models/User.js
 const { pool } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 class User {
     /**
@@ -13,7 +14,9 @@ class User {
             const [rows] = await pool.execute(
                 'SELECT id, first_name, last_name, email, avatar, phone, street_address, city, state, zip_code, ' +
                 'join_date, role, status, email_alerts, text_alerts, new_message_notifications, ' +
-                'new_listing_notifications, marketing_emails, rating, total_sales ' +
+                'new_listing_notifications, marketing_emails, rating, total_sales, two_factor_enabled, ' +
+                'email_verified, email_verified_at, deletion_scheduled_for, campus_id, ' +
+                '(SELECT slug FROM campuses WHERE id = users.campus_id) as campus_slug ' +
                 'FROM users WHERE id = ?',
                 [id]
             );
@@ -32,7 +35,7 @@ class User {
     static async findByEmail(email) {
         try {
             const [rows] = await pool.execute(
-                'SELECT * FROM users WHERE email = ?',
+                'SELECT *, (SELECT slug FROM campuses WHERE id = users.campus_id) as campus_slug FROM users WHERE email = ?',
                 [email]
             );
             return rows.length ? rows[0] : null;
@@ -49,15 +52,15 @@ class User {
      */
     static async create(userData) {
         try {
-            const { firstName, lastName, email, password, role = 'user' } = userData;
+            const { firstName, lastName, email, password, campusId, role = 'user' } = userData;
 
             // Hash the password
             const salt = await bcrypt.genSalt(10);
             const hashedPassword = await bcrypt.hash(password, salt);
 
             const [result] = await pool.execute(
-                'INSERT INTO users (first_name, last_name, email, password, role) VALUES (?, ?, ?, ?, ?)',
-                [firstName, lastName, email, hashedPassword, role]
+                'INSERT INTO users (first_name, last_name, email, password, campus_id, role) VALUES (?, ?, ?, ?, ?, ?)',
+                [firstName, lastName, email, hashedPassword, campusId, role]
             );
 
             return result.insertId;
@@ -169,6 +172,25 @@ class User {
         }
     }
 
+    /**
+     * Mark a user's email address as verified
+     * @param {number} id - User ID
+     * @returns {Promise<boolean>} - True if the user was not verified before
+     */
+    static async markEmailVerified(id) {
+        try {
+            const [result] = await pool.execute(
+                'UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified = FALSE',
+                [id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error marking email as verified:', error);
+            throw error;
+        }
+    }
+
     /**
      * Update user role
      * @param {number} id - User ID
@@ -237,17 +259,19 @@ class User {
     }
 
     /**
-     * Get all users (admin function)
+     * Get all users of a campus (admin function)
+     * @param {number} campusId - Campus ID
      * @param {number} limit - Limit results
      * @param {number} offset - Offset for pagination
      * @returns {Promise<Array>} - Array of users
      */
-    static async getAll(limit = 10, offset = 0) {
+    static async getAll(campusId, limit = 10, offset = 0) {
         try {
             const [rows] = await pool.execute(
-                'SELECT id, first_name, last_name, email, avatar, phone, join_date, role, status, rating, total_sales ' +
-                'FROM users ORDER BY join_date DESC LIMIT ? OFFSET ?',
-                [limit, offset]
+                'SELECT id, first_name, last_name, email, avatar, phone, join_date, role, status, rating, total_sales, ' +
+                'email_verified, email_verified_at ' +
+                'FROM users WHERE campus_id = ? ORDER BY join_date DESC LIMIT ? OFFSET ?',
+                [campusId, limit, offset]
             );
 
             return rows;
@@ -258,12 +282,13 @@ class User {
     }
 
     /**
-     * Count total users (for pagination)
+     * Count total users of a campus (for pagination)
+     * @param {number} campusId - Campus ID
      * @returns {Promise<number>} - Total user count
      */
-    static async count() {
+    static async count(campusId) {
         try {
-            const [result] = await pool.execute('SELECT COUNT(*) as count FROM users');
+            const [result] = await pool.execute('SELECT COUNT(*) as count FROM users WHERE campus_id = ?', [campusId]);
             return result[0].count;
         } catch (error) {
             console.error('Error counting users:', error);
@@ -272,41 +297,186 @@ class User {
     }
 
     /**
-     * Delete a user
+     * Schedule a user's account for anonymization
+     * @param {number} id - User ID
+     * @param {number} graceDays - Days before the account is anonymized
+     * @returns {Promise<Date|null>} - Scheduled deletion date, or null if the user was not found
+     */
+    static async scheduleDeletion(id, graceDays) {
+        try {
+            const [result] = await pool.execute(
+                `UPDATE users SET deletion_scheduled_for = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE id = ? AND status <> 'deleted'`,
+                [graceDays, id]
+            );
+
+            if (result.affectedRows === 0) {
+                return null;
+            }
+
+            const [rows] = await pool.execute('SELECT deletion_scheduled_for FROM users WHERE id = ?', [id]);
+            return rows[0].deletion_scheduled_for;
+        } catch (error) {
+            console.error('Error scheduling user deletion:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a scheduled account deletion
      * @param {number} id - User ID
-     * @returns {Promise<boolean>} - True if deletion successful
+     * @returns {Promise<boolean>} - True if a deletion was pending
      */
-    static async delete(id) {
+    static async cancelDeletion(id) {
         try {
             const [result] = await pool.execute(
-                'DELETE FROM users WHERE id = ?',
+                'UPDATE users SET deletion_scheduled_for = NULL WHERE id = ? AND deletion_scheduled_for IS NOT NULL',
                 [id]
             );
 
             return result.affectedRows > 0;
         } catch (error) {
-            console.error('Error deleting user:', error);
+            console.error('Error cancelling user deletion:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get users whose deletion grace period has ended
+     * @returns {Promise<Array>} - IDs and avatars of users due for anonymization
+     */
+    static async findDueForDeletion() {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT id, avatar FROM users WHERE deletion_scheduled_for <= NOW() AND status <> 'deleted'`
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error finding users due for deletion:', error);
             throw error;
         }
     }
 
+    /**
+     * Anonymize a user: personal data is removed but the row stays so that
+     * orders, reviews and conversations keep their references
+     * @param {number} id - User ID
+     * @returns {Promise<boolean>} - True if the user was anonymized
+     */
+    static async anonymize(id) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            // Unusable password, the account can never be signed in to again
+            const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+            const [result] = await connection.execute(
+                `UPDATE users SET
+                 first_name = 'Deleted', last_name = 'User',
+                 email = CONCAT('deleted-', id, '@deleted.invalid'), password = ?,
+                 avatar = NULL, phone = NULL, street_address = NULL, city = NULL, state = NULL, zip_code = NULL,
+                 status = 'deleted', email_alerts = FALSE, text_alerts = FALSE, new_message_notifications = FALSE,
+                 new_listing_notifications = FALSE, marketing_emails = FALSE,
+                 two_factor_enabled = FALSE, two_factor_secret = NULL,
+                 deletion_scheduled_for = NULL, deleted_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status <> 'deleted'`,
+                [password, id]
+            );
+
+            if (result.affectedRows === 0) {
+                await connection.rollback();
+                return false;
+            }
+
+            // Credentials and sign-in state
+            await connection.execute('DELETE FROM sessions WHERE user_id = ?', [id]);
+            await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [id]);
+            await connection.execute('DELETE FROM password_reset_tokens WHERE user_id = ?', [id]);
+            await connection.execute('DELETE FROM cart_items WHERE user_id = ?', [id]);
+
+            // Alerts the user signed up for (saved search matches go with their searches)
+            await connection.execute('DELETE FROM saved_searches WHERE user_id = ?', [id]);
+            await connection.execute('DELETE FROM watchlist_items WHERE user_id = ?', [id]);
+            await connection.execute('DELETE FROM course_subscriptions WHERE user_id = ?', [id]);
+            await connection.execute('DELETE FROM course_listing_alerts WHERE user_id = ?', [id]);
+
+            // Open negotiations with or by the user can no longer be answered
+            await connection.execute(
+                `UPDATE offers o JOIN products p ON o.product_id = p.id
+                 SET o.status = 'cancelled', o.responded_at = CURRENT_TIMESTAMP
+                 WHERE o.status = 'pending' AND (o.buyer_id = ? OR p.seller_id = ?)`,
+                [id, id]
+            );
+
+            // Withdraw bids on open auctions (locked like a bid) and put their price back to the highest bid left
+            const [openAuctions] = await connection.execute(
+                `SELECT a.product_id FROM auctions a
+                 WHERE a.closed_at IS NULL AND a.product_id IN (SELECT product_id FROM bids WHERE bidder_id = ?)
+                 FOR UPDATE`,
+                [id]
+            );
+            if (openAuctions.length > 0) {
+                const auctionIds = openAuctions.map(auction => auction.product_id);
+
+                await connection.query('DELETE FROM bids WHERE bidder_id = ? AND product_id IN (?)', [id, auctionIds]);
+                await connection.query(
+                    `UPDATE products p JOIN auctions a ON a.product_id = p.id
+                     SET p.price = COALESCE((SELECT MAX(b.amount) FROM bids b WHERE b.product_id = a.product_id), a.starting_price)
+                     WHERE p.id IN (?)`,
+                    [auctionIds]
+                );
+            }
+
+            // Take unsold listings down and out of other users' carts
+            await connection.execute(
+                `UPDATE products SET status = 'removed' WHERE seller_id = ? AND status IN ('draft', 'scheduled', 'active', 'pending', 'expired')`,
+                [id]
+            );
+            await connection.execute(
+                `DELETE ci FROM cart_items ci JOIN products p ON ci.product_id = p.id WHERE p.seller_id = ? AND p.status = 'removed'`,
+                [id]
+            );
+
+            // Orders stay for the sellers' records, without the delivery address
+            await connection.execute(
+                `UPDATE orders SET delivery_address = NULL, delivery_city = NULL, delivery_state = NULL, delivery_zip = NULL
+                 WHERE buyer_id = ?`,
+                [id]
+            );
+
+            await connection.commit();
+            return true;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Error anonymizing user:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
     /**
      * Get user's listings
      * @param {number} userId - User ID
-     * @param {string} status - Filter by status (optional)
-     * @returns {Promise<Array>} - Array of user's product listings
+     * @param {string} status - Filter by status, several can be separated by commas (optional)
+     * @returns {Promise<Array>} - Array of user's product listings, active ones with their expiry time
      */
     static async getListings(userId, status = null) {
         try {
             let query = 'SELECT p.*, ' +
-                '(SELECT image_url FROM product_images WHERE product_id = p.id AND is_main = 1 LIMIT 1) as main_image ' +
-                'FROM products p WHERE p.seller_id = ?';
+                '(SELECT image_url FROM product_images WHERE product_id = p.id AND is_main = 1 LIMIT 1) as main_image, ' +
+                "IF(p.status = 'active' AND s.listing_lifetime_days > 0, " +
+                'DATE_ADD(p.listed_at, INTERVAL s.listing_lifetime_days DAY), NULL) as expires_at ' +
+                'FROM products p LEFT JOIN settings s ON s.campus_id = p.campus_id WHERE p.seller_id = ?';
 
             const params = [userId];
 
             if (status) {
-                query += ' AND p.status = ?';
-                params.push(status);
+                const statuses = String(status).split(',');
+                query += ` AND p.status IN (${statuses.map(() => '?').join(', ')})`;
+                params.push(...statuses);
             }
 
             query += ' ORDER BY p.created_at DESC';
@@ -358,15 +528,16 @@ class User {
     }
 
     /**
-     * Get new users count (for analytics)
+     * Get new users count of a campus (for analytics)
+     * @param {number} campusId - Campus ID
      * @param {number} days - Number of days to look back
      * @returns {Promise<number>} - Count of new users in the specified period
      */
-    static async getNewUsersCount(days = 30) {
+    static async getNewUsersCount(campusId, days = 30) {
         try {
             const [result] = await pool.execute(
-                'SELECT COUNT(*) as count FROM users WHERE join_date >= DATE_SUB(NOW(), INTERVAL ? DAY)',
-                [days]
+                'SELECT COUNT(*) as count FROM users WHERE campus_id = ? AND join_date >= DATE_SUB(NOW(), INTERVAL ? DAY)',
+                [campusId, days]
             );
             return result[0].count;
         } catch (error) {
@@ -374,6 +545,23 @@ class User {
             throw error;
         }
     }
+
+    /**
+     * Get the URLs of every uploaded avatar (for moving uploads between storage backends)
+     * @returns {Promise<Array<string>>} - Avatar URLs
+     */
+    static async getUploadedAvatars() {
+        try {
+            const [rows] = await pool.execute(
+                "SELECT DISTINCT avatar FROM users WHERE avatar LIKE '/uploads/%'"
+            );
+
+            return rows.map(row => row.avatar);
+        } catch (error) {
+            console.error('Error getting uploaded avatars:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = User;
\ No newline at end of file
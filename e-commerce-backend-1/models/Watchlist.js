@@ -0,0 +1,159 @@
+// models/Watchlist.js
+const { pool } = require('../config/database');
+
+class Watchlist {
+    /**
+     * Get the listings a user watches
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Watched products, most recently added first
+     */
+    static async getByUser(userId) {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT p.*, w.created_at as watched_at,
+                        c.name as category_name,
+                        (SELECT image_url FROM product_images WHERE product_id = p.id AND is_main = 1 LIMIT 1) as main_image
+                 FROM watchlist_items w
+                 JOIN products p ON w.product_id = p.id
+                 JOIN categories c ON p.category_id = c.id
+                 WHERE w.user_id = ?
+                 ORDER BY w.created_at DESC`,
+                [userId]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting watchlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the IDs of the listings a user watches
+     * @param {number} userId - User ID
+     * @returns {Promise<number[]>} - Product IDs
+     */
+    static async getProductIds(userId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT product_id FROM watchlist_items WHERE user_id = ?',
+                [userId]
+            );
+
+            return rows.map(row => row.product_id);
+        } catch (error) {
+            console.error('Error getting watchlist product IDs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a listing to a user's watchlist
+     * @param {number} userId - User ID
+     * @param {number} productId - Product ID
+     * @returns {Promise<boolean>} - False if the listing was already watched
+     */
+    static async add(userId, productId) {
+        try {
+            const [result] = await pool.execute(
+                'INSERT IGNORE INTO watchlist_items (user_id, product_id) VALUES (?, ?)',
+                [userId, productId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error adding to watchlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a listing from a user's watchlist
+     * @param {number} userId - User ID
+     * @param {number} productId - Product ID
+     * @returns {Promise<boolean>} - True if the listing was watched
+     */
+    static async remove(userId, productId) {
+        try {
+            const [result] = await pool.execute(
+                'DELETE FROM watchlist_items WHERE user_id = ? AND product_id = ?',
+                [userId, productId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error removing from watchlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count the users watching a listing
+     * @param {number} productId - Product ID
+     * @returns {Promise<number>} - Number of watchers
+     */
+    static async countWatchers(productId) {
+        try {
+            const [rows] = await pool.execute(
+                'SELECT COUNT(*) as count FROM watchlist_items WHERE product_id = ?',
+                [productId]
+            );
+
+            return rows[0].count;
+        } catch (error) {
+            console.error('Error counting watchers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the active users watching a listing
+     * @param {number} productId - Product ID
+     * @param {Object} options - excludeUserId leaves one user out, sellingNotAlerted only
+     *                           returns watchers not yet told the item may sell soon
+     * @returns {Promise<Array>} - Watchers with their email and alert preferences
+     */
+    static async getWatchers(productId, options = {}) {
+        try {
+            const { excludeUserId = null, sellingNotAlerted = false } = options;
+
+            const [rows] = await pool.execute(
+                `SELECT u.id, u.email, u.first_name, u.campus_id, u.email_alerts
+                 FROM watchlist_items w
+                 JOIN users u ON w.user_id = u.id
+                 WHERE w.product_id = ? AND u.status = 'active' AND u.id != ?
+                 ${sellingNotAlerted ? 'AND w.selling_alerted_at IS NULL' : ''}`,
+                [productId, excludeUserId || 0]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error getting watchers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remember that watchers were told a listing may sell soon
+     * @param {number} productId - Product ID
+     * @param {number[]} userIds - Watchers that were alerted
+     * @returns {Promise<void>}
+     */
+    static async markSellingAlerted(productId, userIds) {
+        if (userIds.length === 0) {
+            return;
+        }
+
+        try {
+            await pool.query(
+                'UPDATE watchlist_items SET selling_alerted_at = CURRENT_TIMESTAMP WHERE product_id = ? AND user_id IN (?)',
+                [productId, userIds]
+            );
+        } catch (error) {
+            console.error('Error marking watchers alerted:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Watchlist;
@@ -3,26 +3,30 @@ const express = require('express');
 const {
     getDashboardOverview, getUsers, updateUserStatus, updateUserRole,
     getPendingProducts, reviewProduct, getSettings, updateSettings,
-    resetSettings, getSalesReport, getUserActivityReport
+    resetSettings, getSalesReport, getUserActivityReport, getPricingReport,
+    getAuditLog, exportAuditLog
 } = require('../controllers/adminController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
-// All routes require admin privileges
+// All routes require authentication, each route checks its own permission
 router.use(protect);
-router.use(restrictTo('admin'));
 
-router.get('/dashboard', getDashboardOverview);
-router.get('/users', getUsers);
-router.put('/users/:id/status', updateUserStatus);
-router.put('/users/:id/role', updateUserRole);
-router.get('/products/pending', getPendingProducts);
-router.put('/products/:id/review', reviewProduct);
-router.get('/settings', getSettings);
-router.put('/settings', updateSettings);
-router.post('/settings/reset', resetSettings);
-router.get('/reports/sales', getSalesReport);
-router.get('/reports/users', getUserActivityReport);
+router.get('/dashboard', requirePermission(PERMISSIONS.DASHBOARD_READ), getDashboardOverview);
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), getUsers);
+router.put('/users/:id/status', requirePermission(PERMISSIONS.USERS_MANAGE), updateUserStatus);
+router.put('/users/:id/role', requirePermission(PERMISSIONS.ROLES_ASSIGN), updateUserRole);
+router.get('/products/pending', requirePermission(PERMISSIONS.PRODUCTS_MODERATE), getPendingProducts);
+router.put('/products/:id/review', requirePermission(PERMISSIONS.PRODUCTS_MODERATE), reviewProduct);
+router.get('/settings', requirePermission(PERMISSIONS.SETTINGS_READ), getSettings);
+router.put('/settings', requirePermission(PERMISSIONS.SETTINGS_WRITE), updateSettings);
+router.post('/settings/reset', requirePermission(PERMISSIONS.SETTINGS_WRITE), resetSettings);
+router.get('/reports/sales', requirePermission(PERMISSIONS.ANALYTICS_READ), getSalesReport);
+router.get('/reports/users', requirePermission(PERMISSIONS.ANALYTICS_READ), getUserActivityReport);
+router.get('/reports/pricing', requirePermission(PERMISSIONS.ANALYTICS_READ), getPricingReport);
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), getAuditLog);
+router.get('/audit/export', requirePermission(PERMISSIONS.AUDIT_READ), exportAuditLog);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+// routes/auctionRoutes.js
+const express = require('express');
+const { getAuction, placeBid } = require('../controllers/auctionController');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/:productId', getAuction);
+
+// Protected routes
+router.post('/:productId/bids', protect, requireVerifiedEmail, placeBid);
+
+module.exports = router;
@@ -2,21 +2,42 @@ const express = require('express');
 const {
     register, login, getMe, verifyEmail,
     resendVerification, forgotPassword, resetPassword,
-    changePassword, logout, directPasswordReset
+    changePassword, refresh, logout,
+    verifyTwoFactorLogin, setupTwoFactor, enableTwoFactor,
+    disableTwoFactor, regenerateRecoveryCodes,
+    getSessions, revokeSession, revokeAllSessions
 } = require('../controllers/authController');
-const { protect, verifyEmailToken, verifyPasswordResetToken } = require('../middleware/auth');
+const {
+    protect, verifyEmailToken, verifyPasswordResetToken,
+    verifyTwoFactorChallenge, protectOrTwoFactorChallenge
+} = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
+// Per-IP and per-account throttling for credential endpoints
+const authLimiter = rateLimit('auth', req => req.body && req.body.email);
+
+// The second login step sends no email, so throttle per challenged user instead
+const twoFactorLimiter = rateLimit('auth', req => `user:${req.user.id}`);
+
 router.post('/register', register);
-router.post('/login', login);
+router.post('/login', authLimiter, login);
+router.post('/login/2fa', verifyTwoFactorChallenge, twoFactorLimiter, verifyTwoFactorLogin);
 router.get('/me', protect, getMe);
 router.get('/verify-email/:token', verifyEmailToken, verifyEmail);
-router.post('/resend-verification', protect, resendVerification);
-router.post('/forgot-password', forgotPassword);
-router.post('/reset-password/:token', verifyPasswordResetToken, resetPassword);
+router.post('/resend-verification', protect, rateLimit('auth', req => req.user.email), resendVerification);
+router.post('/forgot-password', authLimiter, forgotPassword);
+router.post('/reset-password/:token', authLimiter, verifyPasswordResetToken, resetPassword);
 router.post('/change-password', protect, changePassword);
-router.post('/logout', protect, logout);
-router.post('/direct-reset', directPasswordReset);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/2fa/setup', protectOrTwoFactorChallenge, setupTwoFactor);
+router.post('/2fa/enable', protectOrTwoFactorChallenge, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+// routes/campusRoutes.js
+const express = require('express');
+const {
+    getCampuses,
+    getAllCampuses,
+    getCurrentCampus,
+    createCampus,
+    updateCampus
+} = require('../controllers/campusController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getCampuses);
+router.get('/current', getCurrentCampus);
+
+// Platform admin routes
+router.get('/all', protect, requirePermission(PERMISSIONS.CAMPUSES_MANAGE), getAllCampuses);
+router.post('/', protect, requirePermission(PERMISSIONS.CAMPUSES_MANAGE), createCampus);
+router.put('/:id', protect, requirePermission(PERMISSIONS.CAMPUSES_MANAGE), updateCampus);
+
+module.exports = router;
@@ -2,9 +2,11 @@
 const express = require('express');
 const {
     getCategories, getCategoryById, createCategory,
-    updateCategory, deleteCategory, getProductCounts, getPopularCategories
+    updateCategory, deleteCategory, getProductCounts, getPopularCategories,
+    getCategoryAttributes, createCategoryAttribute, updateCategoryAttribute, deleteCategoryAttribute
 } = require('../controllers/categoryController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -13,10 +15,14 @@ router.get('/', getCategories);
 router.get('/popular', getPopularCategories);
 router.get('/product-counts', getProductCounts);
 router.get('/:id', getCategoryById);
+router.get('/:id/attributes', getCategoryAttributes);
 
 // Admin routes
-router.post('/', protect, restrictTo('admin'), createCategory);
-router.put('/:id', protect, restrictTo('admin'), updateCategory);
-router.delete('/:id', protect, restrictTo('admin'), deleteCategory);
+router.post('/', protect, requirePermission(PERMISSIONS.CATEGORIES_WRITE), createCategory);
+router.put('/:id', protect, requirePermission(PERMISSIONS.CATEGORIES_WRITE), updateCategory);
+router.delete('/:id', protect, requirePermission(PERMISSIONS.CATEGORIES_WRITE), deleteCategory);
+router.post('/:id/attributes', protect, requirePermission(PERMISSIONS.CATEGORIES_WRITE), createCategoryAttribute);
+router.put('/:id/attributes/:attributeId', protect, requirePermission(PERMISSIONS.CATEGORIES_WRITE), updateCategoryAttribute);
+router.delete('/:id/attributes/:attributeId', protect, requirePermission(PERMISSIONS.CATEGORIES_WRITE), deleteCategoryAttribute);
 
 module.exports = router;
\ No newline at end of file
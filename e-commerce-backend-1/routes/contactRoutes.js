@@ -6,15 +6,19 @@ const {
     getFAQ,
     sendContactForm
 } = require('../controllers/contactController');
+const { rateLimit } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
+// Throttle form submissions per IP and sender email
+const contactLimiter = rateLimit('contact', req => req.body && req.body.email);
+
 // Base routes
-router.post('/', sendContactMessage);
+router.post('/', contactLimiter, sendContactMessage);
 router.get('/', getContactInfo);
 
 // Additional routes
-router.post('/send', sendContactForm);
+router.post('/send', contactLimiter, sendContactForm);
 router.get('/faq', getFAQ);
 
 module.exports = router;
\ No newline at end of file
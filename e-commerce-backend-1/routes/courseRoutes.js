@@ -0,0 +1,26 @@
+// routes/courseRoutes.js
+const express = require('express');
+const {
+    getCourses,
+    getSubscriptions,
+    subscribe,
+    unsubscribe,
+    importCourses
+} = require('../controllers/courseController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getCourses);
+
+// Subscriptions to new listings for a course
+router.get('/subscriptions', protect, getSubscriptions);
+router.put('/:id/subscription', protect, subscribe);
+router.delete('/:id/subscription', protect, unsubscribe);
+
+// Admin routes
+router.post('/import', protect, requirePermission(PERMISSIONS.COURSES_WRITE), importCourses);
+
+module.exports = router;
@@ -4,18 +4,22 @@ const {
     getUserConversations, getConversationById, createConversation,
     sendMessage, markAsRead, getUnreadCount, deleteConversation
 } = require('../controllers/messageController');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
+// Throttle sending per IP and account
+const messageLimiter = rateLimit('message', req => req.user.id);
+
 router.get('/', getUserConversations);
 router.get('/unread/count', getUnreadCount);
 router.get('/:id', getConversationById);
-router.post('/', createConversation);
-router.post('/:id', sendMessage);
+router.post('/', messageLimiter, requireVerifiedEmail, createConversation);
+router.post('/:id', messageLimiter, sendMessage);
 router.put('/:id/read', markAsRead);
 router.delete('/:id', deleteConversation);
 
@@ -0,0 +1,29 @@
+// routes/offerRoutes.js
+const express = require('express');
+const {
+    getOffers,
+    getOfferForProduct,
+    createOffer,
+    acceptOffer,
+    declineOffer,
+    counterOffer
+} = require('../controllers/offerController');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// All offer routes require authentication
+router.use(protect);
+
+// Offers post messages, so they share the message rate limit
+const messageLimiter = rateLimit('message', req => req.user.id);
+
+router.get('/', getOffers);
+router.get('/product/:productId', getOfferForProduct);
+router.post('/', messageLimiter, requireVerifiedEmail, createOffer);
+router.put('/:id/accept', acceptOffer);
+router.put('/:id/decline', declineOffer);
+router.put('/:id/counter', messageLimiter, counterOffer);
+
+module.exports = router;
@@ -4,12 +4,13 @@ const {
     createOrder, getUserOrders, getOrderById, updateOrderStatus,
     updatePaymentStatus, getAllOrders, getOrderStats, processCheckout, cancelOrder
 } = require('../controllers/orderController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
 // User routes (require authentication)
-router.post('/', protect, createOrder);
+router.post('/', protect, requireVerifiedEmail, createOrder);
 router.get('/', protect, getUserOrders);
 router.get('/:id', protect, getOrderById);
 router.put('/:id/payment', protect, updatePaymentStatus);
@@ -17,8 +18,8 @@ router.post('/:id/checkout', protect, processCheckout);
 router.put('/:id/cancel', protect, cancelOrder);
 
 // Admin routes
-router.get('/all', protect, restrictTo('admin'), getAllOrders);
-router.get('/stats', protect, restrictTo('admin'), getOrderStats);
-router.put('/:id/status', protect, restrictTo('admin'), updateOrderStatus);
+router.get('/all', protect, requirePermission(PERMISSIONS.ORDERS_MANAGE), getAllOrders);
+router.get('/stats', protect, requirePermission(PERMISSIONS.ORDERS_MANAGE), getOrderStats);
+router.put('/:id/status', protect, requirePermission(PERMISSIONS.ORDERS_MANAGE), updateOrderStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -5,59 +5,56 @@ const {
     deleteProduct, uploadProductImages, updateProductStatus,
     getFeaturedProducts, getRecentProducts, removeProductImage,
     setMainProductImage, addProductSpecification,
-    updateProductSpecification, removeProductSpecification
+    updateProductSpecification, removeProductSpecification, getProductPriceHistory,
+    renewProduct, getDrafts, getDraft, publishProduct, importProducts
 } = require('../controllers/productController');
-const { protect, restrictTo, verifyOwnership } = require('../middleware/auth');
+const { protect, requirePermission, requireVerifiedEmail, verifyOwnership } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const Product = require('../models/Product');
 
 const router = express.Router();
 
+/**
+ * Get the seller and campus of the product named by a route parameter
+ * @param {string} param - Route parameter holding the product ID
+ * @returns {Function} Owner getter for verifyOwnership
+ */
+const getProductOwner = (param) => async (req) => {
+    const product = await Product.findById(req.params[param]);
+    return product ? { ownerId: product.seller_id, campusId: product.campus_id } : null;
+};
+
 // Public routes
 router.get('/', getProducts);
 router.get('/featured', getFeaturedProducts);
 router.get('/recent', getRecentProducts);
+
+// Drafts (only visible to their seller)
+router.get('/drafts', protect, getDrafts);
+router.get('/drafts/:id', protect, getDraft);
+
 router.get('/:id', getProductById);
+router.get('/:id/price-history', getProductPriceHistory);
 
 // Protected routes
-router.post('/', protect, createProduct);
-router.put('/:id', protect, verifyOwnership(async (req) => {
-    const product = await Product.findById(req.params.id);
-    return product ? product.seller_id : null;
-}), updateProduct);
-router.delete('/:id', protect, verifyOwnership(async (req) => {
-    const product = await Product.findById(req.params.id);
-    return product ? product.seller_id : null;
-}), deleteProduct);
+router.post('/', protect, requireVerifiedEmail, createProduct);
+router.post('/import', protect, requireVerifiedEmail, importProducts);
+router.put('/:id', protect, verifyOwnership(getProductOwner('id')), updateProduct);
+router.delete('/:id', protect, verifyOwnership(getProductOwner('id')), deleteProduct);
+router.put('/:id/renew', protect, verifyOwnership(getProductOwner('id')), renewProduct);
+router.post('/:id/publish', protect, requireVerifiedEmail, verifyOwnership(getProductOwner('id')), publishProduct);
 
 // Image routes
-router.post('/:id/images', protect, verifyOwnership(async (req) => {
-    const product = await Product.findById(req.params.id);
-    return product ? product.seller_id : null;
-}), uploadProductImages);
-router.delete('/:productId/images/:imageId', protect, verifyOwnership(async (req) => {
-    const product = await Product.findById(req.params.productId);
-    return product ? product.seller_id : null;
-}), removeProductImage);
-router.put('/:productId/images/:imageId/main', protect, verifyOwnership(async (req) => {
-    const product = await Product.findById(req.params.productId);
-    return product ? product.seller_id : null;
-}), setMainProductImage);
+router.post('/:id/images', protect, verifyOwnership(getProductOwner('id')), uploadProductImages);
+router.delete('/:productId/images/:imageId', protect, verifyOwnership(getProductOwner('productId')), removeProductImage);
+router.put('/:productId/images/:imageId/main', protect, verifyOwnership(getProductOwner('productId')), setMainProductImage);
 
 // Specification routes
-router.post('/:id/specifications', protect, verifyOwnership(async (req) => {
-    const product = await Product.findById(req.params.id);
-    return product ? product.seller_id : null;
-}), addProductSpecification);
-router.put('/:productId/specifications/:specId', protect, verifyOwnership(async (req) => {
-    const product = await Product.findById(req.params.productId);
-    return product ? product.seller_id : null;
-}), updateProductSpecification);
-router.delete('/:productId/specifications/:specId', protect, verifyOwnership(async (req) => {
-    const product = await Product.findById(req.params.productId);
-    return product ? product.seller_id : null;
-}), removeProductSpecification);
-
-// Admin routes
-router.put('/:id/status', protect, restrictTo('admin'), updateProductStatus);
+router.post('/:id/specifications', protect, verifyOwnership(getProductOwner('id')), addProductSpecification);
+router.put('/:productId/specifications/:specId', protect, verifyOwnership(getProductOwner('productId')), updateProductSpecification);
+router.delete('/:productId/specifications/:specId', protect, verifyOwnership(getProductOwner('productId')), removeProductSpecification);
+
+// Moderation routes
+router.put('/:id/status', protect, requirePermission(PERMISSIONS.PRODUCTS_MODERATE), updateProductStatus);
 
 module.exports = router;
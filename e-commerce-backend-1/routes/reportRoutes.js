@@ -4,7 +4,8 @@ const {
     createReport, getReports, getReportById, updateReportStatus,
     deleteReport, getReportStats, getPendingCount, checkUserReported
 } = require('../controllers/reportController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -12,12 +13,12 @@ const router = express.Router();
 router.post('/', protect, createReport);
 router.get('/check/:type/:itemId', protect, checkUserReported);
 
-// Admin routes
-router.get('/', protect, restrictTo('admin'), getReports);
-router.get('/stats', protect, restrictTo('admin'), getReportStats);
-router.get('/pending/count', protect, restrictTo('admin'), getPendingCount);
-router.get('/:id', protect, restrictTo('admin'), getReportById);
-router.put('/:id/status', protect, restrictTo('admin'), updateReportStatus);
-router.delete('/:id', protect, restrictTo('admin'), deleteReport);
+// Moderation routes
+router.get('/', protect, requirePermission(PERMISSIONS.REPORTS_READ), getReports);
+router.get('/stats', protect, requirePermission(PERMISSIONS.REPORTS_READ), getReportStats);
+router.get('/pending/count', protect, requirePermission(PERMISSIONS.REPORTS_READ), getPendingCount);
+router.get('/:id', protect, requirePermission(PERMISSIONS.REPORTS_READ), getReportById);
+router.put('/:id/status', protect, requirePermission(PERMISSIONS.REPORTS_RESOLVE), updateReportStatus);
+router.delete('/:id', protect, requirePermission(PERMISSIONS.REPORTS_DELETE), deleteReport);
 
 module.exports = router;
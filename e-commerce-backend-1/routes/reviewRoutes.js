@@ -1,6 +1,7 @@
 // reviewRoutes.js - Review management routes
 const express = require('express');
 const Review = require('../models/Review');
+const User = require('../models/User');
 
 const {
     createReview, getSellerReviews, getProductReviews,
@@ -10,21 +11,28 @@ const { protect, verifyOwnership } = require('../middleware/auth');
 
 const router = express.Router();
 
+/**
+ * Get the reviewer and campus of the review named by the route
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - Owner ID and campus ID, or null if the review doesn't exist
+ */
+const getReviewOwner = async (req) => {
+    const review = await Review.findById(req.params.id);
+    return review ? { ownerId: review.reviewer_id, campusId: review.reviewer_campus_id } : null;
+};
+
 // Public routes
 router.get('/seller/:id', getSellerReviews);
 router.get('/product/:id', getProductReviews);
 
 // Protected routes
 router.post('/', protect, createReview);
-router.put('/:id', protect, verifyOwnership(async (req) => {
-    const review = await Review.findById(req.params.id);
-    return review ? review.reviewer_id : null;
-}), updateReview);
-router.delete('/:id', protect, verifyOwnership(async (req) => {
-    const review = await Review.findById(req.params.id);
-    return review ? review.reviewer_id : null;
-}), deleteReview);
-router.get('/user/:userId/product/:productId', protect, verifyOwnership((req) => req.params.userId), getUserReviewForProduct);
+router.put('/:id', protect, verifyOwnership(getReviewOwner), updateReview);
+router.delete('/:id', protect, verifyOwnership(getReviewOwner), deleteReview);
+router.get('/user/:userId/product/:productId', protect, verifyOwnership(async (req) => {
+    const user = await User.findById(req.params.userId);
+    return user ? { ownerId: user.id, campusId: user.campus_id } : null;
+}), getUserReviewForProduct);
 router.get('/check-eligibility/:productId', protect, checkReviewEligibility);
 
 module.exports = router;
\ No newline at end of file
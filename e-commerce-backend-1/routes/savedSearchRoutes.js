@@ -0,0 +1,21 @@
+// routes/savedSearchRoutes.js
+const express = require('express');
+const {
+    getSavedSearches,
+    createSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch
+} = require('../controllers/savedSearchController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All saved search routes require authentication
+router.use(protect);
+
+router.get('/', getSavedSearches);
+router.post('/', createSavedSearch);
+router.put('/:id', updateSavedSearch);
+router.delete('/:id', deleteSavedSearch);
+
+module.exports = router;
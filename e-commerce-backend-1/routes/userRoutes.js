@@ -2,18 +2,33 @@
 const express = require('express');
 const {
     getUserProfile, updateProfile, uploadAvatar,
-    getUserListings, getUserSales, deleteUser
+    getUserListings, getUserSales, deleteUser, cancelDeletion, exportUserData, exportUserListings
 } = require('../controllers/userController');
 const { protect, verifyOwnership } = require('../middleware/auth');
+const User = require('../models/User');
 
 const router = express.Router();
 
+/**
+ * Get the account named by the route and its campus (users own their account)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - Owner ID and campus ID, or null if the user doesn't exist
+ */
+const getAccountOwner = async (req) => {
+    const user = await User.findById(req.params.id);
+    return user ? { ownerId: user.id, campusId: user.campus_id } : null;
+};
+
 // Get user profile is public, others require authentication
 router.get('/:id', getUserProfile);
-router.put('/:id', protect, verifyOwnership((req) => req.params.id), updateProfile);
-router.post('/:id/avatar', protect, verifyOwnership((req) => req.params.id), uploadAvatar);
+router.put('/:id', protect, verifyOwnership(getAccountOwner), updateProfile);
+router.post('/:id/avatar', protect, verifyOwnership(getAccountOwner), uploadAvatar);
 router.get('/:id/listings', getUserListings);
-router.get('/:id/sales', protect, verifyOwnership((req) => req.params.id), getUserSales);
-router.delete('/:id', protect, verifyOwnership((req) => req.params.id), deleteUser);
+router.get('/:id/listings/export', protect, verifyOwnership(getAccountOwner), exportUserListings);
+router.get('/:id/sales', protect, verifyOwnership(getAccountOwner), getUserSales);
+// Only the account owner can export their data, admins included
+router.get('/:id/export', protect, exportUserData);
+router.delete('/:id', protect, verifyOwnership(getAccountOwner), deleteUser);
+router.delete('/:id/deletion', protect, verifyOwnership(getAccountOwner), cancelDeletion);
 
 module.exports = router;
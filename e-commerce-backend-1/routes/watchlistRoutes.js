@@ -0,0 +1,21 @@
+// routes/watchlistRoutes.js
+const express = require('express');
+const {
+    getWatchlist,
+    getWatchlistIds,
+    addToWatchlist,
+    removeFromWatchlist
+} = require('../controllers/watchlistController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All watchlist routes require authentication
+router.use(protect);
+
+router.get('/', getWatchlist);
+router.get('/ids', getWatchlistIds);
+router.post('/:productId', addToWatchlist);
+router.delete('/:productId', removeFromWatchlist);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// scripts/importCourses.js
+// Load a campus course catalog from a CSV with Department, Number, Title and Term columns.
+// Running it again with a newer file updates the titles and terms of courses already in the catalog.
+//
+// Usage: npm run import:courses -- --campus 1 --file courses.csv [--dry-run]
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { pool } = require('../config/database');
+const Campus = require('../models/Campus');
+const { importCatalog } = require('../services/courseService');
+
+const USAGE = 'Usage: npm run import:courses -- --campus <id> --file <path> [--dry-run]';
+
+// Parse the command line, null if it's invalid
+const readOptions = () => {
+    try {
+        return parseArgs({
+            options: {
+                campus: { type: 'string' },
+                file: { type: 'string' },
+                'dry-run': { type: 'boolean', default: false }
+            }
+        }).values;
+    } catch (error) {
+        console.error(error.message);
+        return null;
+    }
+};
+
+const main = async () => {
+    const values = readOptions();
+    const campusId = parseInt(values?.campus);
+
+    if (!values || !campusId || !values.file) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        await pool.end();
+        return;
+    }
+
+    try {
+        if (!(await Campus.findById(campusId))) {
+            throw new Error(`Campus ${campusId} not found`);
+        }
+
+        const text = fs.readFileSync(values.file, 'utf8');
+        const result = await importCatalog(text, campusId, values['dry-run']);
+
+        if (result.errors) {
+            result.errors.forEach(({ row, errors }) => {
+                console.error(`${row ? `Row ${row}: ` : ''}${errors.join('; ')}`);
+            });
+            console.error('Nothing was imported');
+            process.exitCode = 1;
+        } else if (values['dry-run']) {
+            console.log(`Checked: ${result.count} courses can be imported`);
+        } else {
+            console.log(`Done: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged`);
+        }
+    } catch (error) {
+        console.error('Course import failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+};
+
+main();
@@ -0,0 +1,118 @@
+// scripts/migrateUploads.js
+// Copy uploaded product images and avatars from one storage backend to another.
+// Stored paths are /uploads/<key> on every backend, so the database doesn't change:
+// copy, switch STORAGE_DRIVER and restart, then run again with --delete to clean up the source.
+//
+// Usage: npm run migrate:uploads -- --from local --to s3 [--delete] [--dry-run]
+const { parseArgs } = require('util');
+const { pool } = require('../config/database');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { createStorage, getContentType, toKey } = require('../services/storageService');
+const { getImageFiles } = require('../services/imageService');
+
+const USAGE = 'Usage: npm run migrate:uploads -- --from <local|s3> --to <local|s3> [--delete] [--dry-run]';
+
+/**
+ * Get the keys of every stored file referenced by the database (all sizes of each image)
+ * @returns {Promise<Array<string>>} - Storage keys
+ */
+const getReferencedKeys = async () => {
+    const urls = [
+        ...await Product.getUploadedImageUrls(),
+        ...await User.getUploadedAvatars()
+    ];
+
+    const keys = urls.flatMap(getImageFiles).map(toKey).filter(Boolean);
+    return [...new Set(keys)];
+};
+
+/**
+ * Copy every referenced file from one backend to another
+ * @param {Object} options - from, to, deleteSource and dryRun
+ * @returns {Promise<Object>} - Counts of copied, missing and failed files
+ */
+const migrateUploads = async ({ from, to, deleteSource, dryRun }) => {
+    const source = createStorage(from);
+    const target = createStorage(to);
+    const keys = await getReferencedKeys();
+    const counts = { copied: 0, missing: 0, failed: 0 };
+
+    console.log(`${dryRun ? 'Checking' : 'Copying'} ${keys.length} files from ${from} to ${to}`);
+
+    for (const key of keys) {
+        try {
+            const buffer = await source.get(key);
+            if (!buffer) {
+                console.warn(`Missing from ${from}: ${key}`);
+                counts.missing++;
+                continue;
+            }
+
+            if (!dryRun) {
+                await target.put(key, buffer, getContentType(key));
+
+                if (deleteSource) {
+                    await source.delete(key);
+                }
+            }
+
+            counts.copied++;
+        } catch (error) {
+            console.error(`Error copying ${key}:`, error.message);
+            counts.failed++;
+        }
+    }
+
+    return counts;
+};
+
+// Parse the command line, null if it's invalid
+const readOptions = () => {
+    try {
+        return parseArgs({
+            options: {
+                from: { type: 'string' },
+                to: { type: 'string' },
+                delete: { type: 'boolean', default: false },
+                'dry-run': { type: 'boolean', default: false }
+            }
+        }).values;
+    } catch (error) {
+        console.error(error.message);
+        return null;
+    }
+};
+
+const main = async () => {
+    const values = readOptions();
+
+    if (!values || !values.from || !values.to || values.from === values.to) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        await pool.end();
+        return;
+    }
+
+    try {
+        const counts = await migrateUploads({
+            from: values.from,
+            to: values.to,
+            deleteSource: values.delete,
+            dryRun: values['dry-run']
+        });
+
+        console.log(`Done: ${counts.copied} copied${values.delete && !values['dry-run'] ? ' and deleted' : ''}, ` +
+            `${counts.missing} missing, ${counts.failed} failed`);
+        if (counts.failed) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Upload migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+};
+
+main();
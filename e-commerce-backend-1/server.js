@@ -5,17 +5,25 @@ const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const compression = require('compression');
-const path = require('path');
 require('dotenv').config();
 
 // Import configurations
 const { testConnection, initializeDatabase } = require('./config/database');
 const { initializeSocket } = require('./config/socket');
 const { verifyTransporter } = require('./services/emailService');
+const { startDeletionScheduler } = require('./services/accountService');
+const { buildIndex } = require('./services/searchService');
+const { startDigestScheduler } = require('./services/savedSearchService');
+const { startExpiryScheduler } = require('./services/listingExpiryService');
+const { startPublishScheduler } = require('./services/listingScheduleService');
+const { startOfferExpiryScheduler } = require('./services/offerService');
+const { startAuctionScheduler } = require('./services/auctionService');
 
 // Import middleware
 const { multerErrorHandler } = require('./config/multer');
+const { serveUploads } = require('./services/storageService');
 const { errorHandler } = require('./middleware/errorHandler');
+const { resolveCampus } = require('./middleware/campus');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -29,6 +37,12 @@ const reviewRoutes = require('./routes/reviewRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const contactRoutes = require('./routes/contactRoutes');
+const campusRoutes = require('./routes/campusRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const watchlistRoutes = require('./routes/watchlistRoutes');
+const courseRoutes = require('./routes/courseRoutes');
+const offerRoutes = require('./routes/offerRoutes');
+const auctionRoutes = require('./routes/auctionRoutes');
 
 // Initialize Express app
 const app = express();
@@ -47,9 +61,9 @@ app.use(helmet({
 app.use(cors({
     origin: process.env.CLIENT_URL, // Explicitly use CLIENT_URL, no wildcard fallback
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Campus'],
     credentials: true,
-    exposedHeaders: ['Content-Disposition'], // For file downloads
+    exposedHeaders: ['Content-Disposition', 'Retry-After'], // For file downloads and rate limiting
 }));
 
 // General middleware
@@ -58,18 +72,21 @@ app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: false })); // Parse URL-encoded bodies
 app.use(compression()); // Compress responses
 
-// Serve static files with proper CORS headers
+// Serve uploads from the configured storage (redirects to signed URLs on S3) with proper CORS headers
 app.use('/uploads', (req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', process.env.CLIENT_URL);
     res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
     next();
-}, express.static(path.join(__dirname, 'uploads')));
+}, serveUploads());
 
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Resolve the campus of every API request
+app.use('/api', resolveCampus);
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -82,6 +99,12 @@ app.use('/api/reviews', reviewRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/campuses', campusRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/offers', offerRoutes);
+app.use('/api/auctions', auctionRoutes);
 
 // Error handling middleware
 app.use(multerErrorHandler);
@@ -115,6 +138,29 @@ const startServer = async () => {
         server.listen(PORT, () => {
             console.log(`Server running on port ${PORT}`);
         });
+
+        // Anonymize accounts whose deletion grace period has ended
+        startDeletionScheduler();
+
+        // Send daily digests of listings matching saved searches
+        startDigestScheduler();
+
+        // Remind sellers of expiring listings and expire listings past their lifetime
+        startExpiryScheduler();
+
+        // Publish scheduled listings once their publish time has come
+        startPublishScheduler(io);
+
+        // Expire offers nobody answered in time
+        startOfferExpiryScheduler(io);
+
+        // Close ended auctions and create the winners' orders
+        startAuctionScheduler(io);
+
+        // Index listings that have no search document yet
+        buildIndex()
+            .then(count => count && console.log(`Indexed ${count} product(s) for search`))
+            .catch(error => console.error('Search index build error:', error));
     } catch (error) {
         console.error('Server startup error:', error);
         process.exit(1);
@@ -0,0 +1,88 @@
+// services/accountService.js
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const Message = require('../models/Message');
+const { deleteImage } = require('./imageService');
+const { startJob } = require('../utils/scheduler');
+
+// Days a deletion request can be cancelled before the account is anonymized
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// How often scheduled deletions are processed
+const DELETION_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Collect everything stored about a user for a personal data export
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - Profile, listings, orders, sales, messages and reviews
+ */
+const exportData = async (userId) => {
+    const profile = await User.findById(userId);
+    const receivedCount = await Review.countSellerReviews(userId);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile,
+        listings: await User.getListings(userId),
+        orders: await Order.getUserOrders(userId),
+        sales: await User.getSalesHistory(userId),
+        messages: await Message.getUserMessages(userId),
+        reviewsWritten: await Review.getReviewsByUser(userId),
+        reviewsReceived: receivedCount ? await Review.getSellerReviews(userId, receivedCount, 0) : []
+    };
+};
+
+/**
+ * Anonymize a user and remove their uploaded avatar
+ * @param {Object} user - User object (id and avatar)
+ * @returns {Promise<boolean>} - True if the user was anonymized
+ */
+const anonymizeUser = async (user) => {
+    const anonymized = await User.anonymize(user.id);
+
+    if (anonymized && user.avatar && user.avatar.startsWith('/uploads/')) {
+        deleteImage(user.avatar);
+    }
+
+    return anonymized;
+};
+
+/**
+ * Anonymize every account whose deletion grace period has ended
+ * @returns {Promise<number>} - Number of accounts anonymized
+ */
+const processDueDeletions = async () => {
+    const users = await User.findDueForDeletion();
+    let processed = 0;
+
+    for (const user of users) {
+        try {
+            if (await anonymizeUser(user)) {
+                processed++;
+            }
+        } catch (error) {
+            // Leave it scheduled, the next run retries
+            console.error(`Failed to anonymize user ${user.id}:`, error);
+        }
+    }
+
+    return processed;
+};
+
+/**
+ * Periodically process scheduled account deletions
+ * @returns {NodeJS.Timeout} - Interval timer
+ */
+const startDeletionScheduler = () => startJob('Account deletion', async () => {
+    const count = await processDueDeletions();
+    if (count) console.log(`Anonymized ${count} deleted account(s)`);
+}, DELETION_CHECK_INTERVAL);
+
+module.exports = {
+    DELETION_GRACE_DAYS,
+    exportData,
+    anonymizeUser,
+    processDueDeletions,
+    startDeletionScheduler
+};
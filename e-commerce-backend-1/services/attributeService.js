@@ -0,0 +1,164 @@
+// services/attributeService.js
+const CategoryAttribute = require('../models/CategoryAttribute');
+const { ATTRIBUTE_TYPES, MAX_SPECIFICATION_LENGTH } = require('../config/listings');
+const { normalizeIsbn } = require('../utils/isbn');
+
+// Longest specification name (product_specifications.name)
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Check a value against the type of its attribute
+ * @param {Object} attribute - Category attribute
+ * @param {*} value - Value as entered
+ * @returns {Object} - The normalized value, or an error message
+ */
+const normalizeValue = (attribute, value) => {
+    let text = String(value ?? '').trim();
+
+    if (!text) {
+        return { error: `${attribute.name} cannot be empty` };
+    }
+
+    switch (attribute.type) {
+        case 'number': {
+            // The unit may be typed after the number ("128 GB")
+            if (attribute.unit && text.toLowerCase().endsWith(attribute.unit.toLowerCase())) {
+                text = text.slice(0, -attribute.unit.length).trim();
+            }
+
+            if (!/^\d+(\.\d+)?$/.test(text)) {
+                return { error: `${attribute.name} must be a number` };
+            }
+            return { value: String(Number(text)) };
+        }
+
+        case 'select': {
+            const option = (attribute.options || []).find(item => item.toLowerCase() === text.toLowerCase());
+            if (!option) {
+                return { error: `${attribute.name} must be one of: ${(attribute.options || []).join(', ')}` };
+            }
+            return { value: option };
+        }
+
+        case 'isbn': {
+            const isbn = normalizeIsbn(text);
+            if (!isbn) {
+                return { error: `${attribute.name} must be a valid ISBN-10 or ISBN-13` };
+            }
+            return { value: isbn };
+        }
+
+        default:
+            if (text.length > MAX_SPECIFICATION_LENGTH) {
+                return { error: `${attribute.name} must be at most ${MAX_SPECIFICATION_LENGTH} characters` };
+            }
+            return { value: text };
+    }
+};
+
+/**
+ * Check specifications against the attributes of a category. Specifications named after an
+ * attribute (in any case) are checked against its type and renamed to it, others stay free-form.
+ * @param {Array} attributes - Attributes of the category, including inherited ones
+ * @param {Array} specifications - Name and value of each specification
+ * @param {boolean} requireAll - Whether required attributes must be given (published listings)
+ * @returns {Object} - Normalized specifications and error messages
+ */
+const checkSpecifications = (attributes, specifications, requireAll = false) => {
+    const errors = [];
+    const checked = [];
+    const seen = new Set();
+
+    for (const spec of specifications) {
+        const name = String(spec.name ?? '').trim();
+        const attribute = attributes.find(item => item.name.toLowerCase() === name.toLowerCase());
+
+        if (!name) {
+            errors.push('Every specification needs a name');
+            continue;
+        }
+
+        if (seen.has(name.toLowerCase())) {
+            errors.push(`${name} is given more than once`);
+            continue;
+        }
+        seen.add(name.toLowerCase());
+
+        const { value, error } = normalizeValue(attribute || { name, type: 'text' }, spec.value);
+        if (error) {
+            errors.push(error);
+        } else if (!attribute && name.length > MAX_NAME_LENGTH) {
+            errors.push(`Specification names must be at most ${MAX_NAME_LENGTH} characters`);
+        } else {
+            checked.push({ name: attribute ? attribute.name : name, value });
+        }
+    }
+
+    if (requireAll) {
+        for (const attribute of attributes) {
+            if (attribute.is_required && !seen.has(attribute.name.toLowerCase())) {
+                errors.push(`${attribute.name} is required`);
+            }
+        }
+    }
+
+    return { specifications: checked, errors };
+};
+
+/**
+ * Check specifications against the attributes of a category (see checkSpecifications)
+ * @param {number} categoryId - Category ID
+ * @param {Array} specifications - Name and value of each specification
+ * @param {boolean} requireAll - Whether required attributes must be given
+ * @returns {Promise<Object>} - Normalized specifications and error messages
+ */
+const validateSpecifications = async (categoryId, specifications, requireAll = false) => {
+    const attributes = await CategoryAttribute.getForCategory(categoryId);
+    return checkSpecifications(attributes, specifications, requireAll);
+};
+
+/**
+ * Check the definition of an attribute sent by an admin
+ * @param {Object} body - Request body (name, type, options, unit, isRequired, sortOrder)
+ * @returns {Object} - Attribute data, or an error message
+ */
+const parseAttribute = (body) => {
+    const name = String(body.name ?? '').trim();
+    const type = body.type || 'text';
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return { error: `Attribute name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+        return { error: `Attribute type must be one of: ${ATTRIBUTE_TYPES.join(', ')}` };
+    }
+
+    const options = type === 'select'
+        ? [...new Set((Array.isArray(body.options) ? body.options : String(body.options ?? '').split(','))
+            .map(option => String(option).trim())
+            .filter(Boolean))]
+        : null;
+
+    if (type === 'select' && options.length === 0) {
+        return { error: 'A select attribute needs at least one option' };
+    }
+
+    return {
+        attribute: {
+            name,
+            type,
+            options,
+            unit: type === 'number' && body.unit ? String(body.unit).trim().slice(0, 20) : null,
+            isRequired: body.isRequired === true || body.isRequired === 'true',
+            sortOrder: parseInt(body.sortOrder) || 0
+        }
+    };
+};
+
+module.exports = {
+    normalizeValue,
+    checkSpecifications,
+    validateSpecifications,
+    parseAttribute
+};
@@ -0,0 +1,241 @@
+// services/auctionService.js
+const Auction = require('../models/Auction');
+const Order = require('../models/Order');
+const Setting = require('../models/Setting');
+const { startJob } = require('../utils/scheduler');
+const { parseAmount } = require('../utils/money');
+
+// How often ended auctions are checked for closing
+const AUCTION_CLOSE_CHECK_INTERVAL = 30 * 1000;
+
+// Bids in the last minutes of an auction push its end back by as many minutes (anti-sniping)
+const AUCTION_EXTENSION_MINUTES = 5;
+
+// Shortest and longest time an auction can run
+const MIN_AUCTION_HOURS = 1;
+const MAX_AUCTION_DAYS = 30;
+
+// Bid increment when the seller doesn't choose one
+const DEFAULT_BID_INCREMENT = 1;
+
+/**
+ * Check the auction settings of a new listing
+ * @param {Object} body - Request body (startingPrice, reservePrice, bidIncrement, endsAt)
+ * @returns {Object} - { auction } with the parsed settings, or { error }
+ */
+const parseAuctionSettings = (body) => {
+    const startingPrice = parseAmount(body.startingPrice);
+    if (startingPrice === null) {
+        return { error: 'Auctions need a starting price greater than 0 with at most 2 decimals' };
+    }
+
+    let reservePrice = null;
+    if (body.reservePrice !== undefined && body.reservePrice !== null && body.reservePrice !== '') {
+        reservePrice = parseAmount(body.reservePrice);
+        if (reservePrice === null || reservePrice < startingPrice) {
+            return { error: 'The reserve price must be at least the starting price' };
+        }
+    }
+
+    let bidIncrement = DEFAULT_BID_INCREMENT;
+    if (body.bidIncrement !== undefined && body.bidIncrement !== '') {
+        bidIncrement = parseAmount(body.bidIncrement);
+        if (bidIncrement === null) {
+            return { error: 'The bid increment must be greater than 0 with at most 2 decimals' };
+        }
+    }
+
+    const endsAt = new Date(body.endsAt);
+    if (!body.endsAt || Number.isNaN(endsAt.getTime())) {
+        return { error: 'Auctions need a valid end time' };
+    }
+
+    const runTime = endsAt.getTime() - Date.now();
+    if (runTime < MIN_AUCTION_HOURS * 60 * 60 * 1000 || runTime > MAX_AUCTION_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Auctions must end between ${MIN_AUCTION_HOURS} hour and ${MAX_AUCTION_DAYS} days from now` };
+    }
+
+    // Listings waiting for approval keep the run time, their clock starts once they're approved
+    const runMinutes = Math.round(runTime / (60 * 1000));
+
+    return { auction: { startingPrice, reservePrice, bidIncrement, endsAt, runMinutes } };
+};
+
+/**
+ * Convert an auction row to the API shape (the reserve price stays hidden, only whether it was met is shown)
+ * @param {Object} auction - Auction row with its listing and current bid
+ * @returns {Object} - Auction
+ */
+const formatAuction = (auction) => {
+    const currentBid = auction.current_bid === null ? null : Number(auction.current_bid);
+    const hasReserve = auction.reserve_price !== null;
+
+    return {
+        productId: auction.product_id,
+        startingPrice: Number(auction.starting_price),
+        bidIncrement: Number(auction.bid_increment),
+        currentBid,
+        minimumBid: currentBid === null
+            ? Number(auction.starting_price)
+            : Math.round((currentBid + Number(auction.bid_increment)) * 100) / 100,
+        bidCount: Number(auction.bid_count),
+        highBidderId: auction.high_bidder_id,
+        hasReserve,
+        reserveMet: !hasReserve || (currentBid !== null && currentBid >= Number(auction.reserve_price)),
+        endsAt: auction.ends_at,
+        extensionCount: auction.extension_count,
+        isOpen: !auction.closed_at && auction.product_status === 'active' && new Date(auction.ends_at) > new Date(),
+        closedAt: auction.closed_at,
+        winnerId: auction.winner_id
+    };
+};
+
+/**
+ * Convert a bid row to the API shape (bidders are shown by first name and last initial)
+ * @param {Object} bid - Bid row with the bidder's name
+ * @returns {Object} - Bid
+ */
+const formatBid = (bid) => ({
+    id: bid.id,
+    bidderId: bid.bidder_id,
+    bidderName: `${bid.first_name} ${(bid.last_name || '').charAt(0)}.`,
+    amount: Number(bid.amount),
+    createdAt: bid.created_at
+});
+
+/**
+ * Broadcast a new bid to everyone viewing the auction and tell the bidder who was outbid
+ * @param {Object} io - Socket.io server (optional)
+ * @param {Object} auction - Auction row after the bid
+ * @param {Object} bid - Bid row
+ * @param {number|null} previousBidderId - Bidder who had the highest bid before
+ */
+const emitBid = (io, auction, bid, previousBidderId) => {
+    if (!io) {
+        return;
+    }
+
+    const formatted = formatAuction(auction);
+
+    io.to(`auction-${auction.product_id}`).emit('auction-bid', {
+        productId: auction.product_id,
+        auction: formatted,
+        bid: formatBid(bid)
+    });
+
+    if (previousBidderId) {
+        io.to(`user-${previousBidderId}`).emit('auction-outbid', {
+            productId: auction.product_id,
+            productName: auction.product_name,
+            auction: formatted
+        });
+    }
+};
+
+/**
+ * Create the order of an auction's winner, within the transaction closing the auction
+ * @param {Object} connection - Connection of the transaction
+ * @param {Object} auction - Auction row
+ * @param {Object} winningBid - Winning bid row
+ * @returns {Promise<string>} - Order ID
+ */
+const createWinnerOrder = async (connection, auction, winningBid) => {
+    const amount = Number(winningBid.amount);
+    const commissionRate = Number(await Setting.getCommissionRate(auction.campus_id)) / 100;
+    const minCommission = Number(await Setting.getMinCommission(auction.campus_id));
+
+    // Same service fee as a cart checkout
+    const serviceFee = Math.max(amount * commissionRate, minCommission);
+
+    // The winner picks how to pay and where to meet when they follow up on the order
+    return Order.insert(connection, {
+        buyerId: winningBid.bidder_id,
+        total: parseFloat((amount + serviceFee).toFixed(2)),
+        serviceFee: parseFloat(serviceFee.toFixed(2)),
+        paymentMethod: 'other',
+        paymentStatus: 'pending',
+        deliveryAddress: null,
+        deliveryCity: null,
+        deliveryState: null,
+        deliveryZip: null
+    }, [{ productId: auction.product_id, quantity: 1, price: amount }]);
+};
+
+/**
+ * Close an ended auction, create the winner's order and tell everyone following it
+ * @param {number} productId - Product ID
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {Promise<boolean>} - True if the auction was closed
+ */
+const closeAuction = async (productId, io) => {
+    const auction = await Auction.findByProductId(productId);
+    if (!auction) {
+        return false;
+    }
+
+    const result = await Auction.close(productId, (connection, bid) => createWinnerOrder(connection, auction, bid));
+    if (!result) {
+        return false;
+    }
+
+    if (io) {
+        const closed = formatAuction(await Auction.findByProductId(productId));
+        const payload = { productId, productName: auction.product_name, auction: closed };
+
+        io.to(`auction-${productId}`).to(`user-${auction.seller_id}`).emit('auction-closed', payload);
+
+        if (result.winningBid) {
+            io.to(`user-${result.winningBid.bidder_id}`).emit('auction-won', {
+                ...payload,
+                amount: Number(result.winningBid.amount),
+                orderId: result.orderId
+            });
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Close every auction past its end
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {Promise<number>} - Number of auctions closed
+ */
+const closeEndedAuctions = async (io) => {
+    const productIds = await Auction.getDueToClose();
+    let closed = 0;
+
+    for (const productId of productIds) {
+        try {
+            if (await closeAuction(productId, io)) {
+                closed++;
+            }
+        } catch (error) {
+            // One failing auction shouldn't hold up the others, it is retried on the next run
+            console.error(`Error closing auction ${productId}:`, error);
+        }
+    }
+
+    return closed;
+};
+
+/**
+ * Periodically close auctions past their end
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {NodeJS.Timeout} - Interval timer
+ */
+const startAuctionScheduler = (io) => startJob('Auction close', async () => {
+    const count = await closeEndedAuctions(io);
+    if (count) console.log(`Closed ${count} auction(s)`);
+}, AUCTION_CLOSE_CHECK_INTERVAL);
+
+module.exports = {
+    AUCTION_EXTENSION_MINUTES,
+    parseAuctionSettings,
+    formatAuction,
+    formatBid,
+    emitBid,
+    closeAuction,
+    closeEndedAuctions,
+    startAuctionScheduler
+};
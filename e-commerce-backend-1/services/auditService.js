@@ -0,0 +1,95 @@
+// services/auditService.js
+const AuditLog = require('../models/AuditLog');
+const csv = require('../utils/csv');
+
+// Audited actions
+const AUDIT_ACTIONS = {
+    USER_STATUS_UPDATE: 'user.status.update',
+    USER_ROLE_UPDATE: 'user.role.update',
+    USER_DELETE: 'user.delete',
+    PRODUCT_REVIEW: 'product.review',
+    PRODUCT_STATUS_UPDATE: 'product.status.update',
+    SETTINGS_UPDATE: 'settings.update',
+    SETTINGS_RESET: 'settings.reset',
+    REPORT_STATUS_UPDATE: 'report.status.update',
+    REPORT_DELETE: 'report.delete',
+    ORDER_STATUS_UPDATE: 'order.status.update',
+    COURSES_IMPORT: 'courses.import'
+};
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+    { header: 'ID', value: entry => entry.id },
+    { header: 'Timestamp', value: entry => new Date(entry.created_at).toISOString() },
+    { header: 'Actor ID', value: entry => entry.actor_id },
+    { header: 'Actor Email', value: entry => entry.actor_email },
+    { header: 'Actor Role', value: entry => entry.actor_role },
+    { header: 'Action', value: entry => entry.action },
+    { header: 'Target Type', value: entry => entry.target_type },
+    { header: 'Target ID', value: entry => entry.target_id },
+    { header: 'Before', value: entry => entry.before_value && JSON.stringify(entry.before_value) },
+    { header: 'After', value: entry => entry.after_value && JSON.stringify(entry.after_value) },
+    { header: 'IP Address', value: entry => entry.ip_address }
+];
+
+/**
+ * Record a privileged action performed by the requesting user
+ * @param {Object} req - Express request object (provides campus, actor and IP)
+ * @param {string} action - Action name from AUDIT_ACTIONS
+ * @param {Object} target - Target type and ID ({ type, id })
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Promise<void>}
+ */
+const record = async (req, action, target, before = null, after = null) => {
+    try {
+        await AuditLog.create({
+            campusId: req.campusId,
+            actorId: req.user.id,
+            actorEmail: req.user.email,
+            actorRole: req.user.role,
+            action,
+            targetType: target.type,
+            targetId: target.id,
+            before,
+            after,
+            ipAddress: req.ip
+        });
+    } catch (error) {
+        // The change itself has already been applied, so don't fail the request
+        console.error(`Failed to record audit entry for ${action}:`, error);
+    }
+};
+
+/**
+ * Reduce two snapshots to the fields that changed
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object} - Changed fields before and after
+ */
+const diff = (before, after) => {
+    const previous = before || {};
+    const current = after || {};
+    const changed = Object.keys(current).filter(key =>
+        JSON.stringify(previous[key]) !== JSON.stringify(current[key])
+    );
+
+    return {
+        before: Object.fromEntries(changed.map(key => [key, previous[key]])),
+        after: Object.fromEntries(changed.map(key => [key, current[key]]))
+    };
+};
+
+/**
+ * Convert audit log entries to CSV
+ * @param {Array} entries - Audit log entries
+ * @returns {string} - CSV document
+ */
+const toCsv = (entries) => csv.toCsv(CSV_COLUMNS, entries);
+
+module.exports = {
+    AUDIT_ACTIONS,
+    record,
+    diff,
+    toCsv
+};
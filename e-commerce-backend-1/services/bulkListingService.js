@@ -0,0 +1,395 @@
+// services/bulkListingService.js
+const path = require('path');
+const AdmZip = require('adm-zip');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Setting = require('../models/Setting');
+const CategoryAttribute = require('../models/CategoryAttribute');
+const { ITEM_CONDITIONS, MAX_LISTING_IMAGES, MAX_IMPORT_ROWS } = require('../config/listings');
+const { toCsv, parseCsv } = require('../utils/csv');
+const searchService = require('./searchService');
+const imageService = require('./imageService');
+const { notifyNewListing } = require('./savedSearchService');
+const { checkSpecifications } = require('./attributeService');
+const { resolveCourseCodes } = require('./courseService');
+
+// Image types accepted from a ZIP, by extension
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// Largest image accepted from a ZIP (same as single uploads)
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+// Other names accepted for import columns
+const COLUMN_ALIASES = {
+    item_condition: 'condition',
+    category_name: 'category',
+    image: 'images'
+};
+
+// Columns of the listing export (the import reads the ones it knows and ignores the rest)
+const EXPORT_COLUMNS = [
+    { header: 'ID', value: listing => listing.id },
+    { header: 'Name', value: listing => listing.name },
+    { header: 'Description', value: listing => listing.description },
+    { header: 'Price', value: listing => parseFloat(listing.price).toFixed(2) },
+    { header: 'Category', value: listing => listing.category_name },
+    { header: 'Condition', value: listing => listing.item_condition },
+    { header: 'Location', value: listing => listing.location },
+    { header: 'Status', value: listing => listing.status },
+    { header: 'Views', value: listing => listing.views },
+    { header: 'Created', value: listing => new Date(listing.created_at).toISOString() },
+    { header: 'Expires', value: listing => listing.expires_at && new Date(listing.expires_at).toISOString() }
+];
+
+/**
+ * Turn a header cell into a column key ("Item Condition" becomes "condition")
+ * @param {string} header - Header cell
+ * @returns {string} - Column key
+ */
+const toColumnKey = (header) => {
+    const key = String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return COLUMN_ALIASES[key] || key;
+};
+
+/**
+ * Read the rows of an uploaded sheet
+ * @param {Object} file - Uploaded CSV or XLSX file (multer memory storage)
+ * @returns {Promise<Array>} - Rows as objects keyed by column, with their row number in the sheet
+ */
+const readSheet = async (file) => {
+    let cells;
+
+    if (path.extname(file.originalname).toLowerCase() === '.xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(file.buffer);
+
+        const worksheet = workbook.worksheets[0];
+        cells = [];
+
+        worksheet?.eachRow((row, rowNumber) => {
+            const values = [];
+            for (let column = 1; column <= worksheet.columnCount; column++) {
+                values.push(row.getCell(column).text);
+            }
+            cells.push({ rowNumber, values });
+        });
+    } else {
+        cells = parseCsv(file.buffer.toString('utf8')).map((values, index) => ({ rowNumber: index + 1, values }));
+    }
+
+    if (cells.length === 0) {
+        return [];
+    }
+
+    const columns = cells[0].values.map(toColumnKey);
+
+    return cells.slice(1)
+        .map(({ rowNumber, values }) => {
+            const row = { rowNumber };
+            columns.forEach((column, index) => {
+                // Undo the formula guard the export adds to cells like "-5 off"
+                const value = String(values[index] ?? '').trim();
+                row[column] = /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+            });
+            return row;
+        })
+        .filter(row => columns.some(column => row[column] !== ''));
+};
+
+/**
+ * Index the images of an uploaded ZIP by file name (folders are ignored)
+ * @param {Object} file - Uploaded ZIP file (multer memory storage), optional
+ * @returns {Map} - ZIP entries by lowercase file name
+ */
+const readImages = (file) => {
+    const images = new Map();
+    if (!file) {
+        return images;
+    }
+
+    const zip = new AdmZip(file.buffer);
+
+    for (const entry of zip.getEntries()) {
+        const name = path.basename(entry.entryName);
+
+        // Skip folders and the metadata files macOS adds to ZIPs
+        if (entry.isDirectory || name.startsWith('.') || entry.entryName.startsWith('__MACOSX/')) {
+            continue;
+        }
+
+        images.set(name.toLowerCase(), entry);
+    }
+
+    return images;
+};
+
+/**
+ * Split a list cell on semicolons
+ * @param {string} value - Cell value
+ * @returns {string[]} - Non-empty items
+ */
+const splitList = (value) => (value || '').split(';').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Validate one imported row and turn it into listing data
+ * @param {Object} row - Imported row
+ * @param {Object} context - Campus, its categories, their attributes (loaded as needed), ZIP images and
+ * whether rows are imported as drafts
+ * @returns {Promise<Object>} - Listing data or the row's error messages
+ */
+const validateRow = async (row, { campusId, categories, attributes, images, asDrafts }) => {
+    const errors = [];
+
+    if (!row.name) {
+        errors.push('Name is required');
+    } else if (row.name.length > 255) {
+        errors.push('Name must be at most 255 characters');
+    }
+
+    // Drafts may be imported half-filled, anything published must be complete
+    if (!row.description && !asDrafts) {
+        errors.push('Description is required');
+    }
+
+    const price = row.price ? Number(row.price.replace(/^\$/, '')) : 0;
+    if (row.price && (!/^\$?\d+(\.\d{1,2})?$/.test(row.price) || !(price > 0))) {
+        errors.push('Price must be a number greater than 0 with at most 2 decimals');
+    } else if (!row.price && !asDrafts) {
+        errors.push('Price is required');
+    }
+
+    const category = row.category && categories.find(item =>
+        item.name.toLowerCase() === row.category.toLowerCase() || String(item.id) === row.category
+    );
+    if (!row.category) {
+        errors.push('Category is required');
+    } else if (!category) {
+        errors.push(`Unknown category "${row.category}"`);
+    }
+
+    const condition = ITEM_CONDITIONS.find(item => item.toLowerCase() === (row.condition || '').toLowerCase());
+    if (!condition) {
+        errors.push(`Condition must be one of: ${ITEM_CONDITIONS.join(', ')}`);
+    }
+
+    if (!row.location) {
+        errors.push('Location is required');
+    } else if (row.location.length > 100) {
+        errors.push('Location must be at most 100 characters');
+    }
+
+    let specifications = [];
+    for (const spec of splitList(row.specifications)) {
+        const separator = spec.indexOf(':');
+        const name = spec.slice(0, separator).trim();
+        const value = spec.slice(separator + 1).trim();
+
+        if (separator === -1 || !name || !value) {
+            errors.push(`Specification "${spec}" must look like "Name: Value"`);
+        } else {
+            specifications.push({ name, value });
+        }
+    }
+
+    // Specifications are checked against the attributes of the category (required ones only when published)
+    if (category) {
+        if (!attributes.has(category.id)) {
+            attributes.set(category.id, await CategoryAttribute.getForCategory(category.id));
+        }
+
+        const result = checkSpecifications(attributes.get(category.id), specifications, !asDrafts);
+        specifications = result.specifications;
+        errors.push(...result.errors);
+    }
+
+    // Courses are codes from the campus catalog separated by semicolons ("CSE 3330; CSE 2320")
+    const courses = await resolveCourseCodes(campusId, splitList(row.courses));
+    if (courses.error) {
+        errors.push(courses.error);
+    }
+
+    const imageNames = splitList(row.images);
+    if (imageNames.length > MAX_LISTING_IMAGES) {
+        errors.push(`A listing can have at most ${MAX_LISTING_IMAGES} images`);
+    }
+
+    const imageEntries = [];
+    for (const imageName of imageNames) {
+        const entry = images.get(path.basename(imageName).toLowerCase());
+
+        if (!IMAGE_EXTENSIONS.includes(path.extname(imageName).toLowerCase())) {
+            errors.push(`Image "${imageName}" must be one of: ${IMAGE_EXTENSIONS.join(', ')}`);
+        } else if (!entry) {
+            errors.push(images.size === 0
+                ? `Image "${imageName}" needs a ZIP of images`
+                : `Image "${imageName}" is not in the ZIP`);
+        } else if (entry.header.size > MAX_IMAGE_SIZE) {
+            errors.push(`Image "${imageName}" is larger than 5MB`);
+        } else if (!(await imageService.readImage(entry.getData()))) {
+            errors.push(`Image "${imageName}" is not a readable image`);
+        } else {
+            imageEntries.push(entry);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    return {
+        listing: {
+            name: row.name,
+            description: row.description || '',
+            price,
+            categoryId: category.id,
+            itemCondition: condition,
+            location: row.location,
+            specifications,
+            courseIds: courses.courseIds,
+            imageEntries
+        }
+    };
+};
+
+/**
+ * Validate an uploaded sheet of listings
+ * @param {Object} sheet - Uploaded CSV or XLSX file
+ * @param {Object} zip - Uploaded ZIP of images (optional)
+ * @param {number} campusId - Campus of the seller (categories must belong to it)
+ * @param {boolean} asDrafts - Whether the rows are imported as drafts
+ * @returns {Promise<Object>} - Valid listings with their row number and per-row errors
+ */
+const validateImport = async (sheet, zip, campusId, asDrafts) => {
+    const rows = await readSheet(sheet);
+
+    if (rows.length === 0) {
+        return { listings: [], errors: [{ row: null, errors: ['The sheet has no listings'] }] };
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return { listings: [], errors: [{ row: null, errors: [`At most ${MAX_IMPORT_ROWS} listings can be imported at once`] }] };
+    }
+
+    const context = {
+        campusId,
+        categories: await Category.getAll(campusId),
+        attributes: new Map(),
+        images: readImages(zip),
+        asDrafts
+    };
+
+    const listings = [];
+    const errors = [];
+
+    for (const row of rows) {
+        const result = await validateRow(row, context);
+
+        if (result.errors) {
+            errors.push({ row: row.rowNumber, name: row.name, errors: result.errors });
+        } else {
+            listings.push({ row: row.rowNumber, ...result.listing });
+        }
+    }
+
+    return { listings, errors };
+};
+
+/**
+ * Create validated listings with their images, specifications and courses.
+ * The listings are saved in one transaction, so a failure leaves none of them behind.
+ * @param {Array} listings - Listings from validateImport
+ * @param {Object} seller - Seller (id) and campus (campusId)
+ * @param {boolean} asDrafts - Whether to create the listings as drafts
+ * @param {Object} io - Socket.io server for in-app notifications (optional)
+ * @returns {Promise<Array>} - Created listings with their row number and product ID
+ */
+const importListings = async (listings, { sellerId, campusId }, asDrafts, io) => {
+    const requiresApproval = await Setting.isAdminApprovalRequired(campusId);
+    let status = requiresApproval ? 'pending' : 'active';
+    if (asDrafts) {
+        status = 'draft';
+    }
+
+    const imageUrls = [];
+    let productIds;
+
+    try {
+        const products = [];
+
+        for (const listing of listings) {
+            const images = [];
+            for (const entry of listing.imageEntries) {
+                const imageUrl = await imageService.processImage(entry.getData(), 'images');
+                images.push(imageUrl);
+                imageUrls.push(imageUrl);
+            }
+
+            products.push({
+                productData: {
+                    name: listing.name,
+                    description: listing.description,
+                    price: listing.price,
+                    sellerId,
+                    categoryId: listing.categoryId,
+                    campusId,
+                    itemCondition: listing.itemCondition,
+                    location: listing.location,
+                    status
+                },
+                images,
+                specifications: listing.specifications,
+                courseIds: listing.courseIds
+            });
+        }
+
+        productIds = await Product.createMany(products);
+    } catch (error) {
+        imageUrls.forEach(imageService.deleteImage);
+        throw error;
+    }
+
+    for (const productId of productIds) {
+        await searchService.indexProduct(productId);
+
+        // Alert matching saved searches
+        if (status === 'active') {
+            notifyNewListing(productId, io);
+        }
+    }
+
+    return listings.map((listing, index) => ({ row: listing.row, productId: productIds[index] }));
+};
+
+/**
+ * Convert a seller's listings to CSV
+ * @param {Array} listings - Listings from User.getListings
+ * @returns {string} - CSV document
+ */
+const toListingsCsv = (listings) => toCsv(EXPORT_COLUMNS, listings);
+
+/**
+ * Convert a seller's listings to an XLSX workbook
+ * @param {Array} listings - Listings from User.getListings
+ * @returns {Promise<Buffer>} - XLSX file
+ */
+const toListingsXlsx = async (listings) => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Listings');
+
+    worksheet.columns = EXPORT_COLUMNS.map(column => ({ header: column.header, width: 20 }));
+    worksheet.getRow(1).font = { bold: true };
+
+    for (const listing of listings) {
+        worksheet.addRow(EXPORT_COLUMNS.map(column => column.value(listing) ?? ''));
+    }
+
+    return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+    validateImport,
+    importListings,
+    toListingsCsv,
+    toListingsXlsx
+};
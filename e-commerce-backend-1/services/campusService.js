@@ -0,0 +1,57 @@
+// services/campusService.js
+const Campus = require('../models/Campus');
+const Setting = require('../models/Setting');
+
+// How long resolved campuses are reused before reloading
+const CAMPUS_CACHE_TTL = 60 * 1000;
+
+// Cached campuses by slug ({ campus, cachedAt }), '' holds the default campus. Unknown slugs are
+// not cached, so the map only ever holds existing campuses
+const cachedCampuses = new Map();
+
+/**
+ * Find a campus by slug, or the default campus when no slug is given (cached)
+ * @param {string} slug - Campus slug
+ * @returns {Promise<Object|null>} - Campus object or null if not found
+ */
+const resolve = async (slug = '') => {
+    const key = slug || process.env.DEFAULT_CAMPUS || '';
+    const cached = cachedCampuses.get(key);
+
+    if (cached && Date.now() - cached.cachedAt <= CAMPUS_CACHE_TTL) {
+        return cached.campus;
+    }
+
+    const campus = key ? await Campus.findBySlug(key) : await Campus.getDefault();
+    if (campus) {
+        cachedCampuses.set(key, { campus, cachedAt: Date.now() });
+    } else {
+        cachedCampuses.delete(key);
+    }
+
+    return campus;
+};
+
+/**
+ * Forget cached campuses so updates apply immediately
+ */
+const clearCache = () => {
+    cachedCampuses.clear();
+};
+
+/**
+ * Check if a listing can be seen from a campus: listings of other campuses are hidden
+ * unless that campus allows cross-campus browsing
+ * @param {Object} product - Product (or auction) with its campus_id
+ * @param {number} campusId - Campus the request is made for
+ * @returns {Promise<boolean>} - Whether the listing is visible
+ */
+const canViewListing = async (product, campusId) => {
+    return product.campus_id === campusId || Setting.isCrossCampusBrowseAllowed(campusId);
+};
+
+module.exports = {
+    resolve,
+    clearCache,
+    canViewListing
+};
@@ -0,0 +1,243 @@
+// services/courseService.js
+const Course = require('../models/Course');
+const { parseCsv } = require('../utils/csv');
+const { sendCourseListingAlertEmail } = require('./emailService');
+
+// How new listing alerts for a course are delivered
+const COURSE_ALERT_METHODS = ['email', 'notification'];
+
+// Courses a user can subscribe to
+const MAX_COURSE_SUBSCRIPTIONS = 20;
+
+// Courses a listing can be tagged with
+const MAX_LISTING_COURSES = 5;
+
+// Most rows a catalog import can have
+const MAX_CATALOG_ROWS = 10000;
+
+// A course code: department letters and a four-digit number, e.g. "CSE 3330", "cse3330" or "CSE-3330"
+const COURSE_CODE_PATTERN = /^([A-Za-z]{2,6})\s*-?\s*(\d{4}[A-Za-z]?)$/;
+
+// The start of a course code typed into a search box, e.g. "CSE 33"
+const COURSE_PREFIX_PATTERN = /^([A-Za-z]{2,6})\s*-?\s*(\d{1,4}[A-Za-z]?)$/;
+
+/**
+ * Parse a course code
+ * @param {string} value - Course code as entered
+ * @returns {Object|null} - Uppercase department and number, null if it isn't a course code
+ */
+const parseCourseCode = (value) => {
+    const match = String(value || '').trim().match(COURSE_CODE_PATTERN);
+    return match ? { department: match[1].toUpperCase(), number: match[2].toUpperCase() } : null;
+};
+
+/**
+ * Format the code of a course
+ * @param {Object} course - Course (department and number)
+ * @returns {string} - Code, e.g. "CSE 3330"
+ */
+const formatCourseCode = (course) => `${course.department} ${course.number}`;
+
+/**
+ * Convert a course row to the API shape
+ * @param {Object} course - Course row
+ * @returns {Object} - Course
+ */
+const formatCourse = (course) => ({
+    id: course.id,
+    code: formatCourseCode(course),
+    department: course.department,
+    number: course.number,
+    title: course.title,
+    term: course.term,
+    ...(course.listing_count !== undefined && { listingCount: Number(course.listing_count) }),
+    ...(course.alert_method !== undefined && { alertMethod: course.alert_method })
+});
+
+/**
+ * Search the course catalog of a campus, by code when the query starts like one and by title otherwise
+ * @param {number} campusId - Campus ID
+ * @param {string} query - Search query, e.g. "CSE 33" or "database"
+ * @param {number} limit - Maximum number of courses
+ * @returns {Promise<Array>} - Matching courses
+ */
+const searchCourses = (campusId, query, limit) => {
+    const text = String(query || '').trim();
+    const match = text.match(COURSE_PREFIX_PATTERN);
+
+    return Course.search(
+        campusId,
+        match ? { department: match[1].toUpperCase(), number: match[2].toUpperCase() } : { text },
+        limit
+    );
+};
+
+/**
+ * Look up the courses a listing is tagged with
+ * @param {number} campusId - Campus of the listing (its catalog is used)
+ * @param {Array|string} value - Course codes, as an array or separated by commas or semicolons
+ * @returns {Promise<Object>} - Course IDs, or an error message
+ */
+const resolveCourseCodes = async (campusId, value) => {
+    const entries = (Array.isArray(value) ? value : String(value || '').split(/[,;]/))
+        .map(entry => String(entry).trim())
+        .filter(Boolean);
+
+    const codes = [];
+    for (const entry of entries) {
+        const code = parseCourseCode(entry);
+        if (!code) {
+            return { error: `"${entry}" is not a course code like CSE 3330` };
+        }
+        if (!codes.some(item => formatCourseCode(item) === formatCourseCode(code))) {
+            codes.push(code);
+        }
+    }
+
+    if (codes.length > MAX_LISTING_COURSES) {
+        return { error: `A listing can be tagged with at most ${MAX_LISTING_COURSES} courses` };
+    }
+
+    const courses = await Course.findByCodes(campusId, codes);
+    const unknown = codes.filter(code => !courses.some(course => formatCourseCode(course) === formatCourseCode(code)));
+    if (unknown.length > 0) {
+        return { error: `Not in the course catalog: ${unknown.map(formatCourseCode).join(', ')}` };
+    }
+
+    return { courseIds: courses.map(course => course.id) };
+};
+
+/**
+ * Load courses into the catalog of a campus from a CSV with Department, Number, Title and Term columns
+ * (a Code column such as "CSE 3330" may replace Department and Number). Courses already in the
+ * catalog get the title and term of the file, and when a course is listed more than once the last row wins.
+ * @param {string} text - CSV document
+ * @param {number} campusId - Campus ID
+ * @param {boolean} dryRun - Only check the file
+ * @returns {Promise<Object>} - Numbers of courses created, updated and unchanged, or per-row errors
+ */
+const importCatalog = async (text, campusId, dryRun = false) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(cell => cell.trim().toLowerCase());
+    const column = (row, name) => (columns.includes(name) ? row[columns.indexOf(name)] || '' : '').trim();
+
+    const hasCode = columns.includes('code');
+    if (!columns.includes('title') || (!hasCode && !(columns.includes('department') && columns.includes('number')))) {
+        return { errors: [{ row: null, errors: ['The first row must name the Department, Number, Title and Term columns'] }] };
+    }
+
+    if (rows.length === 0) {
+        return { errors: [{ row: null, errors: ['The file has no courses'] }] };
+    }
+
+    if (rows.length > MAX_CATALOG_ROWS) {
+        return { errors: [{ row: null, errors: [`At most ${MAX_CATALOG_ROWS} courses can be imported at once`] }] };
+    }
+
+    const courses = new Map();
+    const errors = [];
+
+    rows.forEach((row, index) => {
+        const rowErrors = [];
+        const code = parseCourseCode(hasCode
+            ? column(row, 'code')
+            : `${column(row, 'department')} ${column(row, 'number')}`);
+        const title = column(row, 'title');
+        const term = column(row, 'term');
+
+        if (!code) {
+            rowErrors.push('Course code must look like CSE 3330');
+        }
+        if (!title || title.length > 255) {
+            rowErrors.push('Title is required and must be at most 255 characters');
+        }
+        if (term.length > 20) {
+            rowErrors.push('Term must be at most 20 characters');
+        }
+
+        if (rowErrors.length > 0) {
+            // Row numbers count the header like a spreadsheet does
+            errors.push({ row: index + 2, errors: rowErrors });
+        } else {
+            courses.set(formatCourseCode(code), { ...code, title, term });
+        }
+    });
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    if (dryRun) {
+        return { count: courses.size };
+    }
+
+    return { count: courses.size, ...await Course.upsertMany(campusId, [...courses.values()]) };
+};
+
+/**
+ * Alert the subscribers to the courses of a listing that just became active. Each subscriber
+ * hears about a listing once per course, even if it's published again.
+ * @param {Object} product - Product with its seller and campus
+ * @param {Object} io - Socket.io server for in-app notifications (optional)
+ * @returns {Promise<number>} - Number of users alerted
+ */
+const notifyCourseSubscribers = async (product, io) => {
+    const subscriptions = await Course.findSubscribers(product);
+    const userIds = [...new Set(subscriptions.map(subscription => subscription.user_id))];
+
+    let alerted = 0;
+
+    for (const userId of userIds) {
+        const own = [];
+        for (const subscription of subscriptions.filter(item => item.user_id === userId)) {
+            if (await Course.recordAlert(userId, subscription.course_id, product.id)) {
+                own.push(subscription);
+            }
+        }
+
+        if (own.length === 0) {
+            continue;
+        }
+
+        alerted++;
+        const emailCourses = own.filter(subscription => subscription.alert_method === 'email');
+        const notifyCourses = own.filter(subscription => subscription.alert_method === 'notification');
+
+        try {
+            if (emailCourses.length > 0) {
+                await sendCourseListingAlertEmail(own[0], emailCourses.map(formatCourseCode), product);
+            }
+
+            if (notifyCourses.length > 0 && io) {
+                io.to(`user-${userId}`).emit('course-listing', {
+                    courses: notifyCourses.map(subscription => ({
+                        id: subscription.course_id,
+                        code: formatCourseCode(subscription),
+                        title: subscription.title
+                    })),
+                    product: {
+                        id: product.id,
+                        name: product.name,
+                        price: product.price
+                    }
+                });
+            }
+        } catch (error) {
+            console.error(`Failed to alert user ${userId} about a listing for their courses:`, error);
+        }
+    }
+
+    return alerted;
+};
+
+module.exports = {
+    COURSE_ALERT_METHODS,
+    MAX_COURSE_SUBSCRIPTIONS,
+    parseCourseCode,
+    formatCourseCode,
+    formatCourse,
+    searchCourses,
+    resolveCourseCodes,
+    importCatalog,
+    notifyCourseSubscribers
+};
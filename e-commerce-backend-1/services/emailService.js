@@ -2,6 +2,8 @@ const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
 const handlebars = require('handlebars');
+const Campus = require('../models/Campus');
+const Setting = require('../models/Setting');
 require('dotenv').config();
 
 // Create email transporter
@@ -34,16 +36,45 @@ const loadTemplate = (templateName) => {
     return handlebars.compile(templateSource);
 };
 
-// Send email
+// Branding used when no campus has been configured
+const DEFAULT_BRANDING = {
+    platformName: 'Market Place',
+    brandColor: '#bf5700',
+    campusName: '',
+    campusAddress: ''
+};
+
+// Get the name, colour and address a campus's emails are branded with
+const getBranding = async (campusId) => {
+    const campus = campusId ? await Campus.findById(campusId) : await Campus.getDefault();
+
+    if (!campus) {
+        return DEFAULT_BRANDING;
+    }
+
+    const settings = await Setting.getAll(campus.id);
+
+    return {
+        platformName: settings ? settings.platform_name : `${campus.name} Market Place`,
+        brandColor: campus.primary_color,
+        campusName: campus.name,
+        campusAddress: campus.address || ''
+    };
+};
+
+// Send email (templates and their subjects are rendered with the campus branding)
 const sendEmail = async (options) => {
     try {
-        const { to, subject, template, context } = options;
+        const { to, template, campusId, context = {} } = options;
+        let { subject } = options;
 
         // Compile template
         let html;
         if (template) {
+            const branding = await getBranding(campusId);
             const compiledTemplate = loadTemplate(template);
-            html = compiledTemplate(context);
+            html = compiledTemplate({ ...branding, ...context });
+            subject = handlebars.compile(subject)(branding);
         }
 
         // Set up email options
@@ -69,7 +100,8 @@ const sendEmail = async (options) => {
 const sendWelcomeEmail = async (user, verificationUrl) => {
     return sendEmail({
         to: user.email,
-        subject: 'Welcome to UTA Market Place',
+        campusId: user.campus_id,
+        subject: 'Welcome to {{platformName}}',
         template: 'welcome',
         context: {
             firstName: user.first_name,
@@ -82,6 +114,7 @@ const sendWelcomeEmail = async (user, verificationUrl) => {
 const sendVerificationEmail = async (user, verificationUrl) => {
     return sendEmail({
         to: user.email,
+        campusId: user.campus_id,
         subject: 'Verify Your Email Address',
         template: 'verification',
         context: {
@@ -95,6 +128,7 @@ const sendVerificationEmail = async (user, verificationUrl) => {
 const sendPasswordResetEmail = async (user, resetUrl) => {
     return sendEmail({
         to: user.email,
+        campusId: user.campus_id,
         subject: 'Reset Your Password',
         template: 'password-reset',
         context: {
@@ -104,11 +138,42 @@ const sendPasswordResetEmail = async (user, resetUrl) => {
     });
 };
 
+// Send password changed notification
+const sendPasswordChangedEmail = async (user) => {
+    return sendEmail({
+        to: user.email,
+        campusId: user.campus_id,
+        subject: 'Your Password Was Changed',
+        template: 'password-changed',
+        context: {
+            firstName: user.first_name,
+            changedAt: new Date().toLocaleString(),
+            forgotPasswordUrl: `${process.env.CLIENT_URL}/forgot-password`
+        }
+    });
+};
+
+// Send account deletion scheduled notice
+const sendAccountDeletionEmail = async (user, deletionDate) => {
+    return sendEmail({
+        to: user.email,
+        campusId: user.campus_id,
+        subject: 'Your Account Is Scheduled for Deletion',
+        template: 'account-deletion',
+        context: {
+            firstName: user.first_name,
+            deletionDate: new Date(deletionDate).toLocaleDateString(),
+            profileUrl: `${process.env.CLIENT_URL}/profile`
+        }
+    });
+};
+
 // Send order confirmation
 const sendOrderConfirmation = async (user, order, items) => {
     return sendEmail({
         to: user.email,
-        subject: 'Order Confirmation - UTA Market Place',
+        campusId: user.campus_id,
+        subject: 'Order Confirmation - {{platformName}}',
         template: 'order-confirmation',
         context: {
             firstName: user.first_name,
@@ -126,7 +191,8 @@ const sendOrderConfirmation = async (user, order, items) => {
 const sendMessageNotification = async (user, sender, conversationId, productName) => {
     return sendEmail({
         to: user.email,
-        subject: 'New Message - UTA Market Place',
+        campusId: user.campus_id,
+        subject: 'New Message - {{platformName}}',
         template: 'message-notification',
         context: {
             firstName: user.first_name,
@@ -137,6 +203,115 @@ const sendMessageNotification = async (user, sender, conversationId, productName
     });
 };
 
+// Send saved search alert for a new listing
+const sendNewListingAlertEmail = async (user, savedSearch, product) => {
+    return sendEmail({
+        to: user.email,
+        campusId: user.campus_id,
+        subject: 'New Listing Matches Your Saved Search - {{platformName}}',
+        template: 'new-listing-alert',
+        context: {
+            firstName: user.first_name,
+            searchName: savedSearch.name,
+            productName: product.name,
+            price: parseFloat(product.price).toFixed(2),
+            categoryName: product.category_name,
+            condition: product.item_condition,
+            location: product.location,
+            productUrl: `${process.env.CLIENT_URL}/product/${product.id}`,
+            profileUrl: `${process.env.CLIENT_URL}/profile`
+        }
+    });
+};
+
+// Send alert for a new listing tagged with courses the user subscribes to
+const sendCourseListingAlertEmail = async (user, courseCodes, product) => {
+    return sendEmail({
+        to: user.email,
+        campusId: user.campus_id,
+        subject: `New Listing for ${courseCodes.join(', ')} - {{platformName}}`,
+        template: 'course-listing-alert',
+        context: {
+            firstName: user.first_name,
+            courses: courseCodes.join(', '),
+            productName: product.name,
+            price: parseFloat(product.price).toFixed(2),
+            categoryName: product.category_name,
+            condition: product.item_condition,
+            location: product.location,
+            productUrl: `${process.env.CLIENT_URL}/product/${product.id}`,
+            profileUrl: `${process.env.CLIENT_URL}/profile`
+        }
+    });
+};
+
+// Send daily digest of new listings matching saved searches
+const sendListingDigestEmail = async (user, searches) => {
+    return sendEmail({
+        to: user.email,
+        campusId: user.campus_id,
+        subject: 'New Listings Matching Your Saved Searches - {{platformName}}',
+        template: 'listing-digest',
+        context: {
+            firstName: user.first_name,
+            searches: searches.map(search => ({
+                name: search.name,
+                listings: search.listings.map(listing => ({
+                    name: listing.name,
+                    price: parseFloat(listing.price).toFixed(2),
+                    url: `${process.env.CLIENT_URL}/product/${listing.id}`
+                }))
+            })),
+            browseUrl: `${process.env.CLIENT_URL}/buyer`,
+            profileUrl: `${process.env.CLIENT_URL}/profile`
+        }
+    });
+};
+
+// Send reminder about listings that are about to expire
+const sendListingExpiryReminderEmail = async (user, listings) => {
+    return sendEmail({
+        to: user.email,
+        campusId: user.campus_id,
+        subject: 'Your Listings Are About to Expire - {{platformName}}',
+        template: 'listing-expiry-reminder',
+        context: {
+            firstName: user.first_name,
+            listings: listings.map(listing => ({
+                name: listing.name,
+                price: parseFloat(listing.price).toFixed(2),
+                expiresAt: new Date(listing.expires_at).toLocaleDateString(),
+                url: `${process.env.CLIENT_URL}/product/${listing.id}`
+            })),
+            sellerUrl: `${process.env.CLIENT_URL}/seller`
+        }
+    });
+};
+
+// Send watchlist alert (price drop when oldPrice is given, otherwise the item may sell soon)
+const sendWatchlistAlertEmail = async (user, product, oldPrice = null) => {
+    const headline = oldPrice ? 'Price Drop on Your Watchlist' : 'An Item on Your Watchlist May Sell Soon';
+
+    return sendEmail({
+        to: user.email,
+        campusId: user.campus_id,
+        subject: `${headline} - {{platformName}}`,
+        template: 'watchlist-alert',
+        context: {
+            firstName: user.first_name,
+            headline,
+            message: oldPrice
+                ? 'The price of a listing you are watching just dropped.'
+                : 'Another buyer just added a listing you are watching to their cart.',
+            productName: product.name,
+            price: parseFloat(product.price).toFixed(2),
+            oldPrice: oldPrice && parseFloat(oldPrice).toFixed(2),
+            productUrl: `${process.env.CLIENT_URL}/product/${product.id}`,
+            profileUrl: `${process.env.CLIENT_URL}/profile`
+        }
+    });
+};
+
 // Send contact form email
 const sendContactFormEmail = async (formData) => {
     return sendEmail({
@@ -153,8 +328,10 @@ const sendContactFormEmail = async (formData) => {
 };
 
 // Send contact form email with direct HTML (no template)
-const sendContactFormHtmlEmail = async (formData) => {
+const sendContactFormHtmlEmail = async (formData, campusId) => {
     try {
+        const { platformName, brandColor, campusName, campusAddress } = await getBranding(campusId);
+
         // Create HTML email content directly
         const htmlContent = `
             <!DOCTYPE html>
@@ -177,7 +354,7 @@ const sendContactFormHtmlEmail = async (formData) => {
                         overflow: hidden;
                     }
                     .email-header {
-                        background-color: #bf5700; /* UTA orange */
+                        background-color: ${brandColor};
                         color: white;
                         padding: 20px;
                         text-align: center;
@@ -195,7 +372,7 @@ const sendContactFormHtmlEmail = async (formData) => {
                     }
                     .message-box {
                         background-color: #f9f9f9;
-                        border-left: 3px solid #bf5700;
+                        border-left: 3px solid ${brandColor};
                         padding: 15px;
                         margin: 20px 0;
                     }
@@ -205,7 +382,7 @@ const sendContactFormHtmlEmail = async (formData) => {
                     }
                     .btn {
                         display: inline-block;
-                        background-color: #bf5700;
+                        background-color: ${brandColor};
                         color: white;
                         padding: 10px 20px;
                         text-decoration: none;
@@ -220,11 +397,11 @@ const sendContactFormHtmlEmail = async (formData) => {
             <body>
                 <div class="email-container">
                     <div class="email-header">
-                        <h2>UTA Market Place Contact Form</h2>
+                        <h2>${platformName} Contact Form</h2>
                     </div>
                     <div class="email-body">
                         <h3>New Contact Form Submission</h3>
-                        <p>You have received a new message from the UTA Market Place contact form:</p>
+                        <p>You have received a new message from the ${platformName} contact form:</p>
                         
                         <div class="field-details">
                             <div class="field-name">Name:</div>
@@ -251,8 +428,8 @@ const sendContactFormHtmlEmail = async (formData) => {
                         <a href="mailto:${formData.email}" class="btn">Reply to ${formData.name}</a>
                     </div>
                     <div class="email-footer">
-                        <p>&copy; ${new Date().getFullYear()} UTA Market Place. All rights reserved.</p>
-                        <p>University of Texas at Arlington, 701 S Nedderman Dr, Arlington, TX 76019</p>
+                        <p>&copy; ${new Date().getFullYear()} ${platformName}. All rights reserved.</p>
+                        <p>${[campusName, campusAddress].filter(Boolean).join(', ')}</p>
                     </div>
                 </div>
             </body>
@@ -262,7 +439,7 @@ const sendContactFormHtmlEmail = async (formData) => {
         // Send the email
         return await sendEmail({
             to: 'wdmecomm@gmail.com',
-            subject: `UTA Market Place: Contact Form - ${formData.subject}`,
+            subject: `${platformName}: Contact Form - ${formData.subject}`,
             html: htmlContent
         });
     } catch (error) {
@@ -277,8 +454,15 @@ module.exports = {
     sendWelcomeEmail,
     sendVerificationEmail,
     sendPasswordResetEmail,
+    sendPasswordChangedEmail,
+    sendAccountDeletionEmail,
     sendOrderConfirmation,
     sendMessageNotification,
+    sendNewListingAlertEmail,
+    sendCourseListingAlertEmail,
+    sendListingDigestEmail,
+    sendListingExpiryReminderEmail,
+    sendWatchlistAlertEmail,
     sendContactFormEmail,
     sendContactFormHtmlEmail
 };
\ No newline at end of file
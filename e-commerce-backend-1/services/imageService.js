@@ -0,0 +1,148 @@
+// services/imageService.js
+const sharp = require('sharp');
+const { uniqueFilename } = require('../config/multer');
+const { saveFile, deleteFile } = require('./storageService');
+
+// Sizes every uploaded image is stored in, as the longest side in pixels (never enlarged)
+const IMAGE_SIZES = {
+    thumbnail: 150,
+    card: 400,
+    full: 1200
+};
+
+// Processed images are stored as <name>-<size>.<jpg|png> plus <name>-<size>.webp,
+// and referenced by the URL of their full size
+const PROCESSED_IMAGE_PATTERN = /^(.*)-full\.(jpg|png)$/;
+
+/**
+ * Check that a file decodes as an image (truncated or corrupt files don't)
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object|null>} - Image metadata, null if the file isn't a readable image
+ */
+const readImage = async (buffer) => {
+    try {
+        const image = sharp(buffer, { failOn: 'warning' });
+        const metadata = await image.metadata();
+
+        // Decode every pixel, the header alone can look fine
+        await image.stats();
+
+        return metadata;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Process an uploaded image: decode it, auto-rotate it, strip its metadata (EXIF, including
+ * GPS location) and store every size in its original format family and as WebP
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} fieldname - Prefix of the stored file names (e.g. 'images' or 'avatar')
+ * @returns {Promise<string|null>} - URL of the full size, null if the file isn't a readable image
+ */
+const processImage = async (buffer, fieldname) => {
+    const metadata = await readImage(buffer);
+    if (!metadata) {
+        return null;
+    }
+
+    // Images with transparency stay PNG, everything else becomes JPEG
+    const ext = metadata.hasAlpha ? 'png' : 'jpg';
+    const name = uniqueFilename(fieldname);
+    const saved = [];
+    let fullUrl;
+
+    try {
+        for (const [size, dimension] of Object.entries(IMAGE_SIZES)) {
+            // sharp drops all metadata unless asked to keep it, rotate() applies the EXIF orientation first
+            const resized = sharp(buffer)
+                .rotate()
+                .resize({ width: dimension, height: dimension, fit: 'inside', withoutEnlargement: true });
+
+            const encoded = metadata.hasAlpha
+                ? await resized.clone().png().toBuffer()
+                : await resized.clone().jpeg({ quality: 85, mozjpeg: true }).toBuffer();
+            const url = await saveFile(encoded, `${name}-${size}.${ext}`);
+            saved.push(url);
+            if (size === 'full') {
+                fullUrl = url;
+            }
+
+            saved.push(await saveFile(await resized.webp({ quality: 80 }).toBuffer(), `${name}-${size}.webp`));
+        }
+    } catch (error) {
+        await Promise.all(saved.map(deleteImageFile));
+        throw error;
+    }
+
+    return fullUrl;
+};
+
+/**
+ * Get the URLs of every size of an image
+ * @param {string} imageUrl - URL of the image (the full size for processed images)
+ * @returns {Object} - URL and WebP URL per size (images uploaded before processing have one size,
+ *                     repeated, and no WebP version)
+ */
+const getImageSizes = (imageUrl) => {
+    const match = imageUrl ? imageUrl.match(PROCESSED_IMAGE_PATTERN) : null;
+
+    return Object.fromEntries(Object.keys(IMAGE_SIZES).map(size => [
+        size,
+        match
+            ? { url: `${match[1]}-${size}.${match[2]}`, webp: `${match[1]}-${size}.webp` }
+            : { url: imageUrl, webp: null }
+    ]));
+};
+
+/**
+ * Add the URL of every size of their main image to listings (cards load the card size, not the full one)
+ * @param {Array} listings - Listing rows
+ * @param {string} field - Column holding the URL of the main image
+ * @returns {Array} - Listings with image_sizes, null for listings without an image
+ */
+const withMainImageSizes = (listings, field = 'main_image') => listings.map(listing => ({
+    ...listing,
+    image_sizes: listing[field] ? getImageSizes(listing[field]) : null
+}));
+
+/**
+ * Get every stored file of an image (all sizes and their WebP versions)
+ * @param {string} imageUrl - URL of the image
+ * @returns {Array<string>} - File paths
+ */
+const getImageFiles = (imageUrl) => {
+    if (!PROCESSED_IMAGE_PATTERN.test(imageUrl)) {
+        return [imageUrl];
+    }
+
+    return Object.values(getImageSizes(imageUrl)).flatMap(({ url, webp }) => [url, webp]);
+};
+
+// Delete a stored file, logging failures since the image record is already gone
+const deleteImageFile = async (filePath) => {
+    try {
+        await deleteFile(filePath);
+    } catch (error) {
+        console.error(`Error deleting file ${filePath}:`, error);
+    }
+};
+
+/**
+ * Delete every size of an uploaded image (it never rejects, failures are logged)
+ * @param {string} imageUrl - URL of the image
+ * @returns {Promise<void>}
+ */
+const deleteImage = async (imageUrl) => {
+    await Promise.all(getImageFiles(imageUrl).map(deleteImageFile));
+};
+
+module.exports = {
+    IMAGE_SIZES,
+    readImage,
+    processImage,
+    getImageSizes,
+    withMainImageSizes,
+    getImageFiles,
+    deleteImage
+};
@@ -0,0 +1,74 @@
+// services/listingExpiryService.js
+const Product = require('../models/Product');
+const { sendListingExpiryReminderEmail } = require('./emailService');
+const { startJob } = require('../utils/scheduler');
+
+// How often listings are checked for reminders and expiry
+const EXPIRY_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Email each seller one reminder about their listings entering the reminder window
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+const sendExpiryReminders = async () => {
+    const listings = await Product.getDueExpiryReminders();
+    const sellers = new Map();
+
+    for (const listing of listings) {
+        if (!sellers.has(listing.seller_id)) {
+            sellers.set(listing.seller_id, {
+                seller: {
+                    id: listing.seller_id,
+                    email: listing.email,
+                    first_name: listing.first_name,
+                    campus_id: listing.campus_id
+                },
+                listings: []
+            });
+        }
+        sellers.get(listing.seller_id).listings.push(listing);
+    }
+
+    let sent = 0;
+
+    for (const { seller, listings: sellerListings } of sellers.values()) {
+        try {
+            await sendListingExpiryReminderEmail(seller, sellerListings);
+            await Product.markExpiryReminderSent(sellerListings.map(listing => listing.id));
+            sent++;
+        } catch (error) {
+            // Leave the listings unmarked, the next run retries
+            console.error(`Failed to send expiry reminder to user ${seller.id}:`, error);
+        }
+    }
+
+    return sent;
+};
+
+/**
+ * Send due reminders, then expire listings past their lifetime
+ * @returns {Promise<Object>} - Number of reminders sent and listings expired
+ */
+const runExpirySweep = async () => {
+    const reminded = await sendExpiryReminders();
+    const expired = await Product.expireListings();
+
+    return { reminded, expired };
+};
+
+/**
+ * Periodically remind sellers and expire stale listings
+ * @returns {NodeJS.Timeout} - Interval timer
+ */
+const startExpiryScheduler = () => startJob('Listing expiry', async () => {
+    const { reminded, expired } = await runExpirySweep();
+
+    if (reminded) console.log(`Sent ${reminded} listing expiry reminder(s)`);
+    if (expired) console.log(`Expired ${expired} listing(s)`);
+}, EXPIRY_CHECK_INTERVAL);
+
+module.exports = {
+    sendExpiryReminders,
+    runExpirySweep,
+    startExpiryScheduler
+};
@@ -0,0 +1,94 @@
+// services/listingScheduleService.js
+const Product = require('../models/Product');
+const Auction = require('../models/Auction');
+const Setting = require('../models/Setting');
+const { notifyNewListing } = require('./savedSearchService');
+const { indexProduct } = require('./searchService');
+const { startJob } = require('../utils/scheduler');
+
+// How often scheduled listings are checked for their publish time
+const PUBLISH_CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * Publish a draft or scheduled listing, sending it for approval if the campus requires it
+ * @param {number} productId - Product ID
+ * @param {number} campusId - Campus of the listing
+ * @param {Object} io - Socket.io server for in-app notifications (optional)
+ * @returns {Promise<string|null>} - Status after publishing, null if it was already published
+ */
+const publishListing = async (productId, campusId, io) => {
+    const requiresApproval = await Setting.isAdminApprovalRequired(campusId);
+    const status = requiresApproval ? 'pending' : 'active';
+
+    const published = await Product.publish(productId, status);
+    if (!published) {
+        return null;
+    }
+
+    // Its words join the campus's search vocabulary now that it's published
+    await indexProduct(productId);
+
+    // Alert matching saved searches
+    if (status === 'active') {
+        notifyNewListing(productId, io);
+    }
+
+    return status;
+};
+
+/**
+ * Change the status of a listing (moderation), restarting its listing period when it becomes active
+ * and starting the clock of an auction that was waiting for approval
+ * @param {Object} product - Product with its ID and listing type
+ * @param {string} status - New status
+ * @returns {Promise<boolean>} - True if updated
+ */
+const setListingStatus = async (product, status) => {
+    const updated = await Product.updateStatus(product.id, status);
+
+    if (updated && status === 'active' && product.listing_type === 'auction') {
+        await Auction.start(product.id);
+    }
+
+    return updated;
+};
+
+/**
+ * Publish every scheduled listing whose publish time has come
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {Promise<number>} - Number of listings published
+ */
+const publishDueListings = async (io) => {
+    const listings = await Product.getDueScheduled();
+    let published = 0;
+
+    for (const listing of listings) {
+        try {
+            if (await publishListing(listing.id, listing.campus_id, io)) {
+                published++;
+            }
+        } catch (error) {
+            // Leave the listing scheduled, the next run retries
+            console.error(`Failed to publish scheduled product ${listing.id}:`, error);
+        }
+    }
+
+    return published;
+};
+
+/**
+ * Periodically publish scheduled listings
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {NodeJS.Timeout} - Interval timer
+ */
+const startPublishScheduler = (io) => startJob('Scheduled listing', async () => {
+    const count = await publishDueListings(io);
+    if (count) console.log(`Published ${count} scheduled listing(s)`);
+}, PUBLISH_CHECK_INTERVAL);
+
+module.exports = {
+    publishListing,
+    setListingStatus,
+    publishDueListings,
+    startPublishScheduler
+};
@@ -0,0 +1,116 @@
+// services/offerService.js
+const Offer = require('../models/Offer');
+const Message = require('../models/Message');
+const { startJob } = require('../utils/scheduler');
+
+// How often pending offers are checked for expiry
+const OFFER_EXPIRY_CHECK_INTERVAL = 60 * 1000;
+
+// Longest note a buyer can add to an offer
+const MAX_OFFER_NOTE_LENGTH = 500;
+
+// Longest time a campus can let offers stay pending (30 days)
+const MAX_OFFER_EXPIRY_HOURS = 720;
+
+/**
+ * Format an amount of money for a message
+ * @param {number|string} amount - Amount
+ * @returns {string} - Amount, e.g. "$70.00"
+ */
+const formatAmount = (amount) => `$${Number(amount).toFixed(2)}`;
+
+/**
+ * Convert an offer row to the API shape
+ * @param {Object} offer - Offer row with its listing
+ * @returns {Object} - Offer
+ */
+const formatOffer = (offer) => ({
+    id: offer.id,
+    productId: offer.product_id,
+    productName: offer.product_name,
+    listPrice: Number(offer.list_price),
+    buyerId: offer.buyer_id,
+    sellerId: offer.seller_id,
+    proposedBy: offer.proposed_by,
+    conversationId: offer.conversation_id,
+    parentId: offer.parent_id,
+    amount: Number(offer.amount),
+    status: offer.status,
+    expiresAt: offer.expires_at,
+    respondedAt: offer.responded_at,
+    createdAt: offer.created_at
+});
+
+/**
+ * Post a message about an offer in its conversation
+ * @param {number|null} conversationId - Conversation of the offer (nothing is posted if it was deleted)
+ * @param {number} senderId - User posting the message
+ * @param {string} text - Message text
+ * @param {number|null} offerId - Offer to show as a card (optional)
+ * @returns {Promise<Object|null>} - Posted message with its offer, null if there is no conversation
+ */
+const postOfferMessage = async (conversationId, senderId, text, offerId = null) => {
+    if (!conversationId) {
+        return null;
+    }
+
+    const messageId = await Message.sendMessage(conversationId, senderId, text, offerId);
+    return Message.getMessageById(messageId);
+};
+
+/**
+ * Tell the buyer and seller of an offer about a change in real time
+ * @param {Object} io - Socket.io server (optional)
+ * @param {string} event - 'offer-created' or 'offer-updated'
+ * @param {Object} offer - Offer row with its listing
+ * @param {Object|null} message - Message posted about the change (optional)
+ */
+const emitOfferEvent = (io, event, offer, message = null) => {
+    if (!io) {
+        return;
+    }
+
+    const payload = {
+        conversationId: offer.conversation_id,
+        offer: formatOffer(offer),
+        message
+    };
+
+    // Both parties get it, so the one who acted sees the change in their other tabs too
+    io.to(`user-${offer.buyer_id}`).emit(event, payload);
+    io.to(`user-${offer.seller_id}`).emit(event, payload);
+};
+
+/**
+ * Expire pending offers past their expiry and tell both parties
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {Promise<number>} - Number of offers expired
+ */
+const expireDueOffers = async (io) => {
+    const offers = await Offer.expireDue();
+
+    offers.forEach(offer => emitOfferEvent(io, 'offer-updated', offer));
+
+    return offers.length;
+};
+
+/**
+ * Periodically expire offers nobody answered in time
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {NodeJS.Timeout} - Interval timer
+ */
+const startOfferExpiryScheduler = (io) => startJob('Offer expiry', async () => {
+    const count = await expireDueOffers(io);
+    if (count) console.log(`Expired ${count} offer(s)`);
+}, OFFER_EXPIRY_CHECK_INTERVAL);
+
+module.exports = {
+    MAX_OFFER_EXPIRY_HOURS,
+    MAX_OFFER_NOTE_LENGTH,
+    formatAmount,
+    formatOffer,
+    postOfferMessage,
+    emitOfferEvent,
+    expireDueOffers,
+    startOfferExpiryScheduler
+};
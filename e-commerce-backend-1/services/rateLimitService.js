@@ -0,0 +1,213 @@
+// services/rateLimitService.js
+const RateLimit = require('../models/RateLimit');
+const Setting = require('../models/Setting');
+
+// How long limits read from settings are reused before reloading
+const LIMITS_CACHE_TTL = 60 * 1000;
+
+/**
+ * In-process counter store (single instance deployments and tests)
+ */
+class MemoryStore {
+    constructor() {
+        this.counters = new Map();
+
+        // Drop expired counters so the map doesn't grow forever
+        this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    async increment(key, windowSeconds) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+
+        if (!counter || counter.resetAt <= now) {
+            counter = { hits: 0, resetAt: now + windowSeconds * 1000 };
+            this.counters.set(key, counter);
+        }
+
+        counter.hits += 1;
+        return { hits: counter.hits, ttl: Math.ceil((counter.resetAt - now) / 1000) };
+    }
+
+    async get(key) {
+        const now = Date.now();
+        const counter = this.counters.get(key);
+
+        if (!counter || counter.resetAt <= now) {
+            return null;
+        }
+
+        return { hits: counter.hits, ttl: Math.ceil((counter.resetAt - now) / 1000) };
+    }
+
+    async reset(key) {
+        this.counters.delete(key);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * MySQL-backed counter store shared by every server instance
+ */
+class DatabaseStore {
+    constructor() {
+        this.cleanupTimer = setInterval(() => {
+            RateLimit.deleteExpired().catch(() => {});
+        }, 10 * 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    increment(key, windowSeconds) {
+        return RateLimit.increment(key, windowSeconds);
+    }
+
+    get(key) {
+        return RateLimit.get(key);
+    }
+
+    reset(key) {
+        return RateLimit.reset(key);
+    }
+}
+
+// Available stores, selected with RATE_LIMIT_STORE
+const STORES = {
+    memory: MemoryStore,
+    database: DatabaseStore
+};
+
+let store = null;
+
+// Cached limits per campus ({ limits, cachedAt })
+const cachedLimits = new Map();
+
+/**
+ * Get the configured counter store
+ * @returns {Object} - Store implementing increment, get and reset
+ */
+const getStore = () => {
+    if (!store) {
+        const Store = STORES[process.env.RATE_LIMIT_STORE] || MemoryStore;
+        store = new Store();
+    }
+
+    return store;
+};
+
+/**
+ * Replace the counter store (e.g. with a custom shared store)
+ * @param {Object} customStore - Store implementing increment(key, windowSeconds), get(key) and reset(key)
+ */
+const setStore = (customStore) => {
+    store = customStore;
+};
+
+/**
+ * Get rate limits from a campus's settings (cached)
+ * @param {number} campusId - Campus ID
+ * @returns {Promise<Object>} - Rate limit settings
+ */
+const getLimits = async (campusId) => {
+    const cached = cachedLimits.get(campusId);
+
+    if (cached && Date.now() - cached.cachedAt <= LIMITS_CACHE_TTL) {
+        return cached.limits;
+    }
+
+    const limits = await Setting.getRateLimits(campusId);
+    cachedLimits.set(campusId, { limits, cachedAt: Date.now() });
+
+    return limits;
+};
+
+/**
+ * Forget cached limits so updated settings apply immediately
+ * @param {number} campusId - Campus ID (all campuses when omitted)
+ */
+const clearLimitsCache = (campusId) => {
+    if (campusId === undefined) {
+        cachedLimits.clear();
+    } else {
+        cachedLimits.delete(campusId);
+    }
+};
+
+/**
+ * Count a request against a key
+ * @param {string} key - Counter key
+ * @param {number} max - Allowed hits per window
+ * @param {number} windowSeconds - Window length in seconds
+ * @returns {Promise<Object>} - Whether the request is allowed, remaining hits and seconds until reset
+ */
+const consume = async (key, max, windowSeconds) => {
+    const { hits, ttl } = await getStore().increment(key, windowSeconds);
+
+    return {
+        allowed: hits <= max,
+        remaining: Math.max(max - hits, 0),
+        retryAfter: Math.max(ttl, 1)
+    };
+};
+
+/**
+ * Get the remaining lockout of an account
+ * @param {string} account - Account identifier (email)
+ * @returns {Promise<number>} - Seconds until the lockout ends, 0 if not locked
+ */
+const getLockout = async (account) => {
+    const lock = await getStore().get(`lockout:${account.toLowerCase()}`);
+    return lock ? Math.max(lock.ttl, 1) : 0;
+};
+
+/**
+ * Record a failed login and lock the account once the limit is reached
+ * @param {string} account - Account identifier (email)
+ * @param {number} campusId - Campus whose lockout settings apply
+ * @returns {Promise<number>} - Seconds of lockout started, 0 if not locked
+ */
+const recordLoginFailure = async (account, campusId) => {
+    const { loginMaxAttempts, loginLockoutMinutes } = await getLimits(campusId);
+    const lockoutSeconds = loginLockoutMinutes * 60;
+    const key = account.toLowerCase();
+
+    const { hits } = await getStore().increment(`login-failures:${key}`, lockoutSeconds);
+
+    if (hits >= loginMaxAttempts) {
+        await getStore().reset(`login-failures:${key}`);
+        await getStore().increment(`lockout:${key}`, lockoutSeconds);
+        return lockoutSeconds;
+    }
+
+    return 0;
+};
+
+/**
+ * Clear failed login attempts after a successful login
+ * @param {string} account - Account identifier (email)
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (account) => {
+    await getStore().reset(`login-failures:${account.toLowerCase()}`);
+};
+
+module.exports = {
+    MemoryStore,
+    DatabaseStore,
+    getStore,
+    setStore,
+    getLimits,
+    clearLimitsCache,
+    consume,
+    getLockout,
+    recordLoginFailure,
+    clearLoginFailures
+};
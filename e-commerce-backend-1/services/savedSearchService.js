@@ -0,0 +1,157 @@
+// services/savedSearchService.js
+const Product = require('../models/Product');
+const SavedSearch = require('../models/SavedSearch');
+const SearchIndex = require('../models/SearchIndex');
+const User = require('../models/User');
+const { matchesDocument } = require('./searchService');
+const { sendNewListingAlertEmail, sendListingDigestEmail } = require('./emailService');
+const { notifyCourseSubscribers } = require('./courseService');
+const { startJob } = require('../utils/scheduler');
+
+// How alerts for a saved search are delivered
+const ALERT_METHODS = ['email', 'notification', 'digest', 'none'];
+
+// Saved searches a user can keep
+const MAX_SAVED_SEARCHES = 20;
+
+// How often due digests are looked for (each user gets at most one a day)
+const DIGEST_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Deliver a new listing alert for one saved search
+ * @param {Object} search - Saved search with its owner's details
+ * @param {Object} product - Product
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {Promise<void>}
+ */
+const deliverAlert = async (search, product, io) => {
+    const user = {
+        id: search.user_id,
+        email: search.email,
+        first_name: search.first_name,
+        campus_id: search.campus_id
+    };
+
+    if (search.alert_method === 'email') {
+        await sendNewListingAlertEmail(user, search, product);
+    } else if (search.alert_method === 'notification' && io) {
+        io.to(`user-${user.id}`).emit('saved-search-match', {
+            savedSearch: { id: search.id, name: search.name },
+            product: {
+                id: product.id,
+                name: product.name,
+                price: product.price
+            }
+        });
+    }
+};
+
+/**
+ * Alert the owners of saved searches matching a listing that just became active, and the subscribers
+ * to the courses it's tagged with. Callers don't wait for it: it never rejects, failures are logged
+ * @param {number} productId - Product ID
+ * @param {Object} io - Socket.io server for in-app notifications (optional)
+ * @returns {Promise<number>} - Number of saved searches matched
+ */
+const notifyNewListing = async (productId, io) => {
+    try {
+        const product = await Product.findById(productId);
+        if (!product || product.status !== 'active') {
+            return 0;
+        }
+
+        const searches = await SavedSearch.findMatchingFilters(product);
+        const document = searches.some(search => search.search_term)
+            ? await SearchIndex.getDocument(productId)
+            : null;
+
+        let matched = 0;
+
+        for (const search of searches) {
+            if (search.search_term && !(document && matchesDocument(search.search_term, document))) {
+                continue;
+            }
+
+            // Digest matches wait for the daily digest, the rest are alerted now
+            const isNew = await SavedSearch.recordMatch(search.id, productId, search.alert_method !== 'digest');
+            if (!isNew) {
+                continue;
+            }
+
+            matched++;
+
+            try {
+                await deliverAlert(search, product, io);
+            } catch (error) {
+                console.error(`Failed to alert saved search ${search.id}:`, error);
+            }
+        }
+
+        await notifyCourseSubscribers(product, io);
+
+        return matched;
+    } catch (error) {
+        // The listing itself has been published, so don't fail the request
+        console.error(`Failed to match saved searches for product ${productId}:`, error);
+        return 0;
+    }
+};
+
+/**
+ * Send the daily digest to every user whose digest is due
+ * @returns {Promise<number>} - Number of digests sent
+ */
+const sendDueDigests = async () => {
+    const userIds = await SavedSearch.getDueDigestUserIds();
+    let sent = 0;
+
+    for (const userId of userIds) {
+        try {
+            const until = new Date();
+            const owner = await User.findById(userId);
+            const matches = await SavedSearch.getPendingDigestMatches(userId);
+
+            // Users who turned off new listing notifications meanwhile get nothing
+            if (matches.length > 0 && owner && owner.status === 'active' && owner.new_listing_notifications) {
+                const searches = [];
+
+                for (const match of matches) {
+                    let search = searches.find(item => item.id === match.saved_search_id);
+                    if (!search) {
+                        search = { id: match.saved_search_id, name: match.search_name, listings: [] };
+                        searches.push(search);
+                    }
+                    search.listings.push(match);
+                }
+
+                await sendListingDigestEmail(owner, searches);
+                sent++;
+            }
+
+            // Listings that were sold or removed meanwhile are dropped with the rest
+            await SavedSearch.markDigestSent(userId, until);
+        } catch (error) {
+            // Leave the matches waiting, the next run retries
+            console.error(`Failed to send listing digest to user ${userId}:`, error);
+        }
+    }
+
+    return sent;
+};
+
+/**
+ * Periodically send due listing digests
+ * @returns {NodeJS.Timeout} - Interval timer
+ */
+const startDigestScheduler = () => startJob('Listing digest', async () => {
+    const count = await sendDueDigests();
+    if (count) console.log(`Sent ${count} listing digest(s)`);
+}, DIGEST_CHECK_INTERVAL);
+
+module.exports = {
+    ALERT_METHODS,
+    MAX_SAVED_SEARCHES,
+    notifyNewListing,
+    sendDueDigests,
+    startDigestScheduler
+};
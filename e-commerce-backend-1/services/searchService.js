@@ -0,0 +1,410 @@
+// services/searchService.js
+const Product = require('../models/Product');
+const SearchIndex = require('../models/SearchIndex');
+const { MIN_TERM_LENGTH, STOPWORDS, SYNONYMS } = require('../config/search');
+const { UNPUBLISHED_STATUSES } = require('../config/listings');
+
+// Characters of description shown in a result snippet
+const SNIPPET_LENGTH = 160;
+
+// Characters of context kept before the first match in a snippet
+const SNIPPET_CONTEXT = 40;
+
+// Longest word stored in the vocabulary (search_terms.term)
+const MAX_TERM_LENGTH = 64;
+
+/**
+ * Split text into lowercase words, dropping accents and punctuation
+ * @param {string} text - Text to split
+ * @returns {string[]} - Words
+ */
+const tokenize = (text) => {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .match(/[a-z0-9]+/g) || [];
+};
+
+/**
+ * Reduce a word to its stem so "calculators" and "calculator" match (light suffix stripping)
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+const stem = (word) => {
+    if (word.length <= 3 || /^\d+$/.test(word)) {
+        return word;
+    }
+
+    let result = word;
+
+    if (result.endsWith('ies') && result.length > 4) {
+        result = `${result.slice(0, -3)}y`;
+    } else if (result.endsWith('sses')) {
+        result = result.slice(0, -2);
+    } else if (/(ch|sh|x|z)es$/.test(result)) {
+        result = result.slice(0, -2);
+    } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+
+    if (result.endsWith('ing') && result.length > 5) {
+        result = result.slice(0, -3);
+    } else if (result.endsWith('ed') && result.length > 4) {
+        result = result.slice(0, -2);
+    }
+
+    // Undo doubled consonants left by the suffix ("running" -> "run")
+    if (result !== word && /([^aeiouls])\1$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+
+    if (result.endsWith('e') && result.length > 4) {
+        result = result.slice(0, -1);
+    }
+
+    return result;
+};
+
+/**
+ * Get the words of a text worth indexing or searching for
+ * @param {string} text - Text
+ * @returns {string[]} - Words without stopwords
+ */
+const getWords = (text) => {
+    return tokenize(text).filter(word => !STOPWORDS.has(word));
+};
+
+/**
+ * Turn text into a space-separated list of stems for the full-text index
+ * @param {string} text - Text
+ * @returns {string} - Stemmed terms
+ */
+const toTerms = (text) => {
+    return getWords(text).map(stem).join(' ');
+};
+
+/**
+ * Get a word together with its synonyms
+ * @param {string} word - Lowercase word
+ * @returns {string[]} - The word and its synonyms
+ */
+const expandSynonyms = (word) => {
+    const group = SYNONYMS.find(synonyms => synonyms.includes(word) || synonyms.includes(stem(word)));
+    return group ? [...new Set([word, ...group])] : [word];
+};
+
+/**
+ * Parse a search string into a full-text query
+ * Every word (or one of its synonyms) must match; stems are prefix-matched so
+ * "charge" also finds "charger" and "charging". When every word is too short for the
+ * full-text index ("TI-84", "pc"), the words are matched as prefixes of the indexed terms instead
+ * @param {string} searchTerm - Search string entered by the user
+ * @returns {Object|null} - Words, stem groups and boolean-mode query (or word prefixes), or null
+ *                          if there are no words
+ */
+const parseQuery = (searchTerm) => {
+    const words = [];
+    const groups = [];
+    const shortWords = [];
+
+    for (const word of getWords(searchTerm)) {
+        const stems = [...new Set(expandSynonyms(word).map(stem))]
+            .filter(term => term.length >= MIN_TERM_LENGTH);
+
+        if (stems.length > 0) {
+            words.push(word);
+            groups.push(stems);
+        } else {
+            shortWords.push(word);
+        }
+    }
+
+    if (groups.length === 0) {
+        if (shortWords.length === 0) {
+            return null;
+        }
+
+        return {
+            words: shortWords,
+            groups: shortWords.map(word => [word]),
+            stems: shortWords,
+            query: null,
+            prefixes: shortWords
+        };
+    }
+
+    return {
+        words,
+        groups,
+        stems: groups.flat(),
+        query: groups.map(stems => `+(${stems.map(term => `${term}*`).join(' ')})`).join(' '),
+        prefixes: []
+    };
+};
+
+/**
+ * Check if a listing's search document matches a search string (same rules as the full-text query)
+ * @param {string} searchTerm - Search string
+ * @param {Object} document - Search document (name_terms and body_terms)
+ * @returns {boolean} - Whether every word of the search matches
+ */
+const matchesDocument = (searchTerm, document) => {
+    const parsed = parseQuery(searchTerm);
+    if (!parsed) {
+        return true;
+    }
+
+    const terms = `${document.name_terms} ${document.body_terms}`.split(' ');
+
+    return parsed.groups.every(stems =>
+        stems.some(stemmed => terms.some(term => term.startsWith(stemmed)))
+    );
+};
+
+/**
+ * Edit distance between two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Number of single-character edits
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * Replace misspelled words with the closest words in the vocabulary
+ * @param {string[]} words - Search words
+ * @param {number|null} campusId - Campus searched (null for every campus)
+ * @returns {Promise<string[]|null>} - Corrected words or null if nothing could be corrected
+ */
+const correctWords = async (words, campusId) => {
+    let changed = false;
+    const corrected = [];
+
+    for (const word of words) {
+        // Longer words tolerate more typos
+        const maxDistance = word.length <= 4 ? 1 : 2;
+        let best = word;
+        let bestDistance = Infinity;
+
+        if (word.length >= MIN_TERM_LENGTH && !/^\d+$/.test(word)) {
+            const candidates = await SearchIndex.findCandidates(word, maxDistance, campusId);
+
+            if (!candidates.includes(word)) {
+                for (const candidate of candidates) {
+                    const distance = editDistance(word, candidate);
+
+                    if (distance <= maxDistance && distance < bestDistance) {
+                        best = candidate;
+                        bestDistance = distance;
+                    }
+                }
+            }
+        }
+
+        changed = changed || best !== word;
+        corrected.push(best);
+    }
+
+    return changed ? corrected : null;
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Escape text and wrap the parts matching a pattern in <mark> tags
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Global pattern of matched words
+ * @returns {string} - HTML
+ */
+const mark = (text, pattern) => {
+    let html = '';
+    let last = 0;
+
+    for (const match of text.matchAll(pattern)) {
+        html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+
+    return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Build the highlighted name and description snippet of a search result
+ * @param {Object} product - Product row
+ * @param {Object} parsed - Parsed query
+ * @returns {Object} - HTML name and snippet
+ */
+const highlight = (product, parsed) => {
+    const terms = [...new Set([...parsed.words, ...parsed.stems])]
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`\\b(?:${terms.join('|')})[a-z0-9]*`, 'gi');
+
+    const description = product.description || '';
+    const firstMatch = description.search(new RegExp(pattern.source, 'i'));
+
+    let start = 0;
+    if (firstMatch > SNIPPET_CONTEXT) {
+        // Start the snippet at a word boundary shortly before the match
+        start = description.lastIndexOf(' ', firstMatch - SNIPPET_CONTEXT) + 1;
+    }
+    const end = Math.min(description.length, start + SNIPPET_LENGTH);
+
+    const snippet = mark(description.slice(start, end), pattern);
+
+    return {
+        name: mark(product.name, pattern),
+        snippet: `${start > 0 ? '…' : ''}${snippet}${end < description.length ? '…' : ''}`
+    };
+};
+
+/**
+ * Rebuild the search document of a product, adding its words to its campus's vocabulary once it's published
+ * @param {number} productId - Product ID
+ * @returns {Promise<void>}
+ */
+const indexProduct = async (productId) => {
+    try {
+        const source = await SearchIndex.getSource(productId);
+        if (!source) {
+            return;
+        }
+
+        const specifications = source.specifications
+            .map(spec => `${spec.name} ${spec.value}`)
+            .join(' ');
+        // Course codes are indexed both ways, so "CSE 3330" and "cse3330" find the listing
+        const courses = source.courses
+            .map(course => `${course.department} ${course.number} ${course.department}${course.number} ${course.title}`)
+            .join(' ');
+        const body = `${source.description} ${specifications} ${source.category_name} ${courses}`;
+
+        await SearchIndex.upsert(productId, toTerms(source.name), toTerms(body));
+
+        // Unpublished listings stay out of the vocabulary, so their words aren't suggested to anyone
+        if (UNPUBLISHED_STATUSES.includes(source.status)) {
+            return;
+        }
+
+        const vocabulary = new Set(getWords(`${source.name} ${body}`)
+            .filter(word => word.length >= MIN_TERM_LENGTH && word.length <= MAX_TERM_LENGTH));
+        await SearchIndex.addTerms(source.campus_id, [...vocabulary]);
+    } catch (error) {
+        // The listing itself has been saved, the next rebuild picks it up
+        console.error(`Failed to index product ${productId}:`, error);
+    }
+};
+
+/**
+ * Rebuild the search documents of every product in a category
+ * @param {number} categoryId - Category ID
+ * @returns {Promise<void>}
+ */
+const indexCategory = async (categoryId) => {
+    const productIds = await SearchIndex.getCategoryProductIds(categoryId);
+
+    for (const productId of productIds) {
+        await indexProduct(productId);
+    }
+};
+
+/**
+ * Index every product that has no search document yet
+ * @returns {Promise<number>} - Number of products indexed
+ */
+const buildIndex = async () => {
+    const productIds = await SearchIndex.getUnindexedProductIds();
+
+    for (const productId of productIds) {
+        await indexProduct(productId);
+    }
+
+    return productIds.length;
+};
+
+/**
+ * Search active products, ranked by relevance when sorting by it
+ * Falls back to the closest vocabulary words when nothing matches the search as typed
+ * @param {Object} options - Product.search options with the raw searchTerm and includeFacets
+ * @returns {Promise<Object>} - Products (with highlights when searching), total, corrected search
+ *                              and facets (null unless requested)
+ */
+const searchProducts = async (options) => {
+    const { searchTerm = '', includeFacets = false, ...filters } = options;
+    let parsed = parseQuery(searchTerm);
+    let correctedSearch = null;
+
+    let total = await Product.count({ ...filters, searchQuery: parsed?.query, searchPrefixes: parsed?.prefixes });
+
+    if (parsed && total === 0) {
+        const corrected = await correctWords(parsed.words, filters.campusId);
+        const correctedParsed = corrected && parseQuery(corrected.join(' '));
+
+        if (correctedParsed) {
+            const correctedTotal = await Product.count({
+                ...filters,
+                searchQuery: correctedParsed.query,
+                searchPrefixes: correctedParsed.prefixes
+            });
+
+            if (correctedTotal > 0) {
+                parsed = correctedParsed;
+                total = correctedTotal;
+                correctedSearch = corrected.join(' ');
+            }
+        }
+    }
+
+    const searchOptions = { ...filters, searchQuery: parsed?.query, searchPrefixes: parsed?.prefixes };
+    const products = total > 0 ? await Product.search(searchOptions) : [];
+
+    return {
+        products: parsed
+            ? products.map(product => ({ ...product, highlights: highlight(product, parsed) }))
+            : products,
+        total,
+        correctedSearch,
+        facets: includeFacets ? await Product.getFacets(searchOptions) : null
+    };
+};
+
+module.exports = {
+    tokenize,
+    stem,
+    parseQuery,
+    matchesDocument,
+    indexProduct,
+    indexCategory,
+    buildIndex,
+    searchProducts
+};
@@ -0,0 +1,218 @@
+// services/storageService.js
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const {
+    S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { STORAGE_DRIVER, LOCAL_UPLOAD_DIR, S3_CONFIG, SIGNED_URL_EXPIRES } = require('../config/storage');
+
+// Stored file paths look the same on every driver, so moving files never touches the database
+const UPLOADS_PATH = '/uploads/';
+
+// File names are generated by the server (see uniqueFilename), anything else is rejected
+const KEY_PATTERN = /^[\w.-]+$/;
+
+// Content types of stored files, by extension
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+// Get the content type of a stored file
+const getContentType = (filename) => {
+    return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+};
+
+/**
+ * Create a driver storing files in a local directory (only works with a single server instance)
+ * @param {string} directory - Directory the files are stored in
+ * @returns {Object} - Storage driver
+ */
+const createLocalDriver = (directory = LOCAL_UPLOAD_DIR) => {
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    return {
+        name: 'local',
+
+        put: async (key, buffer) => {
+            await fs.promises.writeFile(path.join(directory, key), buffer);
+        },
+
+        get: async (key) => {
+            try {
+                return await fs.promises.readFile(path.join(directory, key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        delete: async (key) => {
+            try {
+                await fs.promises.unlink(path.join(directory, key));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+
+        // Local files are served as they are
+        getUrl: async (key) => `${UPLOADS_PATH}${key}`,
+
+        serve: () => express.static(directory)
+    };
+};
+
+/**
+ * Create a driver storing files in an S3-compatible bucket, served through signed URLs
+ * @param {Object} config - Bucket, region, endpoint, credentials and key prefix
+ * @returns {Object} - Storage driver
+ */
+const createS3Driver = (config = S3_CONFIG) => {
+    if (!config.bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region: config.region,
+        endpoint: config.endpoint,
+        forcePathStyle: config.forcePathStyle,
+        credentials: config.accessKeyId
+            ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+            : undefined
+    });
+    const toObject = (key) => ({ Bucket: config.bucket, Key: `${config.prefix}${key}` });
+
+    const getUrl = (key) => getSignedUrl(client, new GetObjectCommand(toObject(key)), {
+        expiresIn: SIGNED_URL_EXPIRES
+    });
+
+    return {
+        name: 's3',
+
+        put: async (key, buffer, contentType) => {
+            await client.send(new PutObjectCommand({ ...toObject(key), Body: buffer, ContentType: contentType }));
+        },
+
+        get: async (key) => {
+            try {
+                const response = await client.send(new GetObjectCommand(toObject(key)));
+                return Buffer.from(await response.Body.transformToByteArray());
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        // S3 doesn't tell whether the object existed
+        delete: async (key) => {
+            await client.send(new DeleteObjectCommand(toObject(key)));
+            return true;
+        },
+
+        getUrl,
+
+        // Redirect to a signed URL, which browsers may cache until shortly before it expires
+        serve: () => async (req, res, next) => {
+            const key = decodeURIComponent(req.path.slice(1));
+            if (!KEY_PATTERN.test(key)) {
+                return next();
+            }
+
+            try {
+                res.set('Cache-Control', `private, max-age=${Math.max(SIGNED_URL_EXPIRES - 60, 0)}`);
+                res.redirect(302, await getUrl(key));
+            } catch (error) {
+                next(error);
+            }
+        }
+    };
+};
+
+// Available drivers
+const DRIVERS = {
+    local: createLocalDriver,
+    s3: createS3Driver
+};
+
+/**
+ * Create a storage driver
+ * @param {string} name - Driver name ('local' or 's3')
+ * @returns {Object} - Storage driver
+ */
+const createStorage = (name) => {
+    if (!DRIVERS[name]) {
+        throw new Error(`Unknown storage driver "${name}", use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    return DRIVERS[name]();
+};
+
+// Driver of this server, created on first use
+let storage = null;
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorage(STORAGE_DRIVER);
+    }
+    return storage;
+};
+
+/**
+ * Get the storage key of a stored file path
+ * @param {string} filePath - Stored file path (/uploads/<key>)
+ * @returns {string|null} - Key, null for files that aren't uploads (e.g. seeded images)
+ */
+const toKey = (filePath) => {
+    if (!filePath || !filePath.startsWith(UPLOADS_PATH)) {
+        return null;
+    }
+
+    const key = filePath.slice(UPLOADS_PATH.length);
+    return KEY_PATTERN.test(key) ? key : null;
+};
+
+/**
+ * Store a file
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Unique file name
+ * @returns {Promise<string>} - Stored file path
+ */
+const saveFile = async (buffer, filename) => {
+    await getStorage().put(filename, buffer, getContentType(filename));
+
+    return `${UPLOADS_PATH}${filename}`;
+};
+
+/**
+ * Delete a stored file
+ * @param {string} filePath - Stored file path
+ * @returns {Promise<boolean>} - False if the path isn't an upload or the file was missing
+ */
+const deleteFile = async (filePath) => {
+    const key = toKey(filePath);
+    return key ? getStorage().delete(key) : false;
+};
+
+/**
+ * Middleware serving /uploads from the configured driver
+ * @returns {Function} - Express middleware
+ */
+const serveUploads = () => getStorage().serve();
+
+module.exports = {
+    UPLOADS_PATH,
+    getContentType,
+    createStorage,
+    toKey,
+    saveFile,
+    deleteFile,
+    serveUploads
+};
@@ -0,0 +1,119 @@
+// services/twoFactorService.js
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const TwoFactor = require('../models/TwoFactor');
+const { hashToken, encrypt, decrypt } = require('../utils/securityUtils');
+
+// Issuer shown in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'UTA Market Place';
+
+// Seconds each TOTP code is valid for
+const TOTP_STEP_SECONDS = 30;
+
+// Accept codes from one step before/after to tolerate clock drift
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+// Number of one-time recovery codes issued on enrollment
+const RECOVERY_CODE_COUNT = 10;
+
+// Platform 2FA policies
+const TWO_FACTOR_POLICIES = ['optional', 'admins', 'all'];
+
+/**
+ * Generate a new TOTP secret with its provisioning data
+ * @param {Object} user - User object
+ * @returns {Promise<Object>} - Secret, encrypted secret, otpauth URI and QR code data URL
+ */
+const generateSecret = async (user) => {
+    const secret = authenticator.generateSecret();
+    const otpauthUrl = authenticator.keyuri(user.email, TOTP_ISSUER, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return {
+        secret,
+        encryptedSecret: encrypt(secret),
+        otpauthUrl,
+        qrCode
+    };
+};
+
+/**
+ * Get the time step a TOTP code was generated for
+ * @param {string} encryptedSecret - Encrypted TOTP secret
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {number|null} - Time step of the code, or null if the code is invalid
+ */
+const getCodeStep = (encryptedSecret, code) => {
+    if (!encryptedSecret || !code) return null;
+
+    try {
+        const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), decrypt(encryptedSecret));
+        if (delta === null) return null;
+
+        return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+    } catch (error) {
+        console.error('Error verifying TOTP code:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Verify a TOTP code and consume its time step so the same code can't be replayed
+ * @param {number} userId - User ID
+ * @param {string} encryptedSecret - Encrypted TOTP secret
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<boolean>} - True if code is valid and was not used before
+ */
+const verifyCode = async (userId, encryptedSecret, code) => {
+    const step = getCodeStep(encryptedSecret, code);
+    if (step === null) return false;
+
+    return TwoFactor.useTimeStep(userId, step);
+};
+
+/**
+ * Generate one-time recovery codes
+ * @returns {Object} - Plain codes (shown once) and their hashes (stored)
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+        codes,
+        hashes: codes.map(hashRecoveryCode)
+    };
+};
+
+/**
+ * Hash a recovery code (case and dash insensitive)
+ * @param {string} code - Recovery code
+ * @returns {string} - Hashed code
+ */
+const hashRecoveryCode = (code) => {
+    return hashToken(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''));
+};
+
+/**
+ * Check if the platform policy makes 2FA mandatory for a user
+ * @param {Object} user - User object
+ * @param {Object} settings - Two-factor settings ({ enabled, policy })
+ * @returns {boolean} - True if the user must use 2FA
+ */
+const isMandatoryFor = (user, settings) => {
+    if (!settings.enabled) return false;
+
+    return settings.policy === 'all' || (settings.policy === 'admins' && ['moderator', 'admin', 'platform_admin'].includes(user.role));
+};
+
+module.exports = {
+    TWO_FACTOR_POLICIES,
+    generateSecret,
+    verifyCode,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    isMandatoryFor
+};
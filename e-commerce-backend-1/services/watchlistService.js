@@ -0,0 +1,76 @@
+// services/watchlistService.js
+const Watchlist = require('../models/Watchlist');
+const { sendWatchlistAlertEmail } = require('./emailService');
+
+/**
+ * Alert watchers in the app and, if they opted into email alerts, by email
+ * @param {Array} watchers - Watchers of the listing
+ * @param {Object} product - Product (with its current price)
+ * @param {string} type - Alert type ('price-drop' or 'selling-soon')
+ * @param {Object} io - Socket.io server (optional)
+ * @param {number} oldPrice - Price before a price drop
+ * @returns {Promise<void>}
+ */
+const alertWatchers = async (watchers, product, type, io, oldPrice = null) => {
+    for (const watcher of watchers) {
+        if (io) {
+            io.to(`user-${watcher.id}`).emit('watchlist-alert', {
+                type,
+                product: {
+                    id: product.id,
+                    name: product.name,
+                    price: product.price
+                },
+                oldPrice
+            });
+        }
+
+        if (watcher.email_alerts) {
+            try {
+                await sendWatchlistAlertEmail(watcher, product, oldPrice);
+            } catch (error) {
+                console.error(`Failed to email watchlist alert to user ${watcher.id}:`, error);
+            }
+        }
+    }
+};
+
+/**
+ * Tell watchers a listing's price dropped (never rejects, so callers don't need to wait for it)
+ * @param {Object} product - Product with the new price
+ * @param {number} oldPrice - Previous price
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {Promise<void>}
+ */
+const notifyPriceDrop = async (product, oldPrice, io) => {
+    try {
+        const watchers = await Watchlist.getWatchers(product.id, { excludeUserId: product.seller_id });
+        await alertWatchers(watchers, product, 'price-drop', io, oldPrice);
+    } catch (error) {
+        // The price has been saved, so don't fail the request
+        console.error(`Failed to send price drop alerts for product ${product.id}:`, error);
+    }
+};
+
+/**
+ * Tell watchers once that another buyer is about to buy a listing (never rejects)
+ * @param {Object} product - Product
+ * @param {number} buyerId - Buyer who put the listing in their cart
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {Promise<void>}
+ */
+const notifySellingSoon = async (product, buyerId, io) => {
+    try {
+        const watchers = await Watchlist.getWatchers(product.id, { excludeUserId: buyerId, sellingNotAlerted: true });
+        await alertWatchers(watchers, product, 'selling-soon', io);
+        await Watchlist.markSellingAlerted(product.id, watchers.map(watcher => watcher.id));
+    } catch (error) {
+        // The cart has been updated, so don't fail the request
+        console.error(`Failed to send selling soon alerts for product ${product.id}:`, error);
+    }
+};
+
+module.exports = {
+    notifyPriceDrop,
+    notifySellingSoon
+};
@@ -0,0 +1,100 @@
+// utils/csv.js
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let cell = String(value);
+
+    // Keep spreadsheet apps from evaluating cells as formulas
+    if (/^[=+\-@]/.test(cell)) {
+        cell = `'${cell}`;
+    }
+
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Convert rows to CSV
+ * @param {Array} columns - Columns as { header, value: row => cell }
+ * @param {Array} rows - Rows to convert
+ * @returns {string} - CSV document
+ */
+const toCsv = (columns, rows) => {
+    const lines = [columns.map(column => column.header).join(',')];
+
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCsv(column.value(row))).join(','));
+    }
+
+    return lines.join('\r\n');
+};
+
+/**
+ * Parse a CSV document (RFC 4180: quoted cells may contain commas, quotes and line breaks)
+ * @param {string} text - CSV document
+ * @returns {string[][]} - Rows of cells, blank lines left out
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    // Spreadsheet apps may start the file with a byte order mark
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+};
+
+module.exports = {
+    escapeCsv,
+    toCsv,
+    parseCsv
+};
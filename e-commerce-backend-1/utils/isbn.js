@@ -0,0 +1,52 @@
+// utils/isbn.js
+
+/**
+ * Check the checksum of an ISBN-10 (digits weighted 10 down to 1, X stands for 10)
+ * @param {string} isbn - Ten characters, digits with an optional final X
+ * @returns {boolean} - Whether the checksum is valid
+ */
+const isValidIsbn10 = (isbn) => {
+    if (!/^\d{9}[\dX]$/.test(isbn)) {
+        return false;
+    }
+
+    const sum = [...isbn].reduce((total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+    return sum % 11 === 0;
+};
+
+/**
+ * Check the checksum of an ISBN-13 (digits weighted alternately 1 and 3)
+ * @param {string} isbn - Thirteen digits
+ * @returns {boolean} - Whether the checksum is valid
+ */
+const isValidIsbn13 = (isbn) => {
+    if (!/^\d{13}$/.test(isbn)) {
+        return false;
+    }
+
+    const sum = [...isbn].reduce((total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0;
+};
+
+/**
+ * Normalize an ISBN-10 or ISBN-13 written with or without hyphens and spaces
+ * @param {string} value - ISBN as entered
+ * @returns {string|null} - Digits only (and a final X for ISBN-10), null if the ISBN is invalid
+ */
+const normalizeIsbn = (value) => {
+    const isbn = String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+    if (isbn.length === 10 && isValidIsbn10(isbn)) {
+        return isbn;
+    }
+
+    if (isbn.length === 13 && isValidIsbn13(isbn)) {
+        return isbn;
+    }
+
+    return null;
+};
+
+module.exports = {
+    normalizeIsbn
+};
@@ -0,0 +1,17 @@
+// utils/money.js
+
+/**
+ * Parse an amount of money (prices, offers and bids)
+ * @param {*} value - Amount as sent, with an optional leading $
+ * @returns {number|null} - Amount, null unless it is greater than 0 with at most 2 decimals
+ */
+const parseAmount = (value) => {
+    const text = String(value ?? '').trim().replace(/^\$/, '');
+    const amount = Number(text);
+
+    return /^\d+(\.\d{1,2})?$/.test(text) && amount > 0 ? amount : null;
+};
+
+module.exports = {
+    parseAmount
+};
@@ -0,0 +1,26 @@
+// utils/queryBuilder.js
+
+// Recursive CTE pairing every category with itself and each of its ancestors,
+// used to roll listings of subcategories up into their parents
+const CATEGORY_ANCESTRY = `category_ancestry (id, ancestor_id) AS (
+    SELECT id, id FROM categories
+    UNION ALL
+    SELECT a.id, c.parent_id
+    FROM category_ancestry a
+    JOIN categories c ON a.ancestor_id = c.id
+    WHERE c.parent_id IS NOT NULL
+)`;
+
+// Subquery selecting a category and all its descendants (takes the category ID)
+const CATEGORY_SUBTREE = `(WITH RECURSIVE ${CATEGORY_ANCESTRY}
+    SELECT id FROM category_ancestry WHERE ancestor_id = ?)`;
+
+// Subquery selecting a category and all its ancestors (takes the category ID)
+const CATEGORY_ANCESTORS = `(WITH RECURSIVE ${CATEGORY_ANCESTRY}
+    SELECT ancestor_id FROM category_ancestry WHERE id = ?)`;
+
+module.exports = {
+    CATEGORY_ANCESTRY,
+    CATEGORY_SUBTREE,
+    CATEGORY_ANCESTORS
+};
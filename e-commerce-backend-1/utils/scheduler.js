@@ -0,0 +1,39 @@
+// utils/scheduler.js
+
+/**
+ * Run a background job now and then at a fixed interval. A run that is due while the
+ * previous one is still going is skipped, so slow runs never overlap.
+ * @param {string} name - Job name for error logs
+ * @param {Function} job - Async function doing one run
+ * @param {number} interval - Milliseconds between runs
+ * @returns {NodeJS.Timeout} - Interval timer (it doesn't keep the process alive)
+ */
+const startJob = (name, job, interval) => {
+    let running = false;
+
+    const run = async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            await job();
+        } catch (error) {
+            // The next run retries
+            console.error(`${name} job error:`, error);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, interval);
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    startJob
+};
@@ -0,0 +1,50 @@
+// utils/securityUtils.js
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Key used to encrypt secrets at rest (derived so any length of env value works)
+const ENCRYPTION_KEY = crypto
+    .createHash('sha256')
+    .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-should-be-in-env-file')
+    .digest();
+
+/**
+ * Hash a token for storage (tokens are never stored in plain text)
+ * @param {string} token - Token to hash
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Encrypt a value with AES-256-GCM
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} Encrypted value as iv:authTag:cipherText (hex)
+ */
+const encrypt = (plainText) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+    return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} encryptedText - Encrypted value
+ * @returns {string} Decrypted value
+ */
+const decrypt = (encryptedText) => {
+    const [iv, authTag, encrypted] = encryptedText.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    hashToken,
+    encrypt,
+    decrypt
+};
@@ -1,5 +1,7 @@
+import {useEffect} from 'react';
 import {Routes, Route, Navigate} from 'react-router-dom';
 import {useAuth, AuthProvider} from './context/AuthContext';
+import {campusService} from './services';
 import './App.css';
 
 // Auth Pages
@@ -21,10 +23,13 @@ import ContactUsPage from "./pages/ContactUsPage";
 import CreateListingPage from './pages/CreateListingPage';
 import EditListingPage from './pages/EditListingPage';
 import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 
 // Components
 import Navbar from './components/Navbar';
 import Footer from './components/Footer';
+import NotificationToasts from './components/NotificationToasts';
 import {CartProvider} from "./context/CartContext.jsx";
 
 // Protected route component
@@ -41,8 +46,8 @@ const ProtectedRoute = ({children, requiredRole = null}) => {
         return <Navigate to="/login"/>;
     }
 
-    // Check if role requirement is met
-    if (requiredRole && user.role !== requiredRole) {
+    // Check if role requirement is met (a single role or a list of allowed roles)
+    if (requiredRole && ![].concat(requiredRole).includes(user.role)) {
         return <Navigate to="/"/>;
     }
 
@@ -50,6 +55,19 @@ const ProtectedRoute = ({children, requiredRole = null}) => {
 };
 
 function AppContent() {
+    const {user} = useAuth();
+
+    // Brand the app with the colour and name of the current campus
+    useEffect(() => {
+        campusService.getCurrentCampus()
+            .then(response => {
+                const {primaryColor, platformName} = response.data.campus;
+                document.documentElement.style.setProperty('--primary-color', primaryColor);
+                document.title = platformName;
+            })
+            .catch(error => console.error('Error loading campus branding:', error));
+    }, [user?.campusSlug]);
+
     return (
         <div className="app">
             <Navbar/>
@@ -62,6 +80,8 @@ function AppContent() {
                     <Route path="/contact" element={<ContactUsPage/>}/>
                     <Route path="/product/:id" element={<ProductDetail/>}/>
                     <Route path="/forgot-password" element={<ForgotPasswordPage/>}/>
+                    <Route path="/reset-password/:token" element={<ResetPasswordPage/>}/>
+                    <Route path="/verify-email/:token" element={<VerifyEmailPage/>}/>
 
                     <Route path="/seller" element={
                         <ProtectedRoute>
@@ -83,7 +103,7 @@ function AppContent() {
                     }/>
 
                     <Route path="/admin" element={
-                        <ProtectedRoute requiredRole="admin">
+                        <ProtectedRoute requiredRole={['admin', 'moderator', 'platform_admin']}>
                             <AdminDashboard/>
                         </ProtectedRoute>
                     }/>
@@ -133,6 +153,7 @@ function AppContent() {
                     }/>
                 </Routes>
             </main>
+            <NotificationToasts/>
             <Footer/>
         </div>
     );
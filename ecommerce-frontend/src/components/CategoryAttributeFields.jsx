@@ -0,0 +1,65 @@
+import '../css/CategoryAttributeFields.css'
+
+// Placeholder of each attribute type's input
+const PLACEHOLDERS = {
+    number: 'e.g. 128',
+    isbn: 'e.g. 978-0-13-468599-1',
+    text: ''
+}
+
+// Inputs for the attributes of a listing's category, keyed by attribute name in values
+// (errors use the same "attr[Name]" keys as the search filters)
+const CategoryAttributeFields = ({ attributes, values, onChange, errors = {}, markRequired = true }) => {
+    if (attributes.length === 0) {
+        return null
+    }
+
+    return (
+        <div className="attribute-fields">
+            {attributes.map(attribute => {
+                const inputId = `attribute-${attribute.id}`
+                const error = errors[`attr[${attribute.name}]`]
+                const value = values[attribute.name] || ''
+
+                return (
+                    <div key={attribute.id} className="form-group">
+                        <label htmlFor={inputId}>
+                            {attribute.name}
+                            {attribute.unit && ` (${attribute.unit})`}
+                            {markRequired && attribute.is_required && ' *'}
+                        </label>
+
+                        {attribute.type === 'select' ? (
+                            <select
+                                id={inputId}
+                                value={value}
+                                onChange={(e) => onChange(attribute.name, e.target.value)}
+                                className={error ? 'error' : ''}
+                            >
+                                <option value="">Select {attribute.name.toLowerCase()}</option>
+                                {attribute.options.map(option => (
+                                    <option key={option} value={option}>{option}</option>
+                                ))}
+                            </select>
+                        ) : (
+                            <input
+                                id={inputId}
+                                type={attribute.type === 'number' ? 'number' : 'text'}
+                                min={attribute.type === 'number' ? '0' : undefined}
+                                step={attribute.type === 'number' ? 'any' : undefined}
+                                placeholder={PLACEHOLDERS[attribute.type]}
+                                value={value}
+                                onChange={(e) => onChange(attribute.name, e.target.value)}
+                                className={error ? 'error' : ''}
+                            />
+                        )}
+
+                        {error && <p className="error-message">{error}</p>}
+                    </div>
+                )
+            })}
+        </div>
+    )
+}
+
+export default CategoryAttributeFields
@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import { productService } from '../services'
+import '../css/ListingImport.css'
+
+// Bulk listing import: a CSV or XLSX sheet with an optional ZIP of images, checked row by row
+const ListingImport = ({ onImported, onCancel }) => {
+    const [sheet, setSheet] = useState(null)
+    const [images, setImages] = useState(null)
+    const [asDrafts, setAsDrafts] = useState(false)
+    const [message, setMessage] = useState(null)
+    const [error, setError] = useState(null)
+    const [rowErrors, setRowErrors] = useState([])
+    const [isLoading, setIsLoading] = useState(false)
+
+    // Check the sheet only (dryRun) or import it
+    const submit = async (dryRun) => {
+        if (!sheet) {
+            setError('Please choose a CSV or XLSX file')
+            return
+        }
+
+        setMessage(null)
+        setError(null)
+        setRowErrors([])
+
+        const formData = new FormData()
+        formData.append('file', sheet)
+        if (images) formData.append('images', images)
+        formData.append('draft', asDrafts)
+        formData.append('dryRun', dryRun)
+
+        try {
+            setIsLoading(true)
+            const response = await productService.importProducts(formData)
+            setMessage(response.data.message)
+            if (!dryRun) onImported(response.data.count)
+        } catch (err) {
+            const data = err.response?.data
+            setError(data?.message || 'Failed to import listings')
+            // Development servers nest the details under error
+            setRowErrors(data?.errors || data?.error?.errors || [])
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    return (
+        <div className="listing-import">
+            <h3>Import Listings</h3>
+            <p>
+                Upload a sheet with the columns Name, Description, Price, Category, Condition and Location,
+                plus optional Specifications (e.g. "Brand: Apple; Color: Silver") and Images (file names in
+                the ZIP, separated by semicolons). Exported sheets can be imported again.
+            </p>
+
+            <div className="listing-import-fields">
+                <label>
+                    Sheet (CSV or XLSX) *
+                    <input
+                        type="file"
+                        accept=".csv,.xlsx"
+                        onChange={(e) => setSheet(e.target.files[0] || null)}
+                    />
+                </label>
+                <label>
+                    Images (ZIP)
+                    <input
+                        type="file"
+                        accept=".zip"
+                        onChange={(e) => setImages(e.target.files[0] || null)}
+                    />
+                </label>
+                <label className="listing-import-drafts">
+                    <input
+                        type="checkbox"
+                        checked={asDrafts}
+                        onChange={(e) => setAsDrafts(e.target.checked)}
+                    />
+                    Import as drafts (to review before publishing)
+                </label>
+            </div>
+
+            {message && <p className="listing-import-message">{message}</p>}
+            {error && <p className="error-message">{error}</p>}
+
+            {rowErrors.length > 0 && (
+                <table className="listing-import-errors">
+                    <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Name</th>
+                        <th>Problems</th>
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {rowErrors.map((rowError, index) => (
+                        <tr key={index}>
+                            <td>{rowError.row ?? '-'}</td>
+                            <td>{rowError.name || '-'}</td>
+                            <td>
+                                <ul>
+                                    {rowError.errors.map(problem => <li key={problem}>{problem}</li>)}
+                                </ul>
+                            </td>
+                        </tr>
+                    ))}
+                    </tbody>
+                </table>
+            )}
+
+            <div className="listing-import-actions">
+                <button className="btn btn-outline" onClick={onCancel} disabled={isLoading}>
+                    Close
+                </button>
+                <button className="btn btn-outline" onClick={() => submit(true)} disabled={isLoading}>
+                    Check File
+                </button>
+                <button className="btn btn-primary" onClick={() => submit(false)} disabled={isLoading}>
+                    {isLoading ? 'Working...' : 'Import'}
+                </button>
+            </div>
+        </div>
+    )
+}
+
+export default ListingImport
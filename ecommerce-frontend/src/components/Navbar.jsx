@@ -224,7 +224,7 @@ const Navbar = () => {
                                 <div className="user-dropdown" ref={userDropdownRef}>
                                     <Link to="/profile" className="dropdown-item">My Profile</Link>
                                     <Link to="/seller" className="dropdown-item">My Listings</Link>
-                                    {user?.role === 'admin' && (
+                                    {['admin', 'moderator', 'platform_admin'].includes(user?.role) && (
                                         <Link to="/admin" className="dropdown-item">Admin Dashboard</Link>
                                     )}
                                     <Link to="/messages" className="dropdown-item">Messages</Link>
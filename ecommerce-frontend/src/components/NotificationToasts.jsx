@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import socketService from '../services/socketService'
+import '../css/NotificationToasts.css'
+
+// How long a toast stays on screen
+const TOAST_DURATION = 8000
+
+// Format a price like the rest of the app
+const formatPrice = (price) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2
+}).format(price)
+
+// Turn alert events sent to the user's room into a message and the listing it links to
+const ALERT_EVENTS = {
+    'saved-search-match': ({ savedSearch, product }) => ({
+        message: `New listing for "${savedSearch.name}": ${product.name}`,
+        productId: product.id
+    }),
+    'watchlist-alert': ({ type, product }) => ({
+        message: type === 'price-drop'
+            ? `${product.name} dropped to ${formatPrice(product.price)}`
+            : `${product.name} is in someone's cart and may sell soon`,
+        productId: product.id
+    }),
+    'course-listing': ({ courses, product }) => ({
+        message: `New listing for ${courses.map(course => course.code).join(', ')}: ${product.name}`,
+        productId: product.id
+    }),
+    'auction-outbid': ({ productId, productName }) => ({
+        message: `You've been outbid on ${productName}`,
+        productId
+    }),
+    'auction-won': ({ productId, productName, amount }) => ({
+        message: `You won ${productName} for ${formatPrice(amount)}! Your order has been placed.`,
+        productId
+    })
+}
+
+// Toasts for live alerts (saved searches, watchlist, courses and auctions) on every page
+const NotificationToasts = () => {
+    const { user } = useAuth()
+    const userId = user?.id
+    const [toasts, setToasts] = useState([])
+
+    useEffect(() => {
+        if (!userId) {
+            setToasts([])
+            return
+        }
+
+        // A connection refused before signing in is retried with the new token
+        socketService.ensureConnected()
+
+        const handlers = Object.entries(ALERT_EVENTS).map(([event, toToast]) => {
+            const handler = (data) => {
+                const toast = { id: `${event}-${Date.now()}-${Math.random()}`, ...toToast(data) }
+
+                setToasts(prev => [...prev, toast])
+                setTimeout(() => setToasts(prev => prev.filter(item => item.id !== toast.id)), TOAST_DURATION)
+            }
+
+            socketService.on(event, handler)
+            return [event, handler]
+        })
+
+        return () => {
+            handlers.forEach(([event, handler]) => socketService.off(event, handler))
+        }
+    }, [userId])
+
+    const dismiss = (id) => {
+        setToasts(prev => prev.filter(item => item.id !== id))
+    }
+
+    if (toasts.length === 0) {
+        return null
+    }
+
+    return (
+        <div className="notification-toasts" role="status" aria-live="polite">
+            {toasts.map(toast => (
+                <div key={toast.id} className="notification-toast">
+                    <Link to={`/product/${toast.productId}`} onClick={() => dismiss(toast.id)}>
+                        {toast.message}
+                    </Link>
+                    <button
+                        type="button"
+                        className="notification-toast-close"
+                        onClick={() => dismiss(toast.id)}
+                        aria-label="Dismiss"
+                    >
+                        ×
+                    </button>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+export default NotificationToasts
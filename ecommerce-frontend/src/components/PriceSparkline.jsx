@@ -0,0 +1,57 @@
+import '../css/PriceSparkline.css'
+
+// Small line chart of a listing's prices, oldest on the left
+const PriceSparkline = ({ history, width = 120, height = 32 }) => {
+    if (!history || history.length < 2) {
+        return null
+    }
+
+    const prices = history.map(entry => entry.price)
+    const min = Math.min(...prices)
+    const max = Math.max(...prices)
+    const padding = 3
+
+    // Flat histories are drawn through the middle
+    const toY = (price) => max === min
+        ? height / 2
+        : padding + (max - price) / (max - min) * (height - padding * 2)
+
+    const points = prices.map((price, index) => ({
+        x: padding + index / (prices.length - 1) * (width - padding * 2),
+        y: toY(price)
+    }))
+
+    const trend = prices[prices.length - 1] < prices[prices.length - 2] ? 'down' : 'up'
+
+    return (
+        <svg
+            className={`price-sparkline ${trend}`}
+            width={width}
+            height={height}
+            viewBox={`0 0 ${width} ${height}`}
+            role="img"
+            aria-label={`Price history: ${prices.map(price => `$${price.toFixed(2)}`).join(', ')}`}
+        >
+            <polyline points={points.map(point => `${point.x},${point.y}`).join(' ')} />
+            {points.map((point, index) => {
+                const isCurrent = index === points.length - 1
+
+                return (
+                    <circle
+                        key={index}
+                        className={isCurrent ? 'price-sparkline-current' : undefined}
+                        cx={point.x}
+                        cy={point.y}
+                        r={isCurrent ? 3 : 1.5}
+                    >
+                        <title>
+                            ${prices[index].toFixed(2)} on {new Date(history[index].changedAt).toLocaleDateString()}
+                        </title>
+                    </circle>
+                )
+            })}
+        </svg>
+    )
+}
+
+export default PriceSparkline
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react'
+import authService from '../services/authService'
+import '../css/TwoFactorSetup.css'
+
+// Authenticator app enrollment: QR code, confirmation code, then one-time recovery codes
+const TwoFactorSetup = ({ challengeToken, onComplete, onCancel }) => {
+    const [setupData, setSetupData] = useState(null)
+    const [code, setCode] = useState('')
+    const [result, setResult] = useState(null)
+    const [error, setError] = useState(null)
+    const [isLoading, setIsLoading] = useState(true)
+
+    // Generate a secret as soon as the setup is shown
+    useEffect(() => {
+        // Only the latest request's secret matches the one stored on the server
+        let ignore = false
+
+        const startSetup = async () => {
+            try {
+                setIsLoading(true)
+                const data = await authService.setupTwoFactor(challengeToken)
+                if (!ignore) setSetupData(data)
+            } catch (err) {
+                if (!ignore) setError(err.response?.data?.message || 'Failed to start two-factor setup')
+            } finally {
+                if (!ignore) setIsLoading(false)
+            }
+        }
+
+        startSetup()
+
+        return () => {
+            ignore = true
+        }
+    }, [challengeToken])
+
+    // Confirm the authenticator app works
+    const handleConfirm = async (e) => {
+        e.preventDefault()
+        setError(null)
+
+        try {
+            setIsLoading(true)
+            const data = await authService.enableTwoFactor(code, challengeToken)
+            setResult(data)
+        } catch (err) {
+            setError(err.response?.data?.message || 'Invalid authentication code')
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    // Recovery codes are only shown once
+    if (result) {
+        return (
+            <div className="two-factor-setup">
+                <h4>Save your recovery codes</h4>
+                <p>Each code can be used once if you lose access to your authenticator app. They will not be shown again.</p>
+                <ul className="recovery-codes">
+                    {result.recoveryCodes.map(recoveryCode => (
+                        <li key={recoveryCode}><code>{recoveryCode}</code></li>
+                    ))}
+                </ul>
+                <button type="button" className="btn btn-primary" onClick={() => onComplete(result)}>
+                    I have saved these codes
+                </button>
+            </div>
+        )
+    }
+
+    return (
+        <div className="two-factor-setup">
+            <h4>Set up your authenticator app</h4>
+            {error && <div className="form-error">{error}</div>}
+
+            {setupData && (
+                <>
+                    <p>Scan this QR code with an authenticator app such as Google Authenticator or Authy.</p>
+                    <img className="two-factor-qr" src={setupData.qrCode} alt="Two-factor QR code" />
+                    <p className="two-factor-secret">
+                        Can't scan it? Enter this key instead: <code>{setupData.secret}</code>
+                    </p>
+
+                    <form onSubmit={handleConfirm}>
+                        <div className="form-group">
+                            <label htmlFor="twoFactorSetupCode">Enter the 6-digit code from the app</label>
+                            <input
+                                type="text"
+                                id="twoFactorSetupCode"
+                                className="form-control"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                maxLength={6}
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
+                                disabled={isLoading}
+                                required
+                            />
+                        </div>
+                        <div className="form-actions">
+                            <button type="submit" className="btn btn-primary" disabled={isLoading}>
+                                {isLoading ? 'Verifying...' : 'Enable Two-Factor Authentication'}
+                            </button>
+                            {onCancel && (
+                                <button type="button" className="btn btn-outline" onClick={onCancel}>
+                                    Cancel
+                                </button>
+                            )}
+                        </div>
+                    </form>
+                </>
+            )}
+
+            {!setupData && isLoading && <p>Generating your secret...</p>}
+        </div>
+    )
+}
+
+export default TwoFactorSetup
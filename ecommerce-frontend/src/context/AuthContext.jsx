@@ -50,7 +50,10 @@ export const AuthProvider = ({ children }) => {
         try {
             setLoading(true);
             const data = await authService.login(credentials);
-            setUser(data.user);
+            // Accounts with 2FA get a challenge instead of a user
+            if (data.user) {
+                setUser(data.user);
+            }
             setError(null);
             return data;
         } catch (err) {
@@ -61,6 +64,27 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    // Second login step for accounts with 2FA
+    const verifyTwoFactor = async (challengeToken, codes) => {
+        try {
+            setLoading(true);
+            const data = await authService.verifyTwoFactorLogin(challengeToken, codes);
+            setUser(data.user);
+            setError(null);
+            return data;
+        } catch (err) {
+            setError(err.response?.data?.message || 'Verification failed');
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Finish a login that required 2FA enrollment
+    const completeLogin = (data) => {
+        setUser(data.user);
+    };
+
     // Register function
     const register = async (userData) => {
         try {
@@ -90,6 +114,8 @@ export const AuthProvider = ({ children }) => {
         loading,
         error,
         login,
+        verifyTwoFactor,
+        completeLogin,
         register,
         logout
     };
@@ -1,10 +1,580 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import { adminService, authService, campusService, categoryService, courseService } from '../services'
+import { getCategoryLabel } from '../utils/categories'
 import '../css/AdminDashboard.css'
 
+// Rate limit settings: form field, settings column and label
+const RATE_LIMIT_FIELDS = [
+    { name: 'rateLimitWindowMinutes', column: 'rate_limit_window_minutes', label: 'Rate Limit Window (minutes)' },
+    { name: 'authRateLimit', column: 'auth_rate_limit', label: 'Login / Password Reset Requests per Window' },
+    { name: 'contactRateLimit', column: 'contact_rate_limit', label: 'Contact Form Submissions per Window' },
+    { name: 'messageRateLimit', column: 'message_rate_limit', label: 'Messages per Account per Window' },
+    { name: 'loginMaxAttempts', column: 'login_max_attempts', label: 'Failed Logins Before Lockout' },
+    { name: 'loginLockoutMinutes', column: 'login_lockout_minutes', label: 'Account Lockout (minutes)' }
+]
+
+// Audit log filters with empty values left out
+const toAuditParams = (filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+
+// IDs of a category and its descendants, which follow it in the tree-ordered list with a greater depth
+const getCategorySubtree = (categories, id) => {
+    const start = categories.findIndex(category => category.id === id)
+    const subtree = [id]
+
+    for (let i = start + 1; i < categories.length && categories[i].depth > categories[start].depth; i++) {
+        subtree.push(categories[i].id)
+    }
+
+    return subtree
+}
+
+// Empty form for a new category
+const EMPTY_CATEGORY = { name: '', icon: '', parentId: '', sortOrder: 0 }
+
+// Types of category attributes sellers fill in
+const ATTRIBUTE_TYPES = [
+    { value: 'text', label: 'Text' },
+    { value: 'number', label: 'Number' },
+    { value: 'select', label: 'Choice' },
+    { value: 'isbn', label: 'ISBN' }
+]
+
+// Empty form for a new attribute (choice options are edited as a comma-separated list)
+const EMPTY_ATTRIBUTE = { name: '', type: 'text', options: '', unit: '', isRequired: false, sortOrder: 0 }
+
+// Editable fields of an attribute
+const toAttributeForm = (attribute) => ({
+    name: attribute.name,
+    type: attribute.type,
+    options: (attribute.options || []).join(', '),
+    unit: attribute.unit || '',
+    isRequired: attribute.is_required,
+    sortOrder: attribute.sort_order
+})
+
+// Empty form for a new campus (email domains are edited as a comma-separated list)
+const EMPTY_CAMPUS = { slug: '', name: '', primaryColor: '#bf5700', domains: '' }
+
+// Split a comma-separated list of email domains
+const parseDomains = (domains) => domains.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+
 const AdminDashboard = () => {
     // State for active section
     const [activeSection, setActiveSection] = useState('overview')
 
+    // Permissions of the signed-in staff member
+    const [permissions, setPermissions] = useState([])
+    const [roleMessage, setRoleMessage] = useState(null)
+
+    // Load permissions, moderators start on the reports section
+    useEffect(() => {
+        const fetchPermissions = async () => {
+            try {
+                const response = await authService.getCurrentUser()
+                const granted = response.data.user.permissions || []
+
+                setPermissions(granted)
+                if (!granted.includes('dashboard:read')) {
+                    setActiveSection('reports')
+                }
+            } catch (err) {
+                console.error("Error fetching permissions:", err)
+            }
+        }
+
+        fetchPermissions()
+    }, [])
+
+    // Check if the signed-in staff member has a permission
+    const can = (permission) => permissions.includes(permission)
+
+    // State for the audit log
+    const [auditFilters, setAuditFilters] = useState({ action: '', targetType: '', startDate: '', endDate: '' })
+    const [auditPage, setAuditPage] = useState(1)
+    const [auditLog, setAuditLog] = useState({ entries: [], actions: [], totalPages: 0 })
+    const [auditError, setAuditError] = useState(null)
+
+    // Load the audit log when its section is opened or the filters change
+    useEffect(() => {
+        const fetchAuditLog = async () => {
+            try {
+                const response = await adminService.getAuditLog({ ...toAuditParams(auditFilters), page: auditPage })
+                setAuditLog(response.data)
+                setAuditError(null)
+            } catch (err) {
+                console.error("Error fetching audit log:", err)
+                setAuditError(err.response?.data?.message || 'Failed to load audit log')
+            }
+        }
+
+        if (activeSection === 'audit' && permissions.includes('audit:read')) {
+            fetchAuditLog()
+        }
+    }, [activeSection, permissions, auditFilters, auditPage])
+
+    // Handle audit filter changes (back to the first page)
+    const handleAuditFilterChange = (e) => {
+        const { name, value } = e.target
+        setAuditFilters(prev => ({ ...prev, [name]: value }))
+        setAuditPage(1)
+    }
+
+    // Download the filtered audit log as CSV
+    const handleExportAuditLog = async () => {
+        try {
+            const response = await adminService.exportAuditLog(toAuditParams(auditFilters))
+            const url = URL.createObjectURL(response.data)
+            const link = document.createElement('a')
+
+            link.href = url
+            link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`
+            link.click()
+            URL.revokeObjectURL(url)
+        } catch (err) {
+            console.error("Error exporting audit log:", err)
+            setAuditError('Failed to export audit log')
+        }
+    }
+
+    // Summarize audit before/after values
+    const formatAuditValues = (values) => {
+        if (!values) {
+            return '—'
+        }
+
+        return Object.entries(values).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join(', ')
+    }
+
+    // State for the pricing report
+    const [pricingReport, setPricingReport] = useState(null)
+    const [pricingError, setPricingError] = useState(null)
+
+    // Load the pricing report when its section is opened
+    useEffect(() => {
+        const fetchPricingReport = async () => {
+            try {
+                const response = await adminService.getPricingReport()
+                setPricingReport(response.data.report)
+                setPricingError(null)
+            } catch (err) {
+                console.error("Error fetching pricing report:", err)
+                setPricingError(err.response?.data?.message || 'Failed to load pricing report')
+            }
+        }
+
+        if (activeSection === 'pricing' && permissions.includes('analytics:read')) {
+            fetchPricingReport()
+        }
+    }, [activeSection, permissions])
+
+    // State for the category tree editor, edits are kept per category until saved
+    const [categories, setCategories] = useState([])
+    const [categoryEdits, setCategoryEdits] = useState({})
+    const [categoriesVersion, setCategoriesVersion] = useState(0)
+    const [newCategory, setNewCategory] = useState(EMPTY_CATEGORY)
+    const [deletingCategory, setDeletingCategory] = useState(null)
+    const [categoryMessage, setCategoryMessage] = useState(null)
+
+    // State for the attribute editor of the chosen category (inherited attributes are listed read-only)
+    const [attributesCategory, setAttributesCategory] = useState(null)
+    const [categoryAttributes, setCategoryAttributes] = useState([])
+    const [attributeEdits, setAttributeEdits] = useState({})
+    const [attributesVersion, setAttributesVersion] = useState(0)
+    const [newAttribute, setNewAttribute] = useState(EMPTY_ATTRIBUTE)
+
+    // State for the course catalog import (a CSV of Department, Number, Title and Term)
+    const [courseFile, setCourseFile] = useState(null)
+    const [courseImportMessage, setCourseImportMessage] = useState(null)
+    const [courseImportErrors, setCourseImportErrors] = useState([])
+
+    // Load the category tree when its section is opened or a category changed
+    useEffect(() => {
+        const fetchCategories = async () => {
+            try {
+                const response = await categoryService.getCategories()
+                const loaded = response.data.categories
+
+                setCategories(loaded)
+                setCategoryEdits(Object.fromEntries(loaded.map(category => [category.id, {
+                    name: category.name,
+                    slug: category.slug,
+                    icon: category.icon || '',
+                    parentId: category.parent_id || '',
+                    sortOrder: category.sort_order
+                }])))
+            } catch (err) {
+                console.error("Error fetching categories:", err)
+                setCategoryMessage('Failed to load categories')
+            }
+        }
+
+        if (activeSection === 'categories' && permissions.includes('categories:write')) {
+            fetchCategories()
+        }
+    }, [activeSection, permissions, categoriesVersion])
+
+    // Load the attributes of the category being edited
+    useEffect(() => {
+        const fetchAttributes = async () => {
+            try {
+                const response = await categoryService.getCategoryAttributes(attributesCategory.id)
+                const loaded = response.data.attributes
+
+                setCategoryAttributes(loaded)
+                setAttributeEdits(Object.fromEntries(loaded
+                    .filter(attribute => attribute.category_id === attributesCategory.id)
+                    .map(attribute => [attribute.id, toAttributeForm(attribute)])))
+            } catch (err) {
+                console.error("Error fetching category attributes:", err)
+                setCategoryMessage('Failed to load attributes')
+            }
+        }
+
+        if (attributesCategory) {
+            fetchAttributes()
+        }
+    }, [attributesCategory, attributesVersion])
+
+    // Track an edit of an attribute field
+    const handleAttributeEdit = (id, field, value) => {
+        setAttributeEdits(prev => ({ ...prev, [id]: { ...prev[id], [field]: value } }))
+    }
+
+    // Save an attribute of the category being edited
+    const handleSaveAttribute = async (id) => {
+        const edit = attributeEdits[id]
+        setCategoryMessage(null)
+
+        try {
+            await categoryService.updateCategoryAttribute(attributesCategory.id, id, {
+                ...edit,
+                sortOrder: Number(edit.sortOrder)
+            })
+            setCategoryMessage(`${edit.name} saved`)
+            setAttributesVersion(version => version + 1)
+        } catch (err) {
+            console.error("Error saving attribute:", err)
+            setCategoryMessage(err.response?.data?.message || 'Failed to save attribute')
+        }
+    }
+
+    // Add an attribute to the category being edited
+    const handleAddAttribute = async (e) => {
+        e.preventDefault()
+        setCategoryMessage(null)
+
+        try {
+            await categoryService.createCategoryAttribute(attributesCategory.id, {
+                ...newAttribute,
+                sortOrder: Number(newAttribute.sortOrder)
+            })
+            setCategoryMessage(`${newAttribute.name} added to ${attributesCategory.name}`)
+            setNewAttribute(EMPTY_ATTRIBUTE)
+            setAttributesVersion(version => version + 1)
+        } catch (err) {
+            console.error("Error adding attribute:", err)
+            setCategoryMessage(err.response?.data?.message || 'Failed to add attribute')
+        }
+    }
+
+    // Remove an attribute, values sellers already gave stay on their listings as free-form specifications
+    const handleDeleteAttribute = async (attribute) => {
+        if (!window.confirm(`Remove ${attribute.name} from ${attributesCategory.name}?`)) {
+            return
+        }
+
+        setCategoryMessage(null)
+
+        try {
+            await categoryService.deleteCategoryAttribute(attributesCategory.id, attribute.id)
+            setCategoryMessage(`${attribute.name} removed`)
+            setAttributesVersion(version => version + 1)
+        } catch (err) {
+            console.error("Error deleting attribute:", err)
+            setCategoryMessage(err.response?.data?.message || 'Failed to remove attribute')
+        }
+    }
+
+    // Check or load the course catalog from the chosen CSV
+    const handleImportCourses = async (dryRun) => {
+        const formData = new FormData()
+        formData.append('file', courseFile)
+        formData.append('dryRun', dryRun)
+
+        setCourseImportMessage(null)
+        setCourseImportErrors([])
+
+        try {
+            const response = await courseService.importCourses(formData)
+            setCourseImportMessage(response.data.message)
+        } catch (err) {
+            console.error("Error importing courses:", err)
+            setCourseImportMessage(err.response?.data?.message || 'Failed to import courses')
+            setCourseImportErrors(err.response?.data?.errors || [])
+        }
+    }
+
+    // Track an edit of a category field
+    const handleCategoryEdit = (id, field, value) => {
+        setCategoryEdits(prev => ({ ...prev, [id]: { ...prev[id], [field]: value } }))
+    }
+
+    // Save a category, moving it if its parent changed
+    const handleSaveCategory = async (id) => {
+        const edit = categoryEdits[id]
+        setCategoryMessage(null)
+
+        try {
+            await categoryService.updateCategory(id, {
+                ...edit,
+                parentId: edit.parentId || null,
+                sortOrder: Number(edit.sortOrder)
+            })
+            setCategoryMessage(`${edit.name} saved`)
+            setCategoriesVersion(version => version + 1)
+        } catch (err) {
+            console.error("Error saving category:", err)
+            setCategoryMessage(err.response?.data?.message || 'Failed to save category')
+        }
+    }
+
+    // Add a category (its slug is generated from the name)
+    const handleAddCategory = async (e) => {
+        e.preventDefault()
+        setCategoryMessage(null)
+
+        try {
+            await categoryService.createCategory({
+                ...newCategory,
+                parentId: newCategory.parentId || null,
+                sortOrder: Number(newCategory.sortOrder)
+            })
+            setCategoryMessage(`${newCategory.name} added`)
+            setNewCategory(EMPTY_CATEGORY)
+            setCategoriesVersion(version => version + 1)
+        } catch (err) {
+            console.error("Error adding category:", err)
+            setCategoryMessage(err.response?.data?.message || 'Failed to add category')
+        }
+    }
+
+    // Delete a category, its subcategories and listings move to the chosen category (its parent by default)
+    const handleDeleteCategory = async () => {
+        setCategoryMessage(null)
+
+        try {
+            await categoryService.deleteCategory(deletingCategory.id, deletingCategory.moveTo || undefined)
+            setCategoryMessage('Category deleted')
+            setDeletingCategory(null)
+            setCategoriesVersion(version => version + 1)
+        } catch (err) {
+            console.error("Error deleting category:", err)
+            setCategoryMessage(err.response?.data?.message || 'Failed to delete category')
+        }
+    }
+
+    // State for the campus editor (platform admins), edits are kept per campus until saved
+    const [campuses, setCampuses] = useState([])
+    const [activeCampuses, setActiveCampuses] = useState([])
+    const [campusEdits, setCampusEdits] = useState({})
+    const [campusesVersion, setCampusesVersion] = useState(0)
+    const [newCampus, setNewCampus] = useState(EMPTY_CAMPUS)
+    const [campusEditorMessage, setCampusEditorMessage] = useState(null)
+
+    // Load all campuses when their section is opened or a campus changed
+    useEffect(() => {
+        const fetchCampuses = async () => {
+            try {
+                const [allResponse, activeResponse] = await Promise.all([
+                    campusService.getAllCampuses(),
+                    campusService.getCampuses()
+                ])
+                const loaded = allResponse.data.campuses
+
+                setCampuses(loaded)
+                setActiveCampuses(activeResponse.data.campuses)
+                setCampusEdits(Object.fromEntries(loaded.map(campus => [campus.id, {
+                    name: campus.name,
+                    primaryColor: campus.primaryColor,
+                    domains: campus.domains.join(', '),
+                    isActive: campus.isActive
+                }])))
+            } catch (err) {
+                console.error("Error fetching campuses:", err)
+                setCampusEditorMessage('Failed to load campuses')
+            }
+        }
+
+        if (activeSection === 'campuses' && permissions.includes('campuses:manage')) {
+            fetchCampuses()
+        }
+    }, [activeSection, permissions, campusesVersion])
+
+    // Track an edit of a campus field
+    const handleCampusEdit = (id, field, value) => {
+        setCampusEdits(prev => ({ ...prev, [id]: { ...prev[id], [field]: value } }))
+    }
+
+    // Save a campus, its email domains are replaced by the edited list
+    const handleSaveCampus = async (id) => {
+        const edit = campusEdits[id]
+        setCampusEditorMessage(null)
+
+        try {
+            await campusService.updateCampus(id, { ...edit, domains: parseDomains(edit.domains) })
+            setCampusEditorMessage(`${edit.name} saved`)
+            setCampusesVersion(version => version + 1)
+        } catch (err) {
+            console.error("Error saving campus:", err)
+            setCampusEditorMessage(err.response?.data?.message || 'Failed to save campus')
+        }
+    }
+
+    // Add a campus (it gets default settings)
+    const handleAddCampus = async (e) => {
+        e.preventDefault()
+        setCampusEditorMessage(null)
+
+        try {
+            await campusService.createCampus({ ...newCampus, domains: parseDomains(newCampus.domains) })
+            setCampusEditorMessage(`${newCampus.name} added`)
+            setNewCampus(EMPTY_CAMPUS)
+            setCampusesVersion(version => version + 1)
+        } catch (err) {
+            console.error("Error adding campus:", err)
+            setCampusEditorMessage(err.response?.data?.message || 'Failed to add campus')
+        }
+    }
+
+    // Manage another campus, every request then carries its slug
+    const handleSwitchCampus = (slug) => {
+        localStorage.setItem('campus', slug)
+        window.location.reload()
+    }
+
+    // State for security settings (email verification, listing approval and 2FA policy)
+    const [security, setSecurity] = useState(null)
+    const [securityMessage, setSecurityMessage] = useState(null)
+
+    // State for rate limit settings
+    const [rateLimits, setRateLimits] = useState(null)
+    const [rateLimitMessage, setRateLimitMessage] = useState(null)
+
+    // State for campus settings
+    const [crossCampusBrowse, setCrossCampusBrowse] = useState(null)
+    const [campusMessage, setCampusMessage] = useState(null)
+
+    // State for listing expiry settings (0 turns expiry or the reminder off)
+    const [listingExpiry, setListingExpiry] = useState(null)
+    const [listingExpiryMessage, setListingExpiryMessage] = useState(null)
+
+    // State for how long offers stay open
+    const [offerExpiryHours, setOfferExpiryHours] = useState(null)
+    const [offerMessage, setOfferMessage] = useState(null)
+
+    // Load rate limits when the settings section is opened
+    useEffect(() => {
+        const fetchRateLimits = async () => {
+            try {
+                const response = await adminService.getSettings()
+                const settings = response.data.settings
+
+                setSecurity({
+                    requireEmailVerification: Boolean(settings.require_email_verification),
+                    requireAdminApproval: Boolean(settings.require_admin_approval),
+                    enableTwoFactor: Boolean(settings.enable_two_factor),
+                    twoFactorPolicy: settings.two_factor_policy
+                })
+                setRateLimits(Object.fromEntries(
+                    RATE_LIMIT_FIELDS.map(field => [field.name, settings[field.column]])
+                ))
+                setCrossCampusBrowse(Boolean(settings.allow_cross_campus_browse))
+                setListingExpiry({
+                    listingLifetimeDays: settings.listing_lifetime_days,
+                    expiryReminderDays: settings.expiry_reminder_days
+                })
+                setOfferExpiryHours(settings.offer_expiry_hours)
+            } catch (err) {
+                console.error("Error fetching settings:", err)
+                setRateLimitMessage('Failed to load rate limit settings')
+            }
+        }
+
+        if (activeSection === 'settings' && permissions.includes('settings:read')) {
+            fetchRateLimits()
+        }
+    }, [activeSection, permissions])
+
+    // Save security settings
+    const handleSaveSecuritySettings = async () => {
+        setSecurityMessage(null)
+
+        try {
+            await adminService.updateSettings(security)
+            setSecurityMessage('Security settings saved')
+        } catch (err) {
+            console.error("Error saving security settings:", err)
+            setSecurityMessage(err.response?.data?.message || 'Failed to save security settings')
+        }
+    }
+
+    // Save rate limit settings
+    const handleSaveRateLimits = async () => {
+        setRateLimitMessage(null)
+
+        try {
+            await adminService.updateSettings(Object.fromEntries(
+                Object.entries(rateLimits).map(([name, value]) => [name, Number(value)])
+            ))
+            setRateLimitMessage('Rate limits saved')
+        } catch (err) {
+            console.error("Error saving rate limits:", err)
+            setRateLimitMessage(err.response?.data?.message || 'Failed to save rate limits')
+        }
+    }
+
+    // Save campus settings
+    const handleSaveCampusSettings = async () => {
+        setCampusMessage(null)
+
+        try {
+            await adminService.updateSettings({ allowCrossCampusBrowse: crossCampusBrowse })
+            setCampusMessage('Campus settings saved')
+        } catch (err) {
+            console.error("Error saving campus settings:", err)
+            setCampusMessage(err.response?.data?.message || 'Failed to save campus settings')
+        }
+    }
+
+    // Save listing expiry settings
+    const handleSaveListingExpiry = async () => {
+        setListingExpiryMessage(null)
+
+        try {
+            await adminService.updateSettings({
+                listingLifetimeDays: Number(listingExpiry.listingLifetimeDays),
+                expiryReminderDays: Number(listingExpiry.expiryReminderDays)
+            })
+            setListingExpiryMessage('Listing expiry settings saved')
+        } catch (err) {
+            console.error("Error saving listing expiry settings:", err)
+            setListingExpiryMessage(err.response?.data?.message || 'Failed to save listing expiry settings')
+        }
+    }
+
+    // Save offer settings
+    const handleSaveOfferSettings = async () => {
+        setOfferMessage(null)
+
+        try {
+            await adminService.updateSettings({ offerExpiryHours: Number(offerExpiryHours) })
+            setOfferMessage('Offer settings saved')
+        } catch (err) {
+            console.error("Error saving offer settings:", err)
+            setOfferMessage(err.response?.data?.message || 'Failed to save offer settings')
+        }
+    }
+
     // Mock data for dashboard
     const dashboardStats = {
         totalUsers: 28,
@@ -21,46 +591,56 @@ const AdminDashboard = () => {
             id: 1,
             name: 'Test Name',
             email: 'test.name@mavs.uta.edu',
+            role: 'admin',
             joinDate: '2025-01-15T10:30:00Z',
             status: 'active',
             listings: 3,
-            sales: 5
+            sales: 5,
+            emailVerified: true
         },
         {
             id: 2,
             name: 'Sarah Smith',
             email: 'sarah.smith@mavs.uta.edu',
+            role: 'moderator',
             joinDate: '2025-01-20T14:45:00Z',
             status: 'active',
             listings: 5,
-            sales: 2
+            sales: 2,
+            emailVerified: true
         },
         {
             id: 3,
             name: 'Michael Johnson',
             email: 'michael.johnson@mavs.uta.edu',
+            role: 'user',
             joinDate: '2025-01-18T09:15:00Z',
             status: 'inactive',
             listings: 0,
-            sales: 3
+            sales: 3,
+            emailVerified: false
         },
         {
             id: 4,
             name: 'Emily Wilson',
             email: 'emily.wilson@mavs.uta.edu',
+            role: 'user',
             joinDate: '2025-01-25T16:20:00Z',
             status: 'active',
             listings: 2,
-            sales: 1
+            sales: 1,
+            emailVerified: true
         },
         {
             id: 5,
             name: 'David Lee',
             email: 'david.lee@mavs.uta.edu',
+            role: 'user',
             joinDate: '2025-01-10T11:00:00Z',
             status: 'suspended',
             listings: 1,
-            sales: 4
+            sales: 4,
+            emailVerified: false
         }
     ]
 
@@ -153,6 +733,19 @@ const AdminDashboard = () => {
         console.log(`Changing user ${userId} status to ${newStatus}`)
     }
 
+    // Function to handle user role change
+    const handleRoleChange = async (userId, newRole) => {
+        setRoleMessage(null)
+
+        try {
+            await adminService.updateUserRole(userId, newRole)
+            setRoleMessage(`User ${userId} role updated to ${newRole}`)
+        } catch (err) {
+            console.error("Error updating user role:", err)
+            setRoleMessage(err.response?.data?.message || 'Failed to update user role')
+        }
+    }
+
     // Function to handle approval/rejection of listings
     const handleListingAction = (listingId, action) => {
         console.log(`${action} listing ${listingId}`)
@@ -170,50 +763,96 @@ const AdminDashboard = () => {
                     <h2>Admin Dashboard</h2>
                 </div>
                 <nav className="admin-nav">
-                    <button
-                        className={`nav-item ${activeSection === 'overview' ? 'active' : ''}`}
-                        onClick={() => setActiveSection('overview')}
-                    >
-                        <span className="nav-icon">📊</span>
-                        Overview
-                    </button>
-                    <button
-                        className={`nav-item ${activeSection === 'users' ? 'active' : ''}`}
-                        onClick={() => setActiveSection('users')}
-                    >
-                        <span className="nav-icon">👥</span>
-                        User Management
-                    </button>
-                    <button
-                        className={`nav-item ${activeSection === 'listings' ? 'active' : ''}`}
-                        onClick={() => setActiveSection('listings')}
-                    >
-                        <span className="nav-icon">📦</span>
-                        Listings
-                    </button>
-                    <button
-                        className={`nav-item ${activeSection === 'reports' ? 'active' : ''}`}
-                        onClick={() => setActiveSection('reports')}
-                    >
-                        <span className="nav-icon">🚨</span>
-                        Reports
-                        {reports.filter(r => r.status === 'pending').length > 0 && (
-                            <span className="badge">{reports.filter(r => r.status === 'pending').length}</span>
-                        )}
-                    </button>
-                    <button
-                        className={`nav-item ${activeSection === 'settings' ? 'active' : ''}`}
-                        onClick={() => setActiveSection('settings')}
-                    >
-                        <span className="nav-icon">⚙️</span>
-                        Settings
-                    </button>
+                    {can('dashboard:read') && (
+                        <button
+                            className={`nav-item ${activeSection === 'overview' ? 'active' : ''}`}
+                            onClick={() => setActiveSection('overview')}
+                        >
+                            <span className="nav-icon">📊</span>
+                            Overview
+                        </button>
+                    )}
+                    {can('users:read') && (
+                        <button
+                            className={`nav-item ${activeSection === 'users' ? 'active' : ''}`}
+                            onClick={() => setActiveSection('users')}
+                        >
+                            <span className="nav-icon">👥</span>
+                            User Management
+                        </button>
+                    )}
+                    {can('products:moderate') && (
+                        <button
+                            className={`nav-item ${activeSection === 'listings' ? 'active' : ''}`}
+                            onClick={() => setActiveSection('listings')}
+                        >
+                            <span className="nav-icon">📦</span>
+                            Listings
+                        </button>
+                    )}
+                    {can('categories:write') && (
+                        <button
+                            className={`nav-item ${activeSection === 'categories' ? 'active' : ''}`}
+                            onClick={() => setActiveSection('categories')}
+                        >
+                            <span className="nav-icon">🗂️</span>
+                            Categories
+                        </button>
+                    )}
+                    {can('reports:read') && (
+                        <button
+                            className={`nav-item ${activeSection === 'reports' ? 'active' : ''}`}
+                            onClick={() => setActiveSection('reports')}
+                        >
+                            <span className="nav-icon">🚨</span>
+                            Reports
+                            {reports.filter(r => r.status === 'pending').length > 0 && (
+                                <span className="badge">{reports.filter(r => r.status === 'pending').length}</span>
+                            )}
+                        </button>
+                    )}
+                    {can('analytics:read') && (
+                        <button
+                            className={`nav-item ${activeSection === 'pricing' ? 'active' : ''}`}
+                            onClick={() => setActiveSection('pricing')}
+                        >
+                            <span className="nav-icon">💲</span>
+                            Pricing
+                        </button>
+                    )}
+                    {can('audit:read') && (
+                        <button
+                            className={`nav-item ${activeSection === 'audit' ? 'active' : ''}`}
+                            onClick={() => setActiveSection('audit')}
+                        >
+                            <span className="nav-icon">📜</span>
+                            Audit Log
+                        </button>
+                    )}
+                    {can('campuses:manage') && (
+                        <button
+                            className={`nav-item ${activeSection === 'campuses' ? 'active' : ''}`}
+                            onClick={() => setActiveSection('campuses')}
+                        >
+                            <span className="nav-icon">🏫</span>
+                            Campuses
+                        </button>
+                    )}
+                    {can('settings:read') && (
+                        <button
+                            className={`nav-item ${activeSection === 'settings' ? 'active' : ''}`}
+                            onClick={() => setActiveSection('settings')}
+                        >
+                            <span className="nav-icon">⚙️</span>
+                            Settings
+                        </button>
+                    )}
                 </nav>
             </div>
 
             <div className="admin-content">
                 {/* Overview Section */}
-                {activeSection === 'overview' && (
+                {activeSection === 'overview' && can('dashboard:read') && (
                     <div className="overview-section">
                         <h1>Dashboard Overview</h1>
                         <div className="stats-grid">
@@ -311,9 +950,10 @@ const AdminDashboard = () => {
                 )}
 
                 {/* Users Section */}
-                {activeSection === 'users' && (
+                {activeSection === 'users' && can('users:read') && (
                     <div className="users-section">
                         <h1>User Management</h1>
+                        {roleMessage && <p>{roleMessage}</p>}
                         <div className="table-container">
                             <table className="data-table">
                                 <thead>
@@ -322,7 +962,9 @@ const AdminDashboard = () => {
                                     <th>Name</th>
                                     <th>Email</th>
                                     <th>Join Date</th>
+                                    <th>Role</th>
                                     <th>Status</th>
+                                    <th>Verified</th>
                                     <th>Listings</th>
                                     <th>Sales</th>
                                     <th>Actions</th>
@@ -336,10 +978,28 @@ const AdminDashboard = () => {
                                         <td>{user.email}</td>
                                         <td>{formatDate(user.joinDate)}</td>
                                         <td>
+                                            <select
+                                                className="status-select"
+                                                defaultValue={user.role}
+                                                disabled={!can('roles:assign')}
+                                                onChange={(e) => handleRoleChange(user.id, e.target.value)}
+                                            >
+                                                <option value="user">User</option>
+                                                <option value="moderator">Moderator</option>
+                                                <option value="admin">Admin</option>
+                                                <option value="platform_admin">Platform Admin</option>
+                                            </select>
+                                        </td>
+                                        <td>
                         <span className={`status-badge ${user.status}`}>
                           {user.status.charAt(0).toUpperCase() + user.status.slice(1)}
                         </span>
                                         </td>
+                                        <td>
+                                            <span className={`status-badge ${user.emailVerified ? 'active' : 'pending'}`}>
+                                                {user.emailVerified ? 'Verified' : 'Unverified'}
+                                            </span>
+                                        </td>
                                         <td>{user.listings}</td>
                                         <td>{user.sales}</td>
                                         <td>
@@ -365,7 +1025,7 @@ const AdminDashboard = () => {
                 )}
 
                 {/* Listings Section */}
-                {activeSection === 'listings' && (
+                {activeSection === 'listings' && can('products:moderate') && (
                     <div className="listings-section">
                         <h1>Listings Management</h1>
                         <div className="table-container">
@@ -425,8 +1085,432 @@ const AdminDashboard = () => {
                     </div>
                 )}
 
+                {/* Categories Section */}
+                {activeSection === 'categories' && can('categories:write') && (
+                    <div className="categories-section">
+                        <h1>Categories</h1>
+                        <p className="category-description">
+                            Listings of a subcategory also show under its parents. Deleting a category moves its
+                            subcategories and listings to its parent, or to the category you choose.
+                        </p>
+
+                        {categoryMessage && <p className="category-message">{categoryMessage}</p>}
+
+                        <div className="table-container">
+                            <table className="data-table category-tree">
+                                <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Slug</th>
+                                    <th>Icon</th>
+                                    <th>Parent</th>
+                                    <th>Order</th>
+                                    <th>Actions</th>
+                                </tr>
+                                </thead>
+                                <tbody>
+                                {categories.map(category => {
+                                    const edit = categoryEdits[category.id]
+                                    const subtree = getCategorySubtree(categories, category.id)
+                                    const otherCategories = categories.filter(other => !subtree.includes(other.id))
+
+                                    return (
+                                        <tr key={category.id}>
+                                            <td className={`category-depth-${Math.min(category.depth, 3)}`}>
+                                                <input
+                                                    type="text"
+                                                    className="form-control"
+                                                    value={edit.name}
+                                                    onChange={(e) => handleCategoryEdit(category.id, 'name', e.target.value)}
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="text"
+                                                    className="form-control"
+                                                    value={edit.slug}
+                                                    onChange={(e) => handleCategoryEdit(category.id, 'slug', e.target.value)}
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="text"
+                                                    className="form-control category-icon-input"
+                                                    value={edit.icon}
+                                                    onChange={(e) => handleCategoryEdit(category.id, 'icon', e.target.value)}
+                                                />
+                                            </td>
+                                            <td>
+                                                <select
+                                                    className="status-select"
+                                                    value={edit.parentId}
+                                                    onChange={(e) => handleCategoryEdit(category.id, 'parentId', e.target.value)}
+                                                >
+                                                    <option value="">None (top level)</option>
+                                                    {otherCategories.map(parent => (
+                                                        <option key={parent.id} value={parent.id}>{getCategoryLabel(parent)}</option>
+                                                    ))}
+                                                </select>
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="number"
+                                                    className="form-control category-order-input"
+                                                    value={edit.sortOrder}
+                                                    onChange={(e) => handleCategoryEdit(category.id, 'sortOrder', e.target.value)}
+                                                />
+                                            </td>
+                                            <td>
+                                                {deletingCategory?.id === category.id ? (
+                                                    <div className="action-buttons">
+                                                        <select
+                                                            className="status-select"
+                                                            value={deletingCategory.moveTo}
+                                                            onChange={(e) => setDeletingCategory({ ...deletingCategory, moveTo: e.target.value })}
+                                                        >
+                                                            <option value="">
+                                                                {category.parent_id ? 'Move to parent' : 'Nothing to move'}
+                                                            </option>
+                                                            {otherCategories.map(target => (
+                                                                <option key={target.id} value={target.id}>
+                                                                    Move to {target.name}
+                                                                </option>
+                                                            ))}
+                                                        </select>
+                                                        <button className="btn btn-sm btn-primary" onClick={handleDeleteCategory}>
+                                                            Delete
+                                                        </button>
+                                                        <button className="btn btn-sm btn-outline" onClick={() => setDeletingCategory(null)}>
+                                                            Cancel
+                                                        </button>
+                                                    </div>
+                                                ) : (
+                                                    <div className="action-buttons">
+                                                        <button
+                                                            className="btn btn-sm btn-primary"
+                                                            onClick={() => handleSaveCategory(category.id)}
+                                                        >
+                                                            Save
+                                                        </button>
+                                                        <button
+                                                            className="btn btn-sm btn-outline"
+                                                            onClick={() => setAttributesCategory(category)}
+                                                        >
+                                                            Attributes
+                                                        </button>
+                                                        <button
+                                                            className="btn btn-sm btn-outline"
+                                                            onClick={() => setDeletingCategory({ id: category.id, moveTo: '' })}
+                                                        >
+                                                            Delete
+                                                        </button>
+                                                    </div>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    )
+                                })}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {attributesCategory && (
+                            <div className="settings-card category-attributes">
+                                <div className="category-attributes-header">
+                                    <h3>Attributes of {attributesCategory.name}</h3>
+                                    <button className="btn btn-sm btn-outline" onClick={() => setAttributesCategory(null)}>
+                                        Close
+                                    </button>
+                                </div>
+                                <p className="category-description">
+                                    Sellers fill these in when listing in {attributesCategory.name} or its subcategories,
+                                    and buyers can filter by them. Required ones must be given before a listing is published.
+                                </p>
+
+                                <table className="data-table category-tree">
+                                    <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>Type</th>
+                                        <th>Options</th>
+                                        <th>Unit</th>
+                                        <th>Required</th>
+                                        <th>Order</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                    </thead>
+                                    <tbody>
+                                    {categoryAttributes.map(attribute => {
+                                        const edit = attributeEdits[attribute.id]
+
+                                        // Inherited attributes are edited on the category they belong to
+                                        if (!edit) {
+                                            return (
+                                                <tr key={attribute.id} className="inherited-attribute">
+                                                    <td>{attribute.name}</td>
+                                                    <td>{ATTRIBUTE_TYPES.find(type => type.value === attribute.type)?.label}</td>
+                                                    <td>{(attribute.options || []).join(', ')}</td>
+                                                    <td>{attribute.unit}</td>
+                                                    <td>{attribute.is_required ? 'Yes' : 'No'}</td>
+                                                    <td>{attribute.sort_order}</td>
+                                                    <td>From {attribute.category_name}</td>
+                                                </tr>
+                                            )
+                                        }
+
+                                        return (
+                                            <tr key={attribute.id}>
+                                                <td>
+                                                    <input
+                                                        type="text"
+                                                        className="form-control"
+                                                        value={edit.name}
+                                                        onChange={(e) => handleAttributeEdit(attribute.id, 'name', e.target.value)}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <select
+                                                        className="status-select"
+                                                        value={edit.type}
+                                                        onChange={(e) => handleAttributeEdit(attribute.id, 'type', e.target.value)}
+                                                    >
+                                                        {ATTRIBUTE_TYPES.map(type => (
+                                                            <option key={type.value} value={type.value}>{type.label}</option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="text"
+                                                        className="form-control"
+                                                        value={edit.options}
+                                                        disabled={edit.type !== 'select'}
+                                                        onChange={(e) => handleAttributeEdit(attribute.id, 'options', e.target.value)}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="text"
+                                                        className="form-control category-icon-input"
+                                                        value={edit.unit}
+                                                        disabled={edit.type !== 'number'}
+                                                        onChange={(e) => handleAttributeEdit(attribute.id, 'unit', e.target.value)}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={edit.isRequired}
+                                                        onChange={(e) => handleAttributeEdit(attribute.id, 'isRequired', e.target.checked)}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="number"
+                                                        className="form-control category-order-input"
+                                                        value={edit.sortOrder}
+                                                        onChange={(e) => handleAttributeEdit(attribute.id, 'sortOrder', e.target.value)}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <div className="action-buttons">
+                                                        <button
+                                                            className="btn btn-sm btn-primary"
+                                                            onClick={() => handleSaveAttribute(attribute.id)}
+                                                        >
+                                                            Save
+                                                        </button>
+                                                        <button
+                                                            className="btn btn-sm btn-outline"
+                                                            onClick={() => handleDeleteAttribute(attribute)}
+                                                        >
+                                                            Remove
+                                                        </button>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        )
+                                    })}
+                                    </tbody>
+                                </table>
+
+                                <form className="settings-form category-attribute-add" onSubmit={handleAddAttribute}>
+                                    <div className="form-group">
+                                        <label htmlFor="newAttributeName">Name</label>
+                                        <input
+                                            type="text"
+                                            id="newAttributeName"
+                                            className="form-control"
+                                            value={newAttribute.name}
+                                            onChange={(e) => setNewAttribute({ ...newAttribute, name: e.target.value })}
+                                            required
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="newAttributeType">Type</label>
+                                        <select
+                                            id="newAttributeType"
+                                            className="form-control"
+                                            value={newAttribute.type}
+                                            onChange={(e) => setNewAttribute({ ...newAttribute, type: e.target.value })}
+                                        >
+                                            {ATTRIBUTE_TYPES.map(type => (
+                                                <option key={type.value} value={type.value}>{type.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    {newAttribute.type === 'select' && (
+                                        <div className="form-group">
+                                            <label htmlFor="newAttributeOptions">Options (comma-separated)</label>
+                                            <input
+                                                type="text"
+                                                id="newAttributeOptions"
+                                                className="form-control"
+                                                value={newAttribute.options}
+                                                onChange={(e) => setNewAttribute({ ...newAttribute, options: e.target.value })}
+                                                required
+                                            />
+                                        </div>
+                                    )}
+                                    {newAttribute.type === 'number' && (
+                                        <div className="form-group">
+                                            <label htmlFor="newAttributeUnit">Unit</label>
+                                            <input
+                                                type="text"
+                                                id="newAttributeUnit"
+                                                className="form-control"
+                                                value={newAttribute.unit}
+                                                onChange={(e) => setNewAttribute({ ...newAttribute, unit: e.target.value })}
+                                            />
+                                        </div>
+                                    )}
+                                    <div className="form-group">
+                                        <label htmlFor="newAttributeOrder">Order</label>
+                                        <input
+                                            type="number"
+                                            id="newAttributeOrder"
+                                            className="form-control"
+                                            value={newAttribute.sortOrder}
+                                            onChange={(e) => setNewAttribute({ ...newAttribute, sortOrder: e.target.value })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label>
+                                            <input
+                                                type="checkbox"
+                                                checked={newAttribute.isRequired}
+                                                onChange={(e) => setNewAttribute({ ...newAttribute, isRequired: e.target.checked })}
+                                            />
+                                            {' '}Required
+                                        </label>
+                                    </div>
+                                    <button type="submit" className="btn btn-primary">Add Attribute</button>
+                                </form>
+                            </div>
+                        )}
+
+                        <div className="settings-card category-add">
+                            <h3>Add Category</h3>
+                            <form className="settings-form" onSubmit={handleAddCategory}>
+                                <div className="form-group">
+                                    <label htmlFor="newCategoryName">Name</label>
+                                    <input
+                                        type="text"
+                                        id="newCategoryName"
+                                        className="form-control"
+                                        value={newCategory.name}
+                                        onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+                                        required
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="newCategoryIcon">Icon</label>
+                                    <input
+                                        type="text"
+                                        id="newCategoryIcon"
+                                        className="form-control"
+                                        value={newCategory.icon}
+                                        onChange={(e) => setNewCategory({ ...newCategory, icon: e.target.value })}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="newCategoryParent">Parent</label>
+                                    <select
+                                        id="newCategoryParent"
+                                        className="form-control"
+                                        value={newCategory.parentId}
+                                        onChange={(e) => setNewCategory({ ...newCategory, parentId: e.target.value })}
+                                    >
+                                        <option value="">None (top level)</option>
+                                        {categories.map(parent => (
+                                            <option key={parent.id} value={parent.id}>{getCategoryLabel(parent)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="newCategoryOrder">Order</label>
+                                    <input
+                                        type="number"
+                                        id="newCategoryOrder"
+                                        className="form-control"
+                                        value={newCategory.sortOrder}
+                                        onChange={(e) => setNewCategory({ ...newCategory, sortOrder: e.target.value })}
+                                    />
+                                </div>
+                                <button type="submit" className="btn btn-primary">Add Category</button>
+                            </form>
+                        </div>
+
+                        {can('courses:write') && (
+                            <div className="settings-card course-import">
+                                <h3>Course Catalog</h3>
+                                <p>
+                                    Upload a CSV with Department, Number, Title and Term columns. Courses already in
+                                    the catalog get the title and term of the file.
+                                </p>
+                                {courseImportMessage && <p className="category-message">{courseImportMessage}</p>}
+                                {courseImportErrors.length > 0 && (
+                                    <ul className="course-import-errors">
+                                        {courseImportErrors.map((rowErrors, index) => (
+                                            <li key={index}>
+                                                {rowErrors.row && `Row ${rowErrors.row}: `}{rowErrors.errors.join('; ')}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                                <div className="form-group">
+                                    <input
+                                        type="file"
+                                        accept=".csv,text/csv"
+                                        className="form-control"
+                                        onChange={(e) => setCourseFile(e.target.files[0] || null)}
+                                    />
+                                </div>
+                                <div className="course-import-actions">
+                                    <button
+                                        type="button"
+                                        className="btn btn-outline"
+                                        disabled={!courseFile}
+                                        onClick={() => handleImportCourses(true)}
+                                    >
+                                        Check File
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn btn-primary"
+                                        disabled={!courseFile}
+                                        onClick={() => handleImportCourses(false)}
+                                    >
+                                        Import Courses
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* Reports Section */}
-                {activeSection === 'reports' && (
+                {activeSection === 'reports' && can('reports:read') && (
                     <div className="reports-section">
                         <h1>Reports Management</h1>
                         <div className="table-container">
@@ -486,8 +1570,370 @@ const AdminDashboard = () => {
                     </div>
                 )}
 
+                {/* Pricing Section */}
+                {activeSection === 'pricing' && can('analytics:read') && (
+                    <div className="pricing-section">
+                        <h1>Suspicious Pricing</h1>
+
+                        {pricingError && <p>{pricingError}</p>}
+
+                        {pricingReport && (
+                            <>
+                                <h2>Raised Shortly Before a Sale</h2>
+                                <p className="pricing-description">
+                                    Price raises followed by a sale within {pricingReport.hours} hours, last {pricingReport.days} days.
+                                </p>
+                                <div className="table-container">
+                                    <table className="data-table">
+                                        <thead>
+                                        <tr>
+                                            <th>Listing</th>
+                                            <th>Seller</th>
+                                            <th>Price Change</th>
+                                            <th>Raised</th>
+                                            <th>Sold</th>
+                                            <th>Buyer</th>
+                                            <th>Order</th>
+                                        </tr>
+                                        </thead>
+                                        <tbody>
+                                        {pricingReport.raisesBeforeSale.map(raise => (
+                                            <tr key={`${raise.order_id}-${raise.changed_at}`}>
+                                                <td>{raise.product_name} (#{raise.product_id})</td>
+                                                <td>{raise.seller_name}</td>
+                                                <td>${parseFloat(raise.old_price).toFixed(2)} → ${parseFloat(raise.new_price).toFixed(2)}</td>
+                                                <td>{new Date(raise.changed_at).toLocaleString()}</td>
+                                                <td>{new Date(raise.sold_at).toLocaleString()}</td>
+                                                <td>{raise.buyer_name}</td>
+                                                <td>{raise.order_id}</td>
+                                            </tr>
+                                        ))}
+                                        {pricingReport.raisesBeforeSale.length === 0 && (
+                                            <tr>
+                                                <td colSpan="7">No price raises before sales</td>
+                                            </tr>
+                                        )}
+                                        </tbody>
+                                    </table>
+                                </div>
+
+                                <h2>Frequently Repriced</h2>
+                                <p className="pricing-description">
+                                    Listings repriced at least {pricingReport.minChanges} times in the last {pricingReport.days} days.
+                                </p>
+                                <div className="table-container">
+                                    <table className="data-table">
+                                        <thead>
+                                        <tr>
+                                            <th>Listing</th>
+                                            <th>Seller</th>
+                                            <th>Changes</th>
+                                            <th>Price Range</th>
+                                            <th>Current Price</th>
+                                            <th>Last Change</th>
+                                            <th>Status</th>
+                                        </tr>
+                                        </thead>
+                                        <tbody>
+                                        {pricingReport.frequentChanges.map(listing => (
+                                            <tr key={listing.product_id}>
+                                                <td>{listing.product_name} (#{listing.product_id})</td>
+                                                <td>{listing.seller_name}</td>
+                                                <td>{listing.change_count}</td>
+                                                <td>${parseFloat(listing.lowest_price).toFixed(2)} – ${parseFloat(listing.highest_price).toFixed(2)}</td>
+                                                <td>${parseFloat(listing.price).toFixed(2)}</td>
+                                                <td>{new Date(listing.last_changed_at).toLocaleString()}</td>
+                                                <td>
+                                                    <span className={`status-badge ${listing.status}`}>
+                                                        {listing.status.charAt(0).toUpperCase() + listing.status.slice(1)}
+                                                    </span>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                        {pricingReport.frequentChanges.length === 0 && (
+                                            <tr>
+                                                <td colSpan="7">No frequently repriced listings</td>
+                                            </tr>
+                                        )}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {/* Audit Log Section */}
+                {activeSection === 'audit' && can('audit:read') && (
+                    <div className="audit-section">
+                        <h1>Audit Log</h1>
+                        <div className="audit-filters">
+                            <div className="form-group">
+                                <label htmlFor="auditAction">Action</label>
+                                <select
+                                    id="auditAction"
+                                    name="action"
+                                    className="form-control"
+                                    value={auditFilters.action}
+                                    onChange={handleAuditFilterChange}
+                                >
+                                    <option value="">All actions</option>
+                                    {auditLog.actions.map(action => (
+                                        <option key={action} value={action}>{action}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="auditTargetType">Target</label>
+                                <select
+                                    id="auditTargetType"
+                                    name="targetType"
+                                    className="form-control"
+                                    value={auditFilters.targetType}
+                                    onChange={handleAuditFilterChange}
+                                >
+                                    <option value="">All targets</option>
+                                    <option value="user">Users</option>
+                                    <option value="product">Products</option>
+                                    <option value="report">Reports</option>
+                                    <option value="order">Orders</option>
+                                    <option value="settings">Settings</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="auditStartDate">From</label>
+                                <input
+                                    type="date"
+                                    id="auditStartDate"
+                                    name="startDate"
+                                    className="form-control"
+                                    value={auditFilters.startDate}
+                                    onChange={handleAuditFilterChange}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="auditEndDate">To</label>
+                                <input
+                                    type="date"
+                                    id="auditEndDate"
+                                    name="endDate"
+                                    className="form-control"
+                                    value={auditFilters.endDate}
+                                    onChange={handleAuditFilterChange}
+                                />
+                            </div>
+                            <button type="button" className="btn btn-outline" onClick={handleExportAuditLog}>
+                                Export CSV
+                            </button>
+                        </div>
+
+                        {auditError && <p>{auditError}</p>}
+
+                        <div className="table-container">
+                            <table className="data-table">
+                                <thead>
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Actor</th>
+                                    <th>Action</th>
+                                    <th>Target</th>
+                                    <th>Before</th>
+                                    <th>After</th>
+                                    <th>IP Address</th>
+                                </tr>
+                                </thead>
+                                <tbody>
+                                {auditLog.entries.map(entry => (
+                                    <tr key={entry.id}>
+                                        <td>{new Date(entry.created_at).toLocaleString()}</td>
+                                        <td>{entry.actor_email || 'Deleted user'} ({entry.actor_role})</td>
+                                        <td>{entry.action}</td>
+                                        <td>{entry.target_type} #{entry.target_id}</td>
+                                        <td className="audit-change">{formatAuditValues(entry.before_value)}</td>
+                                        <td className="audit-change">{formatAuditValues(entry.after_value)}</td>
+                                        <td>{entry.ip_address}</td>
+                                    </tr>
+                                ))}
+                                {auditLog.entries.length === 0 && (
+                                    <tr>
+                                        <td colSpan="7">No audit entries match these filters</td>
+                                    </tr>
+                                )}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {auditLog.totalPages > 1 && (
+                            <div className="audit-pagination">
+                                <button
+                                    className="btn btn-sm btn-outline"
+                                    disabled={auditPage <= 1}
+                                    onClick={() => setAuditPage(auditPage - 1)}
+                                >
+                                    Previous
+                                </button>
+                                <span>Page {auditPage} of {auditLog.totalPages}</span>
+                                <button
+                                    className="btn btn-sm btn-outline"
+                                    disabled={auditPage >= auditLog.totalPages}
+                                    onClick={() => setAuditPage(auditPage + 1)}
+                                >
+                                    Next
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Campuses Section */}
+                {activeSection === 'campuses' && can('campuses:manage') && (
+                    <div className="campuses-section">
+                        <h1>Campuses</h1>
+                        <p className="category-description">
+                            Students register on the campus their email domain belongs to. Inactive campuses keep
+                            their data but can't be signed up for or browsed.
+                        </p>
+
+                        {campusEditorMessage && <p className="category-message">{campusEditorMessage}</p>}
+
+                        <div className="settings-card campus-switch">
+                            <h3>Managed Campus</h3>
+                            <div className="form-group">
+                                <label htmlFor="managedCampus">Dashboard, listings and settings apply to</label>
+                                <select
+                                    id="managedCampus"
+                                    className="form-control"
+                                    value={localStorage.getItem('campus') || ''}
+                                    onChange={(e) => handleSwitchCampus(e.target.value)}
+                                >
+                                    {activeCampuses.map(campus => (
+                                        <option key={campus.id} value={campus.slug}>{campus.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div className="table-container">
+                            <table className="data-table campus-table">
+                                <thead>
+                                <tr>
+                                    <th>Slug</th>
+                                    <th>Name</th>
+                                    <th>Color</th>
+                                    <th>Email Domains</th>
+                                    <th>Active</th>
+                                    <th>Actions</th>
+                                </tr>
+                                </thead>
+                                <tbody>
+                                {campuses.map(campus => {
+                                    const edit = campusEdits[campus.id]
+
+                                    return (
+                                        <tr key={campus.id}>
+                                            <td>{campus.slug}</td>
+                                            <td>
+                                                <input
+                                                    type="text"
+                                                    className="form-control"
+                                                    value={edit.name}
+                                                    onChange={(e) => handleCampusEdit(campus.id, 'name', e.target.value)}
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="color"
+                                                    className="campus-color-input"
+                                                    value={edit.primaryColor}
+                                                    onChange={(e) => handleCampusEdit(campus.id, 'primaryColor', e.target.value)}
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="text"
+                                                    className="form-control"
+                                                    value={edit.domains}
+                                                    onChange={(e) => handleCampusEdit(campus.id, 'domains', e.target.value)}
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={edit.isActive}
+                                                    onChange={(e) => handleCampusEdit(campus.id, 'isActive', e.target.checked)}
+                                                />
+                                            </td>
+                                            <td>
+                                                <button
+                                                    className="btn btn-sm btn-primary"
+                                                    onClick={() => handleSaveCampus(campus.id)}
+                                                >
+                                                    Save
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    )
+                                })}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="settings-card category-add">
+                            <h3>Add Campus</h3>
+                            <form className="settings-form" onSubmit={handleAddCampus}>
+                                <div className="form-group">
+                                    <label htmlFor="newCampusSlug">Slug</label>
+                                    <input
+                                        type="text"
+                                        id="newCampusSlug"
+                                        className="form-control"
+                                        value={newCampus.slug}
+                                        onChange={(e) => setNewCampus({ ...newCampus, slug: e.target.value })}
+                                        placeholder="uta"
+                                        required
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="newCampusName">Name</label>
+                                    <input
+                                        type="text"
+                                        id="newCampusName"
+                                        className="form-control"
+                                        value={newCampus.name}
+                                        onChange={(e) => setNewCampus({ ...newCampus, name: e.target.value })}
+                                        required
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="newCampusColor">Primary Color</label>
+                                    <input
+                                        type="color"
+                                        id="newCampusColor"
+                                        className="campus-color-input"
+                                        value={newCampus.primaryColor}
+                                        onChange={(e) => setNewCampus({ ...newCampus, primaryColor: e.target.value })}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="newCampusDomains">Email Domains (comma-separated)</label>
+                                    <input
+                                        type="text"
+                                        id="newCampusDomains"
+                                        className="form-control"
+                                        value={newCampus.domains}
+                                        onChange={(e) => setNewCampus({ ...newCampus, domains: e.target.value })}
+                                        placeholder="mavs.uta.edu"
+                                        required
+                                    />
+                                </div>
+                                <button type="submit" className="btn btn-primary">Add Campus</button>
+                            </form>
+                        </div>
+                    </div>
+                )}
+
                 {/* Settings Section */}
-                {activeSection === 'settings' && (
+                {activeSection === 'settings' && can('settings:read') && (
                     <div className="settings-section">
                         <h1>Platform Settings</h1>
                         <div className="settings-container">
@@ -563,7 +2009,9 @@ const AdminDashboard = () => {
                                             type="checkbox"
                                             id="requireEmailVerification"
                                             className="form-check-input"
-                                            defaultChecked
+                                            checked={security?.requireEmailVerification ?? false}
+                                            onChange={(e) => setSecurity({ ...security, requireEmailVerification: e.target.checked })}
+                                            disabled={!security}
                                         />
                                         <label htmlFor="requireEmailVerification" className="form-check-label">
                                             Require Email Verification
@@ -574,7 +2022,9 @@ const AdminDashboard = () => {
                                             type="checkbox"
                                             id="requireAdminApproval"
                                             className="form-check-input"
-                                            defaultChecked
+                                            checked={security?.requireAdminApproval ?? false}
+                                            onChange={(e) => setSecurity({ ...security, requireAdminApproval: e.target.checked })}
+                                            disabled={!security}
                                         />
                                         <label htmlFor="requireAdminApproval" className="form-check-label">
                                             Require Admin Approval for Listings
@@ -585,13 +2035,165 @@ const AdminDashboard = () => {
                                             type="checkbox"
                                             id="enableTwoFactor"
                                             className="form-check-input"
-                                            defaultChecked
+                                            checked={security?.enableTwoFactor ?? false}
+                                            onChange={(e) => setSecurity({ ...security, enableTwoFactor: e.target.checked })}
+                                            disabled={!security}
                                         />
                                         <label htmlFor="enableTwoFactor" className="form-check-label">
                                             Enable Two-Factor Authentication Option
                                         </label>
                                     </div>
-                                    <button type="button" className="btn btn-primary">Save Changes</button>
+                                    <div className="form-group">
+                                        <label htmlFor="twoFactorPolicy">Two-Factor Requirement</label>
+                                        <select
+                                            id="twoFactorPolicy"
+                                            className="form-control"
+                                            value={security?.twoFactorPolicy ?? 'optional'}
+                                            onChange={(e) => setSecurity({ ...security, twoFactorPolicy: e.target.value })}
+                                            disabled={!security}
+                                        >
+                                            <option value="optional">Optional for everyone</option>
+                                            <option value="admins">Required for moderators and admins</option>
+                                            <option value="all">Required for all users</option>
+                                        </select>
+                                    </div>
+                                    {securityMessage && <p>{securityMessage}</p>}
+                                    <button
+                                        type="button"
+                                        className="btn btn-primary"
+                                        onClick={handleSaveSecuritySettings}
+                                        disabled={!security}
+                                    >
+                                        Save Changes
+                                    </button>
+                                </form>
+                            </div>
+
+                            <div className="settings-card">
+                                <h3>Rate Limiting</h3>
+                                <form className="settings-form">
+                                    {RATE_LIMIT_FIELDS.map(field => (
+                                        <div className="form-group" key={field.name}>
+                                            <label htmlFor={field.name}>{field.label}</label>
+                                            <input
+                                                type="number"
+                                                id={field.name}
+                                                className="form-control"
+                                                min="1"
+                                                step="1"
+                                                value={rateLimits?.[field.name] ?? ''}
+                                                onChange={(e) => setRateLimits({ ...rateLimits, [field.name]: e.target.value })}
+                                                disabled={!rateLimits}
+                                            />
+                                        </div>
+                                    ))}
+                                    {rateLimitMessage && <p>{rateLimitMessage}</p>}
+                                    <button
+                                        type="button"
+                                        className="btn btn-primary"
+                                        onClick={handleSaveRateLimits}
+                                        disabled={!rateLimits}
+                                    >
+                                        Save Changes
+                                    </button>
+                                </form>
+                            </div>
+
+                            <div className="settings-card">
+                                <h3>Campus</h3>
+                                <form className="settings-form">
+                                    <div className="form-group form-check">
+                                        <input
+                                            type="checkbox"
+                                            id="allowCrossCampusBrowse"
+                                            className="form-check-input"
+                                            checked={crossCampusBrowse ?? false}
+                                            onChange={(e) => setCrossCampusBrowse(e.target.checked)}
+                                            disabled={crossCampusBrowse === null}
+                                        />
+                                        <label htmlFor="allowCrossCampusBrowse" className="form-check-label">
+                                            Allow Browsing Listings from Other Campuses
+                                        </label>
+                                    </div>
+                                    {campusMessage && <p>{campusMessage}</p>}
+                                    <button
+                                        type="button"
+                                        className="btn btn-primary"
+                                        onClick={handleSaveCampusSettings}
+                                        disabled={crossCampusBrowse === null}
+                                    >
+                                        Save Changes
+                                    </button>
+                                </form>
+                            </div>
+
+                            <div className="settings-card">
+                                <h3>Listing Expiry</h3>
+                                <form className="settings-form">
+                                    <div className="form-group">
+                                        <label htmlFor="listingLifetimeDays">Listing Lifetime (days, 0 = never expire)</label>
+                                        <input
+                                            type="number"
+                                            id="listingLifetimeDays"
+                                            className="form-control"
+                                            min="0"
+                                            step="1"
+                                            value={listingExpiry?.listingLifetimeDays ?? ''}
+                                            onChange={(e) => setListingExpiry({ ...listingExpiry, listingLifetimeDays: e.target.value })}
+                                            disabled={!listingExpiry}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="expiryReminderDays">Remind Sellers (days before expiry, 0 = no reminder)</label>
+                                        <input
+                                            type="number"
+                                            id="expiryReminderDays"
+                                            className="form-control"
+                                            min="0"
+                                            step="1"
+                                            value={listingExpiry?.expiryReminderDays ?? ''}
+                                            onChange={(e) => setListingExpiry({ ...listingExpiry, expiryReminderDays: e.target.value })}
+                                            disabled={!listingExpiry}
+                                        />
+                                    </div>
+                                    {listingExpiryMessage && <p>{listingExpiryMessage}</p>}
+                                    <button
+                                        type="button"
+                                        className="btn btn-primary"
+                                        onClick={handleSaveListingExpiry}
+                                        disabled={!listingExpiry}
+                                    >
+                                        Save Changes
+                                    </button>
+                                </form>
+                            </div>
+
+                            <div className="settings-card">
+                                <h3>Offers</h3>
+                                <form className="settings-form">
+                                    <div className="form-group">
+                                        <label htmlFor="offerExpiryHours">Offers Expire After (hours)</label>
+                                        <input
+                                            type="number"
+                                            id="offerExpiryHours"
+                                            className="form-control"
+                                            min="1"
+                                            max="720"
+                                            step="1"
+                                            value={offerExpiryHours ?? ''}
+                                            onChange={(e) => setOfferExpiryHours(e.target.value)}
+                                            disabled={offerExpiryHours === null}
+                                        />
+                                    </div>
+                                    {offerMessage && <p>{offerMessage}</p>}
+                                    <button
+                                        type="button"
+                                        className="btn btn-primary"
+                                        onClick={handleSaveOfferSettings}
+                                        disabled={offerExpiryHours === null}
+                                    >
+                                        Save Changes
+                                    </button>
                                 </form>
                             </div>
                         </div>
@@ -2,11 +2,12 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import TwoFactorSetup from '../../components/TwoFactorSetup';
 import '../../css/Auth.css';
 
 const LoginPage = () => {
     const navigate = useNavigate();
-    const { login } = useAuth();
+    const { login, verifyTwoFactor, completeLogin } = useAuth();
 
     const [formData, setFormData] = useState({
         email: '',
@@ -16,6 +17,12 @@ const LoginPage = () => {
     const [apiError, setApiError] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
 
+    // Second login step: 'challenge' (enter a code) or 'setup' (enrollment required by policy)
+    const [twoFactorStep, setTwoFactorStep] = useState(null);
+    const [challengeToken, setChallengeToken] = useState(null);
+    const [twoFactorCode, setTwoFactorCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData({
@@ -30,8 +37,8 @@ const LoginPage = () => {
         // Email validation
         if (!formData.email) {
             newErrors.email = 'Email is required';
-        } else if (!formData.email.endsWith('@mavs.uta.edu')) {
-            newErrors.email = 'Please use your UTA email (@mavs.uta.edu)';
+        } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+            newErrors.email = 'Please enter a valid email address';
         }
 
         // Password validation
@@ -52,7 +59,14 @@ const LoginPage = () => {
 
             try {
                 // Call login from auth context which uses the authService
-                await login(formData);
+                const data = await login(formData);
+
+                if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+                    setChallengeToken(data.challengeToken);
+                    setTwoFactorStep(data.twoFactorRequired ? 'challenge' : 'setup');
+                    return;
+                }
+
                 navigate('/buyer');
             } catch (error) {
                 setApiError(error.response?.data?.message || 'Login failed. Please try again.');
@@ -62,13 +76,154 @@ const LoginPage = () => {
         }
     };
 
+    const handleTwoFactorSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!twoFactorCode) {
+            setErrors({ twoFactorCode: 'Code is required' });
+            return;
+        }
+
+        setErrors({});
+        setIsLoading(true);
+        setApiError(null);
+
+        try {
+            await verifyTwoFactor(
+                challengeToken,
+                useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+            );
+            navigate('/buyer');
+        } catch (error) {
+            setApiError(error.response?.data?.message || 'Verification failed. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Challenge tokens are short-lived, so going back restarts the login
+    const resetTwoFactor = () => {
+        setTwoFactorStep(null);
+        setChallengeToken(null);
+        setTwoFactorCode('');
+        setUseRecoveryCode(false);
+        setApiError(null);
+    };
+
+    if (twoFactorStep === 'setup') {
+        return (
+            <div className="auth-page">
+                <div className="auth-container">
+                    <div className="auth-card">
+                        <div className="auth-header">
+                            <h2>Two-Factor Authentication Required</h2>
+                            <p>Your account must use an authenticator app before you can sign in</p>
+                        </div>
+
+                        <div className="auth-form">
+                            <TwoFactorSetup
+                                challengeToken={challengeToken}
+                                onComplete={(data) => {
+                                    completeLogin(data);
+                                    navigate('/buyer');
+                                }}
+                                onCancel={resetTwoFactor}
+                            />
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    if (twoFactorStep === 'challenge') {
+        return (
+            <div className="auth-page">
+                <div className="auth-container">
+                    <div className="auth-card">
+                        <div className="auth-header">
+                            <h2>Two-Factor Authentication</h2>
+                            <p>
+                                {useRecoveryCode
+                                    ? 'Enter one of your recovery codes'
+                                    : 'Enter the 6-digit code from your authenticator app'}
+                            </p>
+                        </div>
+
+                        {apiError && (
+                            <div className="alert alert-error">
+                                {apiError}
+                            </div>
+                        )}
+
+                        <form className="auth-form" onSubmit={handleTwoFactorSubmit}>
+                            <div className="form-group">
+                                <label htmlFor="twoFactorCode">
+                                    {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                                </label>
+                                <input
+                                    type="text"
+                                    id="twoFactorCode"
+                                    name="twoFactorCode"
+                                    className="form-control"
+                                    placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                                    autoComplete="one-time-code"
+                                    value={twoFactorCode}
+                                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                                    disabled={isLoading}
+                                    autoFocus
+                                />
+                                {errors.twoFactorCode && <div className="error-message">{errors.twoFactorCode}</div>}
+                            </div>
+
+                            <button
+                                type="submit"
+                                className="btn btn-primary btn-block"
+                                disabled={isLoading}
+                            >
+                                {isLoading ? 'Verifying...' : 'Verify'}
+                            </button>
+                        </form>
+
+                        <div className="auth-footer">
+                            <p>
+                                <a
+                                    href="#"
+                                    className="forgot-password"
+                                    onClick={(e) => {
+                                        e.preventDefault();
+                                        setUseRecoveryCode(!useRecoveryCode);
+                                        setTwoFactorCode('');
+                                    }}
+                                >
+                                    {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code instead'}
+                                </a>
+                            </p>
+                            <a
+                                href="#"
+                                className="forgot-password"
+                                onClick={(e) => {
+                                    e.preventDefault();
+                                    resetTwoFactor();
+                                }}
+                            >
+                                Back to login
+                            </a>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="auth-page">
             <div className="auth-container">
                 <div className="auth-card">
                     <div className="auth-header">
                         <h2>Login to UTA Market Place</h2>
-                        <p>Enter your UTA email and password</p>
+                        <p>Enter your university email and password</p>
                     </div>
 
                     {apiError && (
@@ -79,13 +234,13 @@ const LoginPage = () => {
 
                     <form className="auth-form" onSubmit={handleSubmit}>
                         <div className="form-group">
-                            <label htmlFor="email">UTA Email Address</label>
+                            <label htmlFor="email">University Email Address</label>
                             <input
                                 type="email"
                                 id="email"
                                 name="email"
                                 className="form-control"
-                                placeholder="username@mavs.uta.edu"
+                                placeholder="username@university.edu"
                                 value={formData.email}
                                 onChange={handleChange}
                                 disabled={isLoading}
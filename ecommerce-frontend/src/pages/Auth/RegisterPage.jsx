@@ -46,8 +46,8 @@ const RegisterPage = () => {
         // Email validation
         if (!formData.email) {
             newErrors.email = 'Email is required';
-        } else if (!formData.email.endsWith('@mavs.uta.edu')) {
-            newErrors.email = 'Please use your UTA email (@mavs.uta.edu)';
+        } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+            newErrors.email = 'Please enter a valid email address';
         }
 
         // Password validation
@@ -175,13 +175,13 @@ const RegisterPage = () => {
                             </div>
 
                             <div className="form-group">
-                                <label htmlFor="email">UTA Email Address</label>
+                                <label htmlFor="email">University Email Address</label>
                                 <input
                                     type="email"
                                     id="email"
                                     name="email"
                                     className="form-control"
-                                    placeholder="username@mavs.uta.edu"
+                                    placeholder="username@university.edu"
                                     value={formData.email}
                                     onChange={handleChange}
                                     disabled={isLoading}
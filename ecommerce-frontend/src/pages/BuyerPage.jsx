@@ -1,13 +1,16 @@
 // src/pages/BuyerPage.jsx
 import { useState, useEffect } from 'react';
 import { Link, useSearchParams, useNavigate } from 'react-router-dom';
-import { productService, categoryService, cartService } from '../services';
+import {
+    productService, categoryService, cartService, savedSearchService, watchlistService, courseService, campusService
+} from '../services';
+import { getCategoryLabel } from '../utils/categories';
 import { useAuth } from '../context/AuthContext';
 import '../css/BuyerPage.css';
 import '../css/ProductCard.css'
 
 const BuyerPage = () => {
-    const { isAuthenticated } = useAuth();
+    const { isAuthenticated, user } = useAuth();
     const navigate = useNavigate();
     const [searchParams, setSearchParams] = useSearchParams();
 
@@ -16,8 +19,17 @@ const BuyerPage = () => {
     const initialSearch = searchParams.get('search') || '';
     const initialMinPrice = searchParams.get('minPrice') || '';
     const initialMaxPrice = searchParams.get('maxPrice') || '';
+    const initialCondition = searchParams.get('condition') || '';
+    const initialLocation = searchParams.get('location') || '';
+    const initialCourse = searchParams.get('course') || '';
     const initialSortBy = searchParams.get('sortBy') || 'newest';
+    const initialAllCampuses = searchParams.get('allCampuses') === 'true';
     const initialPage = parseInt(searchParams.get('page') || '1');
+    const initialAttributes = Object.fromEntries(
+        [...searchParams.entries()]
+            .filter(([key]) => /^attr\[.+\]$/.test(key))
+            .map(([key, value]) => [key.slice(5, -1), value])
+    );
 
     // State for products, filters, and search
     const [products, setProducts] = useState([]);
@@ -26,18 +38,40 @@ const BuyerPage = () => {
     const [totalPages, setTotalPages] = useState(1);
     const [currentPage, setCurrentPage] = useState(initialPage);
     const [error, setError] = useState(null);
+    const [correctedSearch, setCorrectedSearch] = useState(null);
+    const [facets, setFacets] = useState(null);
+    const [saveSearchMessage, setSaveSearchMessage] = useState(null);
 
     // State for filters
     const [filters, setFilters] = useState({
         category: initialCategory,
         minPrice: initialMinPrice,
         maxPrice: initialMaxPrice,
+        condition: initialCondition,
+        location: initialLocation,
         sortBy: initialSortBy,
+        allCampuses: initialAllCampuses,
         limit: 8
     });
 
+    // Whether this campus lets buyers include listings from other campuses
+    const [crossCampusBrowse, setCrossCampusBrowse] = useState(false);
+
+    // Attributes of the selected category and the values filtered by, keyed by attribute name
+    const [categoryAttributes, setCategoryAttributes] = useState([]);
+    const [attributeFilters, setAttributeFilters] = useState(initialAttributes);
+    // Typed attribute filters apply on Enter or when leaving the field, so half-typed ISBNs aren't searched
+    const [attributeInputs, setAttributeInputs] = useState(initialAttributes);
+
+    // Course code the listings are tagged with ("find books for CSE 3330"), applied like typed attribute filters
+    const [course, setCourse] = useState(initialCourse);
+    const [courseInput, setCourseInput] = useState(initialCourse);
+    const [courseInfo, setCourseInfo] = useState(null);
+    const [subscribedCourseIds, setSubscribedCourseIds] = useState(new Set());
+
     const [searchTerm, setSearchTerm] = useState(initialSearch);
     const [addingToCart, setAddingToCart] = useState({});
+    const [watchedIds, setWatchedIds] = useState(new Set());
 
     // Fetch categories once on component mount
     useEffect(() => {
@@ -60,11 +94,58 @@ const BuyerPage = () => {
         });
     }, []);
 
+    // Check if cross-campus browsing is allowed, for the campus filter
+    useEffect(() => {
+        campusService.getCurrentCampus()
+            .then(response => setCrossCampusBrowse(response.data.campus.allowCrossCampusBrowse))
+            .catch(err => console.error('Error fetching campus:', err));
+    }, []);
+
+    // Fetch the attributes of the selected category for its filters
+    useEffect(() => {
+        if (filters.category === 'all') {
+            setCategoryAttributes([]);
+            return;
+        }
+
+        categoryService.getCategoryAttributes(filters.category)
+            .then(response => setCategoryAttributes(response.data.attributes))
+            .catch(err => {
+                console.error('Error fetching category attributes:', err);
+                setCategoryAttributes([]);
+            });
+    }, [filters.category]);
+
+    // Fetch watched listings to show the heart toggles
+    useEffect(() => {
+        if (!isAuthenticated) {
+            setWatchedIds(new Set());
+            return;
+        }
+
+        watchlistService.getWatchlistIds()
+            .then(response => setWatchedIds(new Set(response.data.productIds)))
+            .catch(err => console.error('Error fetching watchlist:', err));
+    }, [isAuthenticated]);
+
+    // Fetch course subscriptions to show the subscribe toggle of the selected course
+    useEffect(() => {
+        if (!isAuthenticated) {
+            setSubscribedCourseIds(new Set());
+            return;
+        }
+
+        courseService.getSubscriptions()
+            .then(response => setSubscribedCourseIds(new Set(response.data.courses.map(item => item.id))))
+            .catch(err => console.error('Error fetching course subscriptions:', err));
+    }, [isAuthenticated]);
+
     // Fetch products when filters change
     useEffect(() => {
         const fetchProducts = async () => {
             setLoading(true);
             setError(null);
+            setSaveSearchMessage(null);
 
             try {
                 // Prepare search options with correct parameter names
@@ -72,7 +153,8 @@ const BuyerPage = () => {
                     search: searchTerm,
                     sort: filters.sortBy,
                     page: currentPage,
-                    limit: filters.limit
+                    limit: filters.limit,
+                    facets: true
                 };
 
                 // Add optional filters only if they have values
@@ -88,15 +170,44 @@ const BuyerPage = () => {
                     searchOptions.maxPrice = parseFloat(filters.maxPrice);
                 }
 
+                if (filters.condition) {
+                    searchOptions.condition = filters.condition;
+                }
+
+                if (filters.location) {
+                    searchOptions.location = filters.location;
+                }
+
+                if (filters.allCampuses) {
+                    searchOptions.allCampuses = true;
+                }
+
+                Object.entries(attributeFilters)
+                    .filter(([, value]) => value)
+                    .forEach(([name, value]) => {
+                        searchOptions[`attr[${name}]`] = value;
+                    });
+
+                if (course) {
+                    searchOptions.course = course;
+                }
+
                 // Call the API
                 const response = await productService.getProducts(searchOptions);
 
                 setProducts(response.data.products);
                 setTotalPages(response.data.totalPages);
+                setCorrectedSearch(response.data.correctedSearch);
+                setFacets(response.data.facets);
+                setCourseInfo(response.data.course || null);
 
             } catch (err) {
                 console.error('Error fetching products:', err);
-                setError('Failed to load products. Please try again.');
+                setCourseInfo(null);
+                // Invalid attribute filters (e.g. a malformed ISBN) and unknown courses are explained by the API
+                setError([400, 404].includes(err.response?.status)
+                    ? err.response.data.message
+                    : 'Failed to load products. Please try again.');
             } finally {
                 setLoading(false);
             }
@@ -110,12 +221,25 @@ const BuyerPage = () => {
         if (searchTerm) newSearchParams.set('search', searchTerm);
         if (filters.minPrice) newSearchParams.set('minPrice', filters.minPrice);
         if (filters.maxPrice) newSearchParams.set('maxPrice', filters.maxPrice);
+        if (filters.condition) newSearchParams.set('condition', filters.condition);
+        if (filters.location) newSearchParams.set('location', filters.location);
         if (filters.sortBy !== 'newest') newSearchParams.set('sortBy', filters.sortBy);
+        if (filters.allCampuses) newSearchParams.set('allCampuses', 'true');
+        Object.entries(attributeFilters)
+            .filter(([, value]) => value)
+            .forEach(([name, value]) => newSearchParams.set(`attr[${name}]`, value));
+        if (course) newSearchParams.set('course', course);
         if (currentPage > 1) newSearchParams.set('page', currentPage.toString());
 
         setSearchParams(newSearchParams);
 
-    }, [filters, searchTerm, currentPage, setSearchParams]);
+    }, [filters, attributeFilters, course, searchTerm, currentPage, setSearchParams]);
+
+    // Number of results a category would return under the other filters
+    const getCategoryCount = (categoryId) => {
+        const facet = facets?.categories.find(cat => cat.id.toString() === categoryId.toString());
+        return facet ? facet.count : 0;
+    };
 
     // Handle filter changes
     const handleFilterChange = (e) => {
@@ -125,10 +249,83 @@ const BuyerPage = () => {
             [name]: value
         }));
 
+        // Attributes belong to the category, so its filters go with it
+        if (name === 'category') {
+            setAttributeFilters({});
+            setAttributeInputs({});
+        }
+
         // Reset to page 1 when filters change
         setCurrentPage(1);
     };
 
+    // Handle attribute filter changes
+    const handleAttributeFilterChange = (name, value) => {
+        setAttributeInputs(prev => ({ ...prev, [name]: value }));
+
+        // Leaving a field without changing it doesn't search again
+        if ((attributeFilters[name] || '') === value) {
+            return;
+        }
+
+        setAttributeFilters(prev => ({ ...prev, [name]: value }));
+        setCurrentPage(1);
+    };
+
+    // Apply the typed course code
+    const handleCourseChange = (value) => {
+        setCourseInput(value);
+
+        if (course === value) {
+            return;
+        }
+
+        setCourse(value);
+        setCurrentPage(1);
+    };
+
+    // Subscribe to new listings for the selected course, or unsubscribe
+    const handleToggleCourseSubscription = async () => {
+        if (!isAuthenticated) {
+            navigate('/login');
+            return;
+        }
+
+        const subscribed = subscribedCourseIds.has(courseInfo.id);
+
+        try {
+            if (subscribed) {
+                await courseService.unsubscribe(courseInfo.id);
+            } else {
+                await courseService.subscribe(courseInfo.id);
+            }
+
+            setSubscribedCourseIds(prev => {
+                const next = new Set(prev);
+                if (subscribed) {
+                    next.delete(courseInfo.id);
+                } else {
+                    next.add(courseInfo.id);
+                }
+                return next;
+            });
+        } catch (err) {
+            console.error('Error updating course subscription:', err);
+            alert(err.response?.data?.message || 'Failed to update course subscription');
+        }
+    };
+
+    // Apply a price range from the facets
+    const handlePriceRange = (range) => {
+        setFilters(prev => ({
+            ...prev,
+            minPrice: range.min.toString(),
+            // Bucket maximums are exclusive, the max price filter is inclusive
+            maxPrice: range.max === null ? '' : (range.max - 0.01).toString()
+        }));
+        setCurrentPage(1);
+    };
+
     // Handle search input
     const handleSearch = (e) => {
         setSearchTerm(e.target.value);
@@ -142,13 +339,44 @@ const BuyerPage = () => {
             category: 'all',
             minPrice: '',
             maxPrice: '',
+            condition: '',
+            location: '',
             sortBy: 'newest',
+            allCampuses: false,
             limit: 8
         });
+        setAttributeFilters({});
+        setAttributeInputs({});
+        setCourse('');
+        setCourseInput('');
         setSearchTerm('');
         setCurrentPage(1);
     };
 
+    // Save the current search and filters for new listing alerts
+    const handleSaveSearch = async () => {
+        const category = categories.find(cat => cat.id.toString() === filters.category.toString());
+        const name = [searchTerm, filters.category !== 'all' && category?.name]
+            .filter(Boolean)
+            .join(' in ') || 'All listings';
+
+        try {
+            await savedSearchService.createSavedSearch({
+                name,
+                searchTerm,
+                categoryId: filters.category !== 'all' ? filters.category : null,
+                minPrice: filters.minPrice,
+                maxPrice: filters.maxPrice,
+                condition: filters.condition,
+                alertMethod: 'email'
+            });
+            setSaveSearchMessage('Search saved. We will email you when new listings match.');
+        } catch (err) {
+            console.error('Error saving search:', err);
+            setSaveSearchMessage(err.response?.data?.message || 'Failed to save search');
+        }
+    };
+
     // Handle pagination
     const handlePageChange = (newPage) => {
         if (newPage >= 1 && newPage <= totalPages) {
@@ -177,8 +405,40 @@ const BuyerPage = () => {
         }
     };
 
+    // Watch or stop watching a listing
+    const handleToggleWatch = async (productId) => {
+        if (!isAuthenticated) {
+            navigate('/login');
+            return;
+        }
+
+        const watched = watchedIds.has(productId);
+
+        try {
+            if (watched) {
+                await watchlistService.removeFromWatchlist(productId);
+            } else {
+                await watchlistService.addToWatchlist(productId);
+            }
+
+            setWatchedIds(prev => {
+                const next = new Set(prev);
+                if (watched) {
+                    next.delete(productId);
+                } else {
+                    next.add(productId);
+                }
+                return next;
+            });
+        } catch (err) {
+            console.error('Error updating watchlist:', err);
+            alert(err.response?.data?.message || 'Failed to update watchlist');
+        }
+    };
+
     function getProductImageUrl(product) {
-        let imageUrl = product.main_image || product.images[0];
+        // Cards load the card size, not the full image
+        let imageUrl = product.image_sizes?.card.url || product.main_image || product.images[0];
         if (!imageUrl) return '/placeholder-image.jpg';
 
         // Check if the image URL is already a full URL
@@ -231,6 +491,19 @@ const BuyerPage = () => {
                         />
                     </div>
 
+                    <div className="filter-section">
+                        <h3>Find Books for a Course</h3>
+                        <input
+                            type="text"
+                            placeholder="e.g. CSE 3330"
+                            className="search-input"
+                            value={courseInput}
+                            onChange={(e) => setCourseInput(e.target.value)}
+                            onBlur={(e) => handleCourseChange(e.target.value.trim())}
+                            onKeyDown={(e) => e.key === 'Enter' && handleCourseChange(e.target.value.trim())}
+                        />
+                    </div>
+
                     <div className="filter-section">
                         <h3>Categories</h3>
                         <select
@@ -239,12 +512,103 @@ const BuyerPage = () => {
                             onChange={handleFilterChange}
                             className="filter-select"
                         >
-                            {categories.map(cat => (
-                                <option key={cat.id} value={cat.id}>{cat.name}</option>
-                            ))}
+                            {categories
+                                .filter(cat => cat.id === 'all' || !facets || getCategoryCount(cat.id) > 0
+                                    || cat.id.toString() === filters.category)
+                                .map(cat => (
+                                    <option key={cat.id} value={cat.id}>
+                                        {getCategoryLabel(cat)}
+                                        {cat.id !== 'all' && facets ? ` (${getCategoryCount(cat.id)})` : ''}
+                                    </option>
+                                ))}
                         </select>
                     </div>
 
+                    {categoryAttributes.map(attribute => (
+                        <div key={attribute.id} className="filter-section">
+                            <h3>{attribute.name}{attribute.unit && ` (${attribute.unit})`}</h3>
+                            {attribute.type === 'select' ? (
+                                <select
+                                    value={attributeFilters[attribute.name] || ''}
+                                    onChange={(e) => handleAttributeFilterChange(attribute.name, e.target.value)}
+                                    className="filter-select"
+                                >
+                                    <option value="">Any {attribute.name}</option>
+                                    {attribute.options.map(option => (
+                                        <option key={option} value={option}>{option}</option>
+                                    ))}
+                                </select>
+                            ) : (
+                                <input
+                                    type={attribute.type === 'number' ? 'number' : 'text'}
+                                    min={attribute.type === 'number' ? '0' : undefined}
+                                    placeholder={`Any ${attribute.name}`}
+                                    value={attributeInputs[attribute.name] || ''}
+                                    onChange={(e) => setAttributeInputs(prev => ({ ...prev, [attribute.name]: e.target.value }))}
+                                    onBlur={(e) => handleAttributeFilterChange(attribute.name, e.target.value.trim())}
+                                    onKeyDown={(e) => e.key === 'Enter'
+                                        && handleAttributeFilterChange(attribute.name, e.target.value.trim())}
+                                    className="search-input"
+                                />
+                            )}
+                        </div>
+                    ))}
+
+                    {facets && (facets.conditions.length > 0 || filters.condition) && (
+                        <div className="filter-section">
+                            <h3>Condition</h3>
+                            <select
+                                name="condition"
+                                value={filters.condition}
+                                onChange={handleFilterChange}
+                                className="filter-select"
+                            >
+                                <option value="">Any Condition</option>
+                                {facets.conditions.map(option => (
+                                    <option key={option.value} value={option.value}>
+                                        {option.value} ({option.count})
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {facets && (facets.locations.length > 0 || filters.location) && (
+                        <div className="filter-section">
+                            <h3>Location</h3>
+                            <select
+                                name="location"
+                                value={filters.location}
+                                onChange={handleFilterChange}
+                                className="filter-select"
+                            >
+                                <option value="">Any Location</option>
+                                {facets.locations.map(option => (
+                                    <option key={option.value} value={option.value}>
+                                        {option.value} ({option.count})
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {(crossCampusBrowse || filters.allCampuses) && (
+                        <div className="filter-section">
+                            <h3>Campus</h3>
+                            <label className="campus-toggle">
+                                <input
+                                    type="checkbox"
+                                    checked={filters.allCampuses}
+                                    onChange={(e) => {
+                                        setFilters(prev => ({ ...prev, allCampuses: e.target.checked }));
+                                        setCurrentPage(1);
+                                    }}
+                                />
+                                Include other campuses
+                            </label>
+                        </div>
+                    )}
+
                     <div className="filter-section">
                         <h3>Price Range</h3>
                         <div className="price-inputs">
@@ -268,6 +632,21 @@ const BuyerPage = () => {
                                 min="0"
                             />
                         </div>
+                        {facets && facets.priceRanges.length > 0 && (
+                            <ul className="price-ranges">
+                                {facets.priceRanges.map(range => (
+                                    <li key={range.key}>
+                                        <button
+                                            type="button"
+                                            className="price-range-btn"
+                                            onClick={() => handlePriceRange(range)}
+                                        >
+                                            {range.label} ({range.count})
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
                     </div>
 
                     <div className="filter-section">
@@ -278,6 +657,7 @@ const BuyerPage = () => {
                             onChange={handleFilterChange}
                             className="filter-select"
                         >
+                            <option value="relevance">Best Match</option>
                             <option value="newest">Newest First</option>
                             <option value="priceAsc">Price: Low to High</option>
                             <option value="priceDesc">Price: High to Low</option>
@@ -290,14 +670,39 @@ const BuyerPage = () => {
                     >
                         Reset Filters
                     </button>
+
+                    {isAuthenticated && (
+                        <div className="save-search">
+                            <button className="btn btn-secondary" onClick={handleSaveSearch}>
+                                Save This Search
+                            </button>
+                            {saveSearchMessage && <p className="save-search-message">{saveSearchMessage}</p>}
+                        </div>
+                    )}
                 </div>
 
                 {/* Products grid */}
                 <div className="products-container">
+                    {courseInfo && (
+                        <div className="course-banner">
+                            <div className="course-banner-info">
+                                <strong>{courseInfo.code}</strong> {courseInfo.title}
+                                {courseInfo.term && <span className="course-banner-term"> · {courseInfo.term}</span>}
+                            </div>
+                            <button className="btn btn-outline" onClick={handleToggleCourseSubscription}>
+                                {subscribedCourseIds.has(courseInfo.id) ? 'Unsubscribe' : 'Notify Me of New Listings'}
+                            </button>
+                        </div>
+                    )}
                     {loading ? (
                         <div className="loading-message">Loading products...</div>
                     ) : products.length > 0 ? (
                         <>
+                            {correctedSearch && (
+                                <p className="search-correction">
+                                    No results for &quot;{searchTerm}&quot;. Showing results for &quot;{correctedSearch}&quot;.
+                                </p>
+                            )}
                             <div className="products-grid">
                                 {products.map(product => (
                                     <div className="product-card" key={product.id}>
@@ -306,18 +711,43 @@ const BuyerPage = () => {
                                                 src={getProductImageUrl(product)}
                                                 alt={product.name}
                                             />
+                                            {(!user || product.seller_id !== user.id) && (
+                                                <button
+                                                    className={`watch-toggle ${watchedIds.has(product.id) ? 'watched' : ''}`}
+                                                    onClick={() => handleToggleWatch(product.id)}
+                                                    title={watchedIds.has(product.id) ? 'Remove from watchlist' : 'Add to watchlist'}
+                                                    aria-pressed={watchedIds.has(product.id)}
+                                                >
+                                                    {watchedIds.has(product.id) ? '♥' : '♡'}
+                                                </button>
+                                            )}
                                         </div>
                                         <div className="product-details">
-                                            <h3 className="product-title">{product.name}</h3>
+                                            {/* Search highlights are escaped by the server, only <mark> tags are added */}
+                                            {product.highlights ? (
+                                                <h3
+                                                    className="product-title"
+                                                    dangerouslySetInnerHTML={{ __html: product.highlights.name }}
+                                                />
+                                            ) : (
+                                                <h3 className="product-title">{product.name}</h3>
+                                            )}
                                             <p className="product-price">${parseFloat(product.price).toFixed(2)}</p>
                                             <p className="product-seller">
                                                 Seller: {product.seller_first_name} {product.seller_last_name}
                                             </p>
-                                            <p className="product-description">
-                                                {product.description && product.description.length > 60
-                                                    ? `${product.description.substring(0, 60)}...`
-                                                    : product.description}
-                                            </p>
+                                            {product.highlights ? (
+                                                <p
+                                                    className="product-description"
+                                                    dangerouslySetInnerHTML={{ __html: product.highlights.snippet }}
+                                                />
+                                            ) : (
+                                                <p className="product-description">
+                                                    {product.description && product.description.length > 60
+                                                        ? `${product.description.substring(0, 60)}...`
+                                                        : product.description}
+                                                </p>
+                                            )}
                                             <div className="product-actions">
                                                 <Link to={`/product/${product.id}`} className="btn btn-secondary">
                                                     View Details
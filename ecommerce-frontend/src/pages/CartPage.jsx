@@ -305,7 +305,13 @@ const CartPage = () => {
                                     </div>
                                 </div>
 
-                                <div className="item-price">${parseFloat(item.price).toFixed(2)}</div>
+                                <div className="item-price">
+                                    ${parseFloat(item.price).toFixed(2)}
+                                    {/* Accepted offers lock in a lower price */}
+                                    {parseFloat(item.price) < parseFloat(item.list_price) && (
+                                        <span className="item-list-price">${parseFloat(item.list_price).toFixed(2)}</span>
+                                    )}
+                                </div>
 
                                 <div className="item-quantity">
                                     <div className="quantity-control">
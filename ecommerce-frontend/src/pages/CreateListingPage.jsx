@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { productService, categoryService } from '../services';
+import { getCategoryLabel, findAttribute } from '../utils/categories';
 import { useAuth } from '../context/AuthContext';
+import CategoryAttributeFields from '../components/CategoryAttributeFields';
 import '../css/CreateListingPage.css';
 
 const CreateListingPage = () => {
@@ -16,6 +18,7 @@ const CreateListingPage = () => {
         categoryId: '',
         itemCondition: 'Used - Good',
         location: 'UTA Campus',
+        courses: '',
     });
 
     // Image state
@@ -27,6 +30,23 @@ const CreateListingPage = () => {
     const [specifications, setSpecifications] = useState([]);
     const [newSpec, setNewSpec] = useState({ name: '', value: '' });
 
+    // Attributes of the selected category and their values, keyed by attribute name
+    const [attributes, setAttributes] = useState([]);
+    const [attributeValues, setAttributeValues] = useState({});
+
+    // Optional publish time (empty publishes straight away)
+    const [publishAt, setPublishAt] = useState('');
+
+    // Fixed price or auction, and the auction's settings
+    const [listingType, setListingType] = useState('fixed');
+    const [auction, setAuction] = useState({
+        startingPrice: '',
+        reservePrice: '',
+        bidIncrement: '1',
+        endsAt: ''
+    });
+    const isAuction = listingType === 'auction';
+
     // Categories
     const [categories, setCategories] = useState([]);
 
@@ -53,6 +73,21 @@ const CreateListingPage = () => {
         fetchCategories();
     }, []);
 
+    // Load the attributes of the selected category
+    useEffect(() => {
+        if (!formData.categoryId) {
+            setAttributes([]);
+            return;
+        }
+
+        categoryService.getCategoryAttributes(formData.categoryId)
+            .then(response => setAttributes(response.data.attributes))
+            .catch(err => {
+                console.error('Error fetching category attributes:', err);
+                setAttributes([]);
+            });
+    }, [formData.categoryId]);
+
     // Handle form input changes
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -77,6 +112,25 @@ const CreateListingPage = () => {
         }
     };
 
+    // Handle auction setting changes (amounts allow up to 2 decimal places)
+    const handleAuctionChange = (e) => {
+        const { name, value } = e.target;
+
+        if (name !== 'endsAt' && value !== '' && !/^\d+(\.\d{0,2})?$/.test(value)) {
+            return;
+        }
+
+        setAuction(prev => ({ ...prev, [name]: value }));
+
+        if (validationErrors[name]) {
+            setValidationErrors(prev => {
+                const newErrors = { ...prev };
+                delete newErrors[name];
+                return newErrors;
+            });
+        }
+    };
+
     // Handle image selection
     const handleImageChange = (e) => {
         if (e.target.files) {
@@ -113,12 +167,32 @@ const CreateListingPage = () => {
         setNewSpec(prev => ({ ...prev, [name]: value }));
     };
 
-    // Add a new specification
+    // Handle attribute input changes
+    const handleAttributeChange = (name, value) => {
+        setAttributeValues(prev => ({ ...prev, [name]: value }));
+
+        if (validationErrors[`attr[${name}]`]) {
+            setValidationErrors(prev => {
+                const newErrors = { ...prev };
+                delete newErrors[`attr[${name}]`];
+                return newErrors;
+            });
+        }
+    };
+
+    // Add a new specification (attributes of the category go in their own field)
     const handleAddSpec = () => {
         if (newSpec.name.trim() === '' || newSpec.value.trim() === '') {
             return;
         }
 
+        const attribute = findAttribute(attributes, newSpec.name);
+        if (attribute) {
+            handleAttributeChange(attribute.name, newSpec.value);
+            setNewSpec({ name: '', value: '' });
+            return;
+        }
+
         setSpecifications(prev => [...prev, { ...newSpec }]);
         setNewSpec({ name: '', value: '' });
     };
@@ -128,14 +202,33 @@ const CreateListingPage = () => {
         setSpecifications(prev => prev.filter((_, i) => i !== index));
     };
 
-    // Validate form
-    const validateForm = () => {
+    // Validate form (drafts only need a name and category)
+    const validateForm = (isDraft) => {
         const errors = {};
 
         if (!formData.name.trim()) errors.name = 'Product name is required';
-        if (!formData.description.trim()) errors.description = 'Description is required';
-        if (!formData.price) errors.price = 'Price is required';
-        if (parseFloat(formData.price) <= 0) errors.price = 'Price must be greater than 0';
+        if (!isDraft) {
+            if (!formData.description.trim()) errors.description = 'Description is required';
+            if (isAuction) {
+                if (!(parseFloat(auction.startingPrice) > 0)) errors.startingPrice = 'Starting price must be greater than 0';
+                if (auction.reservePrice && parseFloat(auction.reservePrice) < parseFloat(auction.startingPrice)) {
+                    errors.reservePrice = 'Reserve price must be at least the starting price';
+                }
+                if (!(parseFloat(auction.bidIncrement) > 0)) errors.bidIncrement = 'Bid increment must be greater than 0';
+                if (!auction.endsAt) errors.endsAt = 'End time is required';
+                else if (new Date(auction.endsAt) - new Date() < 60 * 60 * 1000) errors.endsAt = 'Auctions must run for at least an hour';
+            } else {
+                if (!formData.price) errors.price = 'Price is required';
+                if (parseFloat(formData.price) <= 0) errors.price = 'Price must be greater than 0';
+                if (publishAt && new Date(publishAt) <= new Date()) errors.publishAt = 'Publish time must be in the future';
+            }
+            attributes
+                .filter(attribute => attribute.is_required && !attributeValues[attribute.name]?.trim()
+                    && !specifications.some(spec => findAttribute([attribute], spec.name)))
+                .forEach(attribute => {
+                    errors[`attr[${attribute.name}]`] = `${attribute.name} is required`;
+                });
+        }
         if (!formData.categoryId) errors.categoryId = 'Category is required';
         if (!formData.itemCondition) errors.itemCondition = 'Condition is required';
         if (!formData.location) errors.location = 'Location is required';
@@ -144,16 +237,14 @@ const CreateListingPage = () => {
         return Object.keys(errors).length === 0;
     };
 
-    // Handle form submission
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-
+    // Create the listing, as a draft or to publish now or at the chosen time
+    const saveListing = async (isDraft) => {
         // Clear previous status
         setError(null);
         setSuccess(null);
 
         // Validate form
-        if (!validateForm()) {
+        if (!validateForm(isDraft)) {
             setError('Please fill in all required fields correctly.');
             return;
         }
@@ -161,15 +252,41 @@ const CreateListingPage = () => {
         setLoading(true);
 
         try {
+            // Attribute values are sent as specifications with the free-form ones (a free-form one added
+            // before choosing the category only counts when its attribute's field is left empty)
+            const filledAttributes = attributes.filter(attribute => attributeValues[attribute.name]?.trim());
+            const allSpecifications = [
+                ...filledAttributes.map(attribute => ({
+                    name: attribute.name,
+                    value: attributeValues[attribute.name].trim()
+                })),
+                ...specifications.filter(spec => !filledAttributes.includes(findAttribute(attributes, spec.name)))
+            ];
+
             // First, create the product
             const productData = {
                 ...formData,
-                price: parseFloat(formData.price),
-                specifications: specifications.length > 0 ? JSON.stringify(specifications) : undefined
+                price: formData.price ? parseFloat(formData.price) : undefined,
+                specifications: allSpecifications.length > 0 ? JSON.stringify(allSpecifications) : undefined,
+                draft: isDraft,
+                publishAt: !isDraft && publishAt ? new Date(publishAt).toISOString() : undefined
             };
 
+            // Auctions are priced by their bids and start when published
+            if (isAuction) {
+                Object.assign(productData, {
+                    listingType,
+                    price: undefined,
+                    publishAt: undefined,
+                    startingPrice: parseFloat(auction.startingPrice),
+                    reservePrice: auction.reservePrice ? parseFloat(auction.reservePrice) : undefined,
+                    bidIncrement: parseFloat(auction.bidIncrement),
+                    endsAt: new Date(auction.endsAt).toISOString()
+                });
+            }
+
             const response = await productService.createProduct(productData);
-            const productId = response.data.productId;
+            const { productId, status } = response.data;
 
             // Then, upload images if any
             if (imageFiles.length > 0) {
@@ -181,6 +298,15 @@ const CreateListingPage = () => {
                 await productService.uploadProductImages(productId, formData);
             }
 
+            // Drafts and scheduled listings aren't public yet, so go back to the Drafts tab
+            if (status === 'draft' || status === 'scheduled') {
+                setSuccess(status === 'draft' ? 'Draft saved!' : 'Listing scheduled!');
+                setTimeout(() => {
+                    navigate('/seller', { state: { tab: 'drafts' } });
+                }, 2000);
+                return;
+            }
+
             setSuccess('Product created successfully!');
 
             // Redirect to the product page after 2 seconds
@@ -196,6 +322,12 @@ const CreateListingPage = () => {
         }
     };
 
+    // Handle form submission
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        saveListing(false);
+    };
+
     // Pre-defined condition options
     const conditionOptions = [
         'New',
@@ -265,20 +397,49 @@ const CreateListingPage = () => {
                         {validationErrors.description && <p className="error-message">{validationErrors.description}</p>}
                     </div>
 
+                    <div className="form-group">
+                        <label htmlFor="listingType">Listing Type</label>
+                        <select
+                            id="listingType"
+                            name="listingType"
+                            value={listingType}
+                            onChange={(e) => setListingType(e.target.value)}
+                        >
+                            <option value="fixed">Fixed price</option>
+                            <option value="auction">Auction (sold to the highest bidder)</option>
+                        </select>
+                    </div>
+
                     <div className="form-row">
-                        <div className="form-group">
-                            <label htmlFor="price">Price ($) *</label>
-                            <input
-                                type="text"
-                                id="price"
-                                name="price"
-                                value={formData.price}
-                                onChange={handleInputChange}
-                                className={validationErrors.price ? 'error' : ''}
-                                placeholder="e.g., 29.99"
-                            />
-                            {validationErrors.price && <p className="error-message">{validationErrors.price}</p>}
-                        </div>
+                        {isAuction ? (
+                            <div className="form-group">
+                                <label htmlFor="startingPrice">Starting Price ($) *</label>
+                                <input
+                                    type="text"
+                                    id="startingPrice"
+                                    name="startingPrice"
+                                    value={auction.startingPrice}
+                                    onChange={handleAuctionChange}
+                                    className={validationErrors.startingPrice ? 'error' : ''}
+                                    placeholder="e.g., 50.00"
+                                />
+                                {validationErrors.startingPrice && <p className="error-message">{validationErrors.startingPrice}</p>}
+                            </div>
+                        ) : (
+                            <div className="form-group">
+                                <label htmlFor="price">Price ($) *</label>
+                                <input
+                                    type="text"
+                                    id="price"
+                                    name="price"
+                                    value={formData.price}
+                                    onChange={handleInputChange}
+                                    className={validationErrors.price ? 'error' : ''}
+                                    placeholder="e.g., 29.99"
+                                />
+                                {validationErrors.price && <p className="error-message">{validationErrors.price}</p>}
+                            </div>
+                        )}
 
                         <div className="form-group">
                             <label htmlFor="categoryId">Category *</label>
@@ -292,7 +453,7 @@ const CreateListingPage = () => {
                                 <option value="">Select a category</option>
                                 {categories.map(category => (
                                     <option key={category.id} value={category.id}>
-                                        {category.name} {category.icon}
+                                        {getCategoryLabel(category)} {category.icon}
                                     </option>
                                 ))}
                             </select>
@@ -377,8 +538,19 @@ const CreateListingPage = () => {
                 </div>
 
                 <div className="form-section">
-                    <h2>Specifications (Optional)</h2>
-                    <p className="section-description">Add details like brand, model, dimensions, etc.</p>
+                    <h2>Specifications</h2>
+                    <p className="section-description">
+                        {attributes.length > 0
+                            ? 'Fill in the details buyers filter this category by, then add any others below.'
+                            : 'Add details like brand, model, dimensions, etc.'}
+                    </p>
+
+                    <CategoryAttributeFields
+                        attributes={attributes}
+                        values={attributeValues}
+                        onChange={handleAttributeChange}
+                        errors={validationErrors}
+                    />
 
                     <div className="specs-container">
                         {specifications.map((spec, index) => (
@@ -422,6 +594,90 @@ const CreateListingPage = () => {
                     </div>
                 </div>
 
+                <div className="form-section">
+                    <h2>Courses (Optional)</h2>
+                    <p className="section-description">Selling a textbook? Tag the courses it's used for so students can find it, e.g. CSE 3330, CSE 2320.</p>
+
+                    <div className="form-group">
+                        <label htmlFor="courses">Course Codes</label>
+                        <input
+                            type="text"
+                            id="courses"
+                            name="courses"
+                            value={formData.courses}
+                            onChange={handleInputChange}
+                            placeholder="CSE 3330, CSE 2320"
+                        />
+                    </div>
+                </div>
+
+                {isAuction ? (
+                    <div className="form-section">
+                        <h2>Auction</h2>
+                        <p className="section-description">The auction starts when the listing is published. Bids in the last 5 minutes extend it, and the highest bidder gets an order when it ends.</p>
+
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label htmlFor="reservePrice">Reserve Price ($)</label>
+                                <input
+                                    type="text"
+                                    id="reservePrice"
+                                    name="reservePrice"
+                                    value={auction.reservePrice}
+                                    onChange={handleAuctionChange}
+                                    className={validationErrors.reservePrice ? 'error' : ''}
+                                    placeholder="Optional, hidden from bidders"
+                                />
+                                {validationErrors.reservePrice && <p className="error-message">{validationErrors.reservePrice}</p>}
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="bidIncrement">Bid Increment ($) *</label>
+                                <input
+                                    type="text"
+                                    id="bidIncrement"
+                                    name="bidIncrement"
+                                    value={auction.bidIncrement}
+                                    onChange={handleAuctionChange}
+                                    className={validationErrors.bidIncrement ? 'error' : ''}
+                                />
+                                {validationErrors.bidIncrement && <p className="error-message">{validationErrors.bidIncrement}</p>}
+                            </div>
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="endsAt">Ends At *</label>
+                            <input
+                                type="datetime-local"
+                                id="endsAt"
+                                name="endsAt"
+                                value={auction.endsAt}
+                                onChange={handleAuctionChange}
+                                className={validationErrors.endsAt ? 'error' : ''}
+                            />
+                            {validationErrors.endsAt && <p className="error-message">{validationErrors.endsAt}</p>}
+                        </div>
+                    </div>
+                ) : (
+                    <div className="form-section">
+                        <h2>Publishing (Optional)</h2>
+                        <p className="section-description">Pick a time to publish the listing later, e.g. the first day of the semester. Leave empty to publish now.</p>
+
+                        <div className="form-group">
+                            <label htmlFor="publishAt">Publish At</label>
+                            <input
+                                type="datetime-local"
+                                id="publishAt"
+                                name="publishAt"
+                                value={publishAt}
+                                onChange={(e) => setPublishAt(e.target.value)}
+                                className={validationErrors.publishAt ? 'error' : ''}
+                            />
+                            {validationErrors.publishAt && <p className="error-message">{validationErrors.publishAt}</p>}
+                        </div>
+                    </div>
+                )}
+
                 <div className="form-actions">
                     <button
                         type="button"
@@ -430,12 +686,22 @@ const CreateListingPage = () => {
                     >
                         Cancel
                     </button>
+                    {!isAuction && (
+                        <button
+                            type="button"
+                            className="btn btn-outline"
+                            onClick={() => saveListing(true)}
+                            disabled={loading}
+                        >
+                            Save Draft
+                        </button>
+                    )}
                     <button
                         type="submit"
                         className="btn btn-primary"
                         disabled={loading}
                     >
-                        {loading ? 'Creating...' : 'Create Listing'}
+                        {loading ? 'Saving...' : isAuction ? 'Start Auction' : publishAt ? 'Schedule Listing' : 'Create Listing'}
                     </button>
                 </div>
             </form>
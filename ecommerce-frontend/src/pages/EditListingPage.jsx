@@ -1,14 +1,20 @@
 // src/pages/EditListingPage.jsx
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { productService, categoryService } from '../services';
+import { getCategoryLabel, findAttribute } from '../utils/categories';
 import { useAuth } from '../context/AuthContext';
+import CategoryAttributeFields from '../components/CategoryAttributeFields';
 import '../css/CreateListingPage.css';
 
 const EditListingPage = () => {
     const { id } = useParams();
     const { user } = useAuth();
     const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+
+    // Drafts are resumed from the Drafts tab and can be published from here
+    const isDraft = searchParams.get('draft') === 'true';
 
     // Form state
     const [formData, setFormData] = useState({
@@ -18,6 +24,7 @@ const EditListingPage = () => {
         categoryId: '',
         itemCondition: '',
         location: '',
+        courses: '',
     });
 
     // Image state
@@ -30,6 +37,16 @@ const EditListingPage = () => {
     const [specifications, setSpecifications] = useState([]);
     const [newSpec, setNewSpec] = useState({ name: '', value: '' });
 
+    // Attributes of the selected category and their values, keyed by attribute name
+    const [attributes, setAttributes] = useState([]);
+    const [attributeValues, setAttributeValues] = useState({});
+
+    // Optional publish time for drafts (empty publishes straight away)
+    const [publishAt, setPublishAt] = useState('');
+
+    // The price of an auction follows its bids, so it can't be edited
+    const [isAuction, setIsAuction] = useState(false);
+
     // Categories
     const [categories, setCategories] = useState([]);
 
@@ -48,8 +65,10 @@ const EditListingPage = () => {
             try {
                 setLoading(true);
 
-                // Fetch product details
-                const productResponse = await productService.getProductById(id);
+                // Fetch product details (drafts aren't public, so they have their own endpoint)
+                const productResponse = isDraft
+                    ? await productService.getDraft(id)
+                    : await productService.getProductById(id);
                 const product = productResponse.data.product;
 
                 // Check if user is the owner of this product
@@ -66,11 +85,20 @@ const EditListingPage = () => {
                 setFormData({
                     name: product.name || '',
                     description: product.description || '',
-                    price: product.price ? product.price.toString() : '',
+                    price: parseFloat(product.price) > 0 ? product.price.toString() : '',
                     categoryId: product.category_id || '',
                     itemCondition: product.item_condition || 'Used - Good',
                     location: product.location || 'UTA Campus',
+                    courses: (product.courses || []).map(course => course.code).join(', '),
                 });
+                setIsAuction(product.listing_type === 'auction');
+
+                // Show the publish time of scheduled listings in the local time zone
+                if (product.publish_at) {
+                    const date = new Date(product.publish_at);
+                    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+                    setPublishAt(date.toISOString().slice(0, 16));
+                }
 
                 // Set specifications
                 if (product.specifications && product.specifications.length > 0) {
@@ -79,6 +107,9 @@ const EditListingPage = () => {
                         name: spec.name,
                         value: spec.value
                     })));
+                    setAttributeValues(Object.fromEntries(
+                        product.specifications.map(spec => [spec.name, spec.value])
+                    ));
                 }
 
                 // Set existing images
@@ -101,7 +132,22 @@ const EditListingPage = () => {
         };
 
         fetchData();
-    }, [id, user.id]);
+    }, [id, user.id, isDraft]);
+
+    // Load the attributes of the selected category
+    useEffect(() => {
+        if (!formData.categoryId) {
+            setAttributes([]);
+            return;
+        }
+
+        categoryService.getCategoryAttributes(formData.categoryId)
+            .then(response => setAttributes(response.data.attributes))
+            .catch(err => {
+                console.error('Error fetching category attributes:', err);
+                setAttributes([]);
+            });
+    }, [formData.categoryId]);
 
     // Handle form input changes
     const handleInputChange = (e) => {
@@ -204,12 +250,32 @@ const EditListingPage = () => {
         setNewSpec(prev => ({ ...prev, [name]: value }));
     };
 
-    // Add a new specification
+    // Handle attribute input changes (saved with the rest of the form)
+    const handleAttributeChange = (name, value) => {
+        setAttributeValues(prev => ({ ...prev, [name]: value }));
+
+        if (validationErrors[`attr[${name}]`]) {
+            setValidationErrors(prev => {
+                const newErrors = { ...prev };
+                delete newErrors[`attr[${name}]`];
+                return newErrors;
+            });
+        }
+    };
+
+    // Add a new specification (attributes of the category go in their own field)
     const handleAddSpec = async () => {
         if (newSpec.name.trim() === '' || newSpec.value.trim() === '') {
             return;
         }
 
+        const attribute = findAttribute(attributes, newSpec.name);
+        if (attribute) {
+            handleAttributeChange(attribute.name, newSpec.value);
+            setNewSpec({ name: '', value: '' });
+            return;
+        }
+
         try {
             // Add spec to the server
             const response = await productService.addProductSpecification(id, {
@@ -228,7 +294,7 @@ const EditListingPage = () => {
             setSuccess('Specification added successfully.');
         } catch (err) {
             console.error('Error adding specification:', err);
-            setError('Failed to add specification. Please try again.');
+            setError(err.response?.data?.message || 'Failed to add specification. Please try again.');
         }
     };
 
@@ -264,14 +330,22 @@ const EditListingPage = () => {
         }
     };
 
-    // Validate form
-    const validateForm = () => {
+    // Validate form (saved drafts only need a name and category)
+    const validateForm = (asDraft) => {
         const errors = {};
 
         if (!formData.name.trim()) errors.name = 'Product name is required';
-        if (!formData.description.trim()) errors.description = 'Description is required';
-        if (!formData.price) errors.price = 'Price is required';
-        if (parseFloat(formData.price) <= 0) errors.price = 'Price must be greater than 0';
+        if (!asDraft) {
+            if (!formData.description.trim()) errors.description = 'Description is required';
+            if (!formData.price) errors.price = 'Price is required';
+            if (parseFloat(formData.price) <= 0) errors.price = 'Price must be greater than 0';
+            if (isDraft && publishAt && new Date(publishAt) <= new Date()) errors.publishAt = 'Publish time must be in the future';
+            attributes
+                .filter(attribute => attribute.is_required && !attributeValues[attribute.name]?.trim())
+                .forEach(attribute => {
+                    errors[`attr[${attribute.name}]`] = `${attribute.name} is required`;
+                });
+        }
         if (!formData.categoryId) errors.categoryId = 'Category is required';
         if (!formData.itemCondition) errors.itemCondition = 'Condition is required';
         if (!formData.location) errors.location = 'Location is required';
@@ -280,16 +354,33 @@ const EditListingPage = () => {
         return Object.keys(errors).length === 0;
     };
 
-    // Handle form submission
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    // Save the attribute values as specifications: add new ones, update changed ones and remove cleared ones
+    const saveAttributeValues = async () => {
+        for (const attribute of attributes) {
+            const value = attributeValues[attribute.name]?.trim() || '';
+            const spec = specifications.find(item => findAttribute([attribute], item.name));
+
+            if (spec && !value) {
+                await productService.removeProductSpecification(id, spec.id);
+                setSpecifications(prev => prev.filter(item => item.id !== spec.id));
+            } else if (spec && value !== spec.value) {
+                await productService.updateProductSpecification(id, spec.id, value);
+                setSpecifications(prev => prev.map(item => item.id === spec.id ? { ...item, value } : item));
+            } else if (!spec && value) {
+                const response = await productService.addProductSpecification(id, { name: attribute.name, value });
+                setSpecifications(prev => [...prev, { id: response.data.specificationId, name: attribute.name, value }]);
+            }
+        }
+    };
 
+    // Save the changes, then publish the draft if asked to
+    const saveListing = async (publish) => {
         // Clear previous status
         setError(null);
         setSuccess(null);
 
         // Validate form
-        if (!validateForm()) {
+        if (!validateForm(isDraft && !publish)) {
             setError('Please fill in all required fields correctly.');
             return;
         }
@@ -300,10 +391,11 @@ const EditListingPage = () => {
             // Update the product
             const productData = {
                 ...formData,
-                price: parseFloat(formData.price)
+                price: formData.price ? parseFloat(formData.price) : undefined
             };
 
             await productService.updateProduct(id, productData);
+            await saveAttributeValues();
 
             // Upload new images if any
             if (imageFiles.length > 0) {
@@ -315,6 +407,31 @@ const EditListingPage = () => {
                 await productService.uploadProductImages(id, formData);
             }
 
+            if (isDraft) {
+                let status = 'draft';
+
+                if (publish) {
+                    const response = await productService.publishProduct(
+                        id,
+                        publishAt ? new Date(publishAt).toISOString() : undefined
+                    );
+                    status = response.data.status;
+                    setSuccess(response.data.message);
+                } else {
+                    setSuccess('Draft saved!');
+                }
+
+                // Live listings open their page, the rest go back to the seller dashboard
+                setTimeout(() => {
+                    if (status === 'active') {
+                        navigate(`/product/${id}`);
+                    } else {
+                        navigate('/seller', { state: { tab: status === 'pending' ? 'listings' : 'drafts' } });
+                    }
+                }, 2000);
+                return;
+            }
+
             setSuccess('Product updated successfully!');
 
             // Redirect to the product page after 2 seconds
@@ -330,6 +447,12 @@ const EditListingPage = () => {
         }
     };
 
+    // Handle form submission (publishes drafts)
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        saveListing(isDraft);
+    };
+
     // Helper to get image URL
     const getImageUrl = (imageUrl) => {
         if (!imageUrl) return '/placeholder-image.jpg';
@@ -401,8 +524,8 @@ const EditListingPage = () => {
     return (
         <div className="create-listing-page">
             <div className="page-header">
-                <h1>Edit Listing</h1>
-                <p>Update your product information</p>
+                <h1>{isDraft ? 'Edit Draft' : 'Edit Listing'}</h1>
+                <p>{isDraft ? 'Finish your listing and publish it now or later' : 'Update your product information'}</p>
             </div>
 
             {/* Status messages */}
@@ -452,7 +575,7 @@ const EditListingPage = () => {
 
                     <div className="form-row">
                         <div className="form-group">
-                            <label htmlFor="price">Price ($) *</label>
+                            <label htmlFor="price">{isAuction ? 'Current Bid ($)' : 'Price ($) *'}</label>
                             <input
                                 type="text"
                                 id="price"
@@ -461,6 +584,7 @@ const EditListingPage = () => {
                                 onChange={handleInputChange}
                                 className={validationErrors.price ? 'error' : ''}
                                 placeholder="e.g., 29.99"
+                                disabled={isAuction}
                             />
                             {validationErrors.price && <p className="error-message">{validationErrors.price}</p>}
                         </div>
@@ -477,7 +601,7 @@ const EditListingPage = () => {
                                 <option value="">Select a category</option>
                                 {categories.map(category => (
                                     <option key={category.id} value={category.id}>
-                                        {category.name} {category.icon}
+                                        {getCategoryLabel(category)} {category.icon}
                                     </option>
                                 ))}
                             </select>
@@ -531,7 +655,7 @@ const EditListingPage = () => {
                             <div className="image-previews">
                                 {existingImages.map((image) => (
                                     <div key={image.id} className="image-preview-item">
-                                        <img src={getImageUrl(image.image_url)} alt="Product" />
+                                        <img src={getImageUrl(image.sizes?.thumbnail.url || image.image_url)} alt="Product" />
                                         <button
                                             type="button"
                                             className="remove-image-btn"
@@ -600,10 +724,22 @@ const EditListingPage = () => {
 
                 <div className="form-section">
                     <h2>Specifications</h2>
-                    <p className="section-description">Add details like brand, model, dimensions, etc.</p>
+                    <p className="section-description">
+                        {attributes.length > 0
+                            ? 'Fill in the details buyers filter this category by, then add any others below.'
+                            : 'Add details like brand, model, dimensions, etc.'}
+                    </p>
+
+                    <CategoryAttributeFields
+                        attributes={attributes}
+                        values={attributeValues}
+                        onChange={handleAttributeChange}
+                        errors={validationErrors}
+                        markRequired={!isDraft}
+                    />
 
                     <div className="specs-container">
-                        {specifications.map((spec) => (
+                        {specifications.filter(spec => !findAttribute(attributes, spec.name)).map((spec) => (
                             <div key={spec.id} className="spec-item">
                                 <div className="spec-content">
                                     <strong>{spec.name}:</strong> {spec.value}
@@ -644,20 +780,73 @@ const EditListingPage = () => {
                     </div>
                 </div>
 
+                <div className="form-section">
+                    <h2>Courses (Optional)</h2>
+                    <p className="section-description">Selling a textbook? Tag the courses it's used for so students can find it, e.g. CSE 3330, CSE 2320.</p>
+
+                    <div className="form-group">
+                        <label htmlFor="courses">Course Codes</label>
+                        <input
+                            type="text"
+                            id="courses"
+                            name="courses"
+                            value={formData.courses}
+                            onChange={handleInputChange}
+                            placeholder="CSE 3330, CSE 2320"
+                        />
+                    </div>
+                </div>
+
+                {isDraft && (
+                    <div className="form-section">
+                        <h2>Publishing (Optional)</h2>
+                        <p className="section-description">Pick a time to publish the listing later, e.g. the first day of the semester. Leave empty to publish now.</p>
+
+                        <div className="form-group">
+                            <label htmlFor="publishAt">Publish At</label>
+                            <input
+                                type="datetime-local"
+                                id="publishAt"
+                                name="publishAt"
+                                value={publishAt}
+                                onChange={(e) => setPublishAt(e.target.value)}
+                                className={validationErrors.publishAt ? 'error' : ''}
+                            />
+                            {validationErrors.publishAt && <p className="error-message">{validationErrors.publishAt}</p>}
+                        </div>
+                    </div>
+                )}
+
                 <div className="form-actions">
                     <button
                         type="button"
                         className="btn btn-outline"
-                        onClick={() => navigate(`/product/${id}`)}
+                        onClick={() => isDraft
+                            ? navigate('/seller', { state: { tab: 'drafts' } })
+                            : navigate(`/product/${id}`)}
                     >
                         Cancel
                     </button>
+                    {isDraft && (
+                        <button
+                            type="button"
+                            className="btn btn-outline"
+                            onClick={() => saveListing(false)}
+                            disabled={submitting}
+                        >
+                            Save Draft
+                        </button>
+                    )}
                     <button
                         type="submit"
                         className="btn btn-primary"
                         disabled={submitting}
                     >
-                        {submitting ? 'Updating...' : 'Update Listing'}
+                        {submitting
+                            ? 'Saving...'
+                            : isDraft
+                                ? (publishAt ? 'Schedule Listing' : 'Publish Listing')
+                                : 'Update Listing'}
                     </button>
                 </div>
             </form>
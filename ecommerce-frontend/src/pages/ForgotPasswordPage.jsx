@@ -1,136 +1,101 @@
-import { useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
-import authService from '../services/authService'
-import '../css/Auth.css'
+// src/pages/ForgotPasswordPage.jsx
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import authService from '../services/authService';
+import '../css/ResetPassword.css';
 
 const ForgotPasswordPage = () => {
-    const [email, setEmail] = useState('')
-    const [newPassword, setNewPassword] = useState('')
-    const [confirmPassword, setConfirmPassword] = useState('')
-    const [loading, setLoading] = useState(false)
-    const [error, setError] = useState(null)
-    const [success, setSuccess] = useState(false)
+    const [email, setEmail] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(false);
 
-    const navigate = useNavigate()
+    // Handle form submission
+    const handleSubmit = async (e) => {
+        e.preventDefault();
 
-    const validateForm = () => {
-        // Reset previous errors
-        setError(null)
+        // Clear previous errors
+        setError(null);
 
         // Validate email
         if (!email || !email.includes('@')) {
-            setError('Please enter a valid email address')
-            return false
-        }
-
-        // Validate password
-        if (newPassword.length < 8) {
-            setError('Password must be at least 8 characters long')
-            return false
-        }
-
-        // Confirm passwords match
-        if (newPassword !== confirmPassword) {
-            setError('Passwords do not match')
-            return false
+            setError('Please enter a valid email address');
+            return;
         }
 
-        return true
-    }
-
-    const handleSubmit = async (e) => {
-        e.preventDefault()
-
-        // Validate form inputs
-        if (!validateForm()) return
-
         try {
-            setLoading(true)
+            setIsSubmitting(true);
 
-            // Call the direct password reset endpoint
-            await authService.directPasswordReset(email, newPassword)
+            // Call the API to request password reset
+            await authService.forgotPassword(email);
 
-            setSuccess(true)
-            setError(null)
+            // Request successful
+            setSuccess(true);
 
-            // Redirect to login after 3 seconds
-            setTimeout(() => {
-                navigate('/login')
-            }, 3000)
+            // Reset form
+            setEmail('');
         } catch (err) {
-            console.error('Error resetting password:', err)
-            setError(err.response?.data?.message || 'Failed to reset password. Please try again.')
+            console.error('Error requesting password reset:', err);
+            setError(err.response?.data?.message || 'Failed to request password reset. Please try again.');
         } finally {
-            setLoading(false)
+            setIsSubmitting(false);
         }
     }
 
     return (
-        <div className="auth-container">
-            <div className="auth-card">
-                <h2>Reset Password</h2>
+        <div className="reset-password-page">
+            <div className="reset-password-container">
+                <h1>Forgot Your Password?</h1>
 
                 {success ? (
                     <div className="success-message">
-                        <p>Password has been reset successfully!</p>
-                        <p>Redirecting to login page...</p>
+                        <p>If an account exists for that email, a password reset link is on its way.</p>
+                        <p>The link expires in 1 hour and can only be used once.</p>
+                        <Link to="/login" className="btn btn-primary">
+                            Return to Login
+                        </Link>
                     </div>
                 ) : (
-                    <form className="auth-form" onSubmit={handleSubmit}>
-                        <div className="form-group">
-                            <label htmlFor="email">Email Address</label>
-                            <input
-                                type="email"
-                                id="email"
-                                value={email}
-                                onChange={(e) => setEmail(e.target.value)}
-                                className="form-control"
-                                required
-                            />
-                        </div>
-
-                        <div className="form-group">
-                            <label htmlFor="newPassword">New Password</label>
-                            <input
-                                type="password"
-                                id="newPassword"
-                                value={newPassword}
-                                onChange={(e) => setNewPassword(e.target.value)}
-                                className="form-control"
-                                required
-                            />
-                        </div>
-
-                        <div className="form-group">
-                            <label htmlFor="confirmPassword">Confirm Password</label>
-                            <input
-                                type="password"
-                                id="confirmPassword"
-                                value={confirmPassword}
-                                onChange={(e) => setConfirmPassword(e.target.value)}
-                                className="form-control"
-                                required
-                            />
-                        </div>
-
-                        {error && <div className="error-message">{error}</div>}
-
-                        <button
-                            type="submit"
-                            className="btn btn-primary"
-                            disabled={loading}
-                        >
-                            {loading ? 'Resetting...' : 'Reset Password'}
-                        </button>
-
-                        <div className="auth-links">
+                    <>
+                        <p className="instructions">
+                            Enter your email address below and we'll send you instructions to reset your password.
+                        </p>
+
+                        <form onSubmit={handleSubmit}>
+                            <div className="form-group">
+                                <label htmlFor="email">Email Address</label>
+                                <input
+                                    type="email"
+                                    id="email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    className="form-control"
+                                    required
+                                    disabled={isSubmitting}
+                                    placeholder="Enter your UTA email"
+                                />
+                                <small className="help-text">Enter the email address you use to sign in</small>
+                            </div>
+
+                            {error && <div className="error-message">{error}</div>}
+
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                disabled={isSubmitting}
+                            >
+                                {isSubmitting ? 'Sending...' : 'Send Reset Instructions'}
+                            </button>
+                        </form>
+
+                        <div className="links">
                             <Link to="/login">Back to Login</Link>
                         </div>
-                    </form>
+                    </>
                 )}
             </div>
         </div>
-    )
+    );
 }
 
-export default ForgotPasswordPage
\ No newline at end of file
+export default ForgotPasswordPage;
\ No newline at end of file
@@ -23,7 +23,8 @@ const HomePage = () => {
                 ]);
 
                 setFeaturedProducts(productsResponse.data.products);
-                setCategories(categoriesResponse.data.categories);
+                // Subcategories are reached from their parent's listings
+                setCategories(categoriesResponse.data.categories.filter(category => !category.parent_id));
                 setError(null);
             } catch (err) {
                 console.error('Error fetching homepage data:', err);
@@ -37,7 +38,8 @@ const HomePage = () => {
     }, []);
 
     function getProductImageUrl(product) {
-        return product.image;
+        // Cards load the card size, not the full image
+        return product.image_sizes?.card.url || product.image;
     }
 
     return (
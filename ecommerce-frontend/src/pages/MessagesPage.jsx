@@ -1,7 +1,8 @@
 // src/pages/MessagesPage.jsx
 import { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
-import { messageService, productService } from '../services';
+import { messageService, productService, offerService, cartService } from '../services';
+import socketService from '../services/socketService';
 import { useAuth } from '../context/AuthContext';
 import '../css/MessagesPage.css';
 
@@ -24,6 +25,11 @@ const MessagesPage = () => {
     const [startingNewConversation, setStartingNewConversation] = useState(false);
     const [initialMessage, setInitialMessage] = useState('');
 
+    // State for answering offers
+    const [respondingOfferId, setRespondingOfferId] = useState(null);
+    const [counteringOfferId, setCounteringOfferId] = useState(null);
+    const [counterAmount, setCounterAmount] = useState('');
+
     // Ref for message list to scroll to bottom
     const messagesEndRef = useRef(null);
 
@@ -105,7 +111,8 @@ const MessagesPage = () => {
                                         id: convo.product_id,
                                         name: convo.product_name,
                                         price: convo.product_price,
-                                        image: convo.product_image
+                                        image: convo.product_image,
+                                        seller_id: convo.seller_id
                                     },
                                     with: {
                                         id: otherParticipant.user_id,
@@ -220,6 +227,65 @@ const MessagesPage = () => {
         fetchConversations();
     }, [isAuthenticated, activeConversation, startingNewConversation]);
 
+    // Keep offer cards up to date in real time
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        // Add a message to the open conversation unless it is already there
+        const appendMessage = (conversationId, message) => {
+            if (!message) return;
+
+            setCurrentConversationData(prev => {
+                if (!prev || prev.id !== conversationId || prev.messages.some(m => m.id === message.id)) {
+                    return prev;
+                }
+                return { ...prev, messages: [...prev.messages, message] };
+            });
+        };
+
+        // Refresh the conversations list so the last message preview is current
+        const refreshConversations = async () => {
+            try {
+                const response = await messageService.getUserConversations();
+                if (response.data && response.data.conversations) {
+                    setConversations(response.data.conversations);
+                }
+            } catch (err) {
+                console.error('Error fetching conversations:', err);
+            }
+        };
+
+        const handleOfferCreated = ({ conversationId, message }) => {
+            appendMessage(conversationId, message);
+            if (message) refreshConversations();
+        };
+
+        const handleOfferUpdated = ({ conversationId, offer, message }) => {
+            // Update the card of the offer that changed
+            setCurrentConversationData(prev => {
+                if (!prev || prev.id !== conversationId) return prev;
+                return {
+                    ...prev,
+                    messages: prev.messages.map(m =>
+                        m.offer_id === offer.id ? { ...m, offer_status: offer.status } : m
+                    )
+                };
+            });
+
+            appendMessage(conversationId, message);
+            if (message) refreshConversations();
+        };
+
+        socketService.on('offer-created', handleOfferCreated);
+        socketService.on('offer-updated', handleOfferUpdated);
+
+        // Remove only this page's listeners, the product page follows the same events
+        return () => {
+            socketService.off('offer-created', handleOfferCreated);
+            socketService.off('offer-updated', handleOfferUpdated);
+        };
+    }, [isAuthenticated]);
+
     // Scroll to bottom of messages when they change
     useEffect(() => {
         if (messagesEndRef.current) {
@@ -251,7 +317,8 @@ const MessagesPage = () => {
                         id: convo.product_id,
                         name: convo.product_name,
                         price: convo.product_price,
-                        image: convo.product_image
+                        image: convo.product_image,
+                        seller_id: convo.seller_id
                     },
                     with: {
                         id: otherParticipant.user_id,
@@ -361,6 +428,58 @@ const MessagesPage = () => {
         }
     };
 
+    // Reload the messages of the open conversation (offer cards show their current status)
+    const reloadMessages = async (conversationId) => {
+        const response = await messageService.getConversationById(conversationId);
+
+        if (response.data && response.data.conversation) {
+            setCurrentConversationData(prev => (
+                prev && prev.id === conversationId
+                    ? { ...prev, messages: response.data.conversation.messages }
+                    : prev
+            ));
+        }
+    };
+
+    // Accept, decline or counter an offer shown in the conversation
+    const handleOfferAction = async (offerId, action) => {
+        setRespondingOfferId(offerId);
+        setError(null);
+
+        try {
+            if (action === 'accept') {
+                await offerService.acceptOffer(offerId);
+            } else if (action === 'decline') {
+                await offerService.declineOffer(offerId);
+            } else {
+                await offerService.counterOffer(offerId, counterAmount);
+                setCounteringOfferId(null);
+                setCounterAmount('');
+            }
+
+            await reloadMessages(activeConversation);
+        } catch (err) {
+            console.error(`Error answering offer (${action}):`, err);
+            setError(err.response?.data?.message || 'Failed to answer the offer. Please try again.');
+        } finally {
+            setRespondingOfferId(null);
+        }
+    };
+
+    // Add the listing to the cart, where the accepted offer price applies
+    const handleAddOfferToCart = async () => {
+        try {
+            await cartService.addCartItem(currentConversationData.product.id, 1);
+            navigate('/cart');
+        } catch (err) {
+            console.error('Error adding to cart:', err);
+            setError(err.response?.data?.message || 'Failed to add the item to your cart.');
+        }
+    };
+
+    // Format an offer amount
+    const formatAmount = (amount) => `$${parseFloat(amount).toFixed(2)}`;
+
     // Format time
     const formatTime = (dateString) => {
         try {
@@ -602,6 +721,11 @@ const MessagesPage = () => {
                                 // Determine if message is from current user
                                 const isFromMe = parseInt(message.sender_id) === user.id;
 
+                                // Offers are answered by the party they were made to
+                                const canAnswerOffer = message.offer_status === 'pending' &&
+                                    parseInt(message.offer_proposed_by) !== user.id;
+                                const isSeller = parseInt(currentConversationData.product.seller_id) === user.id;
+
                                 return (
                                     <div key={message.id}>
                                         {/* Date separator */}
@@ -614,6 +738,84 @@ const MessagesPage = () => {
                                         {/* Message bubble */}
                                         <div className={`message-bubble ${isFromMe ? 'me' : 'them'}`}>
                                             <p className="message-text">{message.text}</p>
+
+                                            {/* Offer card */}
+                                            {message.offer_id && (
+                                                <div className={`offer-card offer-${message.offer_status}`}>
+                                                    <div className="offer-card-header">
+                                                        <span className="offer-amount">{formatAmount(message.offer_amount)}</span>
+                                                        <span className="offer-status">{message.offer_status}</span>
+                                                    </div>
+                                                    <p className="offer-meta">
+                                                        {parseInt(message.offer_proposed_by) === user.id ? 'Your offer' : 'Their offer'}
+                                                        {message.offer_status === 'pending' && (
+                                                            <> · expires {formatDate(message.offer_expires_at)} {formatTime(message.offer_expires_at)}</>
+                                                        )}
+                                                    </p>
+
+                                                    {canAnswerOffer && (
+                                                        counteringOfferId === message.offer_id ? (
+                                                            <div className="offer-counter-form">
+                                                                <input
+                                                                    type="number"
+                                                                    min="0.01"
+                                                                    step="0.01"
+                                                                    placeholder="Amount"
+                                                                    value={counterAmount}
+                                                                    onChange={(e) => setCounterAmount(e.target.value)}
+                                                                />
+                                                                <button
+                                                                    type="button"
+                                                                    onClick={() => handleOfferAction(message.offer_id, 'counter')}
+                                                                    disabled={!counterAmount || respondingOfferId === message.offer_id}
+                                                                >
+                                                                    Send
+                                                                </button>
+                                                                <button type="button" onClick={() => setCounteringOfferId(null)}>
+                                                                    Cancel
+                                                                </button>
+                                                            </div>
+                                                        ) : (
+                                                            <div className="offer-actions">
+                                                                <button
+                                                                    type="button"
+                                                                    className="offer-accept"
+                                                                    onClick={() => handleOfferAction(message.offer_id, 'accept')}
+                                                                    disabled={respondingOfferId === message.offer_id}
+                                                                >
+                                                                    Accept
+                                                                </button>
+                                                                <button
+                                                                    type="button"
+                                                                    className="offer-decline"
+                                                                    onClick={() => handleOfferAction(message.offer_id, 'decline')}
+                                                                    disabled={respondingOfferId === message.offer_id}
+                                                                >
+                                                                    Decline
+                                                                </button>
+                                                                <button
+                                                                    type="button"
+                                                                    onClick={() => {
+                                                                        setCounteringOfferId(message.offer_id);
+                                                                        setCounterAmount('');
+                                                                    }}
+                                                                    disabled={respondingOfferId === message.offer_id}
+                                                                >
+                                                                    Counter
+                                                                </button>
+                                                            </div>
+                                                        )
+                                                    )}
+
+                                                    {message.offer_status === 'accepted' && !isSeller && (
+                                                        <div className="offer-actions">
+                                                            <button type="button" className="offer-accept" onClick={handleAddOfferToCart}>
+                                                                Add to Cart at {formatAmount(message.offer_amount)}
+                                                            </button>
+                                                        </div>
+                                                    )}
+                                                </div>
+                                            )}
                                             <span className="message-time">
                                                 {formatTime(message.timestamp)}
                                                 {isFromMe && (
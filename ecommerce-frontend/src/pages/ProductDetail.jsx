@@ -1,9 +1,11 @@
 // src/pages/ProductDetail.jsx
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { productService, cartService, reviewService } from '../services';
+import { productService, cartService, reviewService, watchlistService, offerService, auctionService } from '../services';
+import socketService from '../services/socketService';
 import { useAuth } from '../context/AuthContext';
 import { useCart } from '../context/CartContext';
+import PriceSparkline from '../components/PriceSparkline';
 import '../css/ProductDetail.css';
 
 const ProductDetail = () => {
@@ -24,6 +26,25 @@ const ProductDetail = () => {
     const [fullscreenImage, setFullscreenImage] = useState(null);
     const [addingToCart, setAddingToCart] = useState(false);
     const [retryCount, setRetryCount] = useState(0);
+    const [watched, setWatched] = useState(false);
+    const [updatingWatch, setUpdatingWatch] = useState(false);
+    const [priceHistory, setPriceHistory] = useState([]);
+
+    // Offer state
+    const [latestOffer, setLatestOffer] = useState(null);
+    const [showOfferForm, setShowOfferForm] = useState(false);
+    const [offerAmount, setOfferAmount] = useState('');
+    const [offerNote, setOfferNote] = useState('');
+    const [sendingOffer, setSendingOffer] = useState(false);
+    const [offerError, setOfferError] = useState(null);
+
+    // Auction state
+    const [auction, setAuction] = useState(null);
+    const [bids, setBids] = useState([]);
+    const [bidAmount, setBidAmount] = useState('');
+    const [placingBid, setPlacingBid] = useState(false);
+    const [bidError, setBidError] = useState(null);
+    const [now, setNow] = useState(Date.now());
 
     // Review state
     const [reviewText, setReviewText] = useState('');
@@ -52,6 +73,15 @@ const ProductDetail = () => {
                     setMainImage(mainIdx >= 0 ? mainIdx : 0);
                 }
 
+                // Price history is optional, the page works without it
+                try {
+                    const historyResponse = await productService.getPriceHistory(id);
+                    setPriceHistory(historyResponse.data.history);
+                } catch (err) {
+                    console.error('Error fetching price history:', err);
+                    setPriceHistory([]);
+                }
+
                 // Check if user can review this product (has purchased it)
                 if (isAuthenticated && user) {
                     try {
@@ -68,6 +98,22 @@ const ProductDetail = () => {
                         console.error('Error checking review eligibility:', err);
                         // Don't show error to user, just don't allow reviewing
                     }
+
+                    try {
+                        const watchlistResponse = await watchlistService.getWatchlistIds();
+                        setWatched(watchlistResponse.data.productIds.includes(response.data.product.id));
+                    } catch (err) {
+                        console.error('Error fetching watchlist:', err);
+                    }
+
+                    if (response.data.product.seller_id !== user.id) {
+                        try {
+                            const offerResponse = await offerService.getOfferForProduct(id);
+                            setLatestOffer(offerResponse.data.offer);
+                        } catch (err) {
+                            console.error('Error fetching offer:', err);
+                        }
+                    }
                 }
             } catch (err) {
                 console.error('Error fetching product:', err);
@@ -91,6 +137,76 @@ const ProductDetail = () => {
         fetchProductData();
     }, [id, retryCount, isAuthenticated, user]);
 
+    // Follow the seller's answers to the current user's offers on this listing
+    useEffect(() => {
+        if (!isAuthenticated || !user) return;
+
+        const handleOfferEvent = ({ offer }) => {
+            if (offer.productId === parseInt(id) && offer.buyerId === user.id) {
+                setLatestOffer(prev => (!prev || offer.id >= prev.id ? offer : prev));
+            }
+        };
+
+        socketService.on('offer-created', handleOfferEvent);
+        socketService.on('offer-updated', handleOfferEvent);
+
+        return () => {
+            socketService.off('offer-created', handleOfferEvent);
+            socketService.off('offer-updated', handleOfferEvent);
+        };
+    }, [id, isAuthenticated, user]);
+
+    const isAuction = product?.listing_type === 'auction';
+
+    // Load the bids of an auction
+    useEffect(() => {
+        if (!isAuction) return;
+
+        auctionService.getAuction(id)
+            .then(response => {
+                setAuction(response.data.auction);
+                setBids(response.data.bids);
+            })
+            .catch(err => console.error('Error fetching auction:', err));
+    }, [id, isAuction]);
+
+    // Follow bids live while the page is open
+    useEffect(() => {
+        if (!isAuction || !isAuthenticated) return;
+
+        socketService.emit('join-auction', id);
+
+        const handleBid = ({ productId, auction: updated, bid }) => {
+            if (productId !== parseInt(id)) return;
+
+            setAuction(updated);
+            setBids(prev => [bid, ...prev.filter(b => b.id !== bid.id)].slice(0, 20));
+            setProduct(prev => ({ ...prev, price: updated.currentBid }));
+        };
+
+        const handleClosed = ({ productId, auction: closed }) => {
+            if (productId === parseInt(id)) setAuction(closed);
+        };
+
+        socketService.on('auction-bid', handleBid);
+        socketService.on('auction-closed', handleClosed);
+
+        // Remove only this page's listeners, other components may follow the same events
+        return () => {
+            socketService.emit('leave-auction', id);
+            socketService.off('auction-bid', handleBid);
+            socketService.off('auction-closed', handleClosed);
+        };
+    }, [id, isAuction, isAuthenticated]);
+
+    // Tick the countdown while the auction is open
+    useEffect(() => {
+        if (!auction?.isOpen) return;
+
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [auction?.isOpen]);
+
     // Function to format date
     const formatDate = (dateString) => {
         if (!dateString) return 'N/A';
@@ -119,6 +235,15 @@ const ProductDetail = () => {
         }).format(price);
     };
 
+    // Describe the latest price change
+    const describePriceChange = () => {
+        const previous = priceHistory[priceHistory.length - 2];
+        const current = priceHistory[priceHistory.length - 1];
+        const direction = current.price < previous.price ? 'Reduced' : 'Raised';
+
+        return `${direction} from ${formatPrice(previous.price)} on ${formatDate(current.changedAt)}`;
+    };
+
     // Handle quantity change
     const handleQuantityChange = (e) => {
         const value = parseInt(e.target.value);
@@ -166,6 +291,117 @@ const ProductDetail = () => {
         }
     };
 
+    // Send an offer to the seller
+    const handleMakeOffer = async (e) => {
+        e.preventDefault();
+
+        if (!isAuthenticated) {
+            navigate('/login', { state: { from: `/product/${id}` } });
+            return;
+        }
+
+        try {
+            setSendingOffer(true);
+            setOfferError(null);
+
+            const response = await offerService.createOffer(product.id, offerAmount, offerNote);
+            setLatestOffer(response.data.offer);
+            setShowOfferForm(false);
+            setOfferAmount('');
+            setOfferNote('');
+            setSuccess('Offer sent! The seller can accept, decline or counter it in Messages.');
+        } catch (err) {
+            console.error('Error making offer:', err);
+            setOfferError(err.response?.data?.message || 'Failed to send offer. Please try again.');
+        } finally {
+            setSendingOffer(false);
+        }
+    };
+
+    // Place a bid on the auction
+    const handlePlaceBid = async (e) => {
+        e.preventDefault();
+
+        try {
+            setPlacingBid(true);
+            setBidError(null);
+
+            const response = await auctionService.placeBid(product.id, bidAmount);
+            const { auction: updated, bid } = response.data;
+
+            setAuction(updated);
+            setBids(prev => [bid, ...prev.filter(b => b.id !== bid.id)].slice(0, 20));
+            setProduct(prev => ({ ...prev, price: updated.currentBid }));
+            setBidAmount('');
+            setSuccess(response.data.message);
+        } catch (err) {
+            console.error('Error placing bid:', err);
+            setBidError(err.response?.data?.message || 'Failed to place bid. Please try again.');
+        } finally {
+            setPlacingBid(false);
+        }
+    };
+
+    // Time left until the auction ends, e.g. "2d 4h", "3h 12m" or "4m 05s"
+    const formatTimeLeft = (endsAt) => {
+        const seconds = Math.max(0, Math.floor((new Date(endsAt) - now) / 1000));
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    };
+
+    // Describe where the current user's latest offer stands
+    const describeOffer = (offer) => {
+        const amount = formatPrice(offer.amount);
+        const fromSeller = offer.proposedBy !== offer.buyerId;
+
+        switch (offer.status) {
+            case 'pending':
+                return fromSeller
+                    ? `The seller countered with ${amount}, answer it in Messages before ${formatDate(offer.expiresAt)}`
+                    : `Your offer of ${amount} is waiting for the seller (expires ${formatDate(offer.expiresAt)})`;
+            case 'accepted':
+                return `Offer of ${amount} accepted, it applies when you add this item to your cart`;
+            case 'countered':
+                return `Your offer of ${amount} was countered, see Messages`;
+            default:
+                return `Your offer of ${amount} was ${offer.status}`;
+        }
+    };
+
+    // Watch or stop watching the listing
+    const handleToggleWatch = async () => {
+        if (!isAuthenticated) {
+            navigate('/login', { state: { from: `/product/${id}` } });
+            return;
+        }
+
+        try {
+            setUpdatingWatch(true);
+
+            if (watched) {
+                await watchlistService.removeFromWatchlist(product.id);
+            } else {
+                await watchlistService.addToWatchlist(product.id);
+            }
+
+            setProduct(prev => ({
+                ...prev,
+                watcherCount: (prev.watcherCount || 0) + (watched ? -1 : 1)
+            }));
+            setWatched(!watched);
+        } catch (err) {
+            console.error('Error updating watchlist:', err);
+            setError(err.response?.data?.message || 'Failed to update watchlist. Please try again.');
+        } finally {
+            setUpdatingWatch(false);
+        }
+    };
+
     // Handle message seller
     const handleMessageSeller = () => {
         if (!isAuthenticated) {
@@ -301,6 +537,13 @@ const ProductDetail = () => {
         return '/placeholder-image.jpg';
     };
 
+    // Helper to get the URL of one size of a product image (thumbnail, card or full)
+    const getImageSizeUrl = (image, size, format = 'url') => {
+        const url = image.sizes?.[size]?.[format];
+        if (format === 'webp' && !url) return null;
+        return getImageUrl(url || image.image_url);
+    };
+
     // Message state for success/error notifications
     const [success, setSuccess] = useState(null);
 
@@ -365,10 +608,13 @@ const ProductDetail = () => {
     const images = product.images || [];
     const hasImages = images.length > 0;
 
-    // Get the current main image URL
+    // Get the current main image URL (and its WebP version for browsers that support it)
     const currentMainImageUrl = hasImages && images[mainImage]
-        ? getImageUrl(images[mainImage].image_url)
+        ? getImageSizeUrl(images[mainImage], 'full')
         : '/placeholder-image.jpg';
+    const currentMainImageWebp = hasImages && images[mainImage]
+        ? getImageSizeUrl(images[mainImage], 'full', 'webp')
+        : null;
 
     // Safely get specifications
     const specifications = product.specifications || [];
@@ -404,7 +650,7 @@ const ProductDetail = () => {
                     <div className="fullscreen-image-content">
                         <button className="close-fullscreen" onClick={() => setFullscreenImage(null)}>×</button>
                         <img
-                            src={getImageUrl(images[fullscreenImage].image_url)}
+                            src={getImageSizeUrl(images[fullscreenImage], 'full')}
                             alt={product.name}
                             className="fullscreen-image"
                         />
@@ -447,6 +693,11 @@ const ProductDetail = () => {
             <div className="product-breadcrumbs">
                 <Link to="/">Home</Link> /
                 <Link to="/buyer">Products</Link> /
+                {product.category_parent_id && (
+                    <>
+                        <Link to={`/buyer?category=${product.category_parent_id}`}>{product.category_parent_name}</Link> /
+                    </>
+                )}
                 <Link to={`/buyer?category=${product.category_id}`}>{product.category_name}</Link> /
                 <span className="current-page">{product.name}</span>
             </div>
@@ -459,7 +710,10 @@ const ProductDetail = () => {
                         className="main-image"
                         onClick={() => hasImages && setFullscreenImage(mainImage)}
                     >
-                        <img src={currentMainImageUrl} alt={product.name} />
+                        <picture>
+                            {currentMainImageWebp && <source srcSet={currentMainImageWebp} type="image/webp" />}
+                            <img src={currentMainImageUrl} alt={product.name} />
+                        </picture>
                         {hasImages && (
                             <div className="image-zoom-hint">
                                 <span className="zoom-icon">🔍</span>
@@ -477,7 +731,7 @@ const ProductDetail = () => {
                                     onClick={() => setMainImage(index)}
                                 >
                                     <img
-                                        src={getImageUrl(image.image_url)}
+                                        src={getImageSizeUrl(image, 'thumbnail')}
                                         alt={`${product.name} - View ${index + 1}`}
                                         onError={(e) => {
                                             e.target.src = '/placeholder-image.jpg';
@@ -501,8 +755,31 @@ const ProductDetail = () => {
                             <div className="product-condition-badge">
                                 {product.item_condition || 'Not specified'}
                             </div>
+                            {(!isAuthenticated || (user && product.seller_id !== user.id)) && (
+                                <button
+                                    className={`watch-toggle ${watched ? 'watched' : ''}`}
+                                    onClick={handleToggleWatch}
+                                    disabled={updatingWatch}
+                                    title={watched ? 'Remove from watchlist' : 'Add to watchlist'}
+                                    aria-pressed={watched}
+                                >
+                                    {watched ? '♥ Saved' : '♡ Save'}
+                                </button>
+                            )}
+                            {product.watcherCount > 0 && (
+                                <span className="watcher-count">
+                                    {product.watcherCount} {product.watcherCount === 1 ? 'person is' : 'people are'} watching
+                                </span>
+                            )}
                         </div>
 
+                        {priceHistory.length > 1 && (
+                            <div className="price-history">
+                                <PriceSparkline history={priceHistory} />
+                                <span className="price-history-label">{describePriceChange()}</span>
+                            </div>
+                        )}
+
                         <div className="product-meta">
                             <div className="meta-item">
                                 <span className="meta-label">Category</span>
@@ -516,6 +793,23 @@ const ProductDetail = () => {
                                 <span className="meta-label">Location</span>
                                 <span className="meta-value">{product.location || 'Not specified'}</span>
                             </div>
+                            {product.courses?.length > 0 && (
+                                <div className="meta-item">
+                                    <span className="meta-label">Courses</span>
+                                    <span className="meta-value course-tags">
+                                        {product.courses.map(course => (
+                                            <Link
+                                                key={course.id}
+                                                to={`/buyer?course=${encodeURIComponent(course.code)}`}
+                                                className="course-tag"
+                                                title={course.title}
+                                            >
+                                                {course.code}
+                                            </Link>
+                                        ))}
+                                    </span>
+                                </div>
+                            )}
                             <div className="meta-item">
                                 <span className="meta-label">Listed On</span>
                                 <span className="meta-value">{formatDate(product.created_at)}</span>
@@ -585,7 +879,99 @@ const ProductDetail = () => {
 
                     {/* Purchase Actions */}
                     <div className="purchase-section">
-                        {(!isAuthenticated || (user && product.seller_id !== user.id)) && (
+                        {isAuction && auction && (
+                            <div className="auction-panel">
+                                <div className="auction-summary">
+                                    <div>
+                                        <span className="auction-label">
+                                            {auction.currentBid === null ? 'Starting bid' : 'Current bid'}
+                                        </span>
+                                        <span className="auction-amount">
+                                            {formatPrice(auction.currentBid ?? auction.startingPrice)}
+                                        </span>
+                                        <span className="auction-bid-count">
+                                            {auction.bidCount} {auction.bidCount === 1 ? 'bid' : 'bids'}
+                                        </span>
+                                    </div>
+                                    <div className="auction-time">
+                                        <span className="auction-label">{auction.isOpen ? 'Ends in' : 'Ended'}</span>
+                                        <span className="auction-countdown">
+                                            {auction.isOpen ? formatTimeLeft(auction.endsAt) : formatDate(auction.closedAt || auction.endsAt)}
+                                        </span>
+                                        {auction.extensionCount > 0 && (
+                                            <span className="auction-extended">Extended by late bids</span>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {auction.hasReserve && (
+                                    <p className={`auction-reserve ${auction.reserveMet ? 'met' : ''}`}>
+                                        {auction.reserveMet ? 'Reserve price met' : 'Reserve price not met yet'}
+                                    </p>
+                                )}
+
+                                {auction.isOpen && isAuthenticated && user && product.seller_id !== user.id && (
+                                    auction.highBidderId === user.id ? (
+                                        <p className="auction-leading">You have the highest bid</p>
+                                    ) : (
+                                        <form className="bid-form" onSubmit={handlePlaceBid}>
+                                            <input
+                                                type="number"
+                                                min={auction.minimumBid}
+                                                step="0.01"
+                                                placeholder={`${formatPrice(auction.minimumBid)} or more`}
+                                                value={bidAmount}
+                                                onChange={(e) => setBidAmount(e.target.value)}
+                                                disabled={placingBid}
+                                                aria-label="Bid amount"
+                                            />
+                                            <button
+                                                type="submit"
+                                                className="btn btn-primary"
+                                                disabled={!bidAmount || placingBid}
+                                            >
+                                                {placingBid ? 'Bidding...' : 'Place Bid'}
+                                            </button>
+                                        </form>
+                                    )
+                                )}
+
+                                {bidError && <p className="auction-error">{bidError}</p>}
+
+                                {auction.isOpen && !isAuthenticated && (
+                                    <div className="purchase-note">
+                                        <Link to="/login" className="login-link">Log in</Link> to bid on this item
+                                    </div>
+                                )}
+
+                                {!auction.isOpen && user && auction.winnerId === user.id && (
+                                    <p className="auction-leading">
+                                        You won this auction! Your order was created, see <Link to="/profile">your orders</Link>.
+                                    </p>
+                                )}
+
+                                {bids.length > 0 && (
+                                    <ul className="bid-history">
+                                        {bids.map(bid => (
+                                            <li key={bid.id}>
+                                                <span>{user && bid.bidderId === user.id ? 'You' : bid.bidderName}</span>
+                                                <span>{formatPrice(bid.amount)}</span>
+                                                <span className="bid-time">
+                                                    {new Date(bid.createdAt).toLocaleString('en-US', {
+                                                        month: 'short',
+                                                        day: 'numeric',
+                                                        hour: 'numeric',
+                                                        minute: '2-digit'
+                                                    })}
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+
+                        {!isAuction && (!isAuthenticated || (user && product.seller_id !== user.id)) && (
                             <>
                                 <div className="quantity-control">
                                     <label htmlFor="quantity">Quantity:</label>
@@ -646,6 +1032,68 @@ const ProductDetail = () => {
                                         </div>
                                     )}
                                 </div>
+
+                                {/* Offers */}
+                                {isAuthenticated && product.status === 'active' && (
+                                    <div className="offer-section">
+                                        {latestOffer && (
+                                            <div className={`offer-status-note offer-${latestOffer.status}`}>
+                                                {describeOffer(latestOffer)}
+                                            </div>
+                                        )}
+
+                                        {(!latestOffer || !['pending', 'accepted'].includes(latestOffer.status)) && (
+                                            showOfferForm ? (
+                                                <form className="offer-form" onSubmit={handleMakeOffer}>
+                                                    {offerError && <p className="offer-error">{offerError}</p>}
+                                                    <input
+                                                        type="number"
+                                                        min="0.01"
+                                                        step="0.01"
+                                                        placeholder={`Less than ${formatPrice(product.price)}`}
+                                                        value={offerAmount}
+                                                        onChange={(e) => setOfferAmount(e.target.value)}
+                                                        disabled={sendingOffer}
+                                                        aria-label="Offer amount"
+                                                    />
+                                                    <input
+                                                        type="text"
+                                                        placeholder="Add a note (optional)"
+                                                        value={offerNote}
+                                                        onChange={(e) => setOfferNote(e.target.value)}
+                                                        maxLength={500}
+                                                        disabled={sendingOffer}
+                                                        aria-label="Note to the seller"
+                                                    />
+                                                    <div className="offer-form-actions">
+                                                        <button
+                                                            type="submit"
+                                                            className="btn btn-primary"
+                                                            disabled={!offerAmount || sendingOffer}
+                                                        >
+                                                            {sendingOffer ? 'Sending...' : 'Send Offer'}
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            className="btn btn-outline"
+                                                            onClick={() => setShowOfferForm(false)}
+                                                            disabled={sendingOffer}
+                                                        >
+                                                            Cancel
+                                                        </button>
+                                                    </div>
+                                                </form>
+                                            ) : (
+                                                <button
+                                                    className="btn btn-outline offer-btn"
+                                                    onClick={() => setShowOfferForm(true)}
+                                                >
+                                                    Make an Offer
+                                                </button>
+                                            )
+                                        )}
+                                    </div>
+                                )}
                             </>
                         )}
 
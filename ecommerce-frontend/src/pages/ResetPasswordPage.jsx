@@ -0,0 +1,139 @@
+// src/pages/ResetPasswordPage.jsx
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import authService from '../services/authService';
+import '../css/ResetPassword.css';
+
+const ResetPasswordPage = () => {
+    const { token } = useParams();
+    const { logout } = useAuth();
+
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+    const [invalidToken, setInvalidToken] = useState(false);
+    const [success, setSuccess] = useState(false);
+
+    // Handle form submission
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        // Clear previous errors
+        setError(null);
+
+        // Validate password
+        if (password.length < 8) {
+            setError('Password must be at least 8 characters long');
+            return;
+        }
+
+        // Confirm passwords match
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        try {
+            setIsSubmitting(true);
+
+            // Reset password with the token from the email link
+            await authService.resetPassword(token, password);
+
+            // The reset also signs out every session, including this browser's
+            logout();
+            setSuccess(true);
+        } catch (err) {
+            console.error('Error resetting password:', err);
+
+            // Expired, used or tampered links can't be retried
+            if ([400, 404].includes(err.response?.status)) {
+                setInvalidToken(true);
+            } else {
+                setError(err.response?.data?.message || 'Failed to reset password. Please try again.');
+            }
+        } finally {
+            setIsSubmitting(false);
+        }
+    }
+
+    return (
+        <div className="reset-password-page">
+            <div className="reset-password-container">
+                <h1>Reset Your Password</h1>
+
+                {success && (
+                    <div className="success-message">
+                        <p>Your password has been reset.</p>
+                        <p>You have been signed out on all devices. Please sign in with your new password.</p>
+                        <Link to="/login" className="btn btn-primary">
+                            Go to Login
+                        </Link>
+                    </div>
+                )}
+
+                {invalidToken && (
+                    <div className="invalid-token">
+                        <p>This reset link is invalid, has expired or has already been used.</p>
+                        <Link to="/forgot-password" className="btn btn-primary">
+                            Request a New Link
+                        </Link>
+                    </div>
+                )}
+
+                {!success && !invalidToken && (
+                    <>
+                        <p className="instructions">
+                            Choose a new password for your account.
+                        </p>
+
+                        <form onSubmit={handleSubmit}>
+                            <div className="form-group">
+                                <label htmlFor="password">New Password</label>
+                                <input
+                                    type="password"
+                                    id="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    className="form-control"
+                                    required
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="confirmPassword">Confirm New Password</label>
+                                <input
+                                    type="password"
+                                    id="confirmPassword"
+                                    value={confirmPassword}
+                                    onChange={(e) => setConfirmPassword(e.target.value)}
+                                    className="form-control"
+                                    required
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+
+                            {error && <div className="error-message">{error}</div>}
+
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                disabled={isSubmitting}
+                            >
+                                {isSubmitting ? 'Resetting...' : 'Reset Password'}
+                            </button>
+                        </form>
+
+                        <div className="links">
+                            <Link to="/login">Back to Login</Link>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ResetPasswordPage;
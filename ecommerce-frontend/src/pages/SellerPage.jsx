@@ -1,31 +1,37 @@
 // src/pages/SellerPage.jsx
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { userService, productService, messageService } from '../services';
 import { useAuth } from '../context/AuthContext';
+import ListingImport from '../components/ListingImport';
 import '../css/SellerPage.css';
 
 const SellerPage = () => {
     const { user } = useAuth();
     const navigate = useNavigate();
+    const location = useLocation();
 
-    // State for active tab
-    const [activeTab, setActiveTab] = useState('listings');
+    // State for active tab (pages saving a draft open the Drafts tab)
+    const [activeTab, setActiveTab] = useState(location.state?.tab || 'listings');
 
     // State for data
     const [listings, setListings] = useState([]);
+    const [drafts, setDrafts] = useState([]);
     const [sales, setSales] = useState([]);
     const [messages, setMessages] = useState([]);
     const [unreadMessageCount, setUnreadMessageCount] = useState(0);
+    const [showImport, setShowImport] = useState(false);
 
     // Loading and error states
     const [loading, setLoading] = useState({
         listings: false,
+        drafts: false,
         sales: false,
         messages: false
     });
     const [error, setError] = useState({
         listings: null,
+        drafts: null,
         sales: null,
         messages: null
     });
@@ -37,7 +43,7 @@ const SellerPage = () => {
 
             setLoading(prev => ({ ...prev, listings: true }));
             try {
-                const response = await userService.getUserListings(user.id);
+                const response = await userService.getUserListings(user.id, 'active,expired');
                 setListings(response.data.listings);
                 setError(prev => ({ ...prev, listings: null }));
             } catch (err) {
@@ -51,6 +57,27 @@ const SellerPage = () => {
         fetchListings();
     }, [user]);
 
+    // Fetch drafts and scheduled listings when drafts tab is active
+    useEffect(() => {
+        const fetchDrafts = async () => {
+            if (!user?.id || activeTab !== 'drafts') return;
+
+            setLoading(prev => ({ ...prev, drafts: true }));
+            try {
+                const response = await productService.getDrafts();
+                setDrafts(response.data.drafts);
+                setError(prev => ({ ...prev, drafts: null }));
+            } catch (err) {
+                console.error('Error fetching drafts:', err);
+                setError(prev => ({ ...prev, drafts: 'Failed to load drafts' }));
+            } finally {
+                setLoading(prev => ({ ...prev, drafts: false }));
+            }
+        };
+
+        fetchDrafts();
+    }, [user, activeTab]);
+
     // Fetch sales history when sales tab is active
     useEffect(() => {
         const fetchSales = async () => {
@@ -119,7 +146,8 @@ const SellerPage = () => {
     };
 
     function getProductImageUrl(product) {
-        let imageUrl = product.main_image || product.images[0];
+        // Cards load the card size, not the full image
+        let imageUrl = product.image_sizes?.card.url || product.main_image || product.images?.[0];
         if (!imageUrl) return '/placeholder-image.jpg';
 
         // Check if the image URL is already a full URL
@@ -148,6 +176,19 @@ const SellerPage = () => {
         navigate(`/messages/${conversationId}`);
     };
 
+    // Function to renew a listing for a new listing period
+    const handleRenewListing = async (listingId) => {
+        try {
+            await productService.renewProduct(listingId);
+            // Refresh listings to pick up the new status and expiry date
+            const response = await userService.getUserListings(user.id, 'active,expired');
+            setListings(response.data.listings);
+        } catch (err) {
+            console.error('Error renewing listing:', err);
+            alert(err.response?.data?.message || 'Failed to renew listing');
+        }
+    };
+
     // Function to handle delete listing
     const handleDeleteListing = async (listingId) => {
         if (!window.confirm('Are you sure you want to delete this listing?')) {
@@ -165,6 +206,48 @@ const SellerPage = () => {
         }
     };
 
+    // Function to refresh listings after a bulk import
+    const handleImported = async () => {
+        try {
+            const response = await userService.getUserListings(user.id, 'active,expired');
+            setListings(response.data.listings);
+        } catch (err) {
+            console.error('Error fetching listings:', err);
+        }
+    };
+
+    // Function to download all listings as a CSV or XLSX file
+    const handleExportListings = async (format) => {
+        try {
+            const response = await userService.exportUserListings(user.id, format);
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+
+            link.href = url;
+            link.download = `listings-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Error exporting listings:', err);
+            alert('Failed to export listings');
+        }
+    };
+
+    // Function to delete a draft
+    const handleDeleteDraft = async (draftId) => {
+        if (!window.confirm('Are you sure you want to delete this draft?')) {
+            return;
+        }
+
+        try {
+            await productService.deleteProduct(draftId);
+            setDrafts(drafts.filter(draft => draft.id !== draftId));
+        } catch (err) {
+            console.error('Error deleting draft:', err);
+            alert('Failed to delete draft');
+        }
+    };
+
     if (!user) {
         return (
             <div className="seller-page">
@@ -213,6 +296,12 @@ const SellerPage = () => {
                 >
                     My Listings
                 </button>
+                <button
+                    className={`tab-btn ${activeTab === 'drafts' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('drafts')}
+                >
+                    Drafts
+                </button>
                 <button
                     className={`tab-btn ${activeTab === 'sales' ? 'active' : ''}`}
                     onClick={() => setActiveTab('sales')}
@@ -232,7 +321,27 @@ const SellerPage = () => {
                 {/* Listings Tab */}
                 {activeTab === 'listings' && (
                     <div className="listings-tab">
-                        <h2>My Listings</h2>
+                        <div className="listings-tab-header">
+                            <h2>My Listings</h2>
+                            <div className="listings-tab-actions">
+                                <button className="btn btn-outline" onClick={() => setShowImport(!showImport)}>
+                                    Import
+                                </button>
+                                <button className="btn btn-outline" onClick={() => handleExportListings('csv')}>
+                                    Export CSV
+                                </button>
+                                <button className="btn btn-outline" onClick={() => handleExportListings('xlsx')}>
+                                    Export Excel
+                                </button>
+                            </div>
+                        </div>
+
+                        {showImport && (
+                            <ListingImport
+                                onImported={handleImported}
+                                onCancel={() => setShowImport(false)}
+                            />
+                        )}
 
                         {error.listings && <p className="error-message">{error.listings}</p>}
 
@@ -243,7 +352,7 @@ const SellerPage = () => {
                                 {listings.map(listing => (
                                     <div
                                         key={listing.id}
-                                        className={`listing-card ${listing.status === 'sold' ? 'sold' : ''}`}
+                                        className={`listing-card ${['sold', 'expired'].includes(listing.status) ? listing.status : ''}`}
                                     >
                                         <div className="listing-image">
                                             <img
@@ -252,6 +361,7 @@ const SellerPage = () => {
                                             />
                                             {listing.status === 'sold' && <div className="sold-badge">SOLD</div>}
                                             {listing.status === 'pending' && <div className="pending-badge">PENDING</div>}
+                                            {listing.status === 'expired' && <div className="expired-badge">EXPIRED</div>}
                                         </div>
                                         <div className="listing-details">
                                             <h3>{listing.name}</h3>
@@ -262,10 +372,21 @@ const SellerPage = () => {
                                                 <span title="Views"><i className="icon">👁️</i> {listing.views}</span>
                                                 <span title="Interested Buyers"><i className="icon">👤</i> {listing.interested}</span>
                                             </div>
+                                            {listing.expires_at && (
+                                                <p className="listing-expiry">Expires {formatDate(listing.expires_at)}</p>
+                                            )}
                                         </div>
                                         <div className="listing-actions">
                                             <Link to={`/product/${listing.id}`} className="btn btn-secondary">View</Link>
                                             <Link to={`/edit-listing/${listing.id}`} className="btn btn-outline">Edit</Link>
+                                            {(listing.status === 'expired' || listing.expires_at) && (
+                                                <button
+                                                    className="btn btn-outline"
+                                                    onClick={() => handleRenewListing(listing.id)}
+                                                >
+                                                    Renew
+                                                </button>
+                                            )}
                                             <button
                                                 className="btn btn-outline delete-btn"
                                                 onClick={() => handleDeleteListing(listing.id)}
@@ -287,6 +408,70 @@ const SellerPage = () => {
                     </div>
                 )}
 
+                {/* Drafts Tab */}
+                {activeTab === 'drafts' && (
+                    <div className="drafts-tab">
+                        <h2>Drafts</h2>
+
+                        {error.drafts && <p className="error-message">{error.drafts}</p>}
+
+                        {loading.drafts ? (
+                            <div className="loading-message">Loading your drafts...</div>
+                        ) : drafts.length > 0 ? (
+                            <div className="listings-grid">
+                                {drafts.map(draft => (
+                                    <div key={draft.id} className="listing-card draft">
+                                        <div className="listing-image">
+                                            <img
+                                                src={getProductImageUrl(draft)}
+                                                alt={draft.name}
+                                            />
+                                            {draft.status === 'draft'
+                                                ? <div className="draft-badge">DRAFT</div>
+                                                : <div className="scheduled-badge">SCHEDULED</div>}
+                                        </div>
+                                        <div className="listing-details">
+                                            <h3>{draft.name}</h3>
+                                            {parseFloat(draft.price) > 0 && (
+                                                <p className="listing-price">${parseFloat(draft.price).toFixed(2)}</p>
+                                            )}
+                                            <p className="listing-category">{draft.category_name}</p>
+                                            <div className="listing-stats">
+                                                <span title="Last Saved">Saved {formatDate(draft.updated_at)}</span>
+                                            </div>
+                                            {draft.status === 'scheduled' && (
+                                                <p className="listing-schedule">
+                                                    Publishes {new Date(draft.publish_at).toLocaleString('en-US', {
+                                                        month: 'short',
+                                                        day: 'numeric',
+                                                        year: 'numeric',
+                                                        hour: 'numeric',
+                                                        minute: '2-digit'
+                                                    })}
+                                                </p>
+                                            )}
+                                        </div>
+                                        <div className="listing-actions">
+                                            <Link to={`/edit-listing/${draft.id}?draft=true`} className="btn btn-secondary">Resume</Link>
+                                            <button
+                                                className="btn btn-outline delete-btn"
+                                                onClick={() => handleDeleteDraft(draft.id)}
+                                            >
+                                                Delete
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <div className="no-listings-message">
+                                <p>You don't have any drafts.</p>
+                                <p>Save a listing as a draft to finish it later or schedule it for publishing.</p>
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* Sales Tab */}
                 {activeTab === 'sales' && (
                     <div className="sales-tab">
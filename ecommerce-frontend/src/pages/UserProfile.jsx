@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
-import { userService, orderService } from '../services'
+import { userService, orderService, savedSearchService, watchlistService, courseService } from '../services'
 import authService from '../services/authService'
+import TwoFactorSetup from '../components/TwoFactorSetup'
 import '../css/UserProfile.css'
 
 const UserProfile = () => {
@@ -58,6 +59,38 @@ const UserProfile = () => {
     const [forgotPasswordError, setForgotPasswordError] = useState(null)
     const [showForgotPassword, setShowForgotPassword] = useState(false)
 
+    // State for email verification
+    const [emailVerified, setEmailVerified] = useState(null)
+    const [verificationError, setVerificationError] = useState(null)
+    const [verificationSuccess, setVerificationSuccess] = useState(null)
+
+    // State for account deletion and data export
+    const [deletionScheduledFor, setDeletionScheduledFor] = useState(null)
+    const [deletePassword, setDeletePassword] = useState('')
+    const [accountError, setAccountError] = useState(null)
+    const [accountSuccess, setAccountSuccess] = useState(null)
+
+    // State for two-factor authentication
+    const [twoFactorEnabled, setTwoFactorEnabled] = useState(null)
+    const [showTwoFactorSetup, setShowTwoFactorSetup] = useState(false)
+    const [twoFactorForm, setTwoFactorForm] = useState({ password: '', code: '' })
+    const [twoFactorError, setTwoFactorError] = useState(null)
+    const [twoFactorSuccess, setTwoFactorSuccess] = useState(null)
+    const [recoveryCodes, setRecoveryCodes] = useState(null)
+
+    // State for active sessions
+    const [sessions, setSessions] = useState([])
+    const [sessionsError, setSessionsError] = useState(null)
+
+    // State for saved searches
+    const [savedSearches, setSavedSearches] = useState([])
+    const [savedSearchesError, setSavedSearchesError] = useState(null)
+    const [courseSubscriptions, setCourseSubscriptions] = useState([])
+
+    // State for watched listings
+    const [watchlist, setWatchlist] = useState([])
+    const [watchlistError, setWatchlistError] = useState(null)
+
     // Fetch user data
     useEffect(() => {
         const fetchUserData = async () => {
@@ -231,6 +264,154 @@ const UserProfile = () => {
         }
     }, [activeTab, authUser])
 
+    // Fetch verification and two-factor status when the security tab is opened
+    useEffect(() => {
+        const fetchSecurityStatus = async () => {
+            try {
+                const response = await authService.getCurrentUser()
+                setEmailVerified(response.data.user.emailVerified)
+                setDeletionScheduledFor(response.data.user.deletionScheduledFor)
+                setTwoFactorEnabled(response.data.user.twoFactorEnabled)
+            } catch (err) {
+                console.error("Error fetching security status:", err)
+                setTwoFactorError('Failed to load two-factor status')
+            }
+        }
+
+        if (activeTab === 'security' && authUser) {
+            fetchSecurityStatus()
+            fetchSessions()
+        }
+    }, [activeTab, authUser])
+
+    // Fetch saved searches when the saved searches tab is opened
+    useEffect(() => {
+        const fetchSavedSearches = async () => {
+            try {
+                const [searchesResponse, coursesResponse] = await Promise.all([
+                    savedSearchService.getSavedSearches(),
+                    courseService.getSubscriptions()
+                ])
+                setSavedSearches(searchesResponse.data.savedSearches)
+                setCourseSubscriptions(coursesResponse.data.courses)
+                setSavedSearchesError(null)
+            } catch (err) {
+                console.error("Error fetching saved searches:", err)
+                setSavedSearchesError('Failed to load saved searches')
+            }
+        }
+
+        if (activeTab === 'searches' && authUser) {
+            fetchSavedSearches()
+        }
+    }, [activeTab, authUser])
+
+    // Change how a saved search alerts
+    const handleAlertMethodChange = async (id, alertMethod) => {
+        try {
+            await savedSearchService.updateSavedSearch(id, { alertMethod })
+            setSavedSearches(savedSearches.map(search => (
+                search.id === id ? { ...search, alertMethod } : search
+            )))
+            setSavedSearchesError(null)
+        } catch (err) {
+            console.error("Error updating saved search:", err)
+            setSavedSearchesError(err.response?.data?.message || 'Failed to update saved search')
+        }
+    }
+
+    // Delete a saved search
+    const handleDeleteSavedSearch = async (id) => {
+        try {
+            await savedSearchService.deleteSavedSearch(id)
+            setSavedSearches(savedSearches.filter(search => search.id !== id))
+            setSavedSearchesError(null)
+        } catch (err) {
+            console.error("Error deleting saved search:", err)
+            setSavedSearchesError(err.response?.data?.message || 'Failed to delete saved search')
+        }
+    }
+
+    // Change how a course subscription alerts
+    const handleCourseAlertMethodChange = async (courseId, alertMethod) => {
+        try {
+            await courseService.subscribe(courseId, alertMethod)
+            setCourseSubscriptions(courseSubscriptions.map(course => (
+                course.id === courseId ? { ...course, alertMethod } : course
+            )))
+            setSavedSearchesError(null)
+        } catch (err) {
+            console.error("Error updating course subscription:", err)
+            setSavedSearchesError(err.response?.data?.message || 'Failed to update course subscription')
+        }
+    }
+
+    // Unsubscribe from a course
+    const handleUnsubscribeCourse = async (courseId) => {
+        try {
+            await courseService.unsubscribe(courseId)
+            setCourseSubscriptions(courseSubscriptions.filter(course => course.id !== courseId))
+            setSavedSearchesError(null)
+        } catch (err) {
+            console.error("Error unsubscribing from course:", err)
+            setSavedSearchesError(err.response?.data?.message || 'Failed to unsubscribe from course')
+        }
+    }
+
+    // Fetch watched listings when the saved tab is opened
+    useEffect(() => {
+        const fetchWatchlist = async () => {
+            try {
+                const response = await watchlistService.getWatchlist()
+                setWatchlist(response.data.products)
+                setWatchlistError(null)
+            } catch (err) {
+                console.error("Error fetching watchlist:", err)
+                setWatchlistError('Failed to load saved listings')
+            }
+        }
+
+        if (activeTab === 'saved' && authUser) {
+            fetchWatchlist()
+        }
+    }, [activeTab, authUser])
+
+    // Stop watching a listing
+    const handleRemoveFromWatchlist = async (productId) => {
+        try {
+            await watchlistService.removeFromWatchlist(productId)
+            setWatchlist(watchlist.filter(product => product.id !== productId))
+            setWatchlistError(null)
+        } catch (err) {
+            console.error("Error removing from watchlist:", err)
+            setWatchlistError(err.response?.data?.message || 'Failed to remove listing')
+        }
+    }
+
+    // Describe the filters of a saved search
+    const describeSavedSearch = (search) => {
+        const parts = []
+        if (search.searchTerm) parts.push(`"${search.searchTerm}"`)
+        if (search.categoryName) parts.push(search.categoryName)
+        if (search.minPrice !== null || search.maxPrice !== null) {
+            parts.push(`$${search.minPrice ?? 0} - ${search.maxPrice !== null ? `$${search.maxPrice}` : 'any'}`)
+        }
+        if (search.condition) parts.push(search.condition)
+        return parts.join(' · ')
+    }
+
+    // Fetch active sessions
+    const fetchSessions = async () => {
+        try {
+            const response = await authService.getSessions()
+            setSessions(response.data.sessions)
+            setSessionsError(null)
+        } catch (err) {
+            console.error("Error fetching sessions:", err)
+            setSessionsError('Failed to load active sessions')
+        }
+    }
+
     // Handle form input changes
     const handleInputChange = (e) => {
         const { name, value } = e.target
@@ -323,6 +504,80 @@ const UserProfile = () => {
         }
     }
 
+    // Handle resending the verification email
+    const handleResendVerification = async () => {
+        setVerificationError(null)
+        setVerificationSuccess(null)
+
+        try {
+            await authService.resendVerification()
+            setVerificationSuccess('Verification email sent. Please check your inbox.')
+        } catch (err) {
+            console.error("Error resending verification email:", err)
+            setVerificationError(err.response?.data?.message || 'Failed to send verification email')
+        }
+    }
+
+    // Handle two-factor input changes
+    const handleTwoFactorInputChange = (e) => {
+        const { name, value } = e.target
+        setTwoFactorForm({
+            ...twoFactorForm,
+            [name]: value
+        })
+    }
+
+    // Handle two-factor enrollment finished
+    const handleTwoFactorEnabled = () => {
+        setShowTwoFactorSetup(false)
+        setTwoFactorEnabled(true)
+        setTwoFactorSuccess('Two-factor authentication enabled')
+    }
+
+    // Handle disabling two-factor authentication
+    const handleDisableTwoFactor = async (e) => {
+        e.preventDefault()
+
+        // Clear previous messages
+        setTwoFactorError(null)
+        setTwoFactorSuccess(null)
+        setRecoveryCodes(null)
+
+        try {
+            await authService.disableTwoFactor(twoFactorForm.password, twoFactorForm.code)
+
+            setTwoFactorEnabled(false)
+            setTwoFactorSuccess('Two-factor authentication disabled')
+            setTwoFactorForm({ password: '', code: '' })
+        } catch (err) {
+            console.error("Error disabling two-factor authentication:", err)
+            setTwoFactorError(err.response?.data?.message || 'Failed to disable two-factor authentication')
+        }
+    }
+
+    // Handle regenerating recovery codes
+    const handleRegenerateRecoveryCodes = async () => {
+        // Clear previous messages
+        setTwoFactorError(null)
+        setTwoFactorSuccess(null)
+
+        if (!twoFactorForm.code) {
+            setTwoFactorError('Enter a code from your authenticator app first')
+            return
+        }
+
+        try {
+            const response = await authService.regenerateRecoveryCodes(twoFactorForm.code)
+
+            setRecoveryCodes(response.data.recoveryCodes)
+            setTwoFactorSuccess('New recovery codes generated. Your previous codes no longer work.')
+            setTwoFactorForm({ ...twoFactorForm, code: '' })
+        } catch (err) {
+            console.error("Error regenerating recovery codes:", err)
+            setTwoFactorError(err.response?.data?.message || 'Failed to regenerate recovery codes')
+        }
+    }
+
     // Handle forgot password
     const handleForgotPassword = async (e) => {
         e.preventDefault()
@@ -401,22 +656,101 @@ const UserProfile = () => {
         }
     }
 
-    // Handle account deletion
+    // Handle account deletion (scheduled after a grace period)
     const handleDeleteAccount = async () => {
-        if (window.confirm("Are you sure you want to delete your account? This action cannot be undone.")) {
+        setAccountError(null)
+        setAccountSuccess(null)
+
+        if (window.confirm("Are you sure you want to delete your account? Your personal data will be permanently removed after the grace period.")) {
             try {
-                await userService.deleteUser(userData.id)
-                // After successful deletion, log out the user
-                logout()
-                // Redirect to home page
-                navigate('/')
+                const response = await userService.deleteUser(userData.id, deletePassword)
+                setDeletionScheduledFor(response.data.deletionScheduledFor)
+                setAccountSuccess(response.data.message)
+                setDeletePassword('')
             } catch (err) {
                 console.error("Error deleting account:", err)
-                alert("Failed to delete account. Please try again.")
+                setAccountError(err.response?.data?.message || 'Failed to delete account. Please try again.')
+            }
+        }
+    }
+
+    // Handle cancelling a scheduled account deletion
+    const handleCancelDeletion = async () => {
+        setAccountError(null)
+        setAccountSuccess(null)
+
+        try {
+            await userService.cancelAccountDeletion(userData.id)
+            setDeletionScheduledFor(null)
+            setAccountSuccess('Account deletion cancelled')
+        } catch (err) {
+            console.error("Error cancelling account deletion:", err)
+            setAccountError(err.response?.data?.message || 'Failed to cancel account deletion')
+        }
+    }
+
+    // Download all personal data as JSON
+    const handleDownloadData = async () => {
+        setAccountError(null)
+
+        try {
+            const response = await userService.exportUserData(userData.id)
+            const url = URL.createObjectURL(response.data)
+            const link = document.createElement('a')
+
+            link.href = url
+            link.download = `uta-marketplace-data-${new Date().toISOString().slice(0, 10)}.json`
+            link.click()
+            URL.revokeObjectURL(url)
+        } catch (err) {
+            console.error("Error exporting personal data:", err)
+            setAccountError('Failed to download your data')
+        }
+    }
+
+    // Handle revoking a single session
+    const handleRevokeSession = async (session) => {
+        if (session.current) {
+            // Revoking this device is the same as logging out
+            logout()
+            navigate('/login')
+            return
+        }
+
+        try {
+            await authService.revokeSession(session.id)
+            setSessions(sessions.filter(s => s.id !== session.id))
+        } catch (err) {
+            console.error("Error revoking session:", err)
+            setSessionsError(err.response?.data?.message || 'Failed to revoke session')
+        }
+    }
+
+    // Handle signing out of every device
+    const handleSignOutEverywhere = async () => {
+        if (window.confirm("Sign out of all devices, including this one?")) {
+            try {
+                await authService.revokeAllSessions()
+                logout()
+                navigate('/login')
+            } catch (err) {
+                console.error("Error signing out everywhere:", err)
+                setSessionsError(err.response?.data?.message || 'Failed to sign out of all devices')
             }
         }
     }
 
+    // Short device description from a user agent string
+    const describeDevice = (userAgent) => {
+        if (!userAgent) return 'Unknown device'
+
+        const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name))
+        const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name))
+
+        if (!browser && !os) return userAgent
+        return `${browser === 'Edg' ? 'Edge' : browser || 'Browser'} on ${os === 'Mac OS' ? 'macOS' : os || 'unknown OS'}`
+    }
+
     // Function to format date
     const formatDate = (dateString) => {
         const date = new Date(dateString)
@@ -476,6 +810,18 @@ const UserProfile = () => {
                 >
                     Purchase History
                 </button>
+                <button
+                    className={`tab-btn ${activeTab === 'saved' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('saved')}
+                >
+                    Saved
+                </button>
+                <button
+                    className={`tab-btn ${activeTab === 'searches' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('searches')}
+                >
+                    Saved Searches
+                </button>
                 <button
                     className={`tab-btn ${activeTab === 'security' ? 'active' : ''}`}
                     onClick={() => setActiveTab('security')}
@@ -829,6 +1175,142 @@ const UserProfile = () => {
                     </div>
                 )}
 
+                {/* Saved (Watchlist) Tab */}
+                {activeTab === 'saved' && (
+                    <div className="saved-searches-tab">
+                        <div className="tab-header">
+                            <h2>Saved Listings</h2>
+                        </div>
+
+                        {watchlistError && <div className="error-container">{watchlistError}</div>}
+
+                        {watchlist.length > 0 ? (
+                            <div className="saved-searches-list">
+                                {watchlist.map(product => (
+                                    <div className="saved-search-card" key={product.id}>
+                                        <div className="saved-search-info">
+                                            <h3>
+                                                <Link to={`/product/${product.id}`}>{product.name}</Link>
+                                            </h3>
+                                            <p>
+                                                ${parseFloat(product.price).toFixed(2)} · {product.category_name}
+                                                {product.status !== 'active' && ` · ${product.status.charAt(0).toUpperCase() + product.status.slice(1)}`}
+                                            </p>
+                                        </div>
+                                        <div className="saved-search-actions">
+                                            <button
+                                                className="btn btn-outline"
+                                                onClick={() => handleRemoveFromWatchlist(product.id)}
+                                            >
+                                                Remove
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <div className="no-orders">
+                                <p>You haven't saved any listings yet. Tap the heart on a listing to watch it.</p>
+                                <Link to="/buyer" className="btn btn-primary">
+                                    Browse Listings
+                                </Link>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Saved Searches Tab */}
+                {activeTab === 'searches' && (
+                    <div className="saved-searches-tab">
+                        <div className="tab-header">
+                            <h2>Saved Searches</h2>
+                        </div>
+
+                        {savedSearchesError && <div className="error-container">{savedSearchesError}</div>}
+
+                        {!formData.notifications.newListings && (
+                            <p className="saved-searches-note">
+                                New listing notifications are turned off, so saved searches won't alert you.
+                            </p>
+                        )}
+
+                        {savedSearches.length > 0 ? (
+                            <div className="saved-searches-list">
+                                {savedSearches.map(search => (
+                                    <div className="saved-search-card" key={search.id}>
+                                        <div className="saved-search-info">
+                                            <h3>{search.name}</h3>
+                                            <p>{describeSavedSearch(search)}</p>
+                                        </div>
+                                        <div className="saved-search-actions">
+                                            <select
+                                                value={search.alertMethod}
+                                                onChange={(e) => handleAlertMethodChange(search.id, e.target.value)}
+                                            >
+                                                <option value="email">Email me right away</option>
+                                                <option value="notification">Notify me in the app</option>
+                                                <option value="digest">Daily digest</option>
+                                                <option value="none">No alerts</option>
+                                            </select>
+                                            <button
+                                                className="btn btn-outline"
+                                                onClick={() => handleDeleteSavedSearch(search.id)}
+                                            >
+                                                Delete
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <div className="no-orders">
+                                <p>You haven't saved any searches yet.</p>
+                                <Link to="/buyer" className="btn btn-primary">
+                                    Browse Listings
+                                </Link>
+                            </div>
+                        )}
+
+                        <div className="tab-header">
+                            <h2>Course Subscriptions</h2>
+                        </div>
+
+                        {courseSubscriptions.length > 0 ? (
+                            <div className="saved-searches-list">
+                                {courseSubscriptions.map(course => (
+                                    <div className="saved-search-card" key={course.id}>
+                                        <div className="saved-search-info">
+                                            <h3>
+                                                <Link to={`/buyer?course=${encodeURIComponent(course.code)}`}>{course.code}</Link> {course.title}
+                                            </h3>
+                                            <p>{course.listingCount} active listing{course.listingCount === 1 ? '' : 's'}{course.term && ` · ${course.term}`}</p>
+                                        </div>
+                                        <div className="saved-search-actions">
+                                            <select
+                                                value={course.alertMethod}
+                                                onChange={(e) => handleCourseAlertMethodChange(course.id, e.target.value)}
+                                            >
+                                                <option value="email">Email me right away</option>
+                                                <option value="notification">Notify me in the app</option>
+                                            </select>
+                                            <button
+                                                className="btn btn-outline"
+                                                onClick={() => handleUnsubscribeCourse(course.id)}
+                                            >
+                                                Unsubscribe
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="saved-searches-note">
+                                Search for a course on the Browse page to hear about new books for it.
+                            </p>
+                        )}
+                    </div>
+                )}
+
                 {/* Security Tab with Password Reset */}
                 {activeTab === 'security' && (
                     <div className="security-tab">
@@ -836,6 +1318,19 @@ const UserProfile = () => {
                             <h2>Security Settings</h2>
                         </div>
 
+                        {/* Email Verification Section */}
+                        {emailVerified === false && (
+                            <div className="security-section">
+                                <h3>Email Verification</h3>
+                                <p>Your email address is not verified yet. Verify it to list items, place orders and message sellers.</p>
+                                {verificationError && <div className="form-error">{verificationError}</div>}
+                                {verificationSuccess && <div className="form-success">{verificationSuccess}</div>}
+                                <button type="button" className="btn btn-primary" onClick={handleResendVerification}>
+                                    Resend Verification Email
+                                </button>
+                            </div>
+                        )}
+
                         {/* Password Reset Section */}
                         <div className="security-section">
                             <h3>Password Management</h3>
@@ -934,12 +1429,169 @@ const UserProfile = () => {
                             )}
                         </div>
 
+                        {/* Two-Factor Authentication Section */}
+                        <div className="security-section">
+                            <h3>Two-Factor Authentication</h3>
+
+                            {twoFactorError && <div className="form-error">{twoFactorError}</div>}
+                            {twoFactorSuccess && <div className="form-success">{twoFactorSuccess}</div>}
+
+                            {twoFactorEnabled === false && !showTwoFactorSetup && (
+                                <>
+                                    <p>Protect your account with a code from an authenticator app when you sign in.</p>
+                                    <button
+                                        type="button"
+                                        className="btn btn-primary"
+                                        onClick={() => {
+                                            setTwoFactorError(null)
+                                            setTwoFactorSuccess(null)
+                                            setShowTwoFactorSetup(true)
+                                        }}
+                                    >
+                                        Enable Two-Factor Authentication
+                                    </button>
+                                </>
+                            )}
+
+                            {showTwoFactorSetup && (
+                                <TwoFactorSetup
+                                    onComplete={handleTwoFactorEnabled}
+                                    onCancel={() => setShowTwoFactorSetup(false)}
+                                />
+                            )}
+
+                            {twoFactorEnabled && (
+                                <div className="reset-password-form">
+                                    <p>Two-factor authentication is on. Enter a current code to manage it.</p>
+
+                                    {recoveryCodes && (
+                                        <ul className="recovery-codes">
+                                            {recoveryCodes.map(recoveryCode => (
+                                                <li key={recoveryCode}><code>{recoveryCode}</code></li>
+                                            ))}
+                                        </ul>
+                                    )}
+
+                                    <form onSubmit={handleDisableTwoFactor}>
+                                        <div className="form-group">
+                                            <label htmlFor="twoFactorManageCode">Authentication Code</label>
+                                            <input
+                                                type="text"
+                                                id="twoFactorManageCode"
+                                                name="code"
+                                                inputMode="numeric"
+                                                autoComplete="one-time-code"
+                                                maxLength={6}
+                                                value={twoFactorForm.code}
+                                                onChange={handleTwoFactorInputChange}
+                                                className="form-control"
+                                            />
+                                        </div>
+                                        <div className="form-group">
+                                            <label htmlFor="twoFactorPassword">Password (required to disable)</label>
+                                            <input
+                                                type="password"
+                                                id="twoFactorPassword"
+                                                name="password"
+                                                value={twoFactorForm.password}
+                                                onChange={handleTwoFactorInputChange}
+                                                className="form-control"
+                                            />
+                                        </div>
+                                        <div className="form-actions">
+                                            <button
+                                                type="button"
+                                                className="btn btn-outline"
+                                                onClick={handleRegenerateRecoveryCodes}
+                                            >
+                                                Regenerate Recovery Codes
+                                            </button>
+                                            <button type="submit" className="btn btn-danger">
+                                                Disable Two-Factor Authentication
+                                            </button>
+                                        </div>
+                                    </form>
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Active Sessions Section */}
+                        <div className="security-section">
+                            <h3>Active Sessions</h3>
+                            <p>Devices currently signed in to your account.</p>
+
+                            {sessionsError && <div className="form-error">{sessionsError}</div>}
+
+                            <ul className="session-list">
+                                {sessions.map(session => (
+                                    <li key={session.id} className="session-item">
+                                        <div className="session-info">
+                                            <span className="session-device">
+                                                {describeDevice(session.userAgent)}
+                                                {session.current && <span className="session-current">This device</span>}
+                                            </span>
+                                            <span className="session-meta">
+                                                {session.ipAddress || 'Unknown IP'} · Signed in {formatDate(session.createdAt)} · Last active {new Date(session.lastSeenAt).toLocaleString('en-US')}
+                                            </span>
+                                        </div>
+                                        <button
+                                            type="button"
+                                            className="btn btn-outline"
+                                            onClick={() => handleRevokeSession(session)}
+                                        >
+                                            {session.current ? 'Sign Out' : 'Revoke'}
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+
+                            <button type="button" className="btn btn-danger" onClick={handleSignOutEverywhere}>
+                                Sign Out Everywhere
+                            </button>
+                        </div>
+
+                        <div className="security-section">
+                            <h3>Your Data</h3>
+                            <p>Download a copy of your profile, listings, orders, messages and reviews.</p>
+                            <button type="button" className="btn btn-secondary" onClick={handleDownloadData}>
+                                Download My Data
+                            </button>
+                        </div>
+
                         <div className="security-section danger-zone">
                             <h3>Delete Account</h3>
-                            <p>Permanently delete your account and all associated data.</p>
-                            <button className="btn btn-danger" onClick={handleDeleteAccount}>
-                                Delete Account
-                            </button>
+                            {accountError && <div className="form-error">{accountError}</div>}
+                            {accountSuccess && <div className="form-success">{accountSuccess}</div>}
+                            {deletionScheduledFor ? (
+                                <>
+                                    <p>
+                                        Your account is scheduled for deletion on {new Date(deletionScheduledFor).toLocaleDateString()}.
+                                        Until then you can keep using it and cancel the deletion.
+                                    </p>
+                                    <button type="button" className="btn btn-primary" onClick={handleCancelDeletion}>
+                                        Cancel Deletion
+                                    </button>
+                                </>
+                            ) : (
+                                <>
+                                    <p>
+                                        Delete your account and personal information. Orders and reviews are kept without your name
+                                        or contact details. You can cancel during the grace period.
+                                    </p>
+                                    <div className="form-group">
+                                        <label htmlFor="deletePassword">Confirm Password</label>
+                                        <input
+                                            type="password"
+                                            id="deletePassword"
+                                            value={deletePassword}
+                                            onChange={(e) => setDeletePassword(e.target.value)}
+                                        />
+                                    </div>
+                                    <button className="btn btn-danger" onClick={handleDeleteAccount} disabled={!deletePassword}>
+                                        Delete Account
+                                    </button>
+                                </>
+                            )}
                         </div>
                     </div>
                 )}
@@ -0,0 +1,67 @@
+// src/pages/VerifyEmailPage.jsx
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import authService from '../services/authService';
+import '../css/ResetPassword.css';
+
+const VerifyEmailPage = () => {
+    const { token } = useParams();
+
+    const [status, setStatus] = useState('verifying');
+    const [message, setMessage] = useState(null);
+
+    // Verify as soon as the link is opened
+    useEffect(() => {
+        const verify = async () => {
+            try {
+                const response = await authService.verifyEmail(token);
+
+                // Keep the stored user in sync if this browser is signed in
+                authService.updateLocalUserData({ emailVerified: true });
+
+                setMessage(response.data.message);
+                setStatus('verified');
+            } catch (err) {
+                console.error('Error verifying email:', err);
+                setMessage(err.response?.data?.message || 'Failed to verify email address.');
+                setStatus('failed');
+            }
+        };
+
+        verify();
+    }, [token]);
+
+    return (
+        <div className="reset-password-page">
+            <div className="reset-password-container">
+                <h1>Email Verification</h1>
+
+                {status === 'verifying' && (
+                    <p className="instructions">Verifying your email address...</p>
+                )}
+
+                {status === 'verified' && (
+                    <div className="success-message">
+                        <p>{message}</p>
+                        <p>You can now list items, place orders and message other students.</p>
+                        <Link to="/buyer" className="btn btn-primary">
+                            Start Browsing
+                        </Link>
+                    </div>
+                )}
+
+                {status === 'failed' && (
+                    <div className="invalid-token">
+                        <p>This verification link is invalid or has expired.</p>
+                        <p>Sign in and request a new link from the Security tab of your profile.</p>
+                        <Link to="/profile" className="btn btn-primary">
+                            Go to Profile
+                        </Link>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default VerifyEmailPage;
@@ -0,0 +1,41 @@
+// src/services/adminService.js
+import apiClient from './api';
+
+const adminService = {
+    // Assign a role (user, moderator or admin) to a user
+    updateUserRole: async (userId, role) => {
+        return await apiClient.put(`/admin/users/${userId}/role`, { role });
+    },
+
+    // Get platform settings
+    getSettings: async () => {
+        return await apiClient.get('/admin/settings');
+    },
+
+    // Update platform settings (omitted fields keep their current value)
+    updateSettings: async (settings) => {
+        return await apiClient.put('/admin/settings', settings);
+    },
+
+    // Reset platform settings to defaults
+    resetSettings: async () => {
+        return await apiClient.post('/admin/settings/reset');
+    },
+
+    // Get suspicious pricing: raises shortly before a sale and frequent repricing (params: hours, days, minChanges)
+    getPricingReport: async (params = {}) => {
+        return await apiClient.get('/admin/reports/pricing', { params });
+    },
+
+    // Get audit log entries (filters: actorId, action, targetType, targetId, startDate, endDate, page)
+    getAuditLog: async (params = {}) => {
+        return await apiClient.get('/admin/audit', { params });
+    },
+
+    // Export audit log entries matching the filters as a CSV file
+    exportAuditLog: async (params = {}) => {
+        return await apiClient.get('/admin/audit/export', { params, responseType: 'blob' });
+    }
+};
+
+export default adminService;
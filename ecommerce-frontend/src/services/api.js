@@ -10,13 +10,18 @@ const apiClient = axios.create({
     headers: API_CONFIG.HEADERS
 });
 
-// Request interceptor for adding auth token
+// Request interceptor for adding auth token and selected campus
 apiClient.interceptors.request.use(
     (config) => {
         const token = localStorage.getItem('token');
         if (token) {
             config.headers['Authorization'] = `Bearer ${token}`;
         }
+
+        const campus = localStorage.getItem('campus') || import.meta.env.VITE_CAMPUS;
+        if (campus) {
+            config.headers['X-Campus'] = campus;
+        }
         return config;
     },
     (error) => {
@@ -24,14 +29,54 @@ apiClient.interceptors.request.use(
     }
 );
 
+// Shared refresh request so concurrent 401s only rotate the refresh token once
+let refreshRequest = null;
+
+// Exchange the stored refresh token for a new token pair
+const refreshAccessToken = async () => {
+    const response = await axios.post(`${API_CONFIG.BASE_URL}/auth/refresh`, {
+        refreshToken: localStorage.getItem('refreshToken')
+    }, {
+        withCredentials: API_CONFIG.WITH_CREDENTIALS,
+        headers: API_CONFIG.HEADERS
+    });
+
+    localStorage.setItem('token', response.data.token);
+    localStorage.setItem('refreshToken', response.data.refreshToken);
+    return response.data.token;
+};
+
 // Response interceptor for handling common errors
 apiClient.interceptors.response.use(
     (response) => response,
-    (error) => {
+    async (error) => {
         // Handle expired tokens
         if (error.response && error.response.status === 401) {
-            // Clear invalid token
+            const originalRequest = error.config;
+
+            // Try once to renew the access token and replay the request (bad credentials are not an expired token)
+            if (originalRequest && !originalRequest._retry && !originalRequest.url?.startsWith('/auth/login')
+                && localStorage.getItem('refreshToken')) {
+                originalRequest._retry = true;
+
+                try {
+                    if (!refreshRequest) {
+                        refreshRequest = refreshAccessToken().finally(() => {
+                            refreshRequest = null;
+                        });
+                    }
+
+                    const token = await refreshRequest;
+                    originalRequest.headers['Authorization'] = `Bearer ${token}`;
+                    return apiClient(originalRequest);
+                } catch {
+                    // Refresh failed, fall through to logging the user out
+                }
+            }
+
+            // Clear invalid tokens
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
 
             // Redirect to login page if not already there
             if (window.location.pathname !== '/login') {
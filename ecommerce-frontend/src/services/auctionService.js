@@ -0,0 +1,16 @@
+// src/services/auctionService.js
+import apiClient from './api';
+
+const auctionService = {
+    // Get an auction with its highest bids
+    getAuction: async (productId) => {
+        return await apiClient.get(`/auctions/${productId}`);
+    },
+
+    // Bid on an auction
+    placeBid: async (productId, amount) => {
+        return await apiClient.post(`/auctions/${productId}/bids`, { amount });
+    }
+};
+
+export default auctionService;
@@ -7,7 +7,9 @@ const authService = {
         const response = await apiClient.post('/auth/register', userData);
         if (response.data.token) {
             localStorage.setItem('token', response.data.token);
+            localStorage.setItem('refreshToken', response.data.refreshToken);
             localStorage.setItem('user', JSON.stringify(response.data.user));
+            localStorage.setItem('campus', response.data.user.campusSlug);
         }
         return response.data;
     },
@@ -17,16 +19,83 @@ const authService = {
         const response = await apiClient.post('/auth/login', credentials);
         if (response.data.token) {
             localStorage.setItem('token', response.data.token);
+            localStorage.setItem('refreshToken', response.data.refreshToken);
             localStorage.setItem('user', JSON.stringify(response.data.user));
+            localStorage.setItem('campus', response.data.user.campusSlug);
         }
         return response.data;
     },
 
+    // Complete login with a TOTP code or a recovery code
+    verifyTwoFactorLogin: async (challengeToken, { code, recoveryCode }) => {
+        const response = await apiClient.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+        if (response.data.token) {
+            localStorage.setItem('token', response.data.token);
+            localStorage.setItem('refreshToken', response.data.refreshToken);
+            localStorage.setItem('user', JSON.stringify(response.data.user));
+            localStorage.setItem('campus', response.data.user.campusSlug);
+        }
+        return response.data;
+    },
+
+    // Start two-factor enrollment (challengeToken only when enrollment is required at login)
+    setupTwoFactor: async (challengeToken) => {
+        const response = await apiClient.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {});
+        return response.data;
+    },
+
+    // Confirm two-factor enrollment with a code from the authenticator app
+    enableTwoFactor: async (code, challengeToken) => {
+        const response = await apiClient.post('/auth/2fa/enable', challengeToken ? { code, challengeToken } : { code });
+        if (response.data.token) {
+            localStorage.setItem('token', response.data.token);
+            localStorage.setItem('refreshToken', response.data.refreshToken);
+            localStorage.setItem('user', JSON.stringify(response.data.user));
+            localStorage.setItem('campus', response.data.user.campusSlug);
+        }
+        return response.data;
+    },
+
+    // Disable two-factor authentication
+    disableTwoFactor: async (password, code) => {
+        return await apiClient.post('/auth/2fa/disable', { password, code });
+    },
+
+    // Regenerate recovery codes
+    regenerateRecoveryCodes: async (code) => {
+        return await apiClient.post('/auth/2fa/recovery-codes', { code });
+    },
+
+    // Get active sessions (devices)
+    getSessions: async () => {
+        return await apiClient.get('/auth/sessions');
+    },
+
+    // Revoke a single session
+    revokeSession: async (sessionId) => {
+        return await apiClient.delete(`/auth/sessions/${sessionId}`);
+    },
+
+    // Sign out everywhere
+    revokeAllSessions: async () => {
+        return await apiClient.delete('/auth/sessions');
+    },
+
     // Get current user profile
     getCurrentUser: async () => {
         return await apiClient.get('/auth/me');
     },
 
+    // Verify email address with the token from the email link
+    verifyEmail: async (token) => {
+        return await apiClient.get(`/auth/verify-email/${token}`);
+    },
+
+    // Resend the verification email
+    resendVerification: async () => {
+        return await apiClient.post('/auth/resend-verification');
+    },
+
     // Change password (direct approach without email)
     changePassword: async (currentPassword, newPassword) => {
         return await apiClient.post('/auth/change-password', {
@@ -35,35 +104,28 @@ const authService = {
         });
     },
 
-    // Simple forgot password with email only
+    // Request a password reset link by email
     forgotPassword: async (email) => {
-        // In a real implementation, this would typically send an email
-        // For our simplified version, we'll just request a password reset
         return await apiClient.post('/auth/forgot-password', { email });
     },
 
-    // Reset password with token
+    // Reset password with the single-use token from the email
     resetPassword: async (token, password) => {
         return await apiClient.post(`/auth/reset-password/${token}`, { password });
     },
 
-    // Direct password reset without email verification
-    directPasswordReset: async (email, newPassword) => {
-        return await apiClient.post('/auth/direct-reset', {
-            email,
-            newPassword
-        });
-    },
-
     // Logout
     logout: () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
         // Clean up any other stored data like notifications
         localStorage.removeItem('notificationSettings');
 
-        // Optional: Call the logout endpoint
-        return apiClient.post('/auth/logout').catch(() => {
+        // Revoke the session on the server
+        return apiClient.post('/auth/logout', { refreshToken }).catch(() => {
             // Silently fail for the logout endpoint
             // We still want to clear local storage even if the request fails
         });
@@ -0,0 +1,31 @@
+// src/services/campusService.js
+import apiClient from './api';
+
+const campusService = {
+    // Get active campuses
+    getCampuses: async () => {
+        return await apiClient.get('/campuses');
+    },
+
+    // Get branding of the selected campus
+    getCurrentCampus: async () => {
+        return await apiClient.get('/campuses/current');
+    },
+
+    // Platform admin: Get all campuses including inactive ones
+    getAllCampuses: async () => {
+        return await apiClient.get('/campuses/all');
+    },
+
+    // Platform admin: Create a campus
+    createCampus: async (campusData) => {
+        return await apiClient.post('/campuses', campusData);
+    },
+
+    // Platform admin: Update a campus
+    updateCampus: async (id, campusData) => {
+        return await apiClient.put(`/campuses/${id}`, campusData);
+    }
+};
+
+export default campusService;
@@ -24,6 +24,11 @@ const categoryService = {
         });
     },
 
+    // Get the attributes of a category, including those inherited from its parents
+    getCategoryAttributes: async (id) => {
+        return await apiClient.get(`/categories/${id}/attributes`);
+    },
+
     // Admin: Create a new category
     createCategory: async (categoryData) => {
         return await apiClient.post('/categories', categoryData);
@@ -34,9 +39,26 @@ const categoryService = {
         return await apiClient.put(`/categories/${id}`, categoryData);
     },
 
-    // Admin: Delete a category
-    deleteCategory: async (id) => {
-        return await apiClient.delete(`/categories/${id}`);
+    // Admin: Delete a category, moving its subcategories and listings to moveTo (its parent by default)
+    deleteCategory: async (id, moveTo) => {
+        return await apiClient.delete(`/categories/${id}`, {
+            params: { moveTo }
+        });
+    },
+
+    // Admin: Add an attribute to a category
+    createCategoryAttribute: async (id, attributeData) => {
+        return await apiClient.post(`/categories/${id}/attributes`, attributeData);
+    },
+
+    // Admin: Update an attribute of a category
+    updateCategoryAttribute: async (id, attributeId, attributeData) => {
+        return await apiClient.put(`/categories/${id}/attributes/${attributeId}`, attributeData);
+    },
+
+    // Admin: Remove an attribute from a category
+    deleteCategoryAttribute: async (id, attributeId) => {
+        return await apiClient.delete(`/categories/${id}/attributes/${attributeId}`);
     }
 };
 
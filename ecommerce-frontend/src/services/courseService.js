@@ -0,0 +1,35 @@
+// src/services/courseService.js
+import apiClient from './api';
+
+const courseService = {
+    // Search the course catalog by code ("CSE 33") or title
+    searchCourses: async (query, limit = 10) => {
+        return await apiClient.get('/courses', { params: { q: query, limit } });
+    },
+
+    // Get the courses the current user subscribes to
+    getSubscriptions: async () => {
+        return await apiClient.get('/courses/subscriptions');
+    },
+
+    // Subscribe to new listings for a course (alertMethod: email or notification)
+    subscribe: async (courseId, alertMethod = 'notification') => {
+        return await apiClient.put(`/courses/${courseId}/subscription`, { alertMethod });
+    },
+
+    // Unsubscribe from a course
+    unsubscribe: async (courseId) => {
+        return await apiClient.delete(`/courses/${courseId}/subscription`);
+    },
+
+    // Load the course catalog from a CSV (file), admin only
+    importCourses: async (formData) => {
+        return await apiClient.post('/courses/import', formData, {
+            headers: {
+                'Content-Type': 'multipart/form-data'
+            }
+        });
+    }
+};
+
+export default courseService;
@@ -10,6 +10,13 @@ import categoryService from './categoryService';
 import reviewService from './reviewService';
 import reportService from './reportService';
 import contactService from './contactService';
+import adminService from './adminService';
+import campusService from './campusService';
+import savedSearchService from './savedSearchService';
+import watchlistService from './watchlistService';
+import courseService from './courseService';
+import offerService from './offerService';
+import auctionService from './auctionService';
 
 // Export all services
 export {
@@ -23,5 +30,12 @@ export {
     categoryService,
     reviewService,
     reportService,
-    contactService
+    contactService,
+    adminService,
+    campusService,
+    savedSearchService,
+    watchlistService,
+    courseService,
+    offerService,
+    auctionService
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+// src/services/offerService.js
+import apiClient from './api';
+
+const offerService = {
+    // Get the offers the current user made or received (status: pending, accepted, ...)
+    getOffers: async (status = null) => {
+        return await apiClient.get('/offers', { params: status ? { status } : {} });
+    },
+
+    // Get the current user's latest offer on a listing
+    getOfferForProduct: async (productId) => {
+        return await apiClient.get(`/offers/product/${productId}`);
+    },
+
+    // Make an offer on a listing, with an optional note to the seller
+    createOffer: async (productId, amount, message = '') => {
+        return await apiClient.post('/offers', { productId, amount, message });
+    },
+
+    // Accept an offer, locking its price for the buyer
+    acceptOffer: async (offerId) => {
+        return await apiClient.put(`/offers/${offerId}/accept`);
+    },
+
+    // Decline an offer
+    declineOffer: async (offerId) => {
+        return await apiClient.put(`/offers/${offerId}/decline`);
+    },
+
+    // Counter an offer with another amount
+    counterOffer: async (offerId, amount) => {
+        return await apiClient.put(`/offers/${offerId}/counter`, { amount });
+    }
+};
+
+export default offerService;
@@ -12,6 +12,11 @@ const productService = {
         return await apiClient.get(`/products/${id}`);
     },
 
+    // Get every price a product has had, oldest first
+    getPriceHistory: async (id) => {
+        return await apiClient.get(`/products/${id}/price-history`);
+    },
+
     // Create a new product
     createProduct: async (productData) => {
         return await apiClient.post('/products', productData);
@@ -22,11 +27,40 @@ const productService = {
         return await apiClient.put(`/products/${id}`, productData);
     },
 
+    // Get the current user's drafts and scheduled listings
+    getDrafts: async () => {
+        return await apiClient.get('/products/drafts');
+    },
+
+    // Get one of the current user's drafts with its images and specifications
+    getDraft: async (id) => {
+        return await apiClient.get(`/products/drafts/${id}`);
+    },
+
+    // Publish a draft now, or at publishAt if given
+    publishProduct: async (id, publishAt) => {
+        return await apiClient.post(`/products/${id}/publish`, { publishAt });
+    },
+
+    // Renew an active or expired listing for a new listing period
+    renewProduct: async (id) => {
+        return await apiClient.put(`/products/${id}/renew`);
+    },
+
     // Delete a product
     deleteProduct: async (id) => {
         return await apiClient.delete(`/products/${id}`);
     },
 
+    // Import listings in bulk from a CSV or XLSX sheet (file) with a ZIP of images (images)
+    importProducts: async (formData) => {
+        return await apiClient.post('/products/import', formData, {
+            headers: {
+                'Content-Type': 'multipart/form-data'
+            }
+        });
+    },
+
     // Upload product images
     uploadProductImages: async (id, formData) => {
         return await apiClient.post(`/products/${id}/images`, formData, {
@@ -0,0 +1,26 @@
+// src/services/savedSearchService.js
+import apiClient from './api';
+
+const savedSearchService = {
+    // Get the current user's saved searches
+    getSavedSearches: async () => {
+        return await apiClient.get('/saved-searches');
+    },
+
+    // Save a search (alertMethod: email, notification, digest or none)
+    createSavedSearch: async (searchData) => {
+        return await apiClient.post('/saved-searches', searchData);
+    },
+
+    // Update a saved search
+    updateSavedSearch: async (id, searchData) => {
+        return await apiClient.put(`/saved-searches/${id}`, searchData);
+    },
+
+    // Delete a saved search
+    deleteSavedSearch: async (id) => {
+        return await apiClient.delete(`/saved-searches/${id}`);
+    }
+};
+
+export default savedSearchService;
@@ -12,14 +12,10 @@ class SocketService {
     connect() {
         if (this.socket) return;
 
-        // Get authentication token
-        const token = localStorage.getItem('token');
-
         // Connect to socket server with auth token
+        // (read on every attempt so reconnections pick up refreshed access tokens)
         this.socket = io(this.socketUrl, {
-            auth: {
-                token
-            },
+            auth: (cb) => cb({ token: localStorage.getItem('token') }),
             withCredentials: true,
             reconnection: true,
             reconnectionAttempts: 5,
@@ -62,10 +58,23 @@ class SocketService {
         this.socket.on(event, callback);
     }
 
-    // Unsubscribe from an event
-    off(event) {
+    // Unsubscribe from an event (one listener when given, otherwise all of them)
+    off(event, callback) {
         if (this.socket) {
-            this.socket.off(event);
+            if (callback) {
+                this.socket.off(event, callback);
+            } else {
+                this.socket.off(event);
+            }
+        }
+    }
+
+    // Connect, or reconnect a socket that was refused or dropped (e.g. opened before signing in)
+    ensureConnected() {
+        if (!this.socket) {
+            this.connect();
+        } else if (!this.socket.connected) {
+            this.socket.connect();
         }
     }
 
@@ -57,9 +57,24 @@ const userService = {
         return await apiClient.get(`/users/${id}/sales`);
     },
 
-    // Delete user account
-    deleteUser: async (id) => {
-        return await apiClient.delete(`/users/${id}`);
+    // Delete user account (owners confirm with their password and can cancel during the grace period)
+    deleteUser: async (id, password) => {
+        return await apiClient.delete(`/users/${id}`, { data: { password } });
+    },
+
+    // Cancel a scheduled account deletion
+    cancelAccountDeletion: async (id) => {
+        return await apiClient.delete(`/users/${id}/deletion`);
+    },
+
+    // Download all personal data as a JSON file
+    exportUserData: async (id) => {
+        return await apiClient.get(`/users/${id}/export`, { responseType: 'blob' });
+    },
+
+    // Download a seller's listings as a CSV or XLSX file
+    exportUserListings: async (id, format = 'csv') => {
+        return await apiClient.get(`/users/${id}/listings/export`, { params: { format }, responseType: 'blob' });
     },
 
     // Get notifications preferences from local storage
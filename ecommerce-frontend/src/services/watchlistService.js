@@ -0,0 +1,26 @@
+// src/services/watchlistService.js
+import apiClient from './api';
+
+const watchlistService = {
+    // Get the current user's watched listings
+    getWatchlist: async () => {
+        return await apiClient.get('/watchlist');
+    },
+
+    // Get the IDs of watched listings
+    getWatchlistIds: async () => {
+        return await apiClient.get('/watchlist/ids');
+    },
+
+    // Watch a listing
+    addToWatchlist: async (productId) => {
+        return await apiClient.post(`/watchlist/${productId}`);
+    },
+
+    // Stop watching a listing
+    removeFromWatchlist: async (productId) => {
+        return await apiClient.delete(`/watchlist/${productId}`);
+    }
+};
+
+export default watchlistService;
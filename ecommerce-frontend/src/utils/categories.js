@@ -0,0 +1,12 @@
+// src/utils/categories.js
+
+// Label of a category in a select, indented under its parent with non-breaking spaces
+// (the API lists categories in tree order with their depth)
+export const getCategoryLabel = (category) => {
+    return '\u00A0\u00A0\u00A0'.repeat(category.depth || 0) + category.name;
+};
+
+// Attribute of a category with the given specification name (names match in any case)
+export const findAttribute = (attributes, name) => {
+    return attributes.find(attribute => attribute.name.toLowerCase() === name.trim().toLowerCase());
+};